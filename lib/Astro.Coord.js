@@ -247,6 +247,49 @@ A.Coord = {
 		);
 	},
 	
+	/**
+	 * angularSeparation returns the angular separation between two celestial bodies. <br>
+	 * The formula is numerically stable for small and large separations. (17.5) p. 116
+	 *
+	 * @function angularSeparation
+	 * @static
+	 *
+	 * @param {EqCoord} eqcoord1 - equatorial coordinates of the first body, in radians
+	 * @param {EqCoord} eqcoord2 - equatorial coordinates of the second body, in radians
+	 * @return {number} angular separation in radians and in the range [0,PI]
+	 */
+	angularSeparation: function(eqcoord1, eqcoord2) {
+		var sdec1 = Math.sin(eqcoord1.dec);
+		var cdec1 = Math.cos(eqcoord1.dec);
+		var sdec2 = Math.sin(eqcoord2.dec);
+		var cdec2 = Math.cos(eqcoord2.dec);
+		var dra = eqcoord2.ra - eqcoord1.ra;
+		var cdra = Math.cos(dra);
+
+		var x = cdec1 * sdec2 - sdec1 * cdec2 * cdra;
+		var y = cdec2 * Math.sin(dra);
+		var z = sdec1 * sdec2 + cdec1 * cdec2 * cdra;
+		return Math.atan2(Math.sqrt(x*x + y*y), z);
+	},
+
+	/**
+	 * positionAngle returns the position angle of the second body relative to the first body,
+	 * measured from the north towards the east. (see also 48.5 p. 346)
+	 *
+	 * @function positionAngle
+	 * @static
+	 *
+	 * @param {EqCoord} eqcoord1 - equatorial coordinates of the first body, in radians
+	 * @param {EqCoord} eqcoord2 - equatorial coordinates of the second body, in radians
+	 * @return {number} position angle in radians and in the range [0,2PI)
+	 */
+	positionAngle: function(eqcoord1, eqcoord2) {
+		var dra = eqcoord2.ra - eqcoord1.ra;
+		var p = Math.atan2(Math.cos(eqcoord2.dec) * Math.sin(dra),
+			Math.sin(eqcoord2.dec) * Math.cos(eqcoord1.dec) - Math.cos(eqcoord2.dec) * Math.sin(eqcoord1.dec) * Math.cos(dra));
+		return A.Math.pMod(p, 2 * Math.PI);
+	},
+
 	/**
 	 * EqToHz computes Horizontal coordinates from equatorial coordinates. <br>
 	 * Sidereal time must be consistent with the equatorial coordinates.
@@ -0,0 +1,523 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+/**
+ * Methods for calculations of eclipses (see Chapter 54). <br>
+ * The eclipses are found with the series of Chapter 54, the local circumstances
+ * of solar eclipses are computed with the besselian elements of the eclipse.
+ * Distances in the fundamental plane are in equatorial radii of the earth.
+ * @module A.Eclipse
+ */
+A.Eclipse = {
+
+	/**
+	 * Radius of the sun in equatorial radii of the earth (959.63" at 1 AU).
+	 *
+	 * @const {Number} sunRadius
+	 * @static
+	 */
+	sunRadius: 109.1222,
+
+	/**
+	 * Radius of the moon in equatorial radii of the earth for the penumbra
+	 * and for the umbra (smaller value of the mean radius of the limb).
+	 *
+	 * @const {Array} moonRadius
+	 * @static
+	 */
+	moonRadius: [0.2725076, 0.2722810],
+
+	/**
+	 * solar returns the solar eclipse at the new moon of the lunation at the given decimal year. <br>
+	 * The type is 'partial', 'annular', 'total' or 'hybrid' (annular-total), or 'none' if there is no eclipse.
+	 * The error of the time of the greatest eclipse is a few minutes.
+	 *
+	 * @function solar
+	 * @static
+	 *
+	 * @param {number} year - decimal year, e.g. 1993.38 for may 1993
+	 * @return {Map} type: type of the eclipse<br>
+	 *               central: true if the axis of the shadow touches the earth<br>
+	 *               jdo: julian day of the greatest eclipse, or of the new moon if there is no eclipse<br>
+	 *               gamma: least distance of the axis of the shadow from the center of the earth,
+	 *                      positive north of the center<br>
+	 *               u: radius of the umbral cone in the fundamental plane<br>
+	 *               p: radius of the penumbral cone in the fundamental plane<br>
+	 *               magnitude: greatest magnitude of the eclipse, for central eclipses the ratio
+	 *                          of the apparent diameters of the moon and the sun
+	 */
+	solar: function (year) {
+		return A.Eclipse._solar(A.MoonPhase._k(year, 0));
+	},
+
+	/**
+	 * solarEclipses returns all solar eclipses between two julian days ordered by time.
+	 *
+	 * @function solarEclipses
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdoStart - start of the range
+	 * @param {A.JulianDay} jdoEnd - end of the range
+	 * @return {Array} list of eclipses, see solar
+	 */
+	solarEclipses: function (jdoStart, jdoEnd) {
+		var res = [];
+		var k = Math.floor((jdoStart.jde - 2451550.09766) / A.MoonPhase.meanLunation) - 1;
+		for (; ; k++) {
+			var e = A.Eclipse._solar(k);
+			if (e.jdo.jd > jdoEnd.jd)
+				break;
+			if (e.type !== 'none' && e.jdo.jd >= jdoStart.jd)
+				res.push(e);
+		}
+		return res;
+	},
+
+	/**
+	 * besselianElements returns the besselian elements of a solar eclipse at the given julian day,
+	 * computed with the apparent positions of the sun (VSOP87) and the moon. <br>
+	 * The fundamental plane passes through the center of the earth perpendicular to the axis of the shadow.
+	 *
+	 * @function besselianElements
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @return {Map} x, y: coordinates of the axis of the shadow in the fundamental plane<br>
+	 *               d: declination of the axis in radians<br>
+	 *               mu: greenwich hour angle of the axis in radians and in the range [0,2PI)<br>
+	 *               l1, l2: radii of the penumbral and the umbral cone in the fundamental plane,
+	 *                       l2 is negative for a total eclipse<br>
+	 *               f1, f2: angles of the penumbral and the umbral cone in radians
+	 */
+	besselianElements: function (jdo) {
+		var s = A.Solar.apparentVSOP87(jdo);
+		var sun = A.Coord.eclToEq(new A.EclCoord(s.lng, s.lat), s.obliquity);
+		var rs = s.range * A.Solar.earthsunDelta / A.Globe.Er;
+		var m = A.Moon.apparentEquatorial(jdo);
+		var moon = m.eq;
+		var rm = m.delta / A.Globe.Er;
+
+		// direction of the axis from the moon to the sun
+		var gx = rs * Math.cos(sun.dec) * Math.cos(sun.ra) - rm * Math.cos(moon.dec) * Math.cos(moon.ra);
+		var gy = rs * Math.cos(sun.dec) * Math.sin(sun.ra) - rm * Math.cos(moon.dec) * Math.sin(moon.ra);
+		var gz = rs * Math.sin(sun.dec) - rm * Math.sin(moon.dec);
+		var g = Math.sqrt(gx*gx + gy*gy + gz*gz);
+		var a = Math.atan2(gy, gx);
+		var d = Math.asin(gz / g);
+
+		var sd = Math.sin(d);
+		var cd = Math.cos(d);
+		var x = rm * Math.cos(moon.dec) * Math.sin(moon.ra - a);
+		var y = rm * (Math.sin(moon.dec) * cd - Math.cos(moon.dec) * sd * Math.cos(moon.ra - a));
+		var z = rm * (Math.sin(moon.dec) * sd + Math.cos(moon.dec) * cd * Math.cos(moon.ra - a));
+
+		var f1 = Math.asin((A.Eclipse.sunRadius + A.Eclipse.moonRadius[0]) / g);
+		var f2 = Math.asin((A.Eclipse.sunRadius - A.Eclipse.moonRadius[1]) / g);
+
+		return {
+			x: x,
+			y: y,
+			d: d,
+			mu: A.Math.pMod(A.Sidereal.apparentInRa(jdo) - a, 2*Math.PI),
+			l1: z * Math.tan(f1) + A.Eclipse.moonRadius[0] / Math.cos(f1),
+			l2: z * Math.tan(f2) - A.Eclipse.moonRadius[1] / Math.cos(f2),
+			f1: f1,
+			f2: f2
+		};
+	},
+
+	/**
+	 * solarLocal computes the local circumstances of a solar eclipse for an observer. <br>
+	 * The contacts are searched within six hours of the given julian day, e.g. the greatest
+	 * eclipse returned by solar. The contacts are also computed if the sun is below the horizon,
+	 * the altitudes tell if they are visible.
+	 *
+	 * @function solarLocal
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day near the eclipse
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @return {Map} type: 'partial', 'annular', 'total' or 'none' if the eclipse is not seen at the location<br>
+	 *               maximum: the maximum eclipse with jdo, magnitude, obscuration (fraction of the
+	 *                        area of the sun covered by the moon) and altitude<br>
+	 *               c1, c4: begin and end of the partial eclipse with jdo and altitude<br>
+	 *               c2, c3: begin and end of the total or annular eclipse with jdo and altitude<br>
+	 *               duration: duration of the total or annular eclipse in seconds<br>
+	 *               visible: true if the sun is above the horizon during the eclipse<br>
+	 *               The altitudes are apparent altitudes of the center of the sun in radians.
+	 */
+	solarLocal: function (jdo, eclCoord) {
+		var pc = A.Globe.parallaxConstants(eclCoord.lat, eclCoord.h);
+		var circumstances = function (jdo) {
+			return A.Eclipse._circumstances(A.Eclipse.besselianElements(jdo), pc, eclCoord);
+		};
+
+		// the maximum is the least distance of the observer from the axis of the shadow
+		var min = A.Search.extrema(function (jdo) {
+			return circumstances(jdo).m;
+		}, new A.JulianDay(jdo.jd - 0.25, jdo.deltaT), new A.JulianDay(jdo.jd + 0.25, jdo.deltaT), {
+			step: 0.02,
+			precision: 1 / 86400
+		}).filter(function (e) {
+			return !e.maximum;
+		})[0];
+
+		var res = {
+			type: 'none'
+		};
+		var max = min && circumstances(min.jdo);
+		if (!max || max.m >= max.L1)
+			return res;
+
+		var contact = function (jdo) {
+			return {
+				jdo: jdo,
+				altitude: A.Solar.topocentricPosition(jdo, eclCoord, true, true).hz.alt
+			};
+		};
+		var search = function (jdo1, jdo2, L) {
+			var c = A.Search.crossings(function (jdo) {
+				var c = circumstances(jdo);
+				return c.m - Math.abs(c[L]);
+			}, jdo1, jdo2, 0, {
+				step: Math.abs(jdo2.jd - jdo1.jd),
+				precision: 1 / 86400
+			});
+			return c.length ? contact(c[0].jdo) : undefined;
+		};
+		var jdoBefore = new A.JulianDay(min.jdo.jd - 0.25, jdo.deltaT);
+		var jdoAfter = new A.JulianDay(min.jdo.jd + 0.25, jdo.deltaT);
+
+		res.type = 'partial';
+		res.c1 = search(jdoBefore, min.jdo, 'L1');
+		res.c4 = search(min.jdo, jdoAfter, 'L1');
+		res.maximum = contact(min.jdo);
+		res.maximum.magnitude = (max.L1 - max.m) / (max.L1 + max.L2);
+		res.maximum.obscuration = A.Eclipse._obscuration(max.m, max.L1, max.L2);
+
+		if (max.m < Math.abs(max.L2)) {
+			res.type = max.L2 < 0 ? 'total' : 'annular';
+			res.maximum.magnitude = (max.L1 - max.L2) / (max.L1 + max.L2);
+			res.c2 = search(jdoBefore, min.jdo, 'L2');
+			res.c3 = search(min.jdo, jdoAfter, 'L2');
+			res.duration = (res.c3.jdo.jd - res.c2.jdo.jd) * 86400;
+		}
+		res.visible = Math.max(res.c1.altitude, res.maximum.altitude, res.c4.altitude) > 0;
+		return res;
+	},
+
+	/**
+	 * Returns the solar eclipse of the lunation k.
+	 */
+	_solar: function (k) {
+		var e = A.Eclipse._eclipse(k, false);
+		if (!e)
+			return A.Eclipse._none(k);
+
+		var gamma = Math.abs(e.gamma);
+		var u = e.u;
+		if (gamma > 1.5433 + u)
+			return A.Eclipse._none(k);
+
+		// p. 381
+		var central = gamma < 0.9972;
+		var type = 'partial';
+		if (!central) {
+			if (gamma < 0.9972 + Math.abs(u))
+				type = u < 0 ? 'total' : 'annular';
+		} else if (u < 0) {
+			type = 'total';
+		} else if (u > 0.0047 || u >= 0.00464 * Math.sqrt(1 - gamma*gamma)) {
+			type = 'annular';
+		} else {
+			type = 'hybrid';
+		}
+
+		var jdo = A.JulianDay.jdFromJDE(e.jde);
+		var magnitude;
+		if (central) {
+			var b = A.Eclipse.besselianElements(jdo);
+			var zeta = Math.sqrt(Math.max(0, 1 - b.x*b.x - b.y*b.y));
+			var L1 = b.l1 - zeta * Math.tan(b.f1);
+			var L2 = b.l2 - zeta * Math.tan(b.f2);
+			magnitude = (L1 - L2) / (L1 + L2);
+		} else {
+			magnitude = (1.5433 + u - gamma) / (0.5461 + 2*u); // (54.2) p. 382
+		}
+
+		return {
+			type: type,
+			central: central,
+			jdo: jdo,
+			gamma: e.gamma,
+			u: u,
+			p: u + 0.5461,
+			magnitude: magnitude
+		};
+	},
+
+	/**
+	 * lunar returns the lunar eclipse at the full moon of the lunation at the given decimal year. <br>
+	 * The type is 'penumbral', 'partial' (umbral) or 'total', or 'none' if there is no eclipse.
+	 * The contacts are computed from the greatest eclipse and the semidurations, the error is a few minutes.
+	 *
+	 * @function lunar
+	 * @static
+	 *
+	 * @param {number} year - decimal year, e.g. 2018.08 for january 2018
+	 * @return {Map} type: type of the eclipse<br>
+	 *               jdo: julian day of the greatest eclipse, or of the full moon if there is no eclipse<br>
+	 *               gamma: least distance of the center of the moon from the axis of the shadow,
+	 *                      positive north of the axis<br>
+	 *               u: radius of the umbral cone in the fundamental plane<br>
+	 *               rho, sigma: radii of the penumbra and the umbra at the distance of the moon<br>
+	 *               magnitude: umbral magnitude, negative for a penumbral eclipse<br>
+	 *               penumbralMagnitude: penumbral magnitude<br>
+	 *               semiDuration: semidurations of the penumbral, partial and total phases in seconds<br>
+	 *               contacts: p1, u1, u2, greatest, u3, u4, p4 as A.JulianDay, undefined if the
+	 *                         eclipse has no such phase
+	 */
+	lunar: function (year) {
+		return A.Eclipse._lunar(A.MoonPhase._k(year, 0));
+	},
+
+	/**
+	 * lunarEclipses returns all lunar eclipses between two julian days ordered by time.
+	 *
+	 * @function lunarEclipses
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdoStart - start of the range
+	 * @param {A.JulianDay} jdoEnd - end of the range
+	 * @return {Array} list of eclipses, see lunar
+	 */
+	lunarEclipses: function (jdoStart, jdoEnd) {
+		var res = [];
+		var k = Math.floor((jdoStart.jde - 2451550.09766) / A.MoonPhase.meanLunation) - 1;
+		for (; ; k++) {
+			var e = A.Eclipse._lunar(k);
+			if (e.jdo.jd > jdoEnd.jd)
+				break;
+			if (e.type !== 'none' && e.jdo.jd >= jdoStart.jd)
+				res.push(e);
+		}
+		return res;
+	},
+
+	/**
+	 * lunarLocal returns the altitudes of the moon at the contacts of a lunar eclipse for an observer. <br>
+	 * A contact is visible if the center of the moon is above the horizon, the altitudes include the
+	 * parallax and the atmospheric refraction.
+	 *
+	 * @function lunarLocal
+	 * @static
+	 *
+	 * @param {Map} eclipse - lunar eclipse, see lunar
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @return {Map} p1, u1, u2, greatest, u3, u4, p4: maps with jdo, altitude in radians and visible
+	 *               for the contacts of the eclipse<br>
+	 *               visible: true if any part of the eclipse is visible
+	 */
+	lunarLocal: function (eclipse, eclCoord) {
+		var res = {
+			visible: false
+		};
+		for (var i = 0; i < A.Eclipse.lunarContacts.length; i++) {
+			var name = A.Eclipse.lunarContacts[i];
+			var jdo = eclipse.contacts && eclipse.contacts[name];
+			if (!jdo)
+				continue;
+			var altitude = A.Moon.topocentricPosition(jdo, eclCoord, true).hz.alt;
+			res[name] = {
+				jdo: jdo,
+				altitude: altitude,
+				visible: altitude > 0
+			};
+			res.visible = res.visible || altitude > 0;
+		}
+		return res;
+	},
+
+	/**
+	 * Names of the contacts of a lunar eclipse ordered by time.
+	 *
+	 * @const {Array} lunarContacts
+	 * @static
+	 */
+	lunarContacts: ['p1', 'u1', 'u2', 'greatest', 'u3', 'u4', 'p4'],
+
+	/**
+	 * Returns the position of the observer relative to the shadow.
+	 */
+	_circumstances: function (b, pc, eclCoord) {
+		// the longitude of the observer is positive west
+		var H = b.mu - eclCoord.lng;
+		var xi = pc.rhoclat * Math.sin(H);
+		var eta = pc.rhoslat * Math.cos(b.d) - pc.rhoclat * Math.sin(b.d) * Math.cos(H);
+		var zeta = pc.rhoslat * Math.sin(b.d) + pc.rhoclat * Math.cos(b.d) * Math.cos(H);
+		var u = b.x - xi;
+		var v = b.y - eta;
+		return {
+			m: Math.sqrt(u*u + v*v),
+			L1: b.l1 - zeta * Math.tan(b.f1),
+			L2: b.l2 - zeta * Math.tan(b.f2)
+		};
+	},
+
+	/**
+	 * Returns the fraction of the area of the sun covered by the moon.
+	 */
+	_obscuration: function (m, L1, L2) {
+		var rs = (L1 + L2) / 2;
+		var rm = (L1 - L2) / 2;
+		if (m >= rs + rm)
+			return 0;
+		if (m <= Math.abs(rs - rm))
+			return Math.min(1, rm*rm / (rs*rs));
+
+		// area of the intersection of two circles
+		var a = Math.acos((m*m + rs*rs - rm*rm) / (2*m*rs));
+		var b = Math.acos((m*m + rm*rm - rs*rs) / (2*m*rm));
+		var area = rs*rs * (a - Math.sin(2*a) / 2) + rm*rm * (b - Math.sin(2*b) / 2);
+		return area / (Math.PI * rs*rs);
+	},
+
+	/**
+	 * Returns the lunar eclipse of the lunation k. p. 381
+	 */
+	_lunar: function (k) {
+		var e = A.Eclipse._eclipse(k, true);
+		if (!e)
+			return A.Eclipse._none(k + 0.5);
+
+		var u = e.u;
+		var gamma = Math.abs(e.gamma);
+		var magnitude = (1.0128 - u - gamma) / 0.5450; // (54.3) p. 382
+		var penumbralMagnitude = (1.5573 + u - gamma) / 0.5450; // (54.4) p. 382
+		if (penumbralMagnitude < 0)
+			return A.Eclipse._none(k + 0.5);
+
+		var type = 'penumbral';
+		if (magnitude >= 1)
+			type = 'total';
+		else if (magnitude > 0)
+			type = 'partial';
+
+		// semidurations in seconds, p. 382
+		var n = 0.5458 + 0.0400 * Math.cos(e.M_);
+		var semiDuration = function (r) {
+			return r > gamma ? Math.sqrt(r*r - gamma*gamma) / n * 3600 : undefined;
+		};
+		var sd = {
+			penumbral: semiDuration(1.5573 + u),
+			partial: semiDuration(1.0128 - u),
+			total: semiDuration(0.4678 - u)
+		};
+
+		var jdo = A.JulianDay.jdFromJDE(e.jde);
+		var contact = function (s) {
+			return s === undefined ? undefined : new A.JulianDay(jdo.jd + s / 86400, jdo.deltaT);
+		};
+
+		return {
+			type: type,
+			jdo: jdo,
+			gamma: e.gamma,
+			u: u,
+			rho: 1.2848 + u,
+			sigma: 0.7403 - u,
+			magnitude: magnitude,
+			penumbralMagnitude: penumbralMagnitude,
+			semiDuration: sd,
+			contacts: {
+				p1: contact(-sd.penumbral),
+				u1: sd.partial && contact(-sd.partial),
+				u2: sd.total && contact(-sd.total),
+				greatest: jdo,
+				u3: sd.total && contact(sd.total),
+				u4: sd.partial && contact(sd.partial),
+				p4: contact(sd.penumbral)
+			}
+		};
+	},
+
+	/**
+	 * Returns the result of solar and lunar for a new or full moon without eclipse.
+	 */
+	_none: function (k) {
+		return {
+			type: 'none',
+			jdo: A.MoonPhase._phase(k)
+		};
+	},
+
+	/**
+	 * Returns the time of the greatest eclipse, gamma, u and Mʹ of the new moon (full: false) or the
+	 * full moon (full: true) of the lunation k, or undefined if there is no eclipse. p. 380
+	 */
+	_eclipse: function (k, full) {
+		var p = Math.PI / 180;
+		if (full)
+			k += 0.5;
+		var T = k / 1236.85;
+
+		var F = A.Math.horner(T, [160.7108 + 390.67050284 * k, 0, -0.0016118, -0.00000227, 0.000000011]) * p;
+		if (Math.abs(Math.sin(F)) > 0.36)
+			return undefined;
+
+		// (49.1) p. 349
+		var jde = A.Math.horner(T, [2451550.09766 + 29.530588861 * k, 0, 0.00015437, -0.00000015, 0.00000000073]);
+		var E = A.Math.horner(T, [1, -0.002516, -0.0000074]);
+		var M = A.Math.horner(T, [2.5534 + 29.1053567 * k, 0, -0.0000014, -0.00000011]) * p;
+		var M_ = A.Math.horner(T, [201.5643 + 385.81693528 * k, 0, 0.0107582, 0.00001238, -0.000000058]) * p;
+		var Omega = A.Math.horner(T, [124.7746 - 1.56375588 * k, 0, 0.0020672, 0.00000215]) * p;
+		var F1 = F - 0.02665 * p * Math.sin(Omega);
+		var A1 = (299.77 + 0.107408 * k - 0.009173 * T*T) * p;
+
+		// p. 380
+		jde += (full ? -0.4065 : -0.4075) * Math.sin(M_) + (full ? 0.1727 : 0.1721) * E * Math.sin(M);
+		for (var i = A.Eclipse.tmaximum.length - 1; i >= 0; i--) {
+			// 0:coeff, 1:power of E, 2:M, 3:Mʹ, 4:F1
+			var r = A.Eclipse.tmaximum[i];
+			jde += r[0] * Math.pow(E, r[1]) * Math.sin(r[2]*M + r[3]*M_ + r[4]*F1);
+		}
+		jde += 0.0003 * Math.sin(A1) - 0.0002 * Math.sin(Omega);
+
+		var P = 0.2070*E*Math.sin(M) + 0.0024*E*Math.sin(2*M) - 0.0392*Math.sin(M_) +
+			0.0116*Math.sin(2*M_) - 0.0073*E*Math.sin(M_ + M) + 0.0067*E*Math.sin(M_ - M) +
+			0.0118*Math.sin(2*F1);
+		var Q = 5.2207 - 0.0048*E*Math.cos(M) + 0.0020*E*Math.cos(2*M) - 0.3299*Math.cos(M_) -
+			0.0060*E*Math.cos(M_ + M) + 0.0041*E*Math.cos(M_ - M);
+		var W = Math.abs(Math.cos(F1));
+
+		return {
+			jde: jde,
+			gamma: (P*Math.cos(F1) + Q*Math.sin(F1)) * (1 - 0.0048*W),
+			u: 0.0059 + 0.0046*E*Math.cos(M) - 0.0182*Math.cos(M_) + 0.0004*Math.cos(2*M_) - 0.0005*Math.cos(M + M_),
+			M_: M_
+		};
+	},
+
+	/**
+	 * Periodic terms of the time of the greatest eclipse in days without the first two terms, p. 380. <br>
+	 * 0:coeff, 1:power of E, 2:M, 3:Mʹ, 4:F1
+	 *
+	 * @const {Array} tmaximum
+	 * @static
+	 */
+	tmaximum: [
+		[0.0161, 0, 0, 2, 0],
+		[-0.0097, 0, 0, 0, 2],
+		[0.0073, 1, -1, 1, 0],
+		[-0.0050, 1, 1, 1, 0],
+		[-0.0023, 0, 0, 1, -2],
+		[0.0021, 1, 2, 0, 0],
+		[0.0012, 0, 0, 1, 2],
+		[0.0006, 1, 1, 2, 0],
+		[-0.0004, 0, 0, 3, 0],
+		[-0.0003, 1, 1, 0, 2],
+		[-0.0002, 1, 1, 0, -2],
+		[-0.0002, 1, -1, 2, 0]
+	]
+};
@@ -65,9 +65,90 @@ A.JulianDay.prototype = {
 	startOfDay: function() {
 		var startofday = Math.floor(this.jde - 0.5) + 0.5;
 		return new A.JulianDay(startofday, this.deltaT);
+	},
+	
+	/**
+	 * Returns a new instance at the local midnight of the calendar day in the given time zone.
+	 * @param {number|String} timezone - offset to UT in hours, e.g. 10 for UTC+10, or an IANA time zone, e.g. 'Europe/Zurich'
+	 * @return {A.JulianDay}
+	 */
+	startOfLocalDay: function(timezone) {
+		var offset = A.JulianDay.timezoneOffset(this.jd, timezone);
+		var midnight = Math.floor(this.jd + offset / 24 - 0.5) + 0.5;
+		// the offset at midnight differs if daylight saving time starts or ends on this day
+		var offset0 = A.JulianDay.timezoneOffset(midnight - offset / 24, timezone);
+		return new A.JulianDay(midnight - offset0 / 24, this.deltaT);
+	},
+	
+	/**
+	 * toLocalCalendar returns the calendar date in the given time zone.
+	 * @param {number|String} timezone - offset to UT in hours or an IANA time zone
+	 * @return {Array} y,m,d
+	 */
+	toLocalCalendar: function (timezone) {
+		return A.JulianDay.jdToCalendar(this.jd + A.JulianDay.timezoneOffset(this.jd, timezone) / 24);
+	},
+	
+	/**
+	 * toLocalISOString returns the local time in the given time zone as ISO 8601 string 
+	 * with the offset to UT, e.g. 2016-03-01T06:54:19+01:00.
+	 * @param {number|String} timezone - offset to UT in hours or an IANA time zone
+	 * @return {String} local time
+	 */
+	toLocalISOString: function (timezone) {
+		var offset = A.JulianDay.timezoneOffset(this.jd, timezone);
+		// the date part has more than 4 digits for the years before 0 and after 9999, e.g. -002015-02-18
+		var iso = A.JulianDay.jdToDate(this.jd + offset / 24).toISOString();
+		var local = iso.substr(0, iso.indexOf('T') + 9);
+		
+		var minutes = Math.round(Math.abs(offset) * 60);
+		function pad(n) {
+			return (n < 10 ? '0' : '') + n;
+		}
+		return local + (offset < 0 ? '-' : '+') + pad(Math.floor(minutes / 60)) + ':' + pad(minutes % 60);
+	}
+};
+
+/**
+ * timezoneOffset returns the offset of a time zone to UT at the given julian day. <br>
+ * The offset of an IANA time zone is resolved with the Intl API of the javascript engine
+ * and includes the daylight saving time.
+ *
+ * @param {number} jd - julian day number
+ * @param {number|String} timezone - offset to UT in hours, e.g. -8 for UTC-8, or an IANA time zone, e.g. 'America/Los_Angeles'
+ * @return {number} offset to UT in hours
+ */
+A.JulianDay.timezoneOffset = function (jd, timezone) {
+	if (typeof timezone === 'number')
+		return timezone;
+	if (typeof Intl === 'undefined' || !Intl.DateTimeFormat)
+		throw new Error('Time zone ' + timezone + ' needs the Intl API');
+	
+	var format = A.JulianDay._formats[timezone];
+	if (!format) {
+		format = new Intl.DateTimeFormat('en-US', {
+			timeZone: timezone, // throws a RangeError for an unknown time zone
+			hour12: false, era: 'short',
+			year: 'numeric', month: 'numeric', day: 'numeric',
+			hour: 'numeric', minute: 'numeric', second: 'numeric'
+		});
+		A.JulianDay._formats[timezone] = format;
 	}
+	
+	var date = A.JulianDay.jdToDate(jd);
+	var p = {};
+	format.formatToParts(date).forEach(function (part) {
+		p[part.type] = part.type === 'era' ? part.value : parseInt(part.value, 10);
+	});
+	// the years before christ are counted from 1 BC, Date.UTC maps the years 0 to 99 to 1900 to 1999
+	var local = new Date(0);
+	local.setUTCFullYear(p.era === 'BC' ? 1 - p.year : p.year, p.month - 1, p.day);
+	local.setUTCHours(p.hour % 24, p.minute, p.second, date.getUTCMilliseconds());
+	return (local.getTime() - date.getTime()) / 3600000;
 };
 
+A.JulianDay._formats = {};
+
 A.JulianDay.gregorianTimeStart = Date.UTC(1582, 10 - 1, 4);
 
 /**
@@ -196,7 +277,10 @@ A.JulianDay.jdToDate = function (jd) {
 	var minutes = Math.floor(sec/60) % 60;
 	var seconds = Math.floor(sec % 60);
 	
-	return new Date(Date.UTC(cal.y, cal.m-1, Math.floor(cal.d), hours, minutes, seconds));
+	// Date.UTC maps the years 0 to 99 to 1900 to 1999
+	var date = new Date(Date.UTC(2000, 0, 1, hours, minutes, seconds));
+	date.setUTCFullYear(cal.y, cal.m-1, Math.floor(cal.d));
+	return date;
 };
 
 /**
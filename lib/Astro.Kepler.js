@@ -0,0 +1,128 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+/**
+ * Methods for the solution of the equation of Kepler E = M + e sin E (see Chapter 30). <br>
+ * The anomalies are in radians, the eccentricity e must be in the range [0,1).
+ * @module A.Kepler
+ */
+A.Kepler = {
+
+	/**
+	 * Default precision of the eccentric anomaly in radians.
+	 *
+	 * @const {Number} defaultPrecision
+	 * @static
+	 */
+	defaultPrecision: 1e-12,
+
+	/**
+	 * iteration solves the equation of Kepler with the first method, the iteration of (30.5) p. 196. <br>
+	 * The convergence is slow for an eccentricity close to 1, an Error is thrown if the precision
+	 * is not reached in 10000 steps. Use newton or binarySearch for such eccentricities.
+	 *
+	 * @function iteration
+	 * @static
+	 *
+	 * @param {number} e - eccentricity
+	 * @param {number} M - mean anomaly in radians
+	 * @param {?number} precision - precision in radians, default is defaultPrecision
+	 * @return {number} eccentric anomaly in radians
+	 */
+	iteration: function (e, M, precision) {
+		precision = precision || A.Kepler.defaultPrecision;
+		var E = M;
+		for (var i = 0; i < 10000; i++) {
+			var E1 = M + e * Math.sin(E);
+			if (Math.abs(E1 - E) < precision)
+				return E1;
+			E = E1;
+		}
+		throw new Error('No convergence of the equation of Kepler for e=' + e + ', M=' + M);
+	},
+
+	/**
+	 * newton solves the equation of Kepler with the second method, the method of Newton (30.7) p. 199. <br>
+	 * The start value is M, or PI for an eccentricity above 0.8 where the method may diverge from M.
+	 *
+	 * @function newton
+	 * @static
+	 *
+	 * @param {number} e - eccentricity
+	 * @param {number} M - mean anomaly in radians
+	 * @param {?number} precision - precision in radians, default is defaultPrecision
+	 * @return {number} eccentric anomaly in radians
+	 */
+	newton: function (e, M, precision) {
+		precision = precision || A.Kepler.defaultPrecision;
+		var n = Math.floor(M / (2*Math.PI) + 0.5) * 2*Math.PI;
+		M -= n;
+		var E = e > 0.8 ? (M < 0 ? -Math.PI : Math.PI) : M;
+		for (var i = 0; i < 100; i++) {
+			var dE = (M + e * Math.sin(E) - E) / (1 - e * Math.cos(E));
+			E += dE;
+			if (Math.abs(dE) < precision)
+				return E + n;
+		}
+		throw new Error('No convergence of the equation of Kepler for e=' + e + ', M=' + M);
+	},
+
+	/**
+	 * binarySearch solves the equation of Kepler with the third method, the binary search of
+	 * Sinnott p. 206. It converges for all eccentricities to the full precision in 53 steps.
+	 *
+	 * @function binarySearch
+	 * @static
+	 *
+	 * @param {number} e - eccentricity
+	 * @param {number} M - mean anomaly in radians
+	 * @return {number} eccentric anomaly in radians and in the range [-PI,PI]
+	 */
+	binarySearch: function (e, M) {
+		M = A.Math.pMod(M, 2*Math.PI);
+		var F = 1;
+		if (M > Math.PI) {
+			F = -1;
+			M = 2*Math.PI - M;
+		}
+
+		var E = Math.PI / 2;
+		var D = Math.PI / 4;
+		for (var i = 0; i < 53; i++) {
+			var M1 = E - e * Math.sin(E);
+			E += M > M1 ? D : -D;
+			D /= 2;
+		}
+		return E * F;
+	},
+
+	/**
+	 * trueAnomaly returns the true anomaly for the eccentric anomaly. (30.1) p. 195
+	 *
+	 * @function trueAnomaly
+	 * @static
+	 *
+	 * @param {number} E - eccentric anomaly in radians
+	 * @param {number} e - eccentricity
+	 * @return {number} true anomaly in radians
+	 */
+	trueAnomaly: function (E, e) {
+		return 2 * Math.atan(Math.sqrt((1 + e) / (1 - e)) * Math.tan(E / 2));
+	},
+
+	/**
+	 * radius returns the distance to the focus for the eccentric anomaly. (30.2) p. 195
+	 *
+	 * @function radius
+	 * @static
+	 *
+	 * @param {number} E - eccentric anomaly in radians
+	 * @param {number} e - eccentricity
+	 * @param {number} a - semimajor axis
+	 * @return {number} radius vector in the unit of a
+	 */
+	radius: function (E, e, a) {
+		return a * (1 - e * Math.cos(E));
+	}
+};
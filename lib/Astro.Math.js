@@ -60,7 +60,7 @@ A.Math = {
 	 */ 
 	horner: function (x, c) {
 		var i = c.length - 1;
-		if (i <= 0)
+		if (i < 0)
 			throw "empty array not supported";
 		
 		var y = c[i];
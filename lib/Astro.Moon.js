@@ -139,7 +139,8 @@ A.Moon = {
 	 *
 	 * @param {A.JulianDay} jdo - julian day
 	 * @param {A.EclCoord} eclCoord - geographic location of the observer
-	 * @return {Map} transit, rise, set in seconds and in in the range [0,86400)
+	 * @return {Map} transit, rise, set in seconds and in in the range [0,86400)<br>
+	 *               alwaysAbove, alwaysBelow: see A.Rise.circumpolar
 	 */
 	approxTimes: function (jdo, eclCoord) {
 		jdo = jdo.startOfDay(); // make sure jd is at midnight (ends with .5)
@@ -154,30 +155,69 @@ A.Moon = {
 	},
 	
 	/**
-	 * times computes UT rise, transit and set times for the lunar object on a day of interest.
+	 * times computes rise, transit and set times for the lunar object on a day of interest.
 	 * This method has a higher accuarcy than approxTimes but needs more cpu power.	<br>
-	 * The function argurments do not actually include the day, but do include
-	 * values computed from the day.
+	 * The times are searched with A.Rise.events on the UT day or, with a timezone, on the local
+	 * calendar day. On roughly one day a month the moon does not rise or set on a day,
+	 * these events are not set and flagged with noRise and noSet.
 	 *
 	 * @function times
 	 * @static
 	 *
 	 * @param {A.JulianDay} jdo - julian day
 	 * @param {A.EclCoord} eclCoord - geographic location of the observer
-	 * @return {Map} transit, rise, set in seconds and in in the range [0,86400)
+	 * @param {?number|String} timezone - offset to UT in hours, e.g. 10 for UTC+10, or an IANA time zone, e.g. 'Europe/Zurich'
+	 * @return {Map} transit, rise, set in seconds since midnight and in in the range [0,86400) <br>
+	 *               dates, iso: transit, rise, set as Date objects and local ISO strings <br>
+	 *               noTransit, noRise, noSet: true if the event does not happen on this day <br>
+	 *               alwaysAbove: true if the moon does not set all day <br>
+	 *               alwaysBelow: true if the moon does not rise all day <br>
+	 *               nextRise, nextSet: A.JulianDay of the next rise or set on days without rise or set <br>
+	 *               rises, transits, sets: all events of the day, see A.Rise.searchTimes
 	 */
-	times: function (jdo, eclCoord) {
-		jdo = jdo.startOfDay(); // make sure jd is at midnight (ends with .5)
-		var aet1 = A.Moon.apparentTopocentric(new A.JulianDay(jdo.jd-1, jdo.deltaT), eclCoord);
-		var aet2 = A.Moon.apparentTopocentric(jdo, eclCoord);
-		var aet3 = A.Moon.apparentTopocentric(new A.JulianDay(jdo.jd+1, jdo.deltaT), eclCoord);
+	times: function (jdo, eclCoord, timezone) {
+		var jdo0 = timezone === undefined ? jdo.startOfDay() : jdo.startOfLocalDay(timezone);
+		var aet = A.Moon.apparentTopocentric(jdo0, eclCoord);
 		
-		var parallax = A.Moon.parallax(aet2.delta);
-		var h0 = A.Rise.stdh0Lunar(parallax); 
+		var parallax = A.Moon.parallax(aet.delta);
+		var h0 = A.Rise.stdh0LunarTopocentric(parallax); 
+		
+		return A.Rise.searchTimes(eclCoord, h0, function (jdo, st) {
+			return A.Moon.apparentTopocentric(jdo, eclCoord, st).eq;
+		}, jdo, timezone);
+	},
 	
-		var Th0 = A.Sidereal.apparent0UT(jdo);
+	/**
+	 * timesByDay computes the rise, transit and set times of the moon for consecutive
+	 * local calendar days.
+	 *
+	 * @function timesByDay
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day of the first day
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @param {number} days - number of days
+	 * @param {?number|String} timezone - offset to UT in hours or an IANA time zone, default is UT
+	 * @return {Array} list of times (see times) with the additional date: y, m, d of the local day
+	 */
+	timesByDay: function (jdo, eclCoord, days, timezone) {
+		timezone = timezone === undefined ? 0 : timezone;
+		var jdo0 = jdo.startOfLocalDay(timezone);
 		
-		return A.Rise.times(eclCoord, jdo.deltaT, h0, Th0, [aet1.eq, aet2.eq, aet3.eq]);
+		var res = [];
+		for (var i = 0; i < days; i++) {
+			// use local noon to stay clear of the day boundaries
+			var noon = new A.JulianDay(jdo0.jd + i + 0.5, jdo0.deltaT);
+			var t = A.Moon.times(noon, eclCoord, timezone);
+			var cal = noon.toLocalCalendar(timezone);
+			t.date = {
+				y: cal.y,
+				m: cal.m,
+				d: Math.floor(cal.d)
+			};
+			res.push(t);
+		}
+		return res;
 	},
 	
 	/**
@@ -195,6 +235,462 @@ A.Moon = {
 		return Math.atan2(Math.sin(H), Math.tan(lat) * Math.cos(dec) - Math.sin(dec) * Math.cos(H));
 	},
 
+	/**
+	 * physical returns the ephemeris for physical observations of the moon (see Chapter 53). <br>
+	 * With the location of the observer the librations and the position angle are topocentric,
+	 * they are computed with the topocentric position of the moon (p. 376). <br>
+	 * The selenographic colongitude of the sun is 270, 0, 90 and 180 degrees at new moon,
+	 * first quarter, full moon and last quarter.
+	 *
+	 * @function physical
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @param {?A.EclCoord} eclCoord - geographic location of the observer, default is the center of the earth
+	 * @return {Map} l, b: total libration in selenographic longitude and latitude in radians<br>
+	 *               optical, physical: the optical and the physical librations as maps with l and b<br>
+	 *               P: position angle of the axis of rotation in radians and in the range [0,2PI)<br>
+	 *               sun: selenographic longitude l and latitude b of the subsolar point in radians<br>
+	 *               colongitude: selenographic colongitude of the sun in radians and in the range [0,2PI)
+	 */
+	physical: function (jdo, eclCoord) {
+		var p = Math.PI / 180;
+		var q = A.Moon._physicalQuantities(jdo);
+		var moon = A.Moon.geocentricPosition(jdo);
+
+		var lng = moon.lng;
+		var lat = moon.lat;
+		var ra;
+		if (eclCoord) {
+			var eq = A.Moon.apparentTopocentric(jdo, eclCoord).eq;
+			var ecl = A.Coord.eqToEcl(eq, q.obliquity);
+			lng = ecl.lat - q.deltalng; // eqToEcl returns the longitude as lat
+			lat = ecl.lng;
+			ra = eq.ra;
+		} else {
+			ra = A.Coord.eclToEq(new A.EclCoord(lng + q.deltalng, lat), q.obliquity).ra;
+		}
+		var lib = A.Moon._libration(q, lng, lat);
+
+		// position angle of the axis, p. 374
+		var I = A.Moon.inclination;
+		var V = q.Omega + q.deltalng + q.sigma / Math.sin(I);
+		var X = Math.sin(I + q.rho) * Math.sin(V);
+		var Y = Math.sin(I + q.rho) * Math.cos(V) * Math.cos(q.obliquity) - Math.cos(I + q.rho) * Math.sin(q.obliquity);
+		var omega = Math.atan2(X, Y);
+		var P = Math.asin(Math.sqrt(X*X + Y*Y) * Math.cos(ra - omega) / Math.cos(lib.b));
+
+		// heliocentric position of the moon, p. 374
+		var sun = A.Solar.apparentVSOP87(jdo);
+		var dr = moon.delta / (sun.range * A.Solar.earthsunDelta);
+		var lngH = sun.lng + Math.PI + 57.296 * p * dr * Math.cos(moon.lat) * Math.sin(sun.lng - moon.lng);
+		var sel = A.Moon._libration(q, lngH, dr * moon.lat);
+
+		return {
+			l: lib.l,
+			b: lib.b,
+			optical: lib.optical,
+			physical: lib.physical,
+			P: A.Math.pMod(P, 2*Math.PI),
+			sun: {
+				l: sel.l,
+				b: sel.b
+			},
+			colongitude: A.Math.pMod(Math.PI / 2 - sel.l, 2*Math.PI)
+		};
+	},
+
+	/**
+	 * Inclination of the mean lunar equator to the ecliptic in radians (IAU), p. 372.
+	 *
+	 * @const {number} inclination
+	 * @static
+	 */
+	inclination: 1.54242 * Math.PI / 180,
+
+	/**
+	 * Returns the quantities of the physical librations, the nutation and the true obliquity, p. 372.
+	 */
+	_physicalQuantities: function (jdo) {
+		var p = Math.PI / 180;
+		var T = jdo.jdeJ2000Century();
+		var nut = A.Nutation.nutation(jdo);
+
+		var D = A.Math.horner(T, [297.8501921, 445267.1114034, -0.0018819, 1/545868, -1/113065000]) * p;
+		var M = A.Math.horner(T, [357.5291092, 35999.0502909, -0.0001536, 1/24490000]) * p;
+		var M_ = A.Math.horner(T, [134.9633964, 477198.8675055, 0.0087414, 1/69699, -1/14712000]) * p;
+		var F = A.Math.horner(T, [93.272095, 483202.0175233, -0.0036539, -1/3526000, 1/863310000]) * p;
+		var Omega = A.Math.horner(T, [125.0445479, -1934.1362891, 0.0020754, 1/467441, -1/60616000]) * p;
+		var E = A.Math.horner(T, [1, -0.002516, -0.0000074]);
+		var K1 = (119.75 + 131.849*T) * p;
+		var K2 = (72.56 + 20.186*T) * p;
+
+		var rho = -0.02752*Math.cos(M_) - 0.02245*Math.sin(F) + 0.00684*Math.cos(M_ - 2*F) -
+			0.00293*Math.cos(2*F) - 0.00085*Math.cos(2*F - 2*D) - 0.00054*Math.cos(M_ - 2*D) -
+			0.00020*Math.sin(M_ + F) - 0.00020*Math.cos(M_ + 2*F) - 0.00020*Math.cos(M_ - F) +
+			0.00014*Math.cos(M_ + 2*F - 2*D);
+		var sigma = -0.02816*Math.sin(M_) + 0.02244*Math.cos(F) - 0.00682*Math.sin(M_ - 2*F) -
+			0.00279*Math.sin(2*F) - 0.00083*Math.sin(2*F - 2*D) + 0.00069*Math.sin(M_ - 2*D) +
+			0.00040*Math.cos(M_ + F) - 0.00025*Math.sin(2*M_) - 0.00023*Math.sin(M_ + 2*F) +
+			0.00020*Math.cos(M_ - F) + 0.00019*Math.sin(M_ - F) + 0.00013*Math.sin(M_ + 2*F - 2*D) -
+			0.00010*Math.cos(M_ - 3*F);
+		var tau = 0.02520*E*Math.sin(M) + 0.00473*Math.sin(2*M_ - 2*F) - 0.00467*Math.sin(M_) +
+			0.00396*Math.sin(K1) + 0.00276*Math.sin(2*M_ - 2*D) + 0.00196*Math.sin(Omega) -
+			0.00183*Math.cos(M_ - F) + 0.00115*Math.sin(M_ - 2*D) - 0.00096*Math.sin(M_ - D) +
+			0.00046*Math.sin(2*F - 2*D) - 0.00039*Math.sin(M_ - F) - 0.00032*Math.sin(M_ - M - D) +
+			0.00027*Math.sin(2*M_ - M - 2*D) + 0.00023*Math.sin(K2) - 0.00014*Math.sin(2*D) +
+			0.00014*Math.cos(2*M_ - 2*F) - 0.00012*Math.sin(M_ - 2*F) - 0.00012*Math.sin(2*M_) +
+			0.00011*Math.sin(2*M_ - 2*M - 2*D);
+
+		return {
+			F: F,
+			Omega: Omega,
+			rho: rho * p,
+			sigma: sigma * p,
+			tau: tau * p,
+			deltalng: nut.deltalng,
+			obliquity: A.Nutation.meanObliquityLaskar(jdo) + nut.deltaobliquity
+		};
+	},
+
+	/**
+	 * Returns the optical (53.1) and physical (53.2) librations for an ecliptic longitude without nutation and latitude.
+	 */
+	_libration: function (q, lng, lat) {
+		var I = A.Moon.inclination;
+		var W = lng - q.Omega;
+		var A_ = Math.atan2(Math.sin(W)*Math.cos(lat)*Math.cos(I) - Math.sin(lat)*Math.sin(I), Math.cos(W)*Math.cos(lat));
+		var l1 = A.Math.pMod(A_ - q.F + Math.PI, 2*Math.PI) - Math.PI;
+		var b1 = Math.asin(-Math.sin(W)*Math.cos(lat)*Math.sin(I) - Math.sin(lat)*Math.cos(I));
+
+		var l2 = -q.tau + (q.rho*Math.cos(A_) + q.sigma*Math.sin(A_)) * Math.tan(b1);
+		var b2 = q.sigma*Math.cos(A_) - q.rho*Math.sin(A_);
+
+		return {
+			l: A.Math.pMod(l1 + l2 + Math.PI, 2*Math.PI) - Math.PI,
+			b: b1 + b2,
+			optical: {
+				l: l1,
+				b: b1
+			},
+			physical: {
+				l: l2,
+				b: b2
+			}
+		};
+	},
+
+	/**
+	 * Mean length of the anomalistic month in days.
+	 *
+	 * @const {Number} anomalisticMonth
+	 * @static
+	 */
+	anomalisticMonth: 27.55454989,
+
+	/**
+	 * Largest distance of a full moon in km which is called a supermoon.
+	 *
+	 * @const {Number} supermoonDistance
+	 * @static
+	 */
+	supermoonDistance: 360000,
+
+	/**
+	 * perigee returns the perigee of the anomalistic month at the given decimal year (see Chapter 50). <br>
+	 * The error of the time is up to 31 minutes, the error of the parallax less than 0.1".
+	 *
+	 * @function perigee
+	 * @static
+	 *
+	 * @param {number} year - decimal year, e.g. 1988.75 for october 1988
+	 * @return {Map} jdo: julian day of the perigee<br>
+	 *               parallax: equatorial horizontal parallax of the moon in radians<br>
+	 *               distance: distance between the centers of the earth and the moon in km
+	 */
+	perigee: function (year) {
+		return A.Moon._apsis(Math.floor((year - 1999.97) * 13.2555));
+	},
+
+	/**
+	 * apogee returns the apogee of the anomalistic month at the given decimal year (see Chapter 50). <br>
+	 * The error of the time is up to 3 minutes, the error of the parallax less than 0.1".
+	 *
+	 * @function apogee
+	 * @static
+	 *
+	 * @param {number} year - decimal year
+	 * @return {Map} jdo, parallax, distance: see perigee
+	 */
+	apogee: function (year) {
+		return A.Moon._apsis(Math.floor((year - 1999.97) * 13.2555) + 0.5);
+	},
+
+	/**
+	 * apsides returns all perigees and apogees of the moon between two julian days ordered by time. <br>
+	 * A perigee is a supermoon if a full moon within half a month is closer than supermoonDistance.
+	 *
+	 * @function apsides
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdoStart - start of the range
+	 * @param {A.JulianDay} jdoEnd - end of the range
+	 * @return {Array} list of maps (see perigee) with<br>
+	 *                 apsis: 'perigee' or 'apogee'<br>
+	 *                 fullMoon: nearest full moon of a perigee with jdo and distance<br>
+	 *                 supermoon: true if the full moon of the perigee is a supermoon
+	 */
+	apsides: function (jdoStart, jdoEnd) {
+		// start one month before to catch perigees which are up to 13 hours off the mean
+		var k = Math.floor((jdoStart.jde - 2451534.6698) / A.Moon.anomalisticMonth) - 1;
+
+		var res = [];
+		for (var h = k * 2; ; h++) {
+			var a = A.Moon._apsis(h / 2);
+			if (a.jdo.jd > jdoEnd.jd)
+				break;
+			if (a.jdo.jd < jdoStart.jd)
+				continue;
+
+			a.apsis = A.Math.pMod(h, 2) === 0 ? 'perigee' : 'apogee';
+			if (a.apsis === 'perigee') {
+				var half = A.MoonPhase.meanLunation / 2;
+				var phases = A.MoonPhase.phases(new A.JulianDay(a.jdo.jd - half), new A.JulianDay(a.jdo.jd + half));
+				for (var i = 0; i < phases.length; i++) {
+					if (phases[i].phase === 'full' && (!a.fullMoon ||
+						Math.abs(phases[i].jdo.jd - a.jdo.jd) < Math.abs(a.fullMoon.jdo.jd - a.jdo.jd))) {
+						a.fullMoon = {
+							jdo: phases[i].jdo,
+							distance: A.Moon.geocentricPosition(phases[i].jdo).delta
+						};
+					}
+				}
+				a.supermoon = a.fullMoon.distance < A.Moon.supermoonDistance;
+			}
+			res.push(a);
+		}
+		return res;
+	},
+
+	/**
+	 * Returns the perigee for an integer k or the apogee for k + 0.5. (50.1) p. 355
+	 */
+	_apsis: function (k) {
+		var p = Math.PI / 180;
+		var T = k / 1325.55; // (50.3) p. 356
+
+		var jde = A.Math.horner(T, [2451534.6698 + 27.55454989 * k, 0, -0.0006691, -0.000001098, 0.0000000052]);
+		var D = A.Math.horner(T, [171.9179 + 335.9106046 * k, 0, -0.0100383, -0.00001156, 0.000000055]) * p;
+		var M = A.Math.horner(T, [347.3477 + 27.1577721 * k, 0, -0.0008130, -0.0000010]) * p;
+		var F = A.Math.horner(T, [316.6109 + 364.5287911 * k, 0, -0.0125053, -0.0000148]) * p;
+
+		var perigee = k === Math.floor(k);
+		var table = perigee ? A.Moon.tperigee : A.Moon.tapogee;
+		var i, r;
+		for (i = table.length - 1; i >= 0; i--) {
+			// 0:coeff, 1:coeff of T, 2:D, 3:M, 4:F
+			r = table[i];
+			jde += (r[0] + r[1]*T) * Math.sin(r[2]*D + r[3]*M + r[4]*F);
+		}
+
+		table = perigee ? A.Moon.tperigeeParallax : A.Moon.tapogeeParallax;
+		var parallax = perigee ? 3629.215 : 3245.251;
+		for (i = table.length - 1; i >= 0; i--) {
+			r = table[i];
+			parallax += (r[0] + r[1]*T) * Math.cos(r[2]*D + r[3]*M + r[4]*F);
+		}
+		parallax *= p / 3600;
+
+		return {
+			jdo: A.JulianDay.jdFromJDE(jde),
+			parallax: parallax,
+			distance: 6378.14 / Math.sin(parallax)
+		};
+	},
+
+	/**
+	 * ascendingNode returns the passage of the moon through the ascending node of the
+	 * draconic month at the given decimal year (see Chapter 51). The error is less than 4 minutes.
+	 *
+	 * @function ascendingNode
+	 * @static
+	 *
+	 * @param {number} year - decimal year, e.g. 1987.4 for may 1987
+	 * @return {A.JulianDay} julian day of the passage
+	 */
+	ascendingNode: function (year) {
+		return A.Moon._node(Math.floor((year - 2000.05) * 13.4223));
+	},
+
+	/**
+	 * descendingNode returns the passage of the moon through the descending node of the
+	 * draconic month at the given decimal year (see Chapter 51).
+	 *
+	 * @function descendingNode
+	 * @static
+	 *
+	 * @param {number} year - decimal year
+	 * @return {A.JulianDay} julian day of the passage
+	 */
+	descendingNode: function (year) {
+		return A.Moon._node(Math.floor((year - 2000.05) * 13.4223) + 0.5);
+	},
+
+	/**
+	 * nodes returns all passages of the moon through the nodes between two julian days ordered by time.
+	 *
+	 * @function nodes
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdoStart - start of the range
+	 * @param {A.JulianDay} jdoEnd - end of the range
+	 * @return {Array} list of maps with<br>
+	 *                 node: 'ascending' or 'descending'<br>
+	 *                 jdo: julian day of the passage
+	 */
+	nodes: function (jdoStart, jdoEnd) {
+		// start one month before, the true passages are up to 13 hours off the mean
+		var k = Math.floor((jdoStart.jde - 2451565.1619) / 27.212220817) - 1;
+
+		var res = [];
+		for (var h = k * 2; ; h++) {
+			var jdo = A.Moon._node(h / 2);
+			if (jdo.jd > jdoEnd.jd)
+				break;
+			if (jdo.jd >= jdoStart.jd) {
+				res.push({
+					node: A.Math.pMod(h, 2) === 0 ? 'ascending' : 'descending',
+					jdo: jdo
+				});
+			}
+		}
+		return res;
+	},
+
+	/**
+	 * maxDeclinationNorth returns the greatest northern declination of the moon in the
+	 * tropical month at the given decimal year (see Chapter 52).
+	 *
+	 * @function maxDeclinationNorth
+	 * @static
+	 *
+	 * @param {number} year - decimal year, e.g. 1989.0 for december 1988
+	 * @return {Map} jdo: julian day of the greatest declination<br>
+	 *               dec: geocentric declination in radians
+	 */
+	maxDeclinationNorth: function (year) {
+		return A.Moon._maxDeclination(Math.floor((year - 2000.03) * 13.3686), true);
+	},
+
+	/**
+	 * maxDeclinationSouth returns the greatest southern declination of the moon in the
+	 * tropical month at the given decimal year (see Chapter 52).
+	 *
+	 * @function maxDeclinationSouth
+	 * @static
+	 *
+	 * @param {number} year - decimal year
+	 * @return {Map} jdo: julian day of the greatest declination<br>
+	 *               dec: geocentric declination in radians, negative
+	 */
+	maxDeclinationSouth: function (year) {
+		return A.Moon._maxDeclination(Math.floor((year - 2000.03) * 13.3686), false);
+	},
+
+	/**
+	 * maxDeclinations returns the greatest northern and southern declinations of the moon between
+	 * two julian days ordered by time. <br>
+	 * Over the 18.6 years of a nodal cycle the greatest declinations vary from about 18.1 degrees at
+	 * the minor lunar standstill to about 28.7 degrees at the major lunar standstill.
+	 *
+	 * @function maxDeclinations
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdoStart - start of the range
+	 * @param {A.JulianDay} jdoEnd - end of the range
+	 * @return {Array} list of maps (see maxDeclinationNorth) with<br>
+	 *                 extremum: 'north' or 'south'
+	 */
+	maxDeclinations: function (jdoStart, jdoEnd) {
+		var k = Math.floor((jdoStart.jde - 2451548.9289) / 27.321582247) - 1;
+
+		var res = [];
+		for (; ; k++) {
+			var south = A.Moon._maxDeclination(k, false);
+			var north = A.Moon._maxDeclination(k, true);
+			if (south.jdo.jd > jdoEnd.jd && north.jdo.jd > jdoEnd.jd)
+				break;
+			// the southern extreme of the month k precedes the northern one by about 13.7 days
+			[south, north].forEach(function (m) {
+				if (m.jdo.jd >= jdoStart.jd && m.jdo.jd <= jdoEnd.jd) {
+					m.extremum = m.dec > 0 ? 'north' : 'south';
+					res.push(m);
+				}
+			});
+		}
+		return res;
+	},
+
+	/**
+	 * Returns the passage through the ascending node for an integer k or the descending node for k + 0.5. p. 363
+	 */
+	_node: function (k) {
+		var p = Math.PI / 180;
+		var T = k / 1342.23;
+
+		var D = A.Math.horner(T, [183.6380 + 331.73735682 * k, 0, 0.0014852, 0.00000209, -0.000000010]) * p;
+		var M = A.Math.horner(T, [17.4006 + 26.8203725 * k, 0, 0.0001186, 0.00000006]) * p;
+		var M_ = A.Math.horner(T, [38.3776 + 355.52747313 * k, 0, 0.0123499, 0.000014627, -0.000000069]) * p;
+		var Omega = A.Math.horner(T, [123.9767 - 1.44098956 * k, 0, 0.0020608, 0.00000214, -0.000000016]) * p;
+		var V = A.Math.horner(T, [299.75, 132.85, -0.009173]) * p;
+		var P = Omega + (272.75 - 2.3 * T) * p;
+		var E = A.Math.horner(T, [1, -0.002516, -0.0000074]);
+
+		var jde = A.Math.horner(T, [2451565.1619 + 27.212220817 * k, 0, 0.0002762, 0.000000021, -0.000000000088]);
+		jde += 0.0017 * Math.sin(Omega) + 0.0003 * Math.sin(V) + 0.0003 * Math.sin(P);
+		for (var i = A.Moon.tnode.length - 1; i >= 0; i--) {
+			// 0:coeff, 1:power of E, 2:D, 3:M, 4:M_
+			var r = A.Moon.tnode[i];
+			jde += r[0] * Math.pow(E, r[1]) * Math.sin(r[2]*D + r[3]*M + r[4]*M_);
+		}
+		return A.JulianDay.jdFromJDE(jde);
+	},
+
+	/**
+	 * Returns the greatest northern or southern declination for the tropical month k. p. 367
+	 */
+	_maxDeclination: function (k, north) {
+		var p = Math.PI / 180;
+		var T = k / 1336.86;
+
+		// 0:D, 1:M, 2:M_, 3:F, 4:JDE at k = 0
+		var c = north ? [152.2029, 14.8591, 4.6881, 325.8867, 2451562.5897] :
+			[345.6676, 1.3951, 186.2100, 145.1633, 2451548.9289];
+		var D = A.Math.horner(T, [c[0] + 333.0705546 * k, 0, -0.0004214, 0.00000011]) * p;
+		var M = A.Math.horner(T, [c[1] + 26.9281592 * k, 0, -0.0000355, -0.0000001]) * p;
+		var M_ = A.Math.horner(T, [c[2] + 356.9562794 * k, 0, 0.0103066, 0.00001251]) * p;
+		var F = A.Math.horner(T, [c[3] + 1.4467807 * k, 0, -0.0020690, -0.00000215]) * p;
+		var E = A.Math.horner(T, [1, -0.002516, -0.0000074]);
+
+		var sum = function (table) {
+			var s = 0;
+			for (var i = table.length - 1; i >= 0; i--) {
+				// 0:north, 1:south, 2:sin or cos, 3:D, 4:M, 5:M_, 6:F
+				var r = table[i];
+				var a = r[3]*D + r[4]*M + r[5]*M_ + r[6]*F;
+				s += r[north ? 0 : 1] * (r[4] ? E : 1) * (r[2] ? Math.cos(a) : Math.sin(a));
+			}
+			return s;
+		};
+
+		var jde = A.Math.horner(T, [c[4] + 27.321582247 * k, 0, 0.000119804, -0.000000141]) + sum(A.Moon.tmaxdec);
+		var dec = (23.6961 - 0.013004 * T + sum(A.Moon.tmaxdecValue)) * p;
+		return {
+			jdo: A.JulianDay.jdFromJDE(jde),
+			dec: north ? dec : -dec
+		};
+	},
+
 	/**
 	 * geocentricPosition returns geocentric location of the Moon. <br>
 	 * Results are referenced to mean equinox of date and do not include the effect of nutation.
@@ -452,5 +948,330 @@ A.Moon = {
 
 		[4, -1, 0, -1, 115],
 		[2, -2, 0, 1, 107]
-	]	
-};
\ No newline at end of file
+	],
+
+	/**
+	 * Periodic terms of the time of the perigee in days, p. 356. <br>
+	 * 0:coeff, 1:coeff of T, 2:D, 3:M, 4:F
+	 *
+	 * @const {Array} tperigee
+	 * @static
+	 */
+	tperigee: [
+		[-1.6769, 0, 2, 0, 0],
+		[0.4589, 0, 4, 0, 0],
+		[-0.1856, 0, 6, 0, 0],
+		[0.0883, 0, 8, 0, 0],
+		[-0.0773, 0.00019, 2, -1, 0],
+		[0.0502, -0.00013, 0, 1, 0],
+		[-0.0460, 0, 10, 0, 0],
+		[0.0422, -0.00011, 4, -1, 0],
+		[-0.0256, 0, 6, -1, 0],
+		[0.0253, 0, 12, 0, 0],
+		[0.0237, 0, 1, 0, 0],
+		[0.0162, 0, 8, -1, 0],
+		[-0.0145, 0, 14, 0, 0],
+		[0.0129, 0, 0, 0, 2],
+		[-0.0112, 0, 3, 0, 0],
+		[-0.0104, 0, 10, -1, 0],
+		[0.0086, 0, 16, 0, 0],
+		[0.0069, 0, 12, -1, 0],
+		[0.0066, 0, 5, 0, 0],
+		[-0.0053, 0, 2, 0, 2],
+		[-0.0052, 0, 18, 0, 0],
+		[-0.0046, 0, 14, -1, 0],
+		[-0.0041, 0, 7, 0, 0],
+		[0.0040, 0, 2, 1, 0],
+		[0.0032, 0, 20, 0, 0],
+		[-0.0032, 0, 1, 1, 0],
+		[0.0031, 0, 16, -1, 0],
+		[-0.0029, 0, 4, 1, 0],
+		[0.0027, 0, 9, 0, 0],
+		[0.0027, 0, 4, 0, 2],
+		[-0.0027, 0, 2, -2, 0],
+		[0.0024, 0, 4, -2, 0],
+		[-0.0021, 0, 6, -2, 0],
+		[-0.0021, 0, 22, 0, 0],
+		[-0.0021, 0, 18, -1, 0],
+		[0.0019, 0, 6, 1, 0],
+		[-0.0018, 0, 11, 0, 0],
+		[-0.0014, 0, 8, 1, 0],
+		[-0.0014, 0, 4, 0, -2],
+		[-0.0014, 0, 6, 0, 2],
+		[0.0014, 0, 3, 1, 0],
+		[-0.0014, 0, 5, 1, 0],
+		[0.0013, 0, 13, 0, 0],
+		[0.0013, 0, 20, -1, 0],
+		[0.0011, 0, 3, 2, 0],
+		[-0.0011, 0, 4, -2, 2],
+		[-0.0010, 0, 1, 2, 0],
+		[-0.0009, 0, 22, -1, 0],
+		[-0.0008, 0, 0, 0, 4],
+		[0.0008, 0, 6, 0, -2],
+		[0.0008, 0, 2, 1, -2],
+		[0.0007, 0, 0, 2, 0],
+		[0.0007, 0, 0, -1, 2],
+		[0.0007, 0, 2, 0, 4],
+		[-0.0006, 0, 0, -2, 2],
+		[-0.0006, 0, 2, 2, -2],
+		[0.0006, 0, 24, 0, 0],
+		[0.0005, 0, 4, 0, -4],
+		[0.0005, 0, 2, 2, 0],
+		[-0.0004, 0, 1, -1, 0]
+	],
+
+	/**
+	 * Periodic terms of the time of the apogee in days, p. 357. <br>
+	 * 0:coeff, 1:coeff of T, 2:D, 3:M, 4:F
+	 *
+	 * @const {Array} tapogee
+	 * @static
+	 */
+	tapogee: [
+		[0.4392, 0, 2, 0, 0],
+		[0.0684, 0, 4, 0, 0],
+		[0.0456, -0.00011, 0, 1, 0],
+		[0.0426, -0.00011, 2, -1, 0],
+		[0.0212, 0, 0, 0, 2],
+		[-0.0189, 0, 1, 0, 0],
+		[0.0144, 0, 6, 0, 0],
+		[0.0113, 0, 4, -1, 0],
+		[0.0047, 0, 2, 0, 2],
+		[0.0036, 0, 1, 1, 0],
+		[0.0035, 0, 8, 0, 0],
+		[0.0034, 0, 6, -1, 0],
+		[-0.0034, 0, 2, 0, -2],
+		[0.0022, 0, 2, -2, 0],
+		[-0.0017, 0, 3, 0, 0],
+		[0.0013, 0, 4, 0, 2],
+		[0.0011, 0, 8, -1, 0],
+		[0.0010, 0, 4, -2, 0],
+		[0.0009, 0, 10, 0, 0],
+		[0.0007, 0, 3, 1, 0],
+		[0.0006, 0, 0, 2, 0],
+		[0.0005, 0, 2, 1, 0],
+		[0.0005, 0, 2, 2, 0],
+		[0.0004, 0, 6, 0, 2],
+		[0.0004, 0, 6, -2, 0],
+		[0.0004, 0, 10, -1, 0],
+		[-0.0004, 0, 5, 0, 0],
+		[-0.0004, 0, 4, 0, -2],
+		[0.0003, 0, 0, 1, 2],
+		[0.0003, 0, 12, 0, 0],
+		[0.0003, 0, 2, -1, 2],
+		[-0.0003, 0, 1, -1, 0]
+	],
+
+	/**
+	 * Periodic terms of the parallax at the perigee in arcseconds, p. 358. <br>
+	 * 0:coeff, 1:coeff of T, 2:D, 3:M, 4:F
+	 *
+	 * @const {Array} tperigeeParallax
+	 * @static
+	 */
+	tperigeeParallax: [
+		[63.224, 0, 2, 0, 0],
+		[-6.990, 0, 4, 0, 0],
+		[2.834, -0.0071, 2, -1, 0],
+		[1.927, 0, 6, 0, 0],
+		[-1.263, 0, 1, 0, 0],
+		[-0.702, 0, 8, 0, 0],
+		[0.696, -0.0017, 0, 1, 0],
+		[-0.690, 0, 0, 0, 2],
+		[-0.629, 0.0016, 4, -1, 0],
+		[-0.392, 0, 2, 0, -2],
+		[0.297, 0, 10, 0, 0],
+		[0.260, 0, 6, -1, 0],
+		[0.201, 0, 3, 0, 0],
+		[-0.161, 0, 2, 1, 0],
+		[0.157, 0, 1, 1, 0],
+		[-0.138, 0, 12, 0, 0],
+		[-0.127, 0, 8, -1, 0],
+		[0.104, 0, 2, 0, 2],
+		[0.104, 0, 2, -2, 0],
+		[-0.079, 0, 5, 0, 0],
+		[0.068, 0, 14, 0, 0],
+		[0.067, 0, 10, -1, 0],
+		[0.054, 0, 4, 1, 0],
+		[-0.038, 0, 12, -1, 0],
+		[-0.038, 0, 4, -2, 0],
+		[0.037, 0, 7, 0, 0],
+		[-0.037, 0, 4, 0, 2],
+		[-0.035, 0, 16, 0, 0],
+		[-0.030, 0, 3, 1, 0],
+		[0.029, 0, 1, -1, 0],
+		[-0.025, 0, 6, 1, 0],
+		[0.023, 0, 0, 2, 0],
+		[0.023, 0, 14, -1, 0],
+		[-0.023, 0, 2, 2, 0],
+		[0.022, 0, 6, -2, 0],
+		[-0.021, 0, 2, -1, -2],
+		[-0.020, 0, 9, 0, 0],
+		[0.019, 0, 18, 0, 0],
+		[0.017, 0, 6, 0, 2],
+		[0.014, 0, 0, -1, 2],
+		[-0.014, 0, 16, -1, 0],
+		[0.013, 0, 4, 0, -2],
+		[0.012, 0, 8, 1, 0],
+		[0.011, 0, 11, 0, 0],
+		[0.010, 0, 5, 1, 0],
+		[-0.010, 0, 20, 0, 0]
+	],
+
+	/**
+	 * Periodic terms of the parallax at the apogee in arcseconds, p. 358. <br>
+	 * 0:coeff, 1:coeff of T, 2:D, 3:M, 4:F
+	 *
+	 * @const {Array} tapogeeParallax
+	 * @static
+	 */
+	tapogeeParallax: [
+		[-9.147, 0, 2, 0, 0],
+		[-0.841, 0, 1, 0, 0],
+		[0.697, 0, 0, 0, 2],
+		[-0.656, 0.0016, 0, 1, 0],
+		[0.355, 0, 4, 0, 0],
+		[0.159, 0, 2, -1, 0],
+		[0.127, 0, 1, 1, 0],
+		[0.065, 0, 4, -1, 0],
+		[0.052, 0, 6, 0, 0],
+		[0.043, 0, 2, 1, 0],
+		[0.031, 0, 2, 0, 2],
+		[-0.023, 0, 2, 0, -2],
+		[0.022, 0, 2, -2, 0],
+		[0.019, 0, 2, 2, 0],
+		[-0.016, 0, 0, 2, 0],
+		[0.014, 0, 6, -1, 0],
+		[0.010, 0, 8, 0, 0]
+	],
+
+	/**
+	 * Periodic terms of the time of the passage through a node in days, p. 364. <br>
+	 * 0:coeff, 1:power of E, 2:D, 3:M, 4:Mʹ
+	 *
+	 * @const {Array} tnode
+	 * @static
+	 */
+	tnode: [
+		[-0.4721, 0, 0, 0, 1],
+		[-0.1649, 0, 2, 0, 0],
+		[-0.0868, 0, 2, 0, -1],
+		[0.0084, 0, 2, 0, 1],
+		[-0.0083, 1, 2, -1, 0],
+		[-0.0039, 1, 2, -1, -1],
+		[0.0034, 0, 0, 0, 2],
+		[-0.0031, 0, 2, 0, -2],
+		[0.0030, 1, 2, 1, 0],
+		[0.0028, 1, 0, 1, -1],
+		[0.0026, 1, 0, 1, 0],
+		[0.0025, 0, 4, 0, 0],
+		[0.0024, 0, 1, 0, 0],
+		[0.0022, 1, 0, 1, 1],
+		[0.0014, 0, 4, 0, -1],
+		[0.0005, 1, 2, 1, -1],
+		[0.0004, 1, 2, -1, 1],
+		[-0.0003, 1, 2, -2, 0],
+		[0.0003, 1, 4, -1, 0]
+	],
+
+	/**
+	 * Periodic terms of the time of the maximum declination in days, p. 368. <br>
+	 * 0:coeff north, 1:coeff south, 2:0 for sine and 1 for cosine, 3:D, 4:M, 5:Mʹ, 6:F
+	 *
+	 * @const {Array} tmaxdec
+	 * @static
+	 */
+	tmaxdec: [
+		[0.8975, -0.8975, 1, 0, 0, 0, 1],
+		[-0.4726, -0.4726, 0, 0, 0, 1, 0],
+		[-0.1030, -0.1030, 0, 0, 0, 0, 2],
+		[-0.0976, -0.0976, 0, 2, 0, -1, 0],
+		[-0.0462, 0.0541, 1, 0, 0, 1, -1],
+		[-0.0461, 0.0516, 1, 0, 0, 1, 1],
+		[-0.0438, -0.0438, 0, 2, 0, 0, 0],
+		[0.0162, 0.0112, 0, 0, 1, 0, 0],
+		[-0.0157, 0.0157, 1, 0, 0, 0, 3],
+		[0.0145, 0.0023, 0, 0, 0, 1, 2],
+		[0.0136, -0.0136, 1, 2, 0, 0, -1],
+		[-0.0095, 0.0110, 1, 2, 0, -1, -1],
+		[-0.0091, 0.0091, 1, 2, 0, -1, 1],
+		[-0.0089, 0.0089, 1, 2, 0, 0, 1],
+		[0.0075, 0.0075, 0, 0, 0, 2, 0],
+		[-0.0068, -0.0030, 0, 0, 0, 1, -2],
+		[0.0061, -0.0061, 1, 0, 0, 2, -1],
+		[-0.0047, -0.0047, 0, 0, 0, 1, 3],
+		[-0.0043, -0.0043, 0, 2, -1, -1, 0],
+		[-0.0040, 0.0040, 1, 0, 0, 1, -2],
+		[-0.0037, -0.0037, 0, 2, 0, -2, 0],
+		[0.0031, -0.0031, 0, 0, 0, 0, 1],
+		[0.0030, 0.0030, 0, 2, 0, 1, 0],
+		[-0.0029, 0.0029, 1, 0, 0, 1, 2],
+		[-0.0029, -0.0029, 0, 2, -1, 0, 0],
+		[-0.0027, -0.0027, 0, 0, 0, 1, 1],
+		[0.0024, 0.0024, 0, 0, 1, -1, 0],
+		[-0.0021, -0.0021, 0, 0, 0, 1, -3],
+		[0.0019, -0.0019, 0, 0, 0, 2, 1],
+		[0.0018, -0.0006, 1, 2, 0, -2, -1],
+		[0.0018, -0.0018, 0, 0, 0, 0, 3],
+		[0.0017, -0.0017, 1, 0, 0, 1, 3],
+		[0.0017, 0.0017, 1, 0, 0, 2, 0],
+		[-0.0014, 0.0014, 1, 2, 0, -1, 0],
+		[0.0013, -0.0013, 1, 2, 0, 1, 1],
+		[0.0013, -0.0013, 1, 0, 0, 1, 0],
+		[0.0012, 0.0012, 0, 0, 0, 3, 1],
+		[0.0011, 0.0011, 0, 2, 0, -1, 1],
+		[-0.0011, 0.0011, 1, 2, 0, -2, 0],
+		[0.0010, 0.0010, 1, 1, 0, 0, 1],
+		[0.0010, 0.0010, 0, 0, 1, 1, 0],
+		[-0.0009, -0.0009, 0, 2, 0, 0, -2],
+		[0.0007, -0.0007, 1, 0, 0, 2, 1],
+		[-0.0007, -0.0007, 1, 0, 0, 3, 1]
+	],
+
+	/**
+	 * Periodic terms of the maximum declination in degrees, p. 369. <br>
+	 * 0:coeff north, 1:coeff south, 2:0 for sine and 1 for cosine, 3:D, 4:M, 5:Mʹ, 6:F
+	 *
+	 * @const {Array} tmaxdecValue
+	 * @static
+	 */
+	tmaxdecValue: [
+		[5.1093, -5.1093, 0, 0, 0, 0, 1],
+		[0.2658, 0.2658, 1, 0, 0, 0, 2],
+		[0.1448, -0.1448, 0, 2, 0, 0, -1],
+		[-0.0322, 0.0322, 0, 0, 0, 0, 3],
+		[0.0133, 0.0133, 1, 2, 0, 0, -2],
+		[0.0125, 0.0125, 1, 2, 0, 0, 0],
+		[-0.0124, -0.0015, 0, 0, 0, 1, -1],
+		[-0.0101, 0.0101, 0, 0, 0, 1, 2],
+		[0.0097, -0.0097, 1, 0, 0, 0, 1],
+		[-0.0087, 0.0087, 0, 2, 1, 0, -1],
+		[0.0074, 0.0074, 0, 0, 0, 1, 3],
+		[0.0067, 0.0067, 0, 1, 0, 0, 1],
+		[0.0063, -0.0063, 0, 0, 0, 1, -2],
+		[0.0060, -0.0060, 0, 2, -1, 0, -1],
+		[-0.0057, 0.0057, 0, 2, 0, -1, -1],
+		[-0.0056, -0.0056, 1, 0, 0, 1, 1],
+		[0.0052, -0.0052, 1, 0, 0, 1, 2],
+		[0.0041, -0.0041, 1, 0, 0, 2, 1],
+		[-0.0040, -0.0040, 1, 0, 0, 1, -3],
+		[0.0038, -0.0038, 1, 0, 0, 2, -1],
+		[-0.0034, 0.0034, 1, 0, 0, 1, -2],
+		[-0.0029, -0.0029, 0, 0, 0, 2, 0],
+		[0.0029, 0.0029, 0, 0, 0, 3, 1],
+		[-0.0028, 0.0028, 1, 2, 1, 0, -1],
+		[-0.0028, -0.0028, 1, 0, 0, 1, -1],
+		[-0.0023, 0.0023, 1, 0, 0, 0, 3],
+		[-0.0021, 0.0021, 0, 2, 0, 0, 1],
+		[0.0019, 0.0019, 1, 0, 0, 1, 3],
+		[0.0018, 0.0018, 1, 1, 0, 0, 1],
+		[0.0017, -0.0017, 0, 0, 0, 2, -1],
+		[0.0015, 0.0015, 1, 0, 0, 3, 1],
+		[0.0014, 0.0014, 1, 2, 0, 2, 1],
+		[-0.0012, 0.0012, 0, 2, 0, -2, -1],
+		[-0.0012, -0.0012, 1, 0, 0, 2, 0],
+		[-0.0010, 0.0010, 1, 0, 0, 1, 0],
+		[-0.0010, -0.0010, 0, 0, 0, 0, 2],
+		[0.0006, 0.0037, 0, 0, 0, 1, 1]
+	]
+};
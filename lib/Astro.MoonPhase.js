@@ -0,0 +1,295 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+/**
+ * Methods for calculations of the phases of the moon (see Chapter 49). <br>
+ * The results are the instants of the true phases including the periodic
+ * and the planetary corrections. The error is less than 20 seconds for the years 1980-2020.
+ * @module A.MoonPhase
+ */
+A.MoonPhase = {
+
+	/**
+	 * Mean length of the synodic month in days.
+	 *
+	 * @const {Number} meanLunation
+	 * @static
+	 */
+	meanLunation: 29.530588861,
+
+	/**
+	 * newMoon returns the new moon of the lunation at the given decimal year.
+	 *
+	 * @function newMoon
+	 * @static
+	 *
+	 * @param {number} year - decimal year, e.g. 1977.13 for mid february 1977
+	 * @return {A.JulianDay} julian day of the new moon
+	 */
+	newMoon: function (year) {
+		return A.MoonPhase._phase(A.MoonPhase._k(year, 0));
+	},
+
+	/**
+	 * firstQuarter returns the first quarter of the lunation at the given decimal year.
+	 *
+	 * @function firstQuarter
+	 * @static
+	 *
+	 * @param {number} year - decimal year
+	 * @return {A.JulianDay} julian day of the first quarter
+	 */
+	firstQuarter: function (year) {
+		return A.MoonPhase._phase(A.MoonPhase._k(year, 0.25));
+	},
+
+	/**
+	 * full returns the full moon of the lunation at the given decimal year.
+	 *
+	 * @function full
+	 * @static
+	 *
+	 * @param {number} year - decimal year
+	 * @return {A.JulianDay} julian day of the full moon
+	 */
+	full: function (year) {
+		return A.MoonPhase._phase(A.MoonPhase._k(year, 0.5));
+	},
+
+	/**
+	 * lastQuarter returns the last quarter of the lunation at the given decimal year.
+	 *
+	 * @function lastQuarter
+	 * @static
+	 *
+	 * @param {number} year - decimal year
+	 * @return {A.JulianDay} julian day of the last quarter
+	 */
+	lastQuarter: function (year) {
+		return A.MoonPhase._phase(A.MoonPhase._k(year, 0.75));
+	},
+
+	/**
+	 * phases returns all phases of the moon between two julian days ordered by time.
+	 *
+	 * @function phases
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdoStart - start of the range
+	 * @param {A.JulianDay} jdoEnd - end of the range
+	 * @return {Array} list of maps with<br>
+	 *                 phase: one of 'new', 'firstQuarter', 'full' or 'lastQuarter'<br>
+	 *                 jdo: julian day of the phase
+	 */
+	phases: function (jdoStart, jdoEnd) {
+		var names = ['new', 'firstQuarter', 'full', 'lastQuarter'];
+
+		// start one lunation before the mean phase to catch the true phases
+		// which are up to 14 hours off the mean phase.
+		var k = Math.floor((jdoStart.jde - 2451550.09766) / A.MoonPhase.meanLunation) - 1;
+
+		var res = [];
+		for (var q = k * 4; ; q++) {
+			var jdo = A.MoonPhase._phase(q / 4);
+			if (jdo.jd > jdoEnd.jd)
+				break;
+			if (jdo.jd >= jdoStart.jd) {
+				res.push({
+					phase: names[A.Math.pMod(q, 4)],
+					jdo: jdo
+				});
+			}
+		}
+		return res;
+	},
+
+	/**
+	 * Returns the lunation number k for the given decimal year and phase offset.
+	 */
+	_k: function (year, offset) {
+		return Math.floor((year - 2000) * 12.3685) + offset;
+	},
+
+	/**
+	 * Returns the true phase for the lunation number k. (49.1) p. 349
+	 */
+	_phase: function (k) {
+		var p = Math.PI / 180;
+		var T = k / 1236.85;
+
+		var jde = A.Math.horner(T, [2451550.09766 + 29.530588861 * k, 0, 0.00015437, -0.00000015, 0.00000000073]);
+
+		var E = A.Math.horner(T, [1, -0.002516, -0.0000074]); // (47.6) p. 338
+		var M = A.Math.horner(T, [2.5534 + 29.1053567 * k, 0, -0.0000014, -0.00000011]) * p;
+		var M_ = A.Math.horner(T, [201.5643 + 385.81693528 * k, 0, 0.0107582, 0.00001238, -0.000000058]) * p;
+		var F = A.Math.horner(T, [160.7108 + 390.67050284 * k, 0, -0.0016118, -0.00000227, 0.000000011]) * p;
+		var Omega = A.Math.horner(T, [124.7746 - 1.56375588 * k, 0, 0.0020672, 0.00000215]) * p;
+
+		var quarter = A.Math.pMod(Math.round(k * 4), 4);
+		var table;
+		switch (quarter) {
+			case 0:
+				table = A.MoonPhase.tnew;
+				break;
+			case 2:
+				table = A.MoonPhase.tfull;
+				break;
+			default:
+				table = A.MoonPhase.tquarter;
+		}
+
+		// periodic terms, sum in reverse order to accumulate smaller terms first
+		var i, r, c = 0;
+		for (i = table.length - 1; i >= 0; i--) {
+			// 0:coeff, 1:power of E, 2:M, 3:M_, 4:F, 5:Omega
+			r = table[i];
+			c += r[0] * Math.pow(E, r[1]) * Math.sin(r[2]*M + r[3]*M_ + r[4]*F + r[5]*Omega);
+		}
+
+		if (quarter === 1 || quarter === 3) {
+			// p. 352
+			var W = 0.00306 - 0.00038*E*Math.cos(M) + 0.00026*Math.cos(M_) -
+				0.00002*Math.cos(M_-M) + 0.00002*Math.cos(M_+M) + 0.00002*Math.cos(2*F);
+			c += quarter === 1 ? W : -W;
+		}
+
+		// additional corrections for all phases, p. 351
+		for (i = A.MoonPhase.tplanetary.length - 1; i >= 0; i--) {
+			// 0:coeff, 1:a0, 2:a1 (k), 3:a2 (T²)
+			r = A.MoonPhase.tplanetary[i];
+			c += r[0] * Math.sin((r[1] + r[2]*k + r[3]*T*T) * p);
+		}
+
+		return A.JulianDay.jdFromJDE(jde + c);
+	},
+
+	/**
+	 * Periodic terms of the new moon, p. 351. <br>
+	 * 0:coeff, 1:power of E, 2:M, 3:Mʹ, 4:F, 5:Ω
+	 *
+	 * @const {Array} tnew
+	 * @static
+	 */
+	tnew: [
+		[-0.40720, 0, 0, 1, 0, 0],
+		[0.17241, 1, 1, 0, 0, 0],
+		[0.01608, 0, 0, 2, 0, 0],
+		[0.01039, 0, 0, 0, 2, 0],
+		[0.00739, 1, -1, 1, 0, 0],
+		[-0.00514, 1, 1, 1, 0, 0],
+		[0.00208, 2, 2, 0, 0, 0],
+		[-0.00111, 0, 0, 1, -2, 0],
+		[-0.00057, 0, 0, 1, 2, 0],
+		[0.00056, 1, 1, 2, 0, 0],
+		[-0.00042, 0, 0, 3, 0, 0],
+		[0.00042, 1, 1, 0, 2, 0],
+		[0.00038, 1, 1, 0, -2, 0],
+		[-0.00024, 1, -1, 2, 0, 0],
+		[-0.00017, 0, 0, 0, 0, 1],
+		[-0.00007, 0, 2, 1, 0, 0],
+		[0.00004, 0, 0, 2, -2, 0],
+		[0.00004, 0, 3, 0, 0, 0],
+		[0.00003, 0, 1, 1, -2, 0],
+		[0.00003, 0, 0, 2, 2, 0],
+		[-0.00003, 0, 1, 1, 2, 0],
+		[0.00003, 0, -1, 1, 2, 0],
+		[-0.00002, 0, -1, 1, -2, 0],
+		[-0.00002, 0, 1, 3, 0, 0],
+		[0.00002, 0, 0, 4, 0, 0]
+	],
+
+	/**
+	 * Periodic terms of the full moon, p. 351. <br>
+	 * 0:coeff, 1:power of E, 2:M, 3:Mʹ, 4:F, 5:Ω
+	 *
+	 * @const {Array} tfull
+	 * @static
+	 */
+	tfull: [
+		[-0.40614, 0, 0, 1, 0, 0],
+		[0.17302, 1, 1, 0, 0, 0],
+		[0.01614, 0, 0, 2, 0, 0],
+		[0.01043, 0, 0, 0, 2, 0],
+		[0.00734, 1, -1, 1, 0, 0],
+		[-0.00515, 1, 1, 1, 0, 0],
+		[0.00209, 2, 2, 0, 0, 0],
+		[-0.00111, 0, 0, 1, -2, 0],
+		[-0.00057, 0, 0, 1, 2, 0],
+		[0.00056, 1, 1, 2, 0, 0],
+		[-0.00042, 0, 0, 3, 0, 0],
+		[0.00042, 1, 1, 0, 2, 0],
+		[0.00038, 1, 1, 0, -2, 0],
+		[-0.00024, 1, -1, 2, 0, 0],
+		[-0.00017, 0, 0, 0, 0, 1],
+		[-0.00007, 0, 2, 1, 0, 0],
+		[0.00004, 0, 0, 2, -2, 0],
+		[0.00004, 0, 3, 0, 0, 0],
+		[0.00003, 0, 1, 1, -2, 0],
+		[0.00003, 0, 0, 2, 2, 0],
+		[-0.00003, 0, 1, 1, 2, 0],
+		[0.00003, 0, -1, 1, 2, 0],
+		[-0.00002, 0, -1, 1, -2, 0],
+		[-0.00002, 0, 1, 3, 0, 0],
+		[0.00002, 0, 0, 4, 0, 0]
+	],
+
+	/**
+	 * Periodic terms of the first and last quarter, p. 352. <br>
+	 * 0:coeff, 1:power of E, 2:M, 3:Mʹ, 4:F, 5:Ω
+	 *
+	 * @const {Array} tquarter
+	 * @static
+	 */
+	tquarter: [
+		[-0.62801, 0, 0, 1, 0, 0],
+		[0.17172, 1, 1, 0, 0, 0],
+		[-0.01183, 1, 1, 1, 0, 0],
+		[0.00862, 0, 0, 2, 0, 0],
+		[0.00804, 0, 0, 0, 2, 0],
+		[0.00454, 1, -1, 1, 0, 0],
+		[0.00204, 2, 2, 0, 0, 0],
+		[-0.00180, 0, 0, 1, -2, 0],
+		[-0.00070, 0, 0, 1, 2, 0],
+		[-0.00040, 0, 0, 3, 0, 0],
+		[-0.00034, 1, -1, 2, 0, 0],
+		[0.00032, 1, 1, 0, 2, 0],
+		[0.00032, 1, 1, 0, -2, 0],
+		[-0.00028, 2, 2, 1, 0, 0],
+		[0.00027, 1, 1, 2, 0, 0],
+		[-0.00017, 0, 0, 0, 0, 1],
+		[-0.00005, 0, -1, 1, -2, 0],
+		[0.00004, 0, 0, 2, 2, 0],
+		[-0.00004, 0, 1, 1, 2, 0],
+		[0.00004, 0, -2, 1, 0, 0],
+		[0.00003, 0, 1, 1, -2, 0],
+		[0.00003, 0, 3, 0, 0, 0],
+		[0.00002, 0, 0, 2, -2, 0],
+		[0.00002, 0, -1, 1, 2, 0],
+		[-0.00002, 0, 1, 3, 0, 0]
+	],
+
+	/**
+	 * Additional corrections for all phases (planetary arguments A1 to A14), p. 351. <br>
+	 * 0:coeff, 1:a0, 2:a1 (times k), 3:a2 (times T²), angles in degrees
+	 *
+	 * @const {Array} tplanetary
+	 * @static
+	 */
+	tplanetary: [
+		[0.000325, 299.77, 0.107408, -0.009173],
+		[0.000165, 251.88, 0.016321, 0],
+		[0.000164, 251.83, 26.651886, 0],
+		[0.000126, 349.42, 36.412478, 0],
+		[0.000110, 84.66, 18.206239, 0],
+		[0.000062, 141.74, 53.303771, 0],
+		[0.000060, 207.14, 2.453732, 0],
+		[0.000056, 154.84, 7.30686, 0],
+		[0.000047, 34.52, 27.261239, 0],
+		[0.000042, 207.19, 0.121824, 0],
+		[0.000040, 291.34, 1.844379, 0],
+		[0.000037, 161.72, 24.198154, 0],
+		[0.000035, 239.56, 25.513099, 0],
+		[0.000023, 331.55, 3.592518, 0]
+	]
+};
@@ -0,0 +1,178 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+/**
+ * Methods for predictions of lunar occultations of stars and planets for an observer. <br>
+ * The topocentric positions of the moon and the body are compared with the topocentric
+ * semidiameter of the moon (see Chapter 55). Planets are occulted by their center, the
+ * irregular limb of the moon is not taken into account. The error of the times is a few seconds.
+ * @module A.Occultation
+ */
+A.Occultation = {
+
+	/**
+	 * Ratio of the radius of the moon to the equatorial radius of the earth,
+	 * the value of the semidiameter of the moon on p. 390.
+	 *
+	 * @const {Number} moonRadius
+	 * @static
+	 */
+	moonRadius: 0.272481,
+
+	/**
+	 * star returns the occultations of a star by the moon in a time range.
+	 *
+	 * @function star
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdoStart - start of the range
+	 * @param {A.JulianDay} jdoEnd - end of the range
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @param {A.EqCoord} eqCoord - catalog position of the star referred to J2000.0
+	 * @param {?Map} properMotion - annual proper motion, ra and dec in radians per julian year
+	 * @return {Array} list of occultations, see occultations
+	 */
+	star: function (jdoStart, jdoEnd, eclCoord, eqCoord, properMotion) {
+		return A.Occultation.occultations(function (jdo) {
+			return A.Star.apparentPlace(eqCoord, properMotion, 2000, jdo);
+		}, jdoStart, jdoEnd, eclCoord);
+	},
+
+	/**
+	 * planet returns the occultations of a planet by the moon in a time range.
+	 *
+	 * @function planet
+	 * @static
+	 *
+	 * @param {String} planet - name of the planet
+	 * @param {A.JulianDay} jdoStart - start of the range
+	 * @param {A.JulianDay} jdoEnd - end of the range
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @return {Array} list of occultations, see occultations
+	 */
+	planet: function (planet, jdoStart, jdoEnd, eclCoord) {
+		var pc = A.Globe.parallaxConstants(eclCoord.lat, eclCoord.h);
+		return A.Occultation.occultations(function (jdo, apparent0) {
+			var ae = A.Planet.apparentEquatorial(planet, jdo);
+			return A.Parallax.topocentric(ae.eq, A.Parallax.horizontal(ae.delta), pc.rhoslat, pc.rhoclat,
+				eclCoord.lng, apparent0);
+		}, jdoStart, jdoEnd, eclCoord);
+	},
+
+	/**
+	 * occultations returns the occultations of a body by the moon in a time range. <br>
+	 * The conjunctions are searched geocentric first, the occultations are then computed
+	 * for the conjunctions closer than 1.5 degrees. The occultations are also returned if the moon
+	 * is below the horizon or the sun is up, the altitudes tell if they are observable.
+	 *
+	 * @function occultations
+	 * @static
+	 *
+	 * @param {Function} eqfn - function of an A.JulianDay and the apparent sidereal time at Greenwich
+	 *                          returning the topocentric A.EqCoord of the body
+	 * @param {A.JulianDay} jdoStart - start of the range
+	 * @param {A.JulianDay} jdoEnd - end of the range
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @return {Array} list of maps ordered by time with<br>
+	 *                 jdo: julian day of the closest approach to the center of the moon<br>
+	 *                 separation: least distance from the center of the moon in radians<br>
+	 *                 disappearance, reappearance: maps with<br>
+	 *                     jdo: julian day of the contact<br>
+	 *                     positionAngle: position angle of the body relative to the center of the moon in radians<br>
+	 *                     limb: 'bright' or 'dark' limb of the moon<br>
+	 *                     altitude: apparent altitude of the moon in radians<br>
+	 *                     sunAltitude: apparent altitude of the sun in radians
+	 */
+	occultations: function (eqfn, jdoStart, jdoEnd, eclCoord) {
+		var deltaT = jdoStart.deltaT;
+		var p = Math.PI / 180;
+
+		var separation = function (jdo) {
+			var st0 = A.Sidereal.apparentInRa(jdo);
+			var moon = A.Occultation._moon(jdo, eclCoord, st0);
+			return A.Coord.angularSeparation(moon.eq, eqfn(jdo, st0)) - moon.s;
+		};
+
+		// extend the range by half a day to find the conjunctions at the ends of the range
+		var conjunctions = A.Search.closestApproaches(function (jdo) {
+			return A.Moon.apparentEquatorial(jdo).eq;
+		}, function (jdo) {
+			return eqfn(jdo, A.Sidereal.apparentInRa(jdo));
+		}, new A.JulianDay(jdoStart.jd - 0.5, deltaT), new A.JulianDay(jdoEnd.jd + 0.5, deltaT), {
+			step: 0.25,
+			precision: 60 / 86400
+		});
+
+		var res = [];
+		for (var i = 0; i < conjunctions.length; i++) {
+			if (conjunctions[i].separation > 1.5*p)
+				continue;
+
+			var jd = conjunctions[i].jdo.jd;
+			var min = A.Search.extrema(separation, new A.JulianDay(jd - 0.25, deltaT),
+				new A.JulianDay(jd + 0.25, deltaT), {
+					step: 1 / 96,
+					precision: 1 / 86400
+				}).filter(function (e) {
+				return !e.maximum && e.value < 0;
+			})[0];
+			if (!min || min.jdo.jd < jdoStart.jd || min.jdo.jd > jdoEnd.jd)
+				continue;
+
+			var contact = function (jdo1, jdo2) {
+				var c = A.Search.crossings(separation, jdo1, jdo2, 0, {
+					step: 1 / 96,
+					precision: 1 / 86400
+				});
+				return c.length ? A.Occultation._contact(c[0].jdo, eqfn, eclCoord) : undefined;
+			};
+			var st0 = A.Sidereal.apparentInRa(min.jdo);
+			res.push({
+				jdo: min.jdo,
+				separation: A.Coord.angularSeparation(A.Occultation._moon(min.jdo, eclCoord, st0).eq, eqfn(min.jdo, st0)),
+				disappearance: contact(new A.JulianDay(min.jdo.jd - 0.125, deltaT), min.jdo),
+				reappearance: contact(min.jdo, new A.JulianDay(min.jdo.jd + 0.125, deltaT))
+			});
+		}
+		return res;
+	},
+
+	/**
+	 * Returns the topocentric position, the horizontal coordinates and the topocentric semidiameter of the moon.
+	 */
+	_moon: function (jdo, eclCoord, st0) {
+		var aet = A.Moon.apparentTopocentric(jdo, eclCoord, st0);
+		var hz = A.Coord.eqToHz(aet.eq, eclCoord, st0);
+
+		// the moon is closer to the observer than to the center of the earth, p. 390
+		var s = Math.asin(A.Occultation.moonRadius * A.Globe.Er / aet.delta);
+		return {
+			eq: aet.eq,
+			hz: hz,
+			s: s * (1 + Math.sin(hz.alt) * Math.sin(A.Moon.parallax(aet.delta)))
+		};
+	},
+
+	/**
+	 * Returns the position angle, the limb and the altitudes at a contact.
+	 */
+	_contact: function (jdo, eqfn, eclCoord) {
+		var st0 = A.Sidereal.apparentInRa(jdo);
+		var moon = A.Occultation._moon(jdo, eclCoord, st0);
+		var pa = A.Coord.positionAngle(moon.eq, eqfn(jdo, st0));
+		var sun = A.Solar.topocentricPosition(jdo, eclCoord, true, true);
+
+		// the limb is bright within 90 degrees of the midpoint of the bright limb
+		var chi = A.MoonIllum.positionAngle(moon.eq, sun.eq);
+		var d = Math.abs(A.Math.pMod(pa - chi + Math.PI, 2*Math.PI) - Math.PI);
+
+		return {
+			jdo: jdo,
+			positionAngle: pa,
+			limb: d < Math.PI / 2 ? 'bright' : 'dark',
+			altitude: moon.hz.alt + A.Refraction.bennett2(moon.hz.alt),
+			sunAltitude: sun.hz.alt
+		};
+	}
+};
@@ -0,0 +1,142 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+/**
+ * Methods for the positions of bodies in elliptic orbits around the sun like comets and
+ * asteroids (see Chapter 33). <br>
+ * The orbital elements are maps with<br>
+ * a: semimajor axis in AU<br>
+ * e: eccentricity<br>
+ * i: inclination in radians<br>
+ * omega: argument of the perihelion in radians<br>
+ * Omega: longitude of the ascending node in radians<br>
+ * T: time of the perihelion passage as julian ephemeris day<br>
+ * The angular elements are referred to the standard equinox J2000.0.
+ * @module A.Orbit
+ */
+A.Orbit = {
+
+	/**
+	 * Obliquity of the ecliptic at J2000.0 in radians. p. 228
+	 *
+	 * @const {Number} obliquityJ2000
+	 * @static
+	 */
+	obliquityJ2000: 23.4392911 * Math.PI / 180,
+
+	/**
+	 * elliptic returns the geocentric position of a body with the given orbital elements. <br>
+	 * The position is astrometric: it includes the light-time but neither the aberration nor the
+	 * nutation and it is referred to the equinox J2000.0 like the elements. The geocentric
+	 * coordinates of the sun are computed with A.Solar.trueVSOP87.
+	 *
+	 * @function elliptic
+	 * @static
+	 *
+	 * @param {Map} elements - orbital elements, see module
+	 * @param {A.JulianDay} jdo - julian day
+	 * @return {Map} eq: geocentric equatorial coordinates as A.EqCoord referred to J2000.0<br>
+	 *               delta: distance to the earth in AU<br>
+	 *               r: distance to the sun in AU<br>
+	 *               tau: light-time in days<br>
+	 *               elongation: angular distance to the sun in radians (33.11)
+	 */
+	elliptic: function (elements, jdo) {
+		var sun = A.Orbit.sunJ2000(jdo);
+
+		var tau = 0, h, xi, eta, zeta, delta;
+		for (var i = 0; i < 5; i++) {
+			h = A.Orbit.heliocentric(elements, jdo.jde - tau);
+			// (33.10) p. 229
+			xi = sun.x + h.x;
+			eta = sun.y + h.y;
+			zeta = sun.z + h.z;
+			delta = Math.sqrt(xi*xi + eta*eta + zeta*zeta);
+			var tau1 = 0.0057755183 * delta; // (33.3) p. 224
+			if (Math.abs(tau1 - tau) < 1e-9)
+				break;
+			tau = tau1;
+		}
+
+		var R = Math.sqrt(sun.x*sun.x + sun.y*sun.y + sun.z*sun.z);
+		return {
+			eq: new A.EqCoord(A.Math.pMod(Math.atan2(eta, xi), 2*Math.PI), Math.asin(zeta / delta)),
+			delta: delta,
+			r: h.r,
+			tau: tau,
+			elongation: Math.acos((sun.x*xi + sun.y*eta + sun.z*zeta) / (R * delta))
+		};
+	},
+
+	/**
+	 * heliocentric returns the heliocentric rectangular equatorial coordinates of a body
+	 * referred to J2000.0. (33.7) to (33.9) p. 228
+	 *
+	 * @function heliocentric
+	 * @static
+	 *
+	 * @param {Map} elements - orbital elements, see module
+	 * @param {number} jde - julian ephemeris day
+	 * @return {Map} x, y, z: rectangular coordinates in AU<br>
+	 *               r: distance to the sun in AU<br>
+	 *               nu: true anomaly in radians
+	 */
+	heliocentric: function (elements, jde) {
+		var se = Math.sin(A.Orbit.obliquityJ2000);
+		var ce = Math.cos(A.Orbit.obliquityJ2000);
+		var sO = Math.sin(elements.Omega);
+		var cO = Math.cos(elements.Omega);
+		var si = Math.sin(elements.i);
+		var ci = Math.cos(elements.i);
+
+		// (33.7) p. 228
+		var F = cO;
+		var G = sO * ce;
+		var H = sO * se;
+		var P = -sO * ci;
+		var Q = cO * ci * ce - si * se;
+		var R = cO * ci * se + si * ce;
+
+		// mean motion in radians per day (33.6) p. 227, the eccentric anomaly with A.Kepler
+		var n = 0.9856076686 * Math.PI / 180 / Math.pow(elements.a, 1.5);
+		var E = A.Kepler.newton(elements.e, n * (jde - elements.T));
+		var nu = A.Kepler.trueAnomaly(E, elements.e);
+		var r = A.Kepler.radius(E, elements.e, elements.a);
+
+		// (33.8) and (33.9) p. 229
+		var u = elements.omega + nu;
+		return {
+			x: r * Math.sqrt(F*F + P*P) * Math.sin(Math.atan2(F, P) + u),
+			y: r * Math.sqrt(G*G + Q*Q) * Math.sin(Math.atan2(G, Q) + u),
+			z: r * Math.sqrt(H*H + R*R) * Math.sin(Math.atan2(H, R) + u),
+			r: r,
+			nu: nu
+		};
+	},
+
+	/**
+	 * sunJ2000 returns the geometric geocentric rectangular equatorial coordinates of the sun
+	 * referred to J2000.0. The position of A.Solar.trueVSOP87 is precessed to J2000.0. (26.3) p. 174
+	 *
+	 * @function sunJ2000
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @return {Map} x, y, z: rectangular coordinates in AU
+	 */
+	sunJ2000: function (jdo) {
+		var s = A.Solar.trueVSOP87(jdo);
+		var ecl = A.Precession.eclipticPosition(new A.EclCoord(s.lng, s.lat), jdo, A.Precession.julianEpoch(2000));
+		var lng = ecl.lat;
+		var lat = ecl.lng;
+		var se = Math.sin(A.Orbit.obliquityJ2000);
+		var ce = Math.cos(A.Orbit.obliquityJ2000);
+
+		return {
+			x: s.range * Math.cos(lat) * Math.cos(lng),
+			y: s.range * (Math.cos(lat) * Math.sin(lng) * ce - Math.sin(lat) * se),
+			z: s.range * (Math.cos(lat) * Math.sin(lng) * se + Math.sin(lat) * ce)
+		};
+	}
+};
@@ -0,0 +1,252 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+/**
+ * Methods for calculations of the position and times of the planets (see Chapter 32 and 33). <br>
+ * The heliocentric positions are computed with the truncated VSOP87 series of A.VSOP87.
+ * The planets are given by name: 'mercury', 'venus', 'mars', 'jupiter', 'saturn', 'uranus' or 'neptune'.
+ * @module A.Planet
+ */
+A.Planet = {
+
+	/**
+	 * Names of the planets in order of the distance to the sun.
+	 *
+	 * @const {Array} names
+	 * @static
+	 */
+	names: ['mercury', 'venus', 'earth', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune'],
+
+	/**
+	 * heliocentric returns the heliocentric position of a planet referred to
+	 * the mean dynamical ecliptic and equinox of the date. (32.2) p. 218
+	 *
+	 * @function heliocentric
+	 * @static
+	 *
+	 * @param {String} planet - name of the planet, including 'earth'
+	 * @param {A.JulianDay} jdo - julian day
+	 * @return {Map} lng: heliocentric longitude L in radians and in the range [0,2PI)<br>
+	 *               lat: heliocentric latitude B in radians<br>
+	 *               range: radius vector R in AU
+	 */
+	heliocentric: function (planet, jdo) {
+		return A.Planet._heliocentric(A.Planet._series(planet), jdo.jde);
+	},
+
+	/**
+	 * geocentric returns the geometric geocentric position of a planet corrected for the light-time,
+	 * referred to the mean dynamical ecliptic and equinox of the date. <br>
+	 * The planet is taken at the time t - tau and the earth at the time t, this corrects for the
+	 * light-time only. The aberration is added by apparentEquatorial with (23.2).
+	 *
+	 * @function geocentric
+	 * @static
+	 *
+	 * @param {String} planet - name of the planet
+	 * @param {A.JulianDay} jdo - julian day
+	 * @return {Map} lng: geocentric longitude in radians and in the range [0,2PI)<br>
+	 *               lat: geocentric latitude in radians<br>
+	 *               delta: distance to the earth in AU<br>
+	 *               tau: light-time in days<br>
+	 *               earth: heliocentric position of the earth (see heliocentric)
+	 */
+	geocentric: function (planet, jdo) {
+		if (planet === 'earth')
+			throw new Error('The geocentric position of the earth is undefined');
+		var series = A.Planet._series(planet);
+		var earth = A.Planet._heliocentric(A.VSOP87.earth, jdo.jde);
+
+		var sB0 = Math.sin(earth.lat);
+		var cB0 = Math.cos(earth.lat);
+		var sL0 = Math.sin(earth.lng);
+		var cL0 = Math.cos(earth.lng);
+
+		var tau = 0, x, y, z, delta;
+		for (var i = 0; i < 5; i++) {
+			var p = A.Planet._heliocentric(series, jdo.jde - tau);
+			var cB = Math.cos(p.lat);
+			// (33.1) p. 223
+			x = p.range * cB * Math.cos(p.lng) - earth.range * cB0 * cL0;
+			y = p.range * cB * Math.sin(p.lng) - earth.range * cB0 * sL0;
+			z = p.range * Math.sin(p.lat) - earth.range * sB0;
+			delta = Math.sqrt(x*x + y*y + z*z);
+			var tau1 = 0.0057755183 * delta; // (33.3) p. 224
+			if (Math.abs(tau1 - tau) < 1e-9)
+				break;
+			tau = tau1;
+		}
+
+		return {
+			lng: A.Math.pMod(Math.atan2(y, x), 2*Math.PI), // (33.2) p. 223
+			lat: Math.atan2(z, Math.sqrt(x*x + y*y)),
+			delta: delta,
+			tau: tau,
+			earth: earth
+		};
+	},
+
+	/**
+	 * apparentEquatorial returns the apparent position of a planet as equatorial coordinates. <br>
+	 * The position includes the light-time, the aberration (23.2), the conversion to the FK5
+	 * system (32.3) and the nutation.
+	 *
+	 * @function apparentEquatorial
+	 * @static
+	 *
+	 * @param {String} planet - name of the planet
+	 * @param {A.JulianDay} jdo - julian day
+	 * @return {Map} eq: the apparent position of the planet as equatorial coordinates <br>
+	 *               lng, lat: the apparent ecliptic longitude and latitude in radians <br>
+	 *               delta: distance to the earth in AU
+	 */
+	apparentEquatorial: function (planet, jdo) {
+		var g = A.Planet.geocentric(planet, jdo);
+		var T = jdo.jdeJ2000Century();
+		var p = Math.PI / 180;
+
+		// aberration, (23.2) p. 151 with the true longitude of the sun
+		var sun = g.earth.lng + Math.PI;
+		var k = 20.49552 / 3600 * p;
+		var e = A.Math.horner(T, [0.016708634, -0.000042037, -0.0000001267]);
+		var pi = A.Math.horner(T, [102.93735, 1.71946, 0.00046]) * p;
+		var lng = g.lng + (-k*Math.cos(sun - g.lng) + e*k*Math.cos(pi - g.lng)) / Math.cos(g.lat);
+		var lat = g.lat - k*Math.sin(g.lat) * (Math.sin(sun - g.lng) - e*Math.sin(pi - g.lng));
+
+		// conversion to FK5, (32.3) p. 219
+		var lng1 = lng - A.Math.horner(T, [0, 1.397, 0.00031]) * p;
+		var c = 0.03916 / 3600 * p;
+		lng += -0.09033 / 3600 * p + c * (Math.cos(lng1) + Math.sin(lng1)) * Math.tan(lat);
+		lat += c * (Math.cos(lng1) - Math.sin(lng1));
+
+		var nut = A.Nutation.nutation(jdo);
+		var obliquity = A.Nutation.meanObliquityLaskar(jdo) + nut.deltaobliquity; // true obliquity
+		lng += nut.deltalng; // apparent longitude
+
+		var eq = A.Coord.eclToEq(new A.EclCoord(lng, lat), obliquity);
+
+		return {
+			eq: eq,
+			lng: A.Math.pMod(lng, 2*Math.PI),
+			lat: lat,
+			delta: g.delta
+		};
+	},
+
+	/**
+	 * apparentTopocentric returns the apparent position of a planet as topocentric coordinates.
+	 *
+	 * @function apparentTopocentric
+	 * @static
+	 *
+	 * @param {String} planet - name of the planet
+	 * @param {A.JulianDay} jdo - julian day
+	 * @param {A.EclCoord} eclCoord - geographic location of observer
+	 * @param {?Number} apparent0 - apparent sidereal time at Greenwich for the given JD in radians.
+	 * @return {Map} eq: the corrected apparent position of the planet as equatorial coordinates <br>
+	 *               delta: distance to the earth in AU
+	 */
+	apparentTopocentric: function (planet, jdo, eclCoord, apparent0) {
+		var ae = A.Planet.apparentEquatorial(planet, jdo);
+
+		// get the corrected right ascension and declination
+		var pc = A.Globe.parallaxConstants(eclCoord.lat, eclCoord.h);
+
+		if (!apparent0) // if apparent0 is not provided do the calcuation now
+			apparent0 = A.Sidereal.apparentInRa(jdo);
+
+		return {
+			eq: A.Parallax.topocentric2(ae.eq, A.Parallax.horizontal(ae.delta), pc.rhoslat, pc.rhoclat, eclCoord.lng, apparent0),
+			delta: ae.delta
+		};
+	},
+
+	/**
+	 * topocentricPosition calculates topocentric position of a planet for a given viewpoint and a given julian day.
+	 *
+	 * @function topocentricPosition
+	 * @static
+	 *
+	 * @param {String} planet - name of the planet
+	 * @param {A.JulianDay} jdo - julian day
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @param {boolean} refraction - if true the atmospheric refraction is added to the altitude
+	 * @return {Map} hz: position of the planet as horizontal coordinates with azimuth and altitude.<br>
+	 *               eq: position of the planet as equatorial coordinates<br>
+	 *               delta: distance to the earth in AU
+	 */
+	topocentricPosition: function (planet, jdo, eclCoord, refraction) {
+		var st0 = A.Sidereal.apparentInRa(jdo);
+		var aet = A.Planet.apparentTopocentric(planet, jdo, eclCoord, st0);
+
+		var hz = A.Coord.eqToHz(aet.eq, eclCoord, st0);
+		if (refraction === true)
+			hz.alt += A.Refraction.bennett2(hz.alt);
+
+		return {
+			hz: hz,
+			eq: aet.eq,
+			delta: aet.delta
+		};
+	},
+
+	/**
+	 * times computes rise, transit and set times of a planet on a day of interest. <br>
+	 * The times are searched with A.Rise.events for the standard altitude A.Rise.stdh0Stellar.
+	 *
+	 * @function times
+	 * @static
+	 *
+	 * @param {String} planet - name of the planet
+	 * @param {A.JulianDay} jdo - julian day
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @param {?number|String} timezone - offset to UT in hours or an IANA time zone, default is UT
+	 * @return {Map} transit, rise, set in seconds since midnight and in in the range [0,86400) <br>
+	 *               see A.Rise.searchTimes for the other values
+	 */
+	times: function (planet, jdo, eclCoord, timezone) {
+		A.Planet._series(planet); // fail early for an unknown planet
+		return A.Rise.searchTimes(eclCoord, A.Rise.stdh0Stellar, function (jdo, st) {
+			return A.Planet.apparentTopocentric(planet, jdo, eclCoord, st).eq;
+		}, jdo, timezone);
+	},
+
+	/**
+	 * Returns the VSOP87 series of the planet.
+	 */
+	_series: function (planet) {
+		var series = A.VSOP87[planet];
+		if (!series || A.Planet.names.indexOf(planet) < 0)
+			throw new Error('Unknown planet: ' + planet);
+		return series;
+	},
+
+	/**
+	 * Evaluates the VSOP87 series at the given julian ephemeris day. (32.1) p. 218
+	 */
+	_heliocentric: function (series, jde) {
+		var tau = (jde - A.J2000) / (10 * A.JulianCentury);
+
+		function sum(powers) {
+			var res = [];
+			for (var k = 0; k < powers.length; k++) {
+				var s = 0;
+				// sum in reverse order to accumulate smaller terms first
+				for (var i = powers[k].length - 1; i >= 0; i--) {
+					// 0:A, 1:B, 2:C
+					var r = powers[k][i];
+					s += r[0] * Math.cos(r[1] + r[2]*tau);
+				}
+				res.push(s);
+			}
+			return A.Math.horner(tau, res) * 1e-8;
+		}
+
+		return {
+			lng: A.Math.pMod(sum(series.L), 2*Math.PI),
+			lat: sum(series.B),
+			range: sum(series.R)
+		};
+	}
+};
@@ -0,0 +1,664 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+/**
+ * Methods for calculations of the planetary phenomena: conjunctions with the sun, oppositions,
+ * greatest elongations and stations (see Chapter 36). <br>
+ * The conjunctions, oppositions, greatest elongations and the stations of Mercury, Venus and Mars are
+ * computed with the mean phenomena and periodic terms of Meeus, the error is less than a few hours
+ * and up to about 6 hours for the stations of Mars. With precise they are refined with the positions
+ * of A.Planet within two days. <br>
+ * Meeus has no periodic terms for the stations of Jupiter to Neptune, they are always searched with
+ * the positions of A.Planet between the opposition and a quarter of the synodic period before or after it. <br>
+ * The conjunctions and oppositions are in geocentric apparent ecliptic longitude, the stations are
+ * the instants when the geocentric longitude is stationary.
+ * @module A.Planetary
+ */
+A.Planetary = {
+
+	/**
+	 * Names of the phenomena of Mercury and Venus.
+	 *
+	 * @const {Array} innerEvents
+	 * @static
+	 */
+	innerEvents: ['inferiorConjunction', 'superiorConjunction', 'eastElongation', 'westElongation', 'station1', 'station2'],
+
+	/**
+	 * Names of the phenomena of the planets Mars to Neptune.
+	 *
+	 * @const {Array} outerEvents
+	 * @static
+	 */
+	outerEvents: ['conjunction', 'opposition', 'station1', 'station2'],
+
+	/**
+	 * event returns the phenomenon of a planet nearest to the given decimal year. <br>
+	 * The station1 is the beginning of the retrograde motion, the station2 the end.
+	 *
+	 * @function event
+	 * @static
+	 *
+	 * @param {String} planet - name of the planet, 'mercury' to 'neptune' without the earth
+	 * @param {String} kind - name of the phenomenon, see innerEvents and outerEvents
+	 * @param {number} year - decimal year
+	 * @param {?boolean} precise - if true the phenomena are refined with the positions of A.Planet
+	 * @return {A.JulianDay} julian day of the phenomenon
+	 */
+	event: function (planet, kind, year, precise) {
+		var a = A.Planetary._tmean(planet, kind);
+		var k = Math.floor((365.2425 * year + 1721060 - a[0]) / a[1] + 0.5); // (36.1) p. 250
+		return A.Planetary._event(planet, kind, k, precise).jdo;
+	},
+
+	/**
+	 * events returns all phenomena of a planet in a calendar year ordered by time.
+	 *
+	 * @function events
+	 * @static
+	 *
+	 * @param {String} planet - name of the planet, 'mercury' to 'neptune' without the earth
+	 * @param {number} year - the year, e.g. 2016
+	 * @param {?boolean} precise - if true the phenomena are refined with the positions of A.Planet
+	 * @return {Array} list of maps with<br>
+	 *                 kind: name of the phenomenon, see innerEvents and outerEvents<br>
+	 *                 jdo: julian day of the phenomenon<br>
+	 *                 elongation: angular distance to the sun in radians, only for the greatest elongations
+	 */
+	events: function (planet, year, precise) {
+		var jd0 = A.JulianDay.calendarGregorianToJD(year, 1, 1);
+		var jd1 = A.JulianDay.calendarGregorianToJD(year + 1, 1, 1);
+		var kinds = A.Planetary._inner(planet) ? A.Planetary.innerEvents : A.Planetary.outerEvents;
+
+		var res = [];
+		kinds.forEach(function (kind) {
+			var a = A.Planetary._tmean(planet, kind);
+			// the stations and elongations are less than half a synodic period away from the mean phenomenon
+			var k0 = Math.ceil((jd0 - a[0]) / a[1] - 0.5);
+			var k1 = Math.floor((jd1 - a[0]) / a[1] + 0.5);
+			for (var k = k0; k <= k1; k++) {
+				var e = A.Planetary._event(planet, kind, k, precise);
+				if (e.jdo.jd >= jd0 && e.jdo.jd < jd1) {
+					e.kind = kind;
+					res.push(e);
+				}
+			}
+		});
+		return res.sort(function (a, b) {
+			return a.jdo.jd - b.jdo.jd;
+		});
+	},
+
+	/**
+	 * Returns the phenomenon for the number k of the mean phenomenon.
+	 */
+	_event: function (planet, kind, k, precise) {
+		var p = Math.PI / 180;
+		var a = A.Planetary._tmean(planet, kind);
+
+		// (36.1) p. 250
+		var J = a[0] + k * a[1];
+		var M = A.Math.pMod(a[2] + k * a[3], 360) * p;
+		var T = (J - A.J2000) / A.JulianCentury;
+
+		var terms = A.Planetary.tperiodic[planet][kind];
+		var jde = terms ? J + A.Planetary._sum(T, M, terms, A.Planetary.tangles[planet]) : J;
+		var res = {
+			jdo: A.JulianDay.jdFromJDE(jde)
+		};
+
+		if (terms && !precise) {
+			var el = A.Planetary.telongation[planet];
+			if (el && el[kind])
+				res.elongation = A.Planetary._sum(T, M, el[kind]) * p;
+			return res;
+		}
+
+		switch (kind) {
+			case 'eastElongation':
+			case 'westElongation':
+				return A.Planetary._elongation(planet, res.jdo, -2, 2, kind === 'eastElongation');
+			case 'station1':
+			case 'station2':
+				var first = kind === 'station1';
+				if (terms)
+					return A.Planetary._station(planet, res.jdo, -2, 2, first);
+				// the retrograde motion of Jupiter to Neptune is centered on the opposition
+				var opposition = A.Planetary._event(planet, 'opposition', k).jdo;
+				var w = a[1] / 4;
+				return A.Planetary._station(planet, opposition, first ? -w : 0, first ? 0 : w, first);
+			default:
+				res.jdo = A.Planetary._conjunction(planet, res.jdo, 2, kind === 'opposition' ? Math.PI : 0);
+				return res;
+		}
+	},
+
+	/**
+	 * Sum of the periodic terms and the additional angles of table 36.B. <br>
+	 * The first row is a polynomial in T, then follow the rows of sin and cos of M, 2M, 3M... and
+	 * at the end the rows of sin and cos of the additional angles.
+	 */
+	_sum: function (T, M, terms, angles) {
+		var n = terms.length - 2 * (angles ? angles.length : 0);
+		var s = A.Math.horner(T, terms[0]);
+		var i, arg;
+		for (i = 1; i < n; i += 2) {
+			arg = (i + 1) / 2 * M;
+			s += Math.sin(arg) * A.Math.horner(T, terms[i]) + Math.cos(arg) * A.Math.horner(T, terms[i + 1]);
+		}
+		for (var j = 0; i < terms.length; i += 2, j++) {
+			// 0:c, 1:f
+			arg = (angles[j][0] + angles[j][1] * T) * Math.PI / 180;
+			s += Math.sin(arg) * A.Math.horner(T, terms[i]) + Math.cos(arg) * A.Math.horner(T, terms[i + 1]);
+		}
+		return s;
+	},
+
+	/**
+	 * Returns the difference of the apparent longitudes of planet and sun in the range [-PI,PI).
+	 */
+	_elongationLng: function (planet, jdo) {
+		var d = A.Planet.apparentEquatorial(planet, jdo).lng - A.Solar.apparentVSOP87(jdo).lng;
+		return A.Math.pMod(d + Math.PI, 2*Math.PI) - Math.PI;
+	},
+
+	/**
+	 * Searches the conjunction (target 0) or opposition (target PI) nearest to jdo.
+	 */
+	_conjunction: function (planet, jdo, days, target) {
+		var c = A.Search.crossings(function (jdo) {
+			return A.Planetary._elongationLng(planet, jdo);
+		}, new A.JulianDay(jdo.jd - days, jdo.deltaT), new A.JulianDay(jdo.jd + days, jdo.deltaT), target,
+			{step: 1, angle: true});
+		if (c.length === 0)
+			throw new Error('No ' + (target ? 'opposition' : 'conjunction') + ' of ' + planet + ' found');
+
+		// the inferior and the superior conjunction both cross 0, keep the nearest crossing
+		c.sort(function (a, b) {
+			return Math.abs(a.jdo.jd - jdo.jd) - Math.abs(b.jdo.jd - jdo.jd);
+		});
+		return c[0].jdo;
+	},
+
+	/**
+	 * Searches the greatest elongation in the range [jdo + from, jdo + to].
+	 */
+	_elongation: function (planet, jdo, from, to, east) {
+		var sep = function (jdo) {
+			return A.Coord.angularSeparation(A.Planet.apparentEquatorial(planet, jdo).eq,
+				A.Solar.apparentEquatorialVSOP87(jdo));
+		};
+		var ex = A.Search.extrema(sep, new A.JulianDay(jdo.jd + from, jdo.deltaT),
+			new A.JulianDay(jdo.jd + to, jdo.deltaT), {step: 1, precision: 60 / 86400});
+		for (var i = 0; i < ex.length; i++) {
+			if (ex[i].maximum && (A.Planetary._elongationLng(planet, ex[i].jdo) > 0) === east) {
+				return {
+					jdo: ex[i].jdo,
+					elongation: ex[i].value
+				};
+			}
+		}
+		throw new Error('No greatest elongation of ' + planet + ' found');
+	},
+
+	/**
+	 * Searches the station in the range [jdo + from, jdo + to], the maximum of the longitude (station1)
+	 * or the minimum (station2).
+	 */
+	_station: function (planet, jdo, from, to, first) {
+		var lng0 = A.Planet.apparentEquatorial(planet, jdo).lng;
+		var ex = A.Search.extrema(function (jdo) {
+			return A.Math.pMod(A.Planet.apparentEquatorial(planet, jdo).lng - lng0 + Math.PI, 2*Math.PI) - Math.PI;
+		}, new A.JulianDay(jdo.jd + from, jdo.deltaT), new A.JulianDay(jdo.jd + to, jdo.deltaT),
+			// there is a single station in the range, the longitude is smooth over a few days
+			{step: Math.max(1, (to - from) / 16), precision: 60 / 86400});
+		for (var i = 0; i < ex.length; i++) {
+			if (ex[i].maximum === first)
+				return {jdo: ex[i].jdo};
+		}
+		throw new Error('No station of ' + planet + ' found');
+	},
+
+	_inner: function (planet) {
+		if (planet === 'mercury' || planet === 'venus')
+			return true;
+		if (!A.Planetary.tmean[planet])
+			throw new Error('Unknown planet: ' + planet);
+		return false;
+	},
+
+	/**
+	 * Returns the row of table 36.A for the phenomenon, the elongations and stations
+	 * use the inferior conjunction or the opposition.
+	 */
+	_tmean: function (planet, kind) {
+		var inner = A.Planetary._inner(planet);
+		var kinds = inner ? A.Planetary.innerEvents : A.Planetary.outerEvents;
+		if (kinds.indexOf(kind) < 0)
+			throw new Error('Unknown phenomenon of ' + planet + ': ' + kind);
+		if (kind !== 'superiorConjunction' && kind !== 'conjunction')
+			kind = inner ? 'inferiorConjunction' : 'opposition';
+		return A.Planetary.tmean[planet][kind];
+	},
+
+	/**
+	 * Mean phenomena, table 36.A p. 250. <br>
+	 * 0:A, 1:B, 2:M0, 3:M1, A in JDE and M in degrees
+	 *
+	 * @const {Map} tmean
+	 * @static
+	 */
+	tmean: {
+		mercury: {
+			inferiorConjunction: [2451612.023, 115.8774771, 63.5867, 114.2088742],
+			superiorConjunction: [2451554.084, 115.8774771, 6.4822, 114.2088742]
+		},
+		venus: {
+			inferiorConjunction: [2451996.706, 583.921361, 82.7311, 215.513058],
+			superiorConjunction: [2451704.746, 583.921361, 154.9745, 215.513058]
+		},
+		mars: {
+			opposition: [2452097.382, 779.936104, 181.9573, 48.705244],
+			conjunction: [2451707.414, 779.936104, 157.6047, 48.705244]
+		},
+		jupiter: {
+			opposition: [2451870.628, 398.884046, 318.4681, 33.140229],
+			conjunction: [2451671.186, 398.884046, 121.8980, 33.140229]
+		},
+		saturn: {
+			opposition: [2451870.170, 378.091904, 318.0172, 12.647487],
+			conjunction: [2451681.124, 378.091904, 131.6934, 12.647487]
+		},
+		uranus: {
+			opposition: [2451764.317, 369.656035, 213.6884, 4.333093],
+			conjunction: [2451579.489, 369.656035, 31.5219, 4.333093]
+		},
+		neptune: {
+			opposition: [2451753.122, 367.486703, 202.6544, 2.194998],
+			conjunction: [2451569.379, 367.486703, 21.5569, 2.194998]
+		}
+	},
+
+	/**
+	 * Additional angles of Jupiter to Neptune, p. 251. <br>
+	 * 0:c, 1:f, the angle is c + f * T in degrees
+	 *
+	 * @const {Map} tangles
+	 * @static
+	 */
+	tangles: {
+		jupiter: [[82.74, 40.76]],
+		saturn: [[82.74, 40.76], [29.86, 1181.36], [14.13, 590.68], [220.02, 1262.87]],
+		uranus: [[207.83, 8.51], [108.84, 419.96]],
+		neptune: [[207.83, 8.51], [276.74, 209.98]]
+	},
+
+	/**
+	 * Periodic terms of the conjunctions, oppositions, greatest elongations and stations in days,
+	 * table 36.B p. 251 and table 36.C p. 255. <br>
+	 * Rows of polynomial coefficients in T for: the constant term, then sin M, cos M, sin 2M, cos 2M, ...
+	 * and the sin and cos of the additional angles
+	 *
+	 * @const {Map} tperiodic
+	 * @static
+	 */
+	tperiodic: {
+		mercury: {
+			inferiorConjunction: [
+				[0.0545, 0.0002],
+				[-6.2008, 0.0074, 0.00003],
+				[-3.2750, -0.0197, 0.00001],
+				[0.4737, -0.0052, -0.00001],
+				[0.8111, 0.0033, -0.00002],
+				[0.0037, 0.0018],
+				[-0.1768, 0, 0.00001],
+				[-0.0211, -0.0004],
+				[0.0326, -0.0003],
+				[0.0083, 0.0001],
+				[-0.0040, 0.0001]
+			],
+			superiorConjunction: [
+				[-0.0548, -0.0002],
+				[7.3894, -0.0100, -0.00003],
+				[3.2200, 0.0197, -0.00001],
+				[0.8383, -0.0064, -0.00001],
+				[0.9666, 0.0039, -0.00003],
+				[0.0770, -0.0026],
+				[0.2758, 0.0002, -0.00002],
+				[-0.0128, -0.0008],
+				[0.0734, -0.0004, -0.00001],
+				[-0.0122, -0.0002],
+				[0.0173, -0.0002]
+			],
+			eastElongation: [
+				[-21.6106, 0.0002],
+				[-1.9803, -0.0060, 0.00001],
+				[1.4151, -0.0072, -0.00001],
+				[0.5528, -0.0005, -0.00001],
+				[0.2905, 0.0034, 0.00001],
+				[-0.1121, -0.0001, 0.00001],
+				[-0.0098, -0.0015],
+				[0.0192],
+				[0.0111, 0.0004],
+				[-0.0061],
+				[-0.0032, -0.0001]
+			],
+			westElongation: [
+				[21.6249, -0.0002],
+				[0.1306, 0.0065],
+				[-2.7661, -0.0011, 0.00001],
+				[0.2438, -0.0024, -0.00001],
+				[0.5767, 0.0023],
+				[0.1041],
+				[-0.0184, 0.0007],
+				[-0.0051, -0.0001],
+				[0.0048, 0.0001],
+				[0.0026],
+				[0.0037]
+			],
+			station1: [
+				[-11.0761, 0.0003],
+				[-4.7321, 0.0023, 0.00002],
+				[-1.3230, -0.0156],
+				[0.2270, -0.0046],
+				[0.7184, 0.0013, -0.00002],
+				[0.0638, 0.0016],
+				[-0.1655, 0.0007],
+				[-0.0395, -0.0003],
+				[0.0247, -0.0006],
+				[0.0131],
+				[0.0008, 0.0002]
+			],
+			station2: [
+				[11.1343, -0.0001],
+				[-3.9137, 0.0073, 0.00002],
+				[-3.3861, -0.0128, 0.00001],
+				[0.5222, -0.0040, -0.00002],
+				[0.5929, 0.0039, -0.00002],
+				[-0.0593, 0.0018],
+				[-0.1733, -0.0007, 0.00001],
+				[-0.0053, -0.0006],
+				[0.0476, -0.0001],
+				[0.0070, 0.0002],
+				[-0.0115, 0.0001]
+			]
+		},
+		venus: {
+			inferiorConjunction: [
+				[-0.0096, 0.0002, -0.00001],
+				[2.0009, -0.0033, -0.00001],
+				[0.5980, -0.0104, 0.00001],
+				[0.0967, -0.0018, -0.00003],
+				[0.0913, 0.0009, -0.00002],
+				[0.0046, -0.0002],
+				[0.0079, 0.0001]
+			],
+			superiorConjunction: [
+				[0.0099, -0.0002, -0.00001],
+				[4.1991, -0.0121, -0.00003],
+				[-0.6095, 0.0102, -0.00002],
+				[0.2500, -0.0028, -0.00003],
+				[0.0063, 0.0025, -0.00002],
+				[0.0232, -0.0005, -0.00001],
+				[0.0031, 0.0004]
+			],
+			eastElongation: [
+				[-70.7600, 0.0002, -0.00001],
+				[1.0282, -0.0010, -0.00001],
+				[0.2761, -0.0060],
+				[-0.0438, -0.0023, 0.00002],
+				[0.1660, -0.0037, -0.00004],
+				[0.0036, 0.0001],
+				[-0.0011, 0, 0.00001]
+			],
+			westElongation: [
+				[70.7462, 0, -0.00001],
+				[1.1218, -0.0025, -0.00001],
+				[0.4538, -0.0066],
+				[0.1320, 0.0020, -0.00003],
+				[-0.0702, 0.0022, 0.00004],
+				[0.0062, -0.0001],
+				[0.0015, 0, -0.00001]
+			],
+			station1: [
+				[-21.0672, 0.0002, -0.00001],
+				[1.9396, -0.0029, -0.00001],
+				[1.0727, -0.0102],
+				[0.0404, -0.0023, -0.00001],
+				[0.1305, -0.0004, -0.00003],
+				[-0.0007, -0.0002],
+				[0.0098]
+			],
+			station2: [
+				[21.0623, 0, -0.00001],
+				[1.9913, -0.0040, -0.00001],
+				[-0.0407, -0.0077],
+				[0.1351, -0.0009, -0.00004],
+				[0.0303, 0.0019],
+				[0.0089, -0.0002],
+				[0.0043, 0.0001]
+			]
+		},
+		mars: {
+			opposition: [
+				[-0.3088, 0, 0.00002],
+				[-17.6965, 0.0363, 0.00005],
+				[18.3131, 0.0467, -0.00006],
+				[-0.2162, -0.0198, -0.00001],
+				[-4.5028, -0.0019, 0.00007],
+				[0.8987, 0.0058, -0.00002],
+				[0.7666, -0.0050, -0.00003],
+				[-0.3636, -0.0001, 0.00002],
+				[0.0402, 0.0032],
+				[0.0737, -0.0008],
+				[-0.0980, -0.0011]
+			],
+			conjunction: [
+				[0.3102, -0.0001, 0.00001],
+				[9.7273, -0.0156, 0.00001],
+				[-18.3195, -0.0467, 0.00009],
+				[-1.6488, -0.0133, 0.00001],
+				[-2.6117, -0.0020, 0.00004],
+				[-0.6827, -0.0026, 0.00001],
+				[0.0281, 0.0035, 0.00001],
+				[-0.0823, 0.0006, 0.00001],
+				[0.1584, 0.0013],
+				[0.0270, 0.0005],
+				[0.0433]
+			],
+			station1: [
+				[-37.0790, -0.0009, 0.00002],
+				[-20.0651, 0.0228, 0.00004],
+				[14.5205, 0.0504, -0.00001],
+				[1.1737, -0.0169],
+				[-4.2550, -0.0075, 0.00008],
+				[0.4897, 0.0074, -0.00001],
+				[1.1151, -0.0021, -0.00005],
+				[-0.3636, -0.0020, 0.00001],
+				[-0.1769, 0.0028, 0.00002],
+				[0.1437, -0.0004],
+				[-0.0383, -0.0016]
+			],
+			station2: [
+				[36.7191, 0.0016, 0.00003],
+				[-12.6163, 0.0417, -0.00001],
+				[20.1218, 0.0379, -0.00006],
+				[-1.6360, -0.0190],
+				[-3.9657, 0.0045, 0.00007],
+				[1.1546, 0.0029, -0.00003],
+				[0.2888, -0.0073, -0.00002],
+				[-0.3128, 0.0017, 0.00002],
+				[0.2513, 0.0026, -0.00002],
+				[-0.0021, -0.0016],
+				[-0.1497, -0.0006]
+			]
+		},
+		jupiter: {
+			opposition: [
+				[-0.1029, 0, -0.00009],
+				[-1.9658, -0.0056, 0.00007],
+				[6.1537, 0.0210, -0.00006],
+				[-0.2081, -0.0013],
+				[-0.1116, -0.0010],
+				[0.0074, 0.0001],
+				[-0.0097, -0.0001],
+				[0, 0.0144, -0.00008],
+				[0.3642, -0.0019, -0.00029]
+			],
+			conjunction: [
+				[0.1027, 0.0002, -0.00009],
+				[-2.2637, 0.0163, -0.00003],
+				[-6.1540, -0.0210, 0.00008],
+				[-0.2021, -0.0017, 0.00001],
+				[0.1310, -0.0008],
+				[0.0086],
+				[0.0087, 0.0002],
+				[0, 0.0144, -0.00008],
+				[0.3642, -0.0019, -0.00029]
+			]
+		},
+		saturn: {
+			opposition: [
+				[-0.0209, 0.0006, 0.00023],
+				[4.5795, -0.0312, -0.00017],
+				[1.1462, -0.0351, 0.00011],
+				[0.0985, -0.0015],
+				[0.0733, -0.0031, 0.00001],
+				[0.0025, -0.0001],
+				[0.0050, -0.0002],
+				[0, -0.0337, 0.00018],
+				[-0.8510, 0.0044, 0.00068],
+				[0, -0.0064, 0.00004],
+				[0.2397, -0.0012, -0.00008],
+				[0, -0.0010],
+				[0.1245, 0.0006],
+				[0, 0.0024, -0.00003],
+				[0.0477, -0.0005, -0.00006]
+			],
+			conjunction: [
+				[0.0172, -0.0006, 0.00023],
+				[-8.5885, 0.0411, 0.00020],
+				[-1.1470, 0.0352, -0.00011],
+				[0.3331, -0.0034, -0.00001],
+				[0.1145, -0.0045, 0.00002],
+				[-0.0169, 0.0002],
+				[-0.0109, 0.0004],
+				[0, -0.0337, 0.00018],
+				[-0.8510, 0.0044, 0.00068],
+				[0, -0.0064, 0.00004],
+				[0.2397, -0.0012, -0.00008],
+				[0, -0.0010],
+				[0.1245, 0.0006],
+				[0, 0.0024, -0.00003],
+				[0.0477, -0.0005, -0.00006]
+			]
+		},
+		uranus: {
+			opposition: [
+				[0.0844, -0.0006],
+				[-0.1048, 0.0246],
+				[-5.1221, 0.0104, 0.00003],
+				[-0.1428, 0.0005],
+				[-0.0148, -0.0013],
+				[0],
+				[0.0055],
+				[0],
+				[0.8850],
+				[0],
+				[0.2153]
+			],
+			conjunction: [
+				[-0.0859, 0.0003],
+				[-3.8179, -0.0148, 0.00003],
+				[5.1228, -0.0105, -0.00002],
+				[-0.0803, 0.0011],
+				[-0.1905, -0.0022],
+				[0.0088, 0.0001],
+				[0],
+				[0],
+				[0.8850],
+				[0],
+				[0.2153]
+			]
+		},
+		neptune: {
+			opposition: [
+				[-0.0140, 0, 0.00001],
+				[-1.3486, 0.0010, 0.00001],
+				[0.8597, 0.0037],
+				[-0.0082, -0.0002, 0.00001],
+				[0.0037, -0.0003],
+				[0],
+				[-0.5964],
+				[0],
+				[0.0728]
+			],
+			conjunction: [
+				[0.0168],
+				[-2.5606, 0.0088, 0.00002],
+				[-0.8611, -0.0037, 0.00002],
+				[0.0118, -0.0004, 0.00001],
+				[0.0307, -0.0003],
+				[0],
+				[-0.5964],
+				[0],
+				[0.0728]
+			]
+		}
+	},
+
+	/**
+	 * Periodic terms of the greatest elongations of Mercury and Venus in degrees, table 36.C p. 255. <br>
+	 * Rows of polynomial coefficients in T like tperiodic
+	 *
+	 * @const {Map} telongation
+	 * @static
+	 */
+	telongation: {
+		mercury: {
+			eastElongation: [
+				[22.4697],
+				[-4.2666, 0.0054, 0.00002],
+				[-1.8537, -0.0137],
+				[0.3598, 0.0008, -0.00001],
+				[-0.0680, 0.0026],
+				[-0.0524, -0.0003],
+				[0.0052, -0.0006],
+				[0.0107, 0.0001],
+				[-0.0013, 0.0001],
+				[-0.0021],
+				[0.0003]
+			],
+			westElongation: [
+				[22.4143, -0.0001],
+				[4.3651, -0.0048, -0.00002],
+				[2.3787, 0.0121, -0.00001],
+				[0.2674, 0.0022],
+				[-0.3873, 0.0008, 0.00001],
+				[-0.0369, -0.0001],
+				[0.0017, -0.0001],
+				[0.0059],
+				[0.0061, 0.0001],
+				[0.0007],
+				[-0.0011]
+			]
+		},
+		venus: {
+			eastElongation: [
+				[46.3173, 0.0001],
+				[0.6916, -0.0024],
+				[0.6676, -0.0045],
+				[0.0309, -0.0002],
+				[0.0036, -0.0001]
+			],
+			westElongation: [
+				[46.3245],
+				[-0.5366, 0.0026],
+				[0.3097, -0.0047],
+				[-0.0163],
+				[-0.0075, 0.0001]
+			]
+		}
+	}
+};
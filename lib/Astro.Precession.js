@@ -0,0 +1,214 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+/**
+ * Methods for calculations of the precession of coordinates between two epochs (see Chapter 21). <br>
+ * The epochs are given as A.JulianDay, use julianEpoch for the standard epochs like J2000.0. <br>
+ * Proper motions are maps with ra and dec, the annual proper motion in right ascension
+ * and declination in radians per julian year.
+ * @module A.Precession
+ */
+A.Precession = {
+
+	/**
+	 * julianEpoch returns the julian day of a julian epoch, e.g. J2000.0 for 2000 or J2050.0 for 2050.
+	 *
+	 * @function julianEpoch
+	 * @static
+	 *
+	 * @param {number} year - julian year
+	 * @return {A.JulianDay} julian day, the epoch refers to the dynamical time
+	 */
+	julianEpoch: function (year) {
+		return A.JulianDay.jdFromJDE(A.J2000 + (year - 2000) * A.JulianYear);
+	},
+
+	/**
+	 * approxAnnualPrecession returns the annual precession in right ascension and declination
+	 * with the low accuracy formula (21.1). <br>
+	 * The quantities m and n are taken at the middle of the two epochs. The result is
+	 * valid for a few centuries and not too close to the celestial poles.
+	 *
+	 * @function approxAnnualPrecession
+	 * @static
+	 *
+	 * @param {A.EqCoord} eqcoord - equatorial coordinates at jdoFrom
+	 * @param {A.JulianDay} jdoFrom - epoch of the coordinates
+	 * @param {A.JulianDay} jdoTo - target epoch
+	 * @return {Map} ra, dec: annual precession in radians per julian year
+	 */
+	approxAnnualPrecession: function (eqcoord, jdoFrom, jdoTo) {
+		var T = ((jdoFrom.jde + jdoTo.jde) / 2 - A.J2000) / A.JulianCentury;
+		// p. 132
+		var m = (3.07496 + 0.00186 * T) * 15 / 3600 * Math.PI / 180; // seconds of RA
+		var n = (1.33621 - 0.00057 * T) * 15 / 3600 * Math.PI / 180;
+		var n2 = (20.0431 - 0.0085 * T) / 3600 * Math.PI / 180; // arcseconds
+		return {
+			ra: m + n * Math.sin(eqcoord.ra) * Math.tan(eqcoord.dec), // (21.1) p. 132
+			dec: n2 * Math.cos(eqcoord.ra)
+		};
+	},
+
+	/**
+	 * approxPosition precesses equatorial coordinates with the low accuracy formula (21.1)
+	 * and adds the proper motion.
+	 *
+	 * @function approxPosition
+	 * @static
+	 *
+	 * @param {A.EqCoord} eqcoord - equatorial coordinates at jdoFrom
+	 * @param {A.JulianDay} jdoFrom - epoch of the coordinates
+	 * @param {A.JulianDay} jdoTo - target epoch
+	 * @param {?Map} pm - annual proper motion, ra and dec in radians per julian year
+	 * @return {A.EqCoord} equatorial coordinates at jdoTo
+	 */
+	approxPosition: function (eqcoord, jdoFrom, jdoTo, pm) {
+		var ap = A.Precession.approxAnnualPrecession(eqcoord, jdoFrom, jdoTo);
+		var years = (jdoTo.jde - jdoFrom.jde) / A.JulianYear;
+		pm = pm || {ra: 0, dec: 0};
+		return new A.EqCoord(
+			A.Math.pMod(eqcoord.ra + (ap.ra + pm.ra) * years, 2*Math.PI),
+			eqcoord.dec + (ap.dec + pm.dec) * years
+		);
+	},
+
+	/**
+	 * position precesses equatorial coordinates rigorously with the angles zeta, z and theta (21.2, 21.3)
+	 * and adds the proper motion.
+	 *
+	 * @function position
+	 * @static
+	 *
+	 * @param {A.EqCoord} eqcoord - equatorial coordinates at jdoFrom
+	 * @param {A.JulianDay} jdoFrom - epoch of the coordinates
+	 * @param {A.JulianDay} jdoTo - target epoch
+	 * @param {?Map} pm - annual proper motion, ra and dec in radians per julian year
+	 * @return {A.EqCoord} equatorial coordinates at jdoTo
+	 */
+	position: function (eqcoord, jdoFrom, jdoTo, pm) {
+		var a = A.Precession.angles(jdoFrom, jdoTo);
+
+		// the proper motion is applied first, p. 135
+		var ra = eqcoord.ra;
+		var dec = eqcoord.dec;
+		if (pm) {
+			var years = (jdoTo.jde - jdoFrom.jde) / A.JulianYear;
+			ra += pm.ra * years;
+			dec += pm.dec * years;
+		}
+
+		var sdec = Math.sin(dec);
+		var cdec = Math.cos(dec);
+		var sraz = Math.sin(ra + a.zeta);
+		var craz = Math.cos(ra + a.zeta);
+		var stheta = Math.sin(a.theta);
+		var ctheta = Math.cos(a.theta);
+
+		// (21.4) p. 134
+		var A_ = cdec * sraz;
+		var B = ctheta * cdec * craz - stheta * sdec;
+		var C = stheta * cdec * craz + ctheta * sdec;
+
+		// near the celestial pole the declination is computed from the cosine
+		var decTo = Math.abs(C) < 0.99 ? Math.asin(C) :
+			(C > 0 ? 1 : -1) * Math.acos(Math.sqrt(A_*A_ + B*B));
+		return new A.EqCoord(
+			A.Math.pMod(Math.atan2(A_, B) + a.z, 2*Math.PI),
+			decTo
+		);
+	},
+
+	/**
+	 * angles returns the angles zeta, z and theta of the precession of equatorial coordinates
+	 * between two epochs. (21.2) and (21.3) p. 134
+	 *
+	 * @function angles
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdoFrom - starting epoch
+	 * @param {A.JulianDay} jdoTo - target epoch
+	 * @return {Map} zeta, z, theta in radians
+	 */
+	angles: function (jdoFrom, jdoTo) {
+		var T = (jdoFrom.jde - A.J2000) / A.JulianCentury;
+		var t = (jdoTo.jde - jdoFrom.jde) / A.JulianCentury;
+		var s = Math.PI / 180 / 3600;
+
+		var zeta, z, theta;
+		if (T === 0) {
+			// (21.3) p. 134
+			zeta = A.Math.horner(t, [0, 2306.2181, 0.30188, 0.017998]);
+			z = A.Math.horner(t, [0, 2306.2181, 1.09468, 0.018203]);
+			theta = A.Math.horner(t, [0, 2004.3109, -0.42665, -0.041833]);
+		} else {
+			// (21.2) p. 134
+			var c1 = A.Math.horner(T, [2306.2181, 1.39656, -0.000139]);
+			var c2 = A.Math.horner(T, [2004.3109, -0.85330, -0.000217]);
+			zeta = A.Math.horner(t, [0, c1, 0.30188 - 0.000344*T, 0.017998]);
+			z = A.Math.horner(t, [0, c1, 1.09468 + 0.000066*T, 0.018203]);
+			theta = A.Math.horner(t, [0, c2, -0.42665 - 0.000217*T, -0.041833]);
+		}
+		return {
+			zeta: zeta * s,
+			z: z * s,
+			theta: theta * s
+		};
+	},
+
+	/**
+	 * eclipticPosition precesses ecliptic coordinates rigorously with the angles eta, pi and p (21.5, 21.7).
+	 * The proper motion must be given in ecliptic longitude and latitude.
+	 *
+	 * @function eclipticPosition
+	 * @static
+	 *
+	 * @param {A.EclCoord} eclcoord - ecliptic coordinates at jdoFrom as returned by A.Coord.eqToEcl,
+	 *                                lat is the ecliptic longitude and lng the ecliptic latitude
+	 * @param {A.JulianDay} jdoFrom - epoch of the coordinates
+	 * @param {A.JulianDay} jdoTo - target epoch
+	 * @param {?Map} pm - annual proper motion, lat and lng in radians per julian year
+	 * @return {A.EclCoord} ecliptic coordinates at jdoTo, same convention as eclcoord
+	 */
+	eclipticPosition: function (eclcoord, jdoFrom, jdoTo, pm) {
+		var T = (jdoFrom.jde - A.J2000) / A.JulianCentury;
+		var t = (jdoTo.jde - jdoFrom.jde) / A.JulianCentury;
+		var s = Math.PI / 180 / 3600;
+
+		// (21.5) p. 136
+		var eta = A.Math.horner(t, [0,
+			A.Math.horner(T, [47.0029, -0.06603, 0.000598]),
+			-0.03302 + 0.000598*T,
+			0.000060]) * s;
+		var pi = A.Math.horner(T, [174.876384 * 3600, 3289.4789, 0.60622]) * s -
+			A.Math.horner(t, [0, 869.8089 + 0.50491*T, -0.03536]) * s;
+		var p = A.Math.horner(t, [0,
+			A.Math.horner(T, [5029.0966, 2.22226, -0.000042]),
+			1.11113 - 0.000042*T,
+			-0.000006]) * s;
+
+		var lng = eclcoord.lat;
+		var lat = eclcoord.lng;
+		if (pm) {
+			var years = (jdoTo.jde - jdoFrom.jde) / A.JulianYear;
+			lng += pm.lat * years;
+			lat += pm.lng * years;
+		}
+
+		var seta = Math.sin(eta);
+		var ceta = Math.cos(eta);
+		var slat = Math.sin(lat);
+		var clat = Math.cos(lat);
+		var spl = Math.sin(pi - lng);
+		var cpl = Math.cos(pi - lng);
+
+		// (21.7) p. 137
+		var A_ = ceta * clat * spl - seta * slat;
+		var B = clat * cpl;
+		var C = ceta * slat + seta * clat * spl;
+		return new A.EclCoord(
+			A.Math.pMod(p + pi - Math.atan2(A_, B), 2*Math.PI),
+			Math.asin(C)
+		);
+	}
+};
@@ -69,5 +69,21 @@ A.Refraction = {
 		var c103 = 10.3 * cRad * cRad;
 		var c511 = 5.11 * cRad;
 		return c102 / Math.tan(h + c103 / (h + c511));
-	}		
+	},
+
+	/**
+	 * horizonDip returns the dip of the visible horizon for an observer above the sea level. <br>
+	 * The formula includes the standard terrestrial refraction (1.76' times the square root of the height).
+	 *
+	 * @function horizonDip
+	 * @static
+	 *
+	 * @param {?number} h - height of the observer in meters above the sea level.
+	 * @return {number} result in radians
+	 */
+	horizonDip: function(h) {
+		if (!h || h < 0)
+			return 0;
+		return 1.76 / 60 * Math.PI / 180 * Math.sqrt(h);
+	}
 };
\ No newline at end of file
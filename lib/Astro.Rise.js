@@ -43,6 +43,30 @@ A.Rise = {
 	 */
 	stdh0LunarMean:  0.125 * Math.PI / 180, //A.Coord.calcAngle(false, 0, 0, .125),
 
+	/**
+	 * The altitude of the sun at the begin and the end of the civil twilight
+	 *
+	 * @const {Number} stdh0CivilTwilight
+	 * @static
+	 */
+	stdh0CivilTwilight: -6 * Math.PI / 180,
+
+	/**
+	 * The altitude of the sun at the begin and the end of the nautical twilight
+	 *
+	 * @const {Number} stdh0NauticalTwilight
+	 * @static
+	 */
+	stdh0NauticalTwilight: -12 * Math.PI / 180,
+
+	/**
+	 * The altitude of the sun at the begin and the end of the astronomical twilight
+	 *
+	 * @const {Number} stdh0AstronomicalTwilight
+	 * @static
+	 */
+	stdh0AstronomicalTwilight: -18 * Math.PI / 180,
+
 	/**
 	 * Stdh0Lunar is the standard altitude of the Moon considering parallax, the
 	 * Moon's horizontal parallax.
@@ -58,14 +82,34 @@ A.Rise = {
 	},
 
 	/**
-	 * Approximate times. 
+	 * Stdh0LunarTopocentric is the standard altitude of the Moon for topocentric coordinates.
+	 * The parallax is already part of the coordinates, only the semidiameter and the
+	 * refraction remain.
 	 * 
-	 * @function circumpolar
+	 * @function stdh0LunarTopocentric
 	 * @static
 	 *
-	 * @param {number} name - desc
+	 * @param {number} parallax - the paralax
 	 * @return {number} result in radians
 	 */
+	stdh0LunarTopocentric: function(parallax)  {
+		return A.Rise.stdh0Lunar(parallax) - parallax;
+	},
+
+	/**
+	 * circumpolar computes the cosine of the hour angle of rise and set of a body
+	 * and tells if the body does not rise or set at all. 
+	 * 
+	 * @function circumpolar
+	 * @static
+	 *
+	 * @param {number} lat - latitude of observer on Earth
+	 * @param {number} h0 - is "standard altitude" of the body
+	 * @param {number} dec - declination of the body
+	 * @return {Map} cH0: cosine of the hour angle, outside of [-1,1] if the body does not rise or set<br>
+	 *               alwaysAbove: true if the body does not set (circumpolar)<br>
+	 *               alwaysBelow: true if the body does not rise
+	 */
 	circumpolar: function(lat, h0, dec) {
 		// Meeus works in a crazy mix of units.
 		// This function and Times work with seconds of time as much as possible.
@@ -76,11 +120,11 @@ A.Rise = {
 		var sdec1 = Math.sin(dec);
 		var cdec1 = Math.cos(dec);
 		var cH0 = (Math.sin(h0) - slat * sdec1) / (clat * cdec1); // (15.1) p. 102
-		if (cH0 < -1 || cH0 > 1) {
-			// ErrorCircumpolar
-			return null;
-		}
-		return cH0;
+		return {
+			cH0: cH0,
+			alwaysAbove: cH0 < -1,
+			alwaysBelow: cH0 > 1
+		};
 	},
 	
 	/**
@@ -116,28 +160,34 @@ A.Rise = {
 	 * @param {Number} h0 - is "standard altitude" of the body
 	 * @param {Number} Th0 - is apparent sidereal time at 0h UT at Greenwich
 	 * @param {A.EqCoord} eqcoord - right ascension and declination of the body at 0h dynamical time for the day of interest.
-	 * @return {Map} transit, rise, set in seconds and in in the range [0,86400)
+	 * @param {?number} offset - time zone offset to UT in hours. If set, the times are in seconds since
+	 *                           the local midnight and Th0, eqcoord are for 0h UT of the local calendar date.
+	 * @return {Map} transit, rise, set in seconds and in in the range [0,86400)<br>
+	 *               alwaysAbove, alwaysBelow: see circumpolar, rise and set are not set if one is true
 	 */
-	approxTimes: function(eclcoord, h0, Th0, eqcoord) {
+	approxTimes: function(eclcoord, h0, Th0, eqcoord, offset) {
 		
-		var cH0 = A.Rise.circumpolar(eclcoord.lat, h0, eqcoord.dec); // (15.1) p. 102
-		if (!cH0) 
-			return null;
-		
-		var H0 = Math.acos(cH0) * 43200 / Math.PI;
+		var cp = A.Rise.circumpolar(eclcoord.lat, h0, eqcoord.dec); // (15.1) p. 102
 
 		// approximate transit, rise, set times.
 		// (15.2) p. 102.
 		var mt = (eqcoord.ra + eclcoord.lng) * 43200 / Math.PI - Th0;
-		return {
+		mt += (offset || 0) * 3600; // seconds since local midnight
+		var at = {
 			transit: A.Math.pMod(mt, 86400),
-			transitd:Math.floor(mt / 86400),
-			
-			rise: A.Math.pMod(mt - H0, 86400),
-			rised: Math.floor((mt - H0) / 86400),
-			set: A.Math.pMod(mt + H0, 86400),
-			setd: Math.floor((mt + H0) / 86400)
+			transitd: Math.floor(mt / 86400),
+			alwaysAbove: cp.alwaysAbove,
+			alwaysBelow: cp.alwaysBelow
 		};
+		if (cp.alwaysAbove || cp.alwaysBelow)
+			return at;
+		
+		var H0 = Math.acos(cp.cH0) * 43200 / Math.PI;
+		at.rise = A.Math.pMod(mt - H0, 86400);
+		at.rised = Math.floor((mt - H0) / 86400);
+		at.set = A.Math.pMod(mt + H0, 86400);
+		at.setd = Math.floor((mt + H0) / 86400);
+		return at;
 	},
 	
 	/**
@@ -154,45 +204,236 @@ A.Rise = {
 	 * @param {Number} h0 - is "standard altitude" of the body
 	 * @param {Number} Th0 - is apparent sidereal time at 0h UT at Greenwich
 	 * @param {Array} eqcoord3 - array with 3 A.EqCoord of the body at 0h dynamical time for the day of interest.
-	 * @return {Map} transit, rise, set in seconds and in in the range [0,86400)
+	 * @param {?number} offset - time zone offset to UT in hours, see approxTimes. Use A.Rise.searchTimes
+	 *                           for IANA time zones, the interpolation has no julian day to resolve them.
+	 * @return {Map} transit, rise, set in seconds and in in the range [0,86400)<br>
+	 *               alwaysAbove, alwaysBelow: see circumpolar, rise and set are not set if one is true
 	 */
-	times: function(eclcoord, deltaT, h0, Th0, eqcoord3) {
-		var at = A.Rise.approxTimes(eclcoord, h0, Th0, eqcoord3[1]);
-		
-		if (!at) {
-			return null;
-		}
+	times: function(eclcoord, deltaT, h0, Th0, eqcoord3, offset) {
+		var at = A.Rise.approxTimes(eclcoord, h0, Th0, eqcoord3[1], offset);
+		var s0 = -(offset || 0) * 3600; // local midnight in seconds of the UT day
 		
 		var d3ra = A.Interp.newLen3(-86400, 86400, [eqcoord3[0].ra, eqcoord3[1].ra, eqcoord3[2].ra]);
 		var d3dec = A.Interp.newLen3(-86400, 86400, [eqcoord3[0].dec, eqcoord3[1].dec, eqcoord3[2].dec]);
 	
 		// adjust mTransit
 		{
-			var th0 = Th0+at.transit * 360.985647 / 360;
-			var ra = A.Interp.interpolateX(d3ra, at.transit + deltaT);
+			var th0 = Th0+(at.transit + s0) * 360.985647 / 360;
+			var ra = A.Interp.interpolateX(d3ra, at.transit + s0 + deltaT);
 			var H = th0 - (eclcoord.lng+ra) * 43200 / Math.PI; // H in seconds
 			at.transit = A.Math.pMod(at.transit - H, 86400);
 		}
 		
+		if (at.alwaysAbove || at.alwaysBelow)
+			return at;
+		
 		// adjust mRise, mSet
 		var slat = Math.sin(eclcoord.lat);
 		var clat = Math.cos(eclcoord.lat);
 	
 		function adjustRS(m) {
-			var th0 = A.Math.pMod(Th0 + m * 360.985647 / 360, 86400);
-			var ut = m + deltaT;
+			var th0 = A.Math.pMod(Th0 + (m + s0) * 360.985647 / 360, 86400);
+			var ut = m + s0 + deltaT;
 			var ra = A.Interp.interpolateX(d3ra, ut);
 			var dec = A.Interp.interpolateX(d3dec, ut);
 			var H = th0 * Math.PI / 43200 - (eclcoord.lng + ra); // H in rad
 			var sdec = Math.sin(dec);
 			var cdec = Math.cos(dec);
 			
-			var h = slat*sdec + clat*cdec*Math.cos(H);
+			var h = Math.asin(slat*sdec + clat*cdec*Math.cos(H)); // (13.6) p. 93
 			var deltam = (h-h0)/(cdec*clat*Math.sin(H)); // deltam in radians 
 			return A.Math.pMod(m + deltam * 43200 / Math.PI, 86400);
 		}
 		at.rise = adjustRS(at.rise);
 		at.set = adjustRS(at.set);
 		return at;
+	},
+
+	/**
+	 * events searches all rise, transit and set times of a celestial object in a time range. <br>
+	 * Unlike times, the events are searched with A.Search to a precision below one second
+	 * and work for any time range.
+	 * 
+	 * @function events
+	 * @static
+	 *
+	 * @param {A.EclCoord} eclcoord - ecliptic coordinates of observer on Earth
+	 * @param {Number} h0 - is "standard altitude" of the body
+	 * @param {Function} eqfn - function(jdo, st) returning the A.EqCoord of the body for
+	 *                          a julian day and the apparent sidereal time st in radians
+	 * @param {A.JulianDay} jdoStart - start of the range
+	 * @param {A.JulianDay} jdoEnd - end of the range
+	 * @return {Map} rises, transits, sets: lists of A.JulianDay ordered by time<br>
+	 *               alwaysAbove, alwaysBelow: true if the body stays above or below h0 in the range
+	 */
+	events: function(eclcoord, h0, eqfn, jdoStart, jdoEnd) {
+		var altitude = A.Rise._altitudeFn(eclcoord, eqfn);
+
+		var res = {
+			rises: [],
+			transits: [],
+			sets: []
+		};
+		A.Search.crossings(altitude, jdoStart, jdoEnd, h0).forEach(function (c) {
+			(c.rising ? res.rises : res.sets).push(c.jdo);
+		});
+		A.Search.crossings(A.Rise._hourAngleFn(eclcoord, eqfn), jdoStart, jdoEnd, 0, {angle: true}).forEach(function (c) {
+			res.transits.push(c.jdo);
+		});
+
+		var below = false;
+		if (res.rises.length === 0 && res.sets.length === 0)
+			below = altitude(jdoStart) < h0;
+		res.alwaysAbove = res.rises.length === 0 && res.sets.length === 0 && !below;
+		res.alwaysBelow = below;
+		return res;
+	},
+
+	/**
+	 * next searches the next rise or set of a celestial object after the given julian day. <br>
+	 * Days on which the declination keeps the body more than a degree above or below h0 at both
+	 * culminations are skipped without a search, this makes the scan through a polar day or night fast.
+	 * 
+	 * @function next
+	 * @static
+	 *
+	 * @param {A.EclCoord} eclcoord - ecliptic coordinates of observer on Earth
+	 * @param {Number} h0 - is "standard altitude" of the body
+	 * @param {Function} eqfn - function(jdo, st) returning the A.EqCoord of the body (see events)
+	 * @param {A.JulianDay} jdo - julian day to start the search
+	 * @param {boolean} rising - true to search the next rise, false to search the next set
+	 * @param {?number} days - maximum number of days to search, default is 366
+	 * @return {A.JulianDay} julian day of the event or undefined if there is no event within the days
+	 */
+	next: function(eclcoord, h0, eqfn, jdo, rising, days) {
+		var altitude = A.Rise._altitudeFn(eclcoord, eqfn);
+		var declination = function (jd) {
+			var jdo1 = new A.JulianDay(jd, jdo.deltaT);
+			return eqfn(jdo1, A.Sidereal.apparentInRa(jdo1)).dec;
+		};
+		days = days === undefined ? 366 : days;
+		var dec1 = declination(jdo.jd);
+		for (var d = 0; d < days; d++) {
+			var dec0 = dec1;
+			dec1 = declination(jdo.jd + d + 1);
+			if (!A.Rise._mayCross(eclcoord.lat, h0, dec0, dec1))
+				continue;
+
+			var c = A.Search.crossings(altitude, 
+				new A.JulianDay(jdo.jd + d, jdo.deltaT), 
+				new A.JulianDay(jdo.jd + d + 1, jdo.deltaT), h0);
+			for (var i = 0; i < c.length; i++) {
+				if (c[i].rising === rising)
+					return c[i].jdo;
+			}
+		}
+		return undefined;
+	},
+
+	/**
+	 * searchTimes computes rise, transit and set times for a celestial object on
+	 * the day of interest with A.Rise.events. <br>
+	 * Without timezone the day is the UT day, with a timezone it is the local calendar day
+	 * from midnight to midnight, which has 23 or 25 hours when the daylight saving time changes.
+	 * The local day is the day of the instant jdo in the time zone, not of its UT calendar date:
+	 * 2016-03-01 0h UT is still the 29. february in UTC-8. Use noon UT for a calendar date,
+	 * e.g. A.JulianDay.calendarGregorianToJD(2016, 3, 1.5), it is on the same local day for offsets up to 11 hours.
+	 * The times in seconds are counted from the local midnight, on these days they differ from
+	 * the local clock time by one hour after the change, dates and iso are always exact. Events which do not happen on this day are not set and flagged
+	 * with noRise, noTransit or noSet. On days without a rise (or set) the next rise (or set)
+	 * is searched, e.g. the end of the polar night or the moonrise of the next day.
+	 * 
+	 * @function searchTimes
+	 * @static
+	 *
+	 * @param {A.EclCoord} eclcoord - ecliptic coordinates of observer on Earth
+	 * @param {Number} h0 - is "standard altitude" of the body
+	 * @param {Function} eqfn - function(jdo, st) returning the A.EqCoord of the body (see events)
+	 * @param {A.JulianDay} jdo - julian day, an instant of the day of interest
+	 * @param {?number|String} timezone - offset to UT in hours, e.g. 10 for UTC+10, or an IANA time zone, e.g. 'Europe/Zurich'
+	 * @param {?number} days - maximum number of days to search the next rise or set, see next. 0 skips the search,
+	 *                         e.g. for a star whose position does not change
+	 * @return {Map} transit, rise, set: first event in seconds since midnight and in in the range [0,86400)<br>
+	 *               dates: transit, rise, set as javascript Date objects<br>
+	 *               iso: transit, rise, set as ISO 8601 strings in local time (see A.JulianDay.toLocalISOString)<br>
+	 *               transits, rises, sets: lists of all events in seconds, a day may have two rises<br>
+	 *               noTransit, noRise, noSet: true if the event does not happen on this day<br>
+	 *               alwaysAbove, alwaysBelow: true if the body stays above or below h0 all day<br>
+	 *               nextRise, nextSet: A.JulianDay of the next rise or set, only on days without rise or set
+	 */
+	searchTimes: function(eclcoord, h0, eqfn, jdo, timezone, days) {
+		var jdo0, jdo1;
+		if (timezone === undefined) {
+			jdo0 = jdo.startOfDay();
+			jdo1 = new A.JulianDay(jdo0.jd + 1, jdo0.deltaT);
+		} else {
+			jdo0 = jdo.startOfLocalDay(timezone);
+			jdo1 = new A.JulianDay(jdo0.jd + 1.5, jdo0.deltaT).startOfLocalDay(timezone);
+		}
+		var ev = A.Rise.events(eclcoord, h0, eqfn, jdo0, jdo1);
+
+		function seconds(list) {
+			return list.map(function (e) {
+				return (e.jd - jdo0.jd) * 86400;
+			});
+		}
+		var res = {
+			transits: seconds(ev.transits),
+			rises: seconds(ev.rises),
+			sets: seconds(ev.sets),
+			alwaysAbove: ev.alwaysAbove,
+			alwaysBelow: ev.alwaysBelow
+		};
+		res.transit = res.transits[0];
+		res.rise = res.rises[0];
+		res.set = res.sets[0];
+		res.noTransit = res.transit === undefined;
+		res.noRise = res.rise === undefined;
+		res.noSet = res.set === undefined;
+
+		res.dates = {};
+		res.iso = {};
+		['transit', 'rise', 'set'].forEach(function (name) {
+			var e = ev[name + 's'][0];
+			if (e) {
+				res.dates[name] = e.toDate();
+				res.iso[name] = e.toLocalISOString(timezone || 0);
+			}
+		});
+
+		if (res.noRise && days !== 0)
+			res.nextRise = A.Rise.next(eclcoord, h0, eqfn, jdo1, true, days);
+		if (res.noSet && days !== 0)
+			res.nextSet = A.Rise.next(eclcoord, h0, eqfn, jdo1, false, days);
+		return res;
+	},
+
+	/**
+	 * Returns false if the body stays above or below h0 all day for the declinations at the begin and
+	 * the end of the day. The margin of one degree covers the diurnal parallax of the moon.
+	 */
+	_mayCross: function(lat, h0, dec0, dec1) {
+		var margin = Math.PI / 180;
+		var above = true;
+		var below = true;
+		[dec0, dec1].forEach(function (dec) {
+			above = above && A.Rise.circumpolar(lat, h0 + margin, dec).alwaysAbove;
+			below = below && A.Rise.circumpolar(lat, h0 - margin, dec).alwaysBelow;
+		});
+		return !above && !below;
+	},
+
+	_altitudeFn: function(eclcoord, eqfn) {
+		return function (jdo) {
+			var st = A.Sidereal.apparentInRa(jdo);
+			return A.Coord.eqToHz(eqfn(jdo, st), eclcoord, st).alt;
+		};
+	},
+
+	_hourAngleFn: function(eclcoord, eqfn) {
+		return function (jdo) {
+			var st = A.Sidereal.apparentInRa(jdo);
+			return st - eclcoord.lng - eqfn(jdo, st).ra;
+		};
 	}
-};
\ No newline at end of file
+};
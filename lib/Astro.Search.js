@@ -0,0 +1,237 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+/**
+ * Methods to search the instants when a function of time crosses a value or reaches an extremum. <br>
+ * The function is sampled in steps over the time range, every bracketed event
+ * is then refined to the given precision. Two crossings between the samples are found at an
+ * extremum of the samples, other events closer to each other than the step may be missed.
+ * @module A.Search
+ */
+A.Search = {
+
+	/**
+	 * Default sampling step in days.
+	 *
+	 * @const {Number} defaultStep
+	 * @static
+	 */
+	defaultStep: 1 / 24,
+
+	/**
+	 * Default precision of the results in days.
+	 *
+	 * @const {Number} defaultPrecision
+	 * @static
+	 */
+	defaultPrecision: 0.1 / 86400,
+
+	/**
+	 * crossings returns all instants in a time range when the function crosses the given value.
+	 *
+	 * @function crossings
+	 * @static
+	 *
+	 * @param {Function} fn - function of an A.JulianDay returning a number
+	 * @param {A.JulianDay} jdoStart - start of the range
+	 * @param {A.JulianDay} jdoEnd - end of the range
+	 * @param {number} value - the value to cross
+	 * @param {?Map} options - step: sampling step in days, default is defaultStep<br>
+	 *                         precision: precision in days, default is defaultPrecision<br>
+	 *                         angle: if true the function returns an angle in radians and
+	 *                         the differences to value are normalized to the range [-PI,PI)
+	 * @return {Array} list of maps ordered by time with<br>
+	 *                 jdo: julian day of the crossing<br>
+	 *                 rising: true if the function increases through the value
+	 */
+	crossings: function (fn, jdoStart, jdoEnd, value, options) {
+		var opt = A.Search._options(options);
+		var deltaT = jdoStart.deltaT;
+
+		function g(jd) {
+			var d = fn(new A.JulianDay(jd, deltaT)) - value;
+			return opt.angle ? A.Math.pMod(d + Math.PI, 2 * Math.PI) - Math.PI : d;
+		}
+
+		var res = [];
+		var jd0, g0;
+		var jd1 = jdoStart.jd;
+		var g1 = g(jd1);
+		while (jd1 < jdoEnd.jd) {
+			var jd2 = Math.min(jd1 + opt.step, jdoEnd.jd);
+			var g2 = g(jd2);
+
+			// the function may cross the value twice between the samples around an extremum
+			// towards the value, e.g. the sun in a short night near the polar circle
+			var below = g1 < 0;
+			if (jd0 !== undefined && !opt.angle && (g0 < 0) === below && (g2 < 0) === below &&
+					(below ? g1 > g0 && g1 >= g2 : g1 < g0 && g1 <= g2)) {
+				var jdm = A.Search._goldenSection(g, jd0, jd2, below, opt.precision);
+				var gm = g(jdm);
+				if ((gm < 0) !== below) {
+					res.push({
+						jdo: new A.JulianDay(A.Search._bisect(g, jd0, jdm, g0, opt.precision), deltaT),
+						rising: below
+					});
+					res.push({
+						jdo: new A.JulianDay(A.Search._bisect(g, jdm, jd2, gm, opt.precision), deltaT),
+						rising: !below
+					});
+				}
+			}
+
+			// an angle jumping from +PI to -PI is not a crossing
+			var jump = opt.angle && Math.abs(g2 - g1) > Math.PI;
+			if (!jump && ((g1 < 0 && g2 >= 0) || (g1 >= 0 && g2 < 0))) {
+				res.push({
+					jdo: new A.JulianDay(A.Search._bisect(g, jd1, jd2, g1, opt.precision), deltaT),
+					rising: g1 < 0
+				});
+			}
+			jd0 = jd1;
+			g0 = g1;
+			jd1 = jd2;
+			g1 = g2;
+		}
+		return res;
+	},
+
+	/**
+	 * extrema returns all local maxima and minima of the function inside a time range. <br>
+	 * Extrema at the ends of the range are not returned.
+	 *
+	 * @function extrema
+	 * @static
+	 *
+	 * @param {Function} fn - function of an A.JulianDay returning a number
+	 * @param {A.JulianDay} jdoStart - start of the range
+	 * @param {A.JulianDay} jdoEnd - end of the range
+	 * @param {?Map} options - step: sampling step in days, default is defaultStep<br>
+	 *                         precision: precision in days, default is defaultPrecision
+	 * @return {Array} list of maps ordered by time with<br>
+	 *                 jdo: julian day of the extremum<br>
+	 *                 value: value of the function at the extremum<br>
+	 *                 maximum: true for a maximum, false for a minimum
+	 */
+	extrema: function (fn, jdoStart, jdoEnd, options) {
+		var opt = A.Search._options(options);
+		var deltaT = jdoStart.deltaT;
+
+		function f(jd) {
+			return fn(new A.JulianDay(jd, deltaT));
+		}
+
+		var res = [];
+		var jd0 = jdoStart.jd;
+		var jd1 = Math.min(jd0 + opt.step, jdoEnd.jd);
+		var f0 = f(jd0);
+		var f1 = f(jd1);
+		while (jd1 < jdoEnd.jd) {
+			var jd2 = Math.min(jd1 + opt.step, jdoEnd.jd);
+			var f2 = f(jd2);
+
+			var max = f1 > f0 && f1 >= f2;
+			if (max || (f1 < f0 && f1 <= f2)) {
+				var jd = A.Search._goldenSection(f, jd0, jd2, max, opt.precision);
+				res.push({
+					jdo: new A.JulianDay(jd, deltaT),
+					value: f(jd),
+					maximum: max
+				});
+			}
+			jd0 = jd1;
+			jd1 = jd2;
+			f0 = f1;
+			f1 = f2;
+		}
+		return res;
+	},
+
+	/**
+	 * closestApproaches returns all instants in a time range when the angular separation
+	 * of two bodies reaches a minimum, e.g. the conjunctions of the moon with a planet. <br>
+	 * Slow bodies like the planets can be searched with a larger step, e.g. {step: 1}.
+	 *
+	 * @function closestApproaches
+	 * @static
+	 *
+	 * @param {Function} eqfn1 - function of an A.JulianDay returning the A.EqCoord of the first body
+	 * @param {Function} eqfn2 - function of an A.JulianDay returning the A.EqCoord of the second body
+	 * @param {A.JulianDay} jdoStart - start of the range
+	 * @param {A.JulianDay} jdoEnd - end of the range
+	 * @param {?Map} options - step and precision, see extrema
+	 * @return {Array} list of maps ordered by time with<br>
+	 *                 jdo: julian day of the closest approach<br>
+	 *                 separation: angular separation in radians (see A.Coord.angularSeparation)<br>
+	 *                 positionAngle: position angle of the second body relative to the first body in radians
+	 */
+	closestApproaches: function (eqfn1, eqfn2, jdoStart, jdoEnd, options) {
+		var separation = function (jdo) {
+			return A.Coord.angularSeparation(eqfn1(jdo), eqfn2(jdo));
+		};
+		return A.Search.extrema(separation, jdoStart, jdoEnd, options).filter(function (e) {
+			return !e.maximum;
+		}).map(function (e) {
+			return {
+				jdo: e.jdo,
+				separation: e.value,
+				positionAngle: A.Coord.positionAngle(eqfn1(e.jdo), eqfn2(e.jdo))
+			};
+		});
+	},
+
+	_options: function (options) {
+		options = options || {};
+		return {
+			step: options.step || A.Search.defaultStep,
+			precision: options.precision || A.Search.defaultPrecision,
+			angle: options.angle === true
+		};
+	},
+
+	/**
+	 * Bisection of the root of g bracketed by a and b.
+	 */
+	_bisect: function (g, a, b, ga, precision) {
+		while (b - a > precision) {
+			var m = (a + b) / 2;
+			var gm = g(m);
+			if ((ga < 0) === (gm < 0)) {
+				a = m;
+				ga = gm;
+			} else {
+				b = m;
+			}
+		}
+		return (a + b) / 2;
+	},
+
+	/**
+	 * Golden section search of the maximum (or minimum) of f between a and b.
+	 */
+	_goldenSection: function (f, a, b, max, precision) {
+		var r = (Math.sqrt(5) - 1) / 2;
+		var sign = max ? 1 : -1;
+		var c = b - r * (b - a);
+		var d = a + r * (b - a);
+		var fc = sign * f(c);
+		var fd = sign * f(d);
+		while (b - a > precision) {
+			if (fc > fd) {
+				b = d;
+				d = c;
+				fd = fc;
+				c = b - r * (b - a);
+				fc = sign * f(c);
+			} else {
+				a = c;
+				c = d;
+				fc = fd;
+				d = a + r * (b - a);
+				fd = sign * f(d);
+			}
+		}
+		return (a + b) / 2;
+	}
+};
@@ -44,6 +44,102 @@ A.Solar = {
 		);
 	},
 	
+	/**
+	 * trueVSOP87 returns the true geometric position of the sun as ecliptic coordinates
+	 * computed with the VSOP87 series of the earth (Chapter 25, higher accuracy). <br>
+	 * The result is referred to the mean equinox of the date in the FK5 system.
+	 * It does not include nutation or aberration.
+	 * 
+	 * @function trueVSOP87
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @return {Map} lng: ecliptic longitude in radians and in the range [0,2PI)<br>
+	 *               lat: ecliptic latitude in radians<br>
+	 *               range: distance of the earth and the sun in AU
+	 */
+	trueVSOP87: function (jdo) {
+		var earth = A.Planet.heliocentric('earth', jdo);
+		var T = jdo.jdeJ2000Century();
+		
+		// conversion to FK5, (25.9) p. 166
+		var lng = earth.lng + Math.PI;
+		var lng1 = lng - A.Math.horner(T, [0, 1.397, 0.00031]) * Math.PI / 180;
+		var deltalat = 0.03916 / 3600 * Math.PI / 180 * (Math.cos(lng1) - Math.sin(lng1));
+		
+		return {
+			lng: A.Math.pMod(lng - 0.09033 / 3600 * Math.PI / 180, 2*Math.PI),
+			lat: deltalat - earth.lat,
+			range: earth.range
+		};
+	},
+	
+	/**
+	 * aberration returns the aberration of the sun in longitude computed from the 
+	 * daily variation of the longitude of the sun (p. 168).
+	 * 
+	 * @function aberration
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @param {number} range - distance of the earth and the sun in AU
+	 * @return {number} aberration in radians
+	 */
+	aberration: function (jdo, range) {
+		var tau = jdo.jdeJ2000Century() / 10;
+		var p = Math.PI / 180;
+		
+		var c = [3548.193, 0, 0, 0];
+		// sum in reverse order to accumulate smaller terms first
+		for (var i = A.Solar.taberration.length - 1; i >= 0; i--) {
+			// 0:power of tau, 1:coeff, 2:a0, 3:a1
+			var r = A.Solar.taberration[i];
+			c[r[0]] += r[1] * Math.sin((r[2] + r[3]*tau) * p);
+		}
+		var deltalng = A.Math.horner(tau, c); // daily variation in arcseconds
+		return -0.005775518 * range * deltalng / 3600 * p;
+	},
+	
+	/**
+	 * apparentVSOP87 returns the apparent position of the sun as ecliptic coordinates
+	 * including nutation and aberration (see trueVSOP87).
+	 * 
+	 * @function apparentVSOP87
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @return {Map} lng, lat: apparent ecliptic longitude and latitude in radians <br>
+	 *               range: distance of the earth and the sun in AU <br>
+	 *               obliquity: true obliquity of the ecliptic in radians
+	 */
+	apparentVSOP87: function (jdo) {
+		var t = A.Solar.trueVSOP87(jdo);
+		var nut = A.Nutation.nutation(jdo);
+		
+		return {
+			lng: A.Math.pMod(t.lng + nut.deltalng + A.Solar.aberration(jdo, t.range), 2*Math.PI),
+			lat: t.lat,
+			range: t.range,
+			obliquity: A.Nutation.meanObliquityLaskar(jdo) + nut.deltaobliquity
+		};
+	},
+	
+	/**
+	 * apparentEquatorialVSOP87 returns the apparent position of the sun as equatorial coordinates 
+	 * computed with the VSOP87 series of the earth. <br>
+	 * The accuracy is about 0.1" (see A.VSOP87) compared to the 0.01 degree of apparentEquatorial.
+	 * 
+	 * @function apparentEquatorialVSOP87
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @return {A.EqCoord} the apparent position of the Sun as equatorial coordinates
+	 */
+	apparentEquatorialVSOP87: function (jdo) {
+		var a = A.Solar.apparentVSOP87(jdo);
+		return A.Coord.eclToEq(new A.EclCoord(a.lng, a.lat), a.obliquity);
+	},
+	
 	/**
 	 * apparentTopocentric returns the apparent position of the Sun as topocentric coordinates.
 	 * 
@@ -53,10 +149,19 @@ A.Solar = {
 	 * @param {A.JulianDay} jdo - julian day
 	 * @param {A.EclCoord} eclCoord - geographic location of observer
 	 * @param {?Number} apparent0 - apparent sidereal time at Greenwich for the given JD in radians.
+	 * @param {?boolean} precise - if true the position is computed with apparentEquatorialVSOP87
 	 * @return {A.EqCoord} apparent position of the Sun as topocentric coordinates in ra and dec.
 	 */
-	apparentTopocentric: function (jdo, eclCoord, apparent0) {
-		var ae = A.Solar.apparentEquatorial(jdo);
+	apparentTopocentric: function (jdo, eclCoord, apparent0, precise) {
+		var ae, parallax;
+		if (precise === true) {
+			var a = A.Solar.apparentVSOP87(jdo);
+			ae = A.Coord.eclToEq(new A.EclCoord(a.lng, a.lat), a.obliquity);
+			parallax = A.Parallax.horizontal(a.range);
+		} else {
+			ae = A.Solar.apparentEquatorial(jdo);
+			parallax = A.Parallax.earthsunParallax;
+		}
 		
 		// get the corrected right ascension and declination
 		var pc = A.Globe.parallaxConstants(eclCoord.lat, eclCoord.h);
@@ -64,7 +169,7 @@ A.Solar = {
 		if (!apparent0) // if apparent0 is not provided do the calcuation now
 			apparent0 = A.Sidereal.apparentInRa(jdo);
 		
-		return A.Parallax.topocentric2(ae, A.Parallax.earthsunParallax, pc.rhoslat, pc.rhoclat, eclCoord.lng, apparent0);
+		return A.Parallax.topocentric2(ae, parallax, pc.rhoslat, pc.rhoclat, eclCoord.lng, apparent0);
 	},
 	
 	/**
@@ -76,12 +181,13 @@ A.Solar = {
 	 * @param {A.JulianDay} jdo - julian day
 	 * @param {A.EclCoord} eclCoord - geographic location of the observer
 	 * @param {boolean} refraction - if true the atmospheric refraction is added to the altitude 
+	 * @param {?boolean} precise - if true the high accuracy VSOP87 model is used instead of the fast model
 	 * @return {Map} hz: position of the Sun as horizontal coordinates with azimuth and altitude.<br>
 	 *               eq: position of the Sun as equatorial coordinates<br>
 	 */
-	topocentricPosition: function (jdo, eclCoord, refraction) {	
+	topocentricPosition: function (jdo, eclCoord, refraction, precise) {	
 		var st0 = A.Sidereal.apparentInRa(jdo);
-		var aet = A.Solar.apparentTopocentric(jdo, eclCoord, st0);
+		var aet = A.Solar.apparentTopocentric(jdo, eclCoord, st0, precise);
 		
 		var hz = A.Coord.eqToHz(aet, eclCoord, st0);
 		if (refraction === true)
@@ -121,7 +227,8 @@ A.Solar = {
 	 *
 	 * @param {A.JulianDay} jdo - julian day
 	 * @param {A.EclCoord} eclCoord - geographic location of the observer
-	 * @return {Map} transit, rise, set in seconds and in in the range [0,86400)
+	 * @return {Map} transit, rise, set in seconds and in in the range [0,86400)<br>
+	 *               alwaysAbove, alwaysBelow: see A.Rise.circumpolar
 	 */
 	approxTimes: function (jdo, eclCoord) {
 		var jdo0 = jdo.startOfDay(); // make sure jd is at midnight (ends with .5)
@@ -134,30 +241,411 @@ A.Solar = {
 	},
 	
 	/**
-	 * times computes UT rise, transit and set times for the solar object on a day of interest.
+	 * times computes rise, transit and set times for the solar object on a day of interest.
 	 * This method has a higher accuarcy than approxTimes but needs more cpu power.	<br>
-	 * The function argurments do not actually include the day, but do include
-	 * values computed from the day.
+	 * The times are searched with A.Rise.events on the UT day or, with a timezone, on the local
+	 * calendar day of the instant jdo. West of Greenwich a julian day at 0h UT is on the previous
+	 * local day, use noon UT for a calendar date (see A.Rise.searchTimes).
+	 * Events which do not happen on this day are not set.
 	 * 
 	 * @function times
 	 * @static
 	 *
 	 * @param {A.JulianDay} jdo - julian day
 	 * @param {A.EclCoord} eclCoord - geographic location of the observer
-	 * @return {Map} transit, rise, set in seconds and in in the range [0,86400)
+	 * @param {?number|String} timezone - offset to UT in hours, e.g. 10 for UTC+10, or an IANA time zone, e.g. 'Europe/Zurich'
+	 * @param {?boolean} precise - if true the high accuracy VSOP87 model is used instead of the fast model
+	 * @return {Map} transit, rise, set in seconds since midnight and in in the range [0,86400) <br>
+	 *               dates, iso: transit, rise, set as Date objects and local ISO strings <br>
+	 *               alwaysAbove: true if the sun does not set all day (polar day) <br>
+	 *               alwaysBelow: true if the sun does not rise all day (polar night) <br>
+	 *               nextRise, nextSet: A.JulianDay of the next rise or set on days without rise or set <br>
+	 *               rises, transits, sets: see A.Rise.searchTimes
 	 */
-	times: function (jdo, eclCoord) {
-		var jdo0 = jdo.startOfDay(); // make sure jd is at midnight (ends with .5)
-		var aet1 = A.Solar.apparentTopocentric(new A.JulianDay(jdo0.jd-1, jdo0.deltaT), eclCoord);
-		var aet2 = A.Solar.apparentTopocentric(jdo0, eclCoord);
-		var aet3 = A.Solar.apparentTopocentric(new A.JulianDay(jdo0.jd+1, jdo0.deltaT), eclCoord);
-			
-		var h0 = A.Rise.stdh0Solar; // stdh0Stellar
-		var Th0 = A.Sidereal.apparent0UT(jdo0);
-		
-		return A.Rise.times(eclCoord, jdo0.deltaT, h0, Th0, [aet1, aet2, aet3]);
+	times: function (jdo, eclCoord, timezone, precise) {
+		return A.Solar.timesAtAltitude(jdo, eclCoord, A.Rise.stdh0Solar, timezone, precise);
 	},
-	
+
+	/**
+	 * timesAtAltitude computes the times when the center of the sun reaches the given altitude
+	 * on a day of interest. <br>
+	 * If the sun does not reach the altitude on this day, rise and set are not set and
+	 * the flags alwaysAbove or alwaysBelow tell if the sun stays above or below the altitude.
+	 *
+	 * @function timesAtAltitude
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @param {Number} h0 - altitude of the center of the sun in radians
+	 * @param {?number|String} timezone - offset to UT in hours or an IANA time zone, default is UT
+	 * @param {?boolean} precise - if true the high accuracy VSOP87 model is used instead of the fast model
+	 * @return {Map} transit, rise, set in seconds since midnight and in in the range [0,86400) <br>
+	 *               dates, iso: see A.Rise.searchTimes <br>
+	 *               alwaysAbove: true if the sun stays above the altitude all day <br>
+	 *               alwaysBelow: true if the sun stays below the altitude all day <br>
+	 *               nextRise, nextSet: see A.Rise.searchTimes
+	 */
+	timesAtAltitude: function (jdo, eclCoord, h0, timezone, precise) {
+		return A.Rise.searchTimes(eclCoord, h0, A.Solar._topocentricFn(eclCoord, precise), jdo, timezone);
+	},
+
+	/**
+	 * twilight computes the begin and end times of the twilight on a day of interest. <br>
+	 * The result rise is the begin of the morning twilight (dawn) and set is the end of the
+	 * evening twilight (dusk). See timesAtAltitude for days without twilight.
+	 *
+	 * @function twilight
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @param {String} kind - 'civil', 'nautical' or 'astronomical'
+	 * @param {?number|String} timezone - offset to UT in hours or an IANA time zone, default is UT
+	 * @param {?boolean} precise - if true the high accuracy VSOP87 model is used instead of the fast model
+	 * @return {Map} transit, rise, set, alwaysAbove, alwaysBelow (see timesAtAltitude)
+	 */
+	twilight: function (jdo, eclCoord, kind, timezone, precise) {
+		var h0;
+		switch (kind) {
+			case 'civil':
+				h0 = A.Rise.stdh0CivilTwilight;
+				break;
+			case 'nautical':
+				h0 = A.Rise.stdh0NauticalTwilight;
+				break;
+			case 'astronomical':
+				h0 = A.Rise.stdh0AstronomicalTwilight;
+				break;
+			default:
+				throw new Error('Invalid twilight kind: ' + kind);
+		}
+		return A.Solar.timesAtAltitude(jdo, eclCoord, h0, timezone, precise);
+	},
+
+	/**
+	 * Lowest altitude of the sun in radians with atmospheric refraction. Below this altitude the refraction
+	 * formula of Bennett is not valid and the limits of lightWindow are true altitudes.
+	 *
+	 * @const {Number} refractionLimit
+	 * @static
+	 */
+	refractionLimit: -1 * Math.PI / 180,
+
+	/**
+	 * Default altitude limits of the golden hour in radians, see lightWindow.
+	 *
+	 * @const {Map} goldenHourLimits
+	 * @static
+	 */
+	goldenHourLimits: {
+		low: -4 * Math.PI / 180,
+		high: 6 * Math.PI / 180
+	},
+
+	/**
+	 * Default true altitude limits of the blue hour in radians, see lightWindow.
+	 *
+	 * @const {Map} blueHourLimits
+	 * @static
+	 */
+	blueHourLimits: {
+		low: -6 * Math.PI / 180,
+		high: -4 * Math.PI / 180
+	},
+
+	/**
+	 * goldenHour computes the start and end times of the morning and evening golden hour.
+	 * See lightWindow for details.
+	 *
+	 * @function goldenHour
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @param {?Map} limits - low and high altitude in radians, default is goldenHourLimits
+	 * @param {?number|String} timezone - offset to UT in hours or an IANA time zone, default is UT
+	 * @return {Map} see lightWindow
+	 */
+	goldenHour: function (jdo, eclCoord, limits, timezone) {
+		return A.Solar.lightWindow(jdo, eclCoord, limits || A.Solar.goldenHourLimits, timezone);
+	},
+
+	/**
+	 * blueHour computes the start and end times of the morning and evening blue hour.
+	 * See lightWindow for details.
+	 *
+	 * @function blueHour
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @param {?Map} limits - low and high altitude in radians, default is blueHourLimits
+	 * @param {?number|String} timezone - offset to UT in hours or an IANA time zone, default is UT
+	 * @return {Map} see lightWindow
+	 */
+	blueHour: function (jdo, eclCoord, limits, timezone) {
+		return A.Solar.lightWindow(jdo, eclCoord, limits || A.Solar.blueHourLimits, timezone);
+	},
+
+	/**
+	 * lightWindow computes the times when the sun is between two altitudes. <br>
+	 * Limits above refractionLimit are apparent altitudes as returned by topocentricPosition with refraction,
+	 * lower limits are true altitudes of the center of the sun like the altitudes of the twilight.
+	 * For an observer above the sea level (eclCoord.h) they are lowered by the dip of the horizon. <br>
+	 * A start or end time is not set if the sun does not cross the limit on this day, the flags
+	 * highNotReached and lowNotReached tell if the window lasts over noon or midnight.
+	 *
+	 * @function lightWindow
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @param {Map} limits - low and high altitude in radians
+	 * @param {?number|String} timezone - offset to UT in hours or an IANA time zone, default is UT
+	 * @return {Map} morning: start and end in seconds since midnight and in the range [0,86400)<br>
+	 *               evening: start and end in seconds since midnight and in the range [0,86400)<br>
+	 *               alwaysAbove: true if the sun stays above the high limit all day<br>
+	 *               alwaysBelow: true if the sun stays below the low limit all day<br>
+	 *               highNotReached: true if the sun stays below the high limit all day,
+	 *                               the window lasts from the morning start to the evening end<br>
+	 *               lowNotReached: true if the sun stays above the low limit all day,
+	 *                              the window lasts from the evening start to the morning end of the next day
+	 */
+	lightWindow: function (jdo, eclCoord, limits, timezone) {
+		var dip = A.Refraction.horizonDip(eclCoord.h);
+		var low = A.Solar.timesAtAltitude(jdo, eclCoord, A.Solar._trueAltitude(limits.low - dip), timezone);
+		var high = A.Solar.timesAtAltitude(jdo, eclCoord, A.Solar._trueAltitude(limits.high - dip), timezone);
+
+		return {
+			morning: {
+				start: low.rise,
+				end: high.rise
+			},
+			evening: {
+				start: high.set,
+				end: low.set
+			},
+			alwaysAbove: high.alwaysAbove,
+			alwaysBelow: low.alwaysBelow,
+			highNotReached: high.alwaysBelow,
+			lowNotReached: low.alwaysAbove
+		};
+	},
+
+	/**
+	 * equationOfTime returns the equation of time, the difference of the apparent and the mean solar time. <br>
+	 * The fast model is the formula of Smart (28.3), the precise model the series (28.1) with
+	 * the VSOP87 position of the sun. The two differ by a few seconds.
+	 *
+	 * @function equationOfTime
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @param {?boolean} precise - if true the high accuracy VSOP87 model is used instead of the fast model
+	 * @return {number} equation of time in seconds, positive if the apparent sun is ahead of the mean sun
+	 */
+	equationOfTime: function (jdo, precise) {
+		var p = Math.PI / 180;
+		var E;
+		if (precise === true) {
+			// (28.2) p. 183
+			var tau = jdo.jdeJ2000Century() / 10;
+			var L0 = A.Math.horner(tau, [280.4664567, 360007.6982779, 0.03032028,
+				1 / 49931, -1 / 15300, -1 / 2000000]) * p;
+			var eq = A.Solar.apparentEquatorialVSOP87(jdo);
+			var nut = A.Nutation.nutation(jdo);
+			var obliquity = A.Nutation.meanObliquityLaskar(jdo) + nut.deltaobliquity;
+			// (28.1) p. 183
+			E = L0 - 0.0057183 * p - eq.ra + nut.deltalng * Math.cos(obliquity);
+		} else {
+			var T = jdo.jdeJ2000Century();
+			var L = A.Math.horner(T, [280.46646, 36000.76983, 0.0003032]) * p;
+			var M = A.Solar.meanAnomaly(T);
+			var e = A.Math.horner(T, [0.016708634, -0.000042037, -0.0000001267]);
+			var y = Math.tan(A.Nutation.meanObliquityLaskar(jdo) / 2);
+			y *= y;
+			// (28.3) p. 185
+			E = y * Math.sin(2*L) - 2*e * Math.sin(M) + 4*e*y * Math.sin(M) * Math.cos(2*L) -
+				y*y / 2 * Math.sin(4*L) - 1.25*e*e * Math.sin(2*M);
+		}
+		return (A.Math.pMod(E + Math.PI, 2*Math.PI) - Math.PI) * 43200 / Math.PI;
+	},
+
+	/**
+	 * localMeanTime returns the local mean solar time at the geographic longitude of the observer.
+	 *
+	 * @function localMeanTime
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @return {number} local mean time in seconds since midnight and in the range [0,86400)
+	 */
+	localMeanTime: function (jdo, eclCoord) {
+		return A.Math.pMod((jdo.jd + 0.5) * 86400 + A.Solar._lmtOffset(eclCoord), 86400);
+	},
+
+	/**
+	 * localApparentTime returns the local apparent solar time, the time shown by a sundial.
+	 * The sun transits at 12h local apparent time.
+	 *
+	 * @function localApparentTime
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @param {?boolean} precise - if true the equation of time is computed with the VSOP87 model
+	 * @return {number} local apparent time in seconds since midnight and in the range [0,86400)
+	 */
+	localApparentTime: function (jdo, eclCoord, precise) {
+		return A.Math.pMod(A.Solar.localMeanTime(jdo, eclCoord) + A.Solar.equationOfTime(jdo, precise), 86400);
+	},
+
+	/**
+	 * fromLocalMeanTime returns the julian day of a local mean time on the day of jdo. The day is
+	 * the calendar day in local mean time.
+	 *
+	 * @function fromLocalMeanTime
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @param {number} seconds - local mean time in seconds since midnight
+	 * @return {A.JulianDay} julian day in UT
+	 */
+	fromLocalMeanTime: function (jdo, eclCoord, seconds) {
+		var jdo0 = jdo.startOfLocalDay(A.Solar._lmtOffset(eclCoord) / 3600);
+		return new A.JulianDay(jdo0.jd + seconds / 86400, jdo.deltaT);
+	},
+
+	/**
+	 * fromLocalApparentTime returns the julian day of a local apparent time on the day of jdo,
+	 * e.g. the true solar noon for 12h. The day is the calendar day in local mean time.
+	 *
+	 * @function fromLocalApparentTime
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @param {number} seconds - local apparent time in seconds since midnight
+	 * @param {?boolean} precise - if true the equation of time is computed with the VSOP87 model
+	 * @return {A.JulianDay} julian day in UT
+	 */
+	fromLocalApparentTime: function (jdo, eclCoord, seconds, precise) {
+		var res = A.Solar.fromLocalMeanTime(jdo, eclCoord, seconds);
+		// the equation of time changes by less than 30 seconds per day
+		for (var i = 0; i < 2; i++) {
+			var E = A.Solar.equationOfTime(res, precise);
+			res = A.Solar.fromLocalMeanTime(jdo, eclCoord, seconds - E);
+		}
+		return res;
+	},
+
+	/**
+	 * physical returns the ephemeris for physical observations of the sun (see Chapter 29).
+	 *
+	 * @function physical
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @param {?boolean} precise - if true the high accuracy VSOP87 model is used instead of the fast model
+	 * @return {Map} P: position angle of the northern extremity of the axis of rotation, measured
+	 *                  eastwards from the north point of the disk, in radians<br>
+	 *               B0: heliographic latitude of the center of the disk in radians<br>
+	 *               L0: heliographic longitude of the center of the disk in radians and in the range [0,2PI)
+	 */
+	physical: function (jdo, precise) {
+		var p = Math.PI / 180;
+		var jde = jdo.jde;
+		var theta = (jde - 2398220) * 2 * Math.PI / 25.38;
+		var I = 7.25 * p;
+		var K = (73.6667 + 1.3958333 * (jde - 2396758) / A.JulianCentury) * p;
+
+		var lng, range;
+		if (precise === true) {
+			var t = A.Solar.trueVSOP87(jdo);
+			lng = t.lng;
+			range = t.range;
+		} else {
+			var T = jdo.jdeJ2000Century();
+			var tl = A.Solar.trueLongitude(T);
+			var e = A.Math.horner(T, [0.016708634, -0.000042037, -0.0000001267]);
+			lng = tl.s;
+			// (25.5) p. 164
+			range = 1.000001018 * (1 - e*e) / (1 + e * Math.cos(tl.v));
+		}
+		var nut = A.Nutation.nutation(jdo);
+		var obliquity = A.Nutation.meanObliquityLaskar(jdo) + nut.deltaobliquity;
+
+		// corrected for the aberration and the nutation, p. 190
+		lng -= 20.4898 / 3600 * p / range;
+		var lng1 = lng + nut.deltalng;
+
+		var slk = Math.sin(lng - K);
+		var clk = Math.cos(lng - K);
+		var x = Math.atan(-Math.cos(lng1) * Math.tan(obliquity));
+		var y = Math.atan(-clk * Math.tan(I));
+		var eta = Math.atan2(-slk * Math.cos(I), -clk);
+
+		return {
+			P: x + y,
+			B0: Math.asin(slk * Math.sin(I)),
+			L0: A.Math.pMod(eta - theta, 2*Math.PI)
+		};
+	},
+
+	/**
+	 * carringtonRotation returns the start of a synodic rotation of the sun, when the
+	 * heliographic longitude of the center of the disk is zero. (29.1) p. 191
+	 *
+	 * @function carringtonRotation
+	 * @static
+	 *
+	 * @param {number} n - Carrington rotation number, rotation 1 started on 1853 November 9
+	 * @return {A.JulianDay} start of the rotation
+	 */
+	carringtonRotation: function (n) {
+		var p = Math.PI / 180;
+		var jde = 2398140.2270 + 27.2752316 * n;
+		var M = (281.96 + 26.882476 * n) * p;
+		jde += 0.1454 * Math.sin(M) - 0.0085 * Math.sin(2*M) - 0.0141 * Math.cos(2*M);
+		return A.JulianDay.jdFromJDE(jde);
+	},
+
+	/**
+	 * Returns the offset of the local mean time to UT in seconds, the longitude is positive west.
+	 */
+	_lmtOffset: function (eclCoord) {
+		return -eclCoord.lng * 43200 / Math.PI;
+	},
+
+	/**
+	 * Returns the function of julian day and sidereal time for A.Rise.events.
+	 */
+	_topocentricFn: function (eclCoord, precise) {
+		return function (jdo, st) {
+			return A.Solar.apparentTopocentric(jdo, eclCoord, st, precise);
+		};
+	},
+
+	/**
+	 * Returns the true altitude which topocentricPosition shows as the given apparent altitude,
+	 * altitudes below refractionLimit are true altitudes.
+	 */
+	_trueAltitude: function (h) {
+		if (h < A.Solar.refractionLimit)
+			return h;
+		var t = h;
+		for (var i = 0; i < 10; i++) {
+			var t1 = h - A.Refraction.bennett2(t);
+			if (Math.abs(t1 - t) < 1e-9)
+				break;
+			t = t1;
+		}
+		return t;
+	},
+
 	/**
 	 * meanAnomaly returns the mean anomaly of Earth at the given T.
 	 * 
@@ -223,5 +711,36 @@ A.Solar = {
 	 */
 	node: function(T)  {
 		return (125.04 - 1934.136 * T) * Math.PI / 180;
-	}
+	},
+	
+	/**
+	 * Periodic terms of the daily variation of the longitude of the sun in arcseconds, p. 168. <br>
+	 * 0:power of tau, 1:coeff, 2:a0, 3:a1 (times tau), angles in degrees
+	 *
+	 * @const {Array} taberration
+	 * @static
+	 */
+	taberration: [
+		[0, 118.568, 87.5287, 359993.7286],
+		[0, 2.476, 85.0561, 719987.4571],
+		[0, 1.376, 27.8502, 4452671.1152],
+		[0, 0.119, 73.1375, 450368.8564],
+		[0, 0.114, 337.2264, 329644.6718],
+		[0, 0.086, 222.5400, 659289.3436],
+		[0, 0.078, 162.8136, 9224659.7915],
+		[0, 0.054, 82.5823, 1079981.1857],
+		[0, 0.052, 171.5189, 225184.4282],
+		[0, 0.034, 30.3214, 4092677.3866],
+		[0, 0.033, 119.8105, 337181.4711],
+		[0, 0.023, 247.5418, 299295.6151],
+		[0, 0.023, 325.1526, 315559.5560],
+		[0, 0.021, 155.1241, 675553.2846],
+		[1, 7.311, 333.4515, 359993.7286],
+		[1, 0.305, 330.9814, 719987.4571],
+		[1, 0.010, 328.5170, 1079981.1857],
+		[2, 0.309, 241.4518, 359993.7286],
+		[2, 0.021, 205.0482, 719987.4571],
+		[2, 0.004, 297.8610, 4452671.1152],
+		[3, 0.010, 154.7066, 359993.7286]
+	]
 };
\ No newline at end of file
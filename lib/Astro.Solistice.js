@@ -3,7 +3,8 @@
 /**
  * Methods for calculations of the equinixes and solistice of the sun accroding to chapter 27.
  * Accuracy is within one minute of time for the years 1951-2050.
- * Results are valid for the years -1000 to +3000. But also quite good for before -1000
+ * Results are valid for the years -1000 to +3000. But also quite good for before -1000. <br>
+ * With precise set, the results are corrected with the VSOP87 position of the sun to about a second.
  * @module A.Solistice
  */
 A.Solistice = {
@@ -15,13 +16,12 @@ A.Solistice = {
 	 * @static
 	 *
 	 * @param {number} y - year
+	 * @param {?boolean} precise - if true the result is corrected with the VSOP87 position of the sun
 	 * @return {number} julian day ephemeris
 	 */
-	march: function(y) {
-		if (y < 1000) {
-			return A.Solistice._eq(y, A.Solistice.mc0);
-		}
-		return A.Solistice._eq(y-2000, A.Solistice.mc2);
+	march: function(y, precise) {
+		var jde = y < 1000 ? A.Solistice._eq(y, A.Solistice.mc0) : A.Solistice._eq(y-2000, A.Solistice.mc2);
+		return precise === true ? A.Solistice._refine(jde, 0) : jde;
 	},
 
 	/**
@@ -31,13 +31,12 @@ A.Solistice = {
 	 * @static
 	 *
 	 * @param {number} y - year
+	 * @param {?boolean} precise - if true the result is corrected with the VSOP87 position of the sun
 	 * @return {number} julian day ephemeris
 	 */
-	june: function(y) {
-		if (y < 1000) {
-			return A.Solistice._eq(y, A.Solistice.jc0);
-		}
-		return A.Solistice._eq(y-2000, A.Solistice.jc2);
+	june: function(y, precise) {
+		var jde = y < 1000 ? A.Solistice._eq(y, A.Solistice.jc0) : A.Solistice._eq(y-2000, A.Solistice.jc2);
+		return precise === true ? A.Solistice._refine(jde, 1) : jde;
 	},
 
 	/**
@@ -47,13 +46,12 @@ A.Solistice = {
 	 * @static
 	 *
 	 * @param {number} y - year
+	 * @param {?boolean} precise - if true the result is corrected with the VSOP87 position of the sun
 	 * @return {number} julian day ephemeris
 	 */
-	september: function(y) {
-		if (y < 1000) {
-			return A.Solistice._eq(y, A.Solistice.sc0);
-		}
-		return A.Solistice._eq(y-2000, A.Solistice.sc2);
+	september: function(y, precise) {
+		var jde = y < 1000 ? A.Solistice._eq(y, A.Solistice.sc0) : A.Solistice._eq(y-2000, A.Solistice.sc2);
+		return precise === true ? A.Solistice._refine(jde, 2) : jde;
 	},
 
 	/**
@@ -63,13 +61,27 @@ A.Solistice = {
 	 * @static
 	 *
 	 * @param {number} y - year
+	 * @param {?boolean} precise - if true the result is corrected with the VSOP87 position of the sun
 	 * @return {number} julian day ephemeris
 	 */
-	december: function(y) {
-		if (y < 1000) {
-			return A.Solistice._eq(y, A.Solistice.dc0);
+	december: function(y, precise) {
+		var jde = y < 1000 ? A.Solistice._eq(y, A.Solistice.dc0) : A.Solistice._eq(y-2000, A.Solistice.dc2);
+		return precise === true ? A.Solistice._refine(jde, 3) : jde;
+	},
+
+	/**
+	 * Corrects the JDE until the apparent longitude of the sun computed with 
+	 * A.Solar.apparentVSOP87 is k*90 degrees. p. 180
+	 */
+	_refine: function(jde, k) {
+		for (var i = 0; i < 10; i++) {
+			var lng = A.Solar.apparentVSOP87(A.JulianDay.jdFromJDE(jde)).lng;
+			var c = 58 * Math.sin(k * Math.PI / 2 - lng);
+			jde += c;
+			if (Math.abs(c) < 1e-6)
+				break;
 		}
-		return A.Solistice._eq(y-2000, A.Solistice.dc2);
+		return jde;
 	},
 
 	_eq: function(y, c) {
@@ -0,0 +1,286 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+/**
+ * Methods for calculations of the apparent place of a star (see Chapter 23). <br>
+ * The catalog positions are precessed with A.Precession, proper motions are maps with ra and dec,
+ * the annual proper motion in right ascension and declination in radians per julian year.
+ * @module A.Star
+ */
+A.Star = {
+
+	/**
+	 * apparentPlace returns the apparent place of a star at the given julian day. <br>
+	 * The catalog position is corrected for the proper motion, the precession, the nutation (23.1)
+	 * and the annual aberration (23.3). The effects of the parallax of the star are neglected.
+	 *
+	 * @function apparentPlace
+	 * @static
+	 *
+	 * @param {A.EqCoord} catalogEqCoord - mean position of the catalog at epoch
+	 * @param {?Map} properMotion - annual proper motion, ra and dec in radians per julian year
+	 * @param {A.JulianDay|number} epoch - epoch of the catalog, a julian year like 2000 for J2000.0
+	 * @param {A.JulianDay} jdo - julian day
+	 * @return {A.EqCoord} apparent equatorial coordinates referred to the true equator and equinox of jdo
+	 */
+	apparentPlace: function (catalogEqCoord, properMotion, epoch, jdo) {
+		if (typeof epoch === 'number')
+			epoch = A.Precession.julianEpoch(epoch);
+
+		var eq = A.Precession.position(catalogEqCoord, epoch, jdo, properMotion);
+		var n = A.Star.nutation(eq, jdo);
+		var a = A.Star.aberration(eq, jdo);
+
+		return new A.EqCoord(
+			A.Math.pMod(eq.ra + n.ra + a.ra, 2*Math.PI),
+			eq.dec + n.dec + a.dec
+		);
+	},
+
+	/**
+	 * topocentricPosition calculates the position of a star for a given viewpoint and a given julian day. <br>
+	 * The parallax of the stars is negligible, the position is the apparent place.
+	 *
+	 * @function topocentricPosition
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @param {A.EqCoord} eqCoord - catalog position of the star referred to J2000.0
+	 * @param {boolean} refraction - if true the atmospheric refraction is added to the altitude
+	 * @param {?Map} properMotion - annual proper motion, ra and dec in radians per julian year
+	 * @return {Map} hz: position of the star as horizontal coordinates with azimuth and altitude.<br>
+	 *               eq: apparent position of the star as equatorial coordinates
+	 */
+	topocentricPosition: function (jdo, eclCoord, eqCoord, refraction, properMotion) {
+		var st0 = A.Sidereal.apparentInRa(jdo);
+		var eq = A.Star.apparentPlace(eqCoord, properMotion, 2000, jdo);
+
+		var hz = A.Coord.eqToHz(eq, eclCoord, st0);
+		if (refraction === true)
+			hz.alt += A.Refraction.bennett2(hz.alt);
+
+		return {
+			hz: hz,
+			eq: eq
+		};
+	},
+
+	/**
+	 * times computes rise, transit and set times of a star on a day of interest. <br>
+	 * The times are searched with A.Rise.searchTimes for the standard altitude A.Rise.stdh0Stellar,
+	 * the apparent place is computed once for the middle of the day. A star which does not rise or set on this
+	 * day does not rise or set on the next days either, nextRise and nextSet are not searched.
+	 *
+	 * @function times
+	 * @static
+	 *
+	 * @param {A.JulianDay} jdo - julian day
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @param {A.EqCoord} eqCoord - catalog position of the star referred to J2000.0
+	 * @param {?number|String} timezone - offset to UT in hours or an IANA time zone, default is UT
+	 * @param {?Map} properMotion - annual proper motion, ra and dec in radians per julian year
+	 * @return {Map} transit, rise, set in seconds since midnight and in in the range [0,86400) <br>
+	 *               alwaysAbove: true if the star is circumpolar and does not set <br>
+	 *               alwaysBelow: true if the star never rises <br>
+	 *               see A.Rise.searchTimes for the other values
+	 */
+	times: function (jdo, eclCoord, eqCoord, timezone, properMotion) {
+		var jdo0 = timezone === undefined ? jdo.startOfDay() : jdo.startOfLocalDay(timezone);
+		var eq = A.Star.apparentPlace(eqCoord, properMotion, 2000, new A.JulianDay(jdo0.jd + 0.5, jdo0.deltaT));
+		return A.Rise.searchTimes(eclCoord, A.Rise.stdh0Stellar, function () {
+			return eq;
+		}, jdo, timezone, 0);
+	},
+
+	/**
+	 * find returns a star of A.StarCatalog by name, Bayer designation, HIP or HR number. <br>
+	 * Names are case insensitive, e.g. 'Sirius' or 'rigil kentaurus'. The Greek letter of a Bayer designation
+	 * may be given as letter, name or abbreviation, e.g. 'α CMa', 'alpha CMa' or 'alf CMa'. Without
+	 * the component number 'α Lib' finds 'α2 Lib'. HIP numbers are given as number or as 'HIP 32349',
+	 * HR numbers of the Bright Star Catalogue as 'HR 2491'.
+	 *
+	 * @function find
+	 * @static
+	 *
+	 * @param {String|number} id - name, Bayer designation, HIP or HR number
+	 * @return {Map} the star (see list) or undefined if the star is not in the catalog
+	 */
+	find: function (id) {
+		var stars = A.StarCatalog.stars;
+		var i, m;
+
+		// 1:catalog, 2:number
+		m = typeof id === 'number' ? [null, 'HIP', id] : /^(HIP|HR)\s*(\d+)$/i.exec(id.trim());
+		if (m) {
+			var column = m[1].toUpperCase() === 'HR' ? 3 : 2;
+			for (i = 0; i < stars.length; i++) {
+				if (stars[i][column] === Number(m[2]))
+					return A.Star._entry(stars[i]);
+			}
+			return undefined;
+		}
+
+		var name = id.trim().toLowerCase();
+		for (i = 0; i < stars.length; i++) {
+			for (var k = 0; k < stars[i][0].length; k++) {
+				if (stars[i][0][k].toLowerCase() === name)
+					return A.Star._entry(stars[i]);
+			}
+		}
+
+		m = /^([^\s\d]+)\s*(\d?)\s+([a-z]{3})$/i.exec(id.trim());
+		var letter = m && A.Star._letter(m[1]);
+		if (!letter)
+			return undefined;
+		var con = m[3].toLowerCase();
+		var found;
+		for (i = 0; i < stars.length; i++) {
+			// 0:letter and component, 1:constellation
+			var b = stars[i][1].split(' ');
+			if (b[1].toLowerCase() !== con || b[0].charAt(0) !== letter)
+				continue;
+			if (b[0] === letter + m[2])
+				return A.Star._entry(stars[i]);
+			if (!m[2] && !found)
+				found = stars[i];
+		}
+		return found ? A.Star._entry(found) : undefined;
+	},
+
+	/**
+	 * list returns the stars of A.StarCatalog down to a magnitude ordered by magnitude.
+	 *
+	 * @function list
+	 * @static
+	 *
+	 * @param {?number} maxMag - faintest visual magnitude, default are all stars
+	 * @return {Array} list of maps with<br>
+	 *                 name: proper name of the star or undefined, names: all names<br>
+	 *                 bayer: Bayer designation, e.g. 'α CMa'<br>
+	 *                 hip: number in the Hipparcos catalog<br>
+	 *                 hr: number in the Bright Star Catalogue<br>
+	 *                 eq: catalog position referred to J2000.0 as A.EqCoord<br>
+	 *                 properMotion: ra and dec in radians per julian year, as expected by apparentPlace and times<br>
+	 *                 mag: visual magnitude
+	 */
+	list: function (maxMag) {
+		var res = [];
+		var stars = A.StarCatalog.stars;
+		for (var i = 0; i < stars.length; i++) {
+			if (maxMag === undefined || stars[i][8] <= maxMag)
+				res.push(A.Star._entry(stars[i]));
+		}
+		return res;
+	},
+
+	/**
+	 * Returns the map of a catalog row.
+	 */
+	_entry: function (row) {
+		// 0:names, 1:bayer, 2:hip, 3:hr, 4:ra, 5:dec, 6:pm ra*cos(dec), 7:pm dec, 8:mag
+		var p = Math.PI / 180;
+		var mas = p / 3600000;
+		var dec = row[5] * p;
+		return {
+			name: row[0][0],
+			names: row[0].slice(),
+			bayer: row[1],
+			hip: row[2],
+			hr: row[3],
+			eq: new A.EqCoord(row[4] * p, dec),
+			properMotion: {
+				ra: row[6] * mas / Math.cos(dec),
+				dec: row[7] * mas
+			},
+			mag: row[8]
+		};
+	},
+
+	/**
+	 * Returns the Greek letter for a letter, name or abbreviation.
+	 */
+	_letter: function (s) {
+		s = s.toLowerCase();
+		for (var i = 0; i < A.Star._greek.length; i++) {
+			if (A.Star._greek[i].indexOf(s) >= 0)
+				return A.Star._greek[i][0];
+		}
+		return undefined;
+	},
+
+	/**
+	 * Greek letters of the Bayer designations with their names and abbreviations.
+	 */
+	_greek: [
+		['α', 'alpha', 'alf', 'alp', 'al'], ['β', 'beta', 'bet', 'be'], ['γ', 'gamma', 'gam', 'ga'],
+		['δ', 'delta', 'del', 'de'], ['ε', 'epsilon', 'eps', 'ep'], ['ζ', 'zeta', 'zet', 'ze'],
+		['η', 'eta', 'et'], ['θ', 'theta', 'tet', 'the', 'th'], ['ι', 'iota', 'iot', 'io'],
+		['κ', 'kappa', 'kap', 'ka'], ['λ', 'lambda', 'lam', 'la'], ['μ', 'mu'], ['ν', 'nu'],
+		['ξ', 'xi', 'ksi'], ['ο', 'omicron', 'omi'], ['π', 'pi'], ['ρ', 'rho', 'rh'],
+		['σ', 'sigma', 'sig', 'si'], ['τ', 'tau', 'ta'], ['υ', 'upsilon', 'ups', 'up'],
+		['φ', 'phi', 'ph'], ['χ', 'chi', 'khi', 'ch'], ['ψ', 'psi', 'ps'], ['ω', 'omega', 'ome']
+	],
+
+	/**
+	 * nutation returns the corrections of a mean position for the nutation. (23.1) p. 151
+	 *
+	 * @function nutation
+	 * @static
+	 *
+	 * @param {A.EqCoord} eqcoord - mean equatorial coordinates of the date
+	 * @param {A.JulianDay} jdo - julian day
+	 * @return {Map} ra, dec: corrections in right ascension and declination in radians
+	 */
+	nutation: function (eqcoord, jdo) {
+		var nut = A.Nutation.nutation(jdo);
+		var obliquity = A.Nutation.meanObliquityLaskar(jdo) + nut.deltaobliquity;
+
+		var se = Math.sin(obliquity);
+		var ce = Math.cos(obliquity);
+		var sa = Math.sin(eqcoord.ra);
+		var ca = Math.cos(eqcoord.ra);
+		var td = Math.tan(eqcoord.dec);
+
+		return {
+			ra: (ce + se*sa*td) * nut.deltalng - ca*td * nut.deltaobliquity,
+			dec: se*ca * nut.deltalng + sa * nut.deltaobliquity
+		};
+	},
+
+	/**
+	 * aberration returns the corrections of a position for the annual aberration,
+	 * including the e-terms. (23.3) p. 151
+	 *
+	 * @function aberration
+	 * @static
+	 *
+	 * @param {A.EqCoord} eqcoord - equatorial coordinates
+	 * @param {A.JulianDay} jdo - julian day
+	 * @return {Map} ra, dec: corrections in right ascension and declination in radians
+	 */
+	aberration: function (eqcoord, jdo) {
+		var T = jdo.jdeJ2000Century();
+		var p = Math.PI / 180;
+		var k = 20.49552 / 3600 * p; // constant of aberration
+		var e = A.Math.horner(T, [0.016708634, -0.000042037, -0.0000001267]);
+		var pi = A.Math.horner(T, [102.93735, 1.71946, 0.00046]) * p;
+		var sun = A.Solar.trueLongitude(T).s;
+		var obliquity = A.Nutation.trueObliquity(jdo);
+
+		var sa = Math.sin(eqcoord.ra);
+		var ca = Math.cos(eqcoord.ra);
+		var sd = Math.sin(eqcoord.dec);
+		var cd = Math.cos(eqcoord.dec);
+		var ce = Math.cos(obliquity);
+		var q = Math.tan(obliquity)*cd - sa*sd;
+
+		return {
+			ra: (-k * (ca*Math.cos(sun)*ce + sa*Math.sin(sun)) +
+				e*k * (ca*Math.cos(pi)*ce + sa*Math.sin(pi))) / cd,
+			dec: -k * (Math.cos(sun)*ce*q + ca*sd*Math.sin(sun)) +
+				e*k * (Math.cos(pi)*ce*q + ca*sd*Math.sin(pi))
+		};
+	}
+};
@@ -0,0 +1,306 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+/**
+ * Catalog of the bright stars down to magnitude 3.5, including the 58 navigational stars. <br>
+ * The positions and proper motions are referred to the ICRS at J2000.0 and taken from the
+ * SIMBAD Astronomical Database (Hipparcos). The star names are traditional names with their alternatives,
+ * they do not follow the IAU list of star names: the first name is not always the IAU name, e.g. 'Almaak'
+ * for Almach. Use A.Star.find and A.Star.list to get the stars.
+ * @module A.StarCatalog
+ */
+A.StarCatalog = {
+
+	/**
+	 * Stars ordered by magnitude. <br>
+	 * 0:names, 1:Bayer designation, 2:HIP number, 3:HR number (Bright Star Catalogue), 4:right ascension in degrees,
+	 * 5:declination in degrees, 6:proper motion in right ascension times cos(dec) in 0.001"/year,
+	 * 7:proper motion in declination in 0.001"/year, 8:visual magnitude
+	 *
+	 * @const {Array} stars
+	 * @static
+	 */
+	stars: [
+		[['Sirius', 'Lubdhaka'], 'α CMa', 32349, 2491, 101.287155, -16.716116, -546.01, -1223.07, -1.46],
+		[['Canopus', 'Agastya'], 'α Car', 30438, 2326, 95.987958, -52.695661, 19.93, 23.24, -0.74],
+		[['Rigil Kentaurus', 'Rigel Kentaurus', 'Toliman', 'Bungula'], 'α Cen', 71683, 5459, 219.900850, -60.835619, -3608, 686, -0.1],
+		[['Arcturus', 'Svati'], 'α Boo', 69673, 5340, 213.915300, 19.182409, -1093.39, -2000.06, -0.05],
+		[['Vega', 'Abhijit'], 'α Lyr', 91262, 7001, 279.234735, 38.783689, 200.94, 286.23, 0.03],
+		[['Capella', 'Brahmahridaya'], 'α Aur', 24608, 1708, 79.172328, 45.997991, 75.25, -426.89, 0.08],
+		[['Rigel'], 'β Ori', 24436, 1713, 78.634467, -8.201638, 1.31, 0.5, 0.13],
+		[['Procyon'], 'α CMi', 37279, 2943, 114.825498, 5.224988, -714.59, -1036.8, 0.37],
+		[['Betelgeuse', 'Beteigeuse', 'Ardra'], 'α Ori', 27989, 2061, 88.792939, 7.407064, 27.54, 11.3, 0.42],
+		[['Achernar'], 'α Eri', 7588, 472, 24.428523, -57.236753, 87, -38.24, 0.46],
+		[['Hadar', 'Agena'], 'β Cen', 68702, 5267, 210.955856, -60.373035, -33.27, -23.16, 0.6],
+		[['Altair', 'Shravana'], 'α Aql', 97649, 7557, 297.695827, 8.868321, 536.23, 385.29, 0.76],
+		[['Acrux'], 'α Cru', 60718, 4730, 186.649563, -63.099093, -35.83, -14.86, 0.81],
+		[['Aldebaran'], 'α Tau', 21421, 1457, 68.980163, 16.509302, 63.45, -188.94, 0.86],
+		[['Antares', 'Jyeshtha'], 'α Sco', 80763, 6134, 247.351915, -26.432003, -12.11, -23.3, 0.91],
+		[['Spica', 'Citra'], 'α Vir', 65474, 5056, 201.298247, -11.161319, -42.35, -30.67, 0.97],
+		[['Pollux', 'Punarvasu'], 'β Gem', 37826, 2990, 116.328958, 28.026199, -626.55, -45.8, 1.14],
+		[['Fomalhaut'], 'α PsA', 113368, 8728, 344.412693, -29.622237, 328.95, -164.67, 1.16],
+		[['Mimosa'], 'β Cru', 62434, 4853, 191.930287, -59.688772, -42.97, -16.18, 1.25],
+		[['Deneb'], 'α Cyg', 102098, 7924, 310.357980, 45.280339, 2.01, 1.85, 1.25],
+		[['Regulus', 'Magha'], 'α Leo', 49669, 3982, 152.092962, 11.967209, -248.73, 5.59, 1.4],
+		[['Adara', 'Adhara'], 'ε CMa', 33579, 2618, 104.656453, -28.972086, 3.24, 1.33, 1.5],
+		[['Castor'], 'α Gem', 36850, 2891, 113.649472, 31.888282, -191.45, -145.19, 1.58],
+		[['Shaula', 'Mula'], 'λ Sco', 85927, 6527, 263.402167, -37.103824, -8.53, -30.8, 1.62],
+		[['Bellatrix', 'Durga'], 'γ Ori', 25336, 1790, 81.282764, 6.349703, -8.11, -12.88, 1.64],
+		[['Gacrux'], 'γ Cru', 61084, 4763, 187.791498, -57.113213, 28.23, -265.08, 1.64],
+		[['Elnath', 'El Nath', 'Alnath'], 'β Tau', 25428, 1791, 81.572971, 28.607452, 22.76, -173.58, 1.65],
+		[['Alnilam', 'Ganesha'], 'ε Ori', 26311, 1903, 84.053389, -1.201919, 1.44, -0.78, 1.69],
+		[['Miaplacidus'], 'β Car', 45238, 3685, 138.299906, -69.717208, -156.47, 108.95, 1.69],
+		[['Alnair'], 'α Gru', 109268, 8425, 332.058270, -46.960974, 126.69, -147.47, 1.71],
+		[['Alioth', 'Angiras'], 'ε UMa', 62956, 4905, 193.507290, 55.959823, 111.91, -8.24, 1.77],
+		[['Mirfak', 'Mirphak'], 'α Per', 15863, 1017, 51.080709, 49.861179, 23.75, -26.23, 1.79],
+		[['Alnitak', 'Iyappa'], 'ζ Ori', 26727, 1948, 85.189694, -1.942574, 3.19, 2.03, 1.79],
+		[['Dubhe', 'Kratu'], 'α UMa', 54061, 4301, 165.931965, 61.751035, -134.11, -34.7, 1.79],
+		[['Suhail al Muhlif', 'Regor'], 'γ2 Vel', 39953, 3207, 122.383126, -47.336586, -6.07, 10.43, 1.83],
+		[['Wezen'], 'δ CMa', 34444, 2693, 107.097850, -26.393200, -3.12, 3.31, 1.84],
+		[['Kaus Australis'], 'ε Sgr', 90185, 6879, 276.042993, -34.384616, -39.42, -124.2, 1.85],
+		[['Alkaid', 'Benetnash', 'Marichi'], 'η UMa', 67301, 5191, 206.885157, 49.313267, -121.17, -14.91, 1.86],
+		[['Sargas'], 'θ Sco', 86228, 6553, 264.329708, -42.997828, 5.54, -3.12, 1.862],
+		[['Menkalinan'], 'β Aur', 28360, 2088, 89.882179, 44.947433, -56.44, -0.95, 1.9],
+		[['Peacock'], 'α Pav', 100751, 7790, 306.411904, -56.735090, 6.9, -86.02, 1.918],
+		[['Alhena', 'Almeisan'], 'γ Gem', 31681, 2421, 99.427960, 16.399280, 13.81, -54.96, 1.92],
+		[['Atria'], 'α TrA', 82273, 6217, 252.166229, -69.027712, 17.99, -31.58, 1.92],
+		[['Alsephina', 'Koo She'], 'δ Vel', 42913, 3485, 131.175944, -54.708819, 28.99, -103.35, 1.95],
+		[['Avior'], 'ε Car', 41037, 3307, 125.628480, -59.509484, -25.52, 22.06, 1.953],
+		[['Mirzam', 'Murzim', 'Murzims'], 'β CMa', 30324, 2294, 95.674939, -17.955919, -3.23, -0.78, 1.97],
+		[['Alphard', 'Cor Hydrae'], 'α Hya', 46390, 3748, 141.896845, -8.658600, -15.23, 34.37, 1.97],
+		[['Algieba'], 'γ1 Leo', 50583, 4057, 154.993446, 19.841258, 294.9, -154, 1.98],
+		[['Diphda', 'Difda'], 'β Cet', 3419, 188, 10.897379, -17.986606, 232.55, 31.99, 2.01],
+		[['Hamal'], 'α Ari', 9884, 617, 31.793357, 23.462418, 188.55, -148.08, 2.01],
+		[['Polaris'], 'α UMi', 11767, 424, 37.954561, 89.264109, 44.48, -11.85, 2.02],
+		[['Mirach'], 'β And', 5447, 337, 17.433016, 35.620558, 175.9, -112.2, 2.05],
+		[['Menkent'], 'θ Cen', 68933, 5288, 211.670615, -36.369955, -520.53, -518.06, 2.05],
+		[['Alpheratz', 'Sirrah'], 'α And', 677, 15, 2.096916, 29.090431, 137.46, -163.44, 2.06],
+		[['Saiph'], 'κ Ori', 27366, 2004, 86.939120, -9.669605, 1.46, -1.28, 2.06],
+		[['Nunki', 'Uttarashadha'], 'σ Sgr', 92855, 7121, 283.816360, -26.296724, 15.14, -53.43, 2.067],
+		[['Rasalhague'], 'α Oph', 86032, 6556, 263.733623, 12.560037, 108.07, -221.57, 2.07],
+		[['Kochab'], 'β UMi', 72607, 5563, 222.676358, 74.155504, -32.61, 11.42, 2.08],
+		[['Almaak', 'Almak', 'Almac', 'Almach'], 'γ1 And', 9640, 603, 30.974805, 42.329725, 43.08, -50.85, 2.1],
+		[['Gruid', 'Tiaki'], 'β Gru', 112122, 8636, 340.666876, -46.884576, 135.16, -4.38, 2.11],
+		[['Algol'], 'β Per', 14576, 936, 47.042219, 40.955647, 2.99, -1.66, 2.12],
+		[['Denebola', 'Uttaraphalguni'], 'β Leo', 57632, 4534, 177.264910, 14.572058, -497.68, -114.67, 2.13],
+		[['Muhlifain'], 'γ Cen', 61932, 4819, 190.379334, -48.959872, -185.72, 5.79, 2.17],
+		[['Alsuhail', 'Suhail'], 'λ Vel', 44816, 3634, 136.998991, -43.432591, -24.01, 13.52, 2.21],
+		[['Schedar', 'Shedir', 'Schedir'], 'α Cas', 3179, 168, 10.126838, 56.537331, 50.88, -32.13, 2.23],
+		[['Eltanin', 'Etamin'], 'γ Dra', 87833, 6705, 269.151541, 51.488896, -8.48, -22.79, 2.23],
+		[['Sador', 'Sadir', 'Sadr'], 'γ Cyg', 100453, 7796, 305.557091, 40.256679, 2.39, -0.91, 2.23],
+		[['Alphecca', 'Alphekka', 'Gemma'], 'α CrB', 76267, 5793, 233.671950, 26.714693, 120.27, -89.58, 2.24],
+		[['Naos', 'Suhail Hadar'], 'ζ Pup', 39429, 3165, 120.896031, -40.003148, -29.71, 16.68, 2.25],
+		[['Scutulum', 'Aspidiske'], 'ι Car', 45556, 3699, 139.272529, -59.275232, -18.86, 11.98, 2.26],
+		[['Caph'], 'β Cas', 746, 21, 2.294522, 59.149781, 523.5, -179.77, 2.27],
+		[['Mizar', 'Vasishtha'], 'ζ UMa', 65378, 5054, 200.981419, 54.925352, 119.01, -25.97, 2.27],
+		[['Kakkab', 'Men'], 'α Lup', 71860, 5469, 220.482316, -47.388199, -20.94, -23.67, 2.286],
+		[['Wei', 'Larawag'], 'ε Sco', 82396, 6241, 252.540878, -34.293232, -614.85, -255.98, 2.29],
+		[['Birdun'], 'ε Cen', 66657, 5132, 204.971907, -53.466391, -15.3, -11.72, 2.3],
+		[[], 'η Cen', 71352, 5440, 218.876767, -42.157825, -34.73, -32.72, 2.31],
+		[['Dschubba', 'Anuradha'], 'δ Sco', 78401, 5953, 240.083355, -22.621706, -10.21, -35.41, 2.32],
+		[['Ankaa'], 'α Phe', 2081, 99, 6.571047, -42.305987, 233.05, -356.3, 2.37],
+		[['Merak', 'Pulaha'], 'β UMa', 53910, 4295, 165.460319, 56.382426, 81.43, 33.49, 2.37],
+		[['Girtab'], 'κ Sco', 86670, 6580, 265.621980, -39.029983, -6.05, -25.54, 2.386],
+		[['Tsih', 'Cih'], 'γ Cas', 4427, 264, 14.177215, 60.716740, 25.65, -3.82, 2.39],
+		[['Izar', 'Mirak', 'Pulcherrima'], 'ε Boo', 72105, 5506, 221.246739, 27.074225, -50.95, 21.07, 2.39],
+		[['Enif'], 'ε Peg', 107315, 8308, 326.046484, 9.875009, 26.92, 0.44, 2.39],
+		[['Mintaka', 'Kumara'], 'δ Ori', 25930, 1852, 83.001667, -0.299095, 0.64, -0.69, 2.41],
+		[['Sabik'], 'η Oph', 84012, 6378, 257.594529, -15.724907, 40.13, 99.17, 2.42],
+		[['Scheat'], 'β Peg', 113881, 8775, 345.943573, 28.082787, 187.65, 136.93, 2.42],
+		[['Phecda', 'Pulastya'], 'γ UMa', 58001, 4554, 178.457697, 53.694760, 107.68, 11.01, 2.44],
+		[['Aludra'], 'η CMa', 35904, 2827, 111.023760, -29.303106, -4.14, 5.81, 2.45],
+		[['Alderamin'], 'α Cep', 105199, 8162, 319.644885, 62.585574, 150.55, 49.09, 2.46],
+		[['Markeb'], 'κ Vel', 45941, 3734, 140.528407, -55.010667, -11.4, 11.52, 2.473],
+		[['Gienah Cygni', 'Gienah Ghurab', 'Aljanah'], 'ε Cyg', 102488, 7949, 311.552843, 33.970257, 355.66, 330.6, 2.48],
+		[['Markab', 'Purvabhadra'], 'α Peg', 113963, 8781, 346.190223, 15.205267, 60.4, -41.3, 2.48],
+		[[], 'δ Cen', 59196, 4621, 182.089573, -50.722427, -49.94, -7.19, 2.52],
+		[['Menkar'], 'α Cet', 14135, 911, 45.569888, 4.089739, -10.41, -76.85, 2.53],
+		[['Zosma', 'Dhur', 'Purvaphalguni'], 'δ Leo', 54872, 4357, 168.527089, 20.523718, 143.42, -129.88, 2.53],
+		[[], 'ζ Cen', 68002, 5231, 208.884940, -47.288374, -57.37, -44.55, 2.55],
+		[['Han'], 'ζ Oph', 81377, 6175, 249.289746, -10.567092, 15.26, 24.79, 2.56],
+		[['Arneb'], 'α Lep', 25985, 1865, 83.182567, -17.822289, 3.56, 1.18, 2.57],
+		[['Gienah', 'Gienah Corvi'], 'γ Crv', 59803, 4662, 183.951545, -17.541930, -158.61, 21.86, 2.58],
+		[['Ascella'], 'ζ Sgr', 93506, 7194, 285.653043, -29.880063, 10.79, 21.11, 2.585],
+		[['Bogardus', 'Manus', 'Mahasim'], 'θ Aur', 28380, 2095, 89.930292, 37.212585, 43.63, -73.79, 2.62],
+		[['Zubeneshamali', 'Zuben Eschamali'], 'β Lib', 74785, 5685, 229.251724, -9.382914, -98.1, -19.65, 2.62],
+		[['Graffias', 'Akrab', 'Acrab'], 'β1 Sco', 78820, 5984, 241.359300, -19.805453, -5.2, -24.04, 2.62],
+		[['Unukalhai', 'Cor Serpentis'], 'α Ser', 77070, 5854, 236.066976, 6.425629, 133.84, 44.81, 2.63],
+		[['Kraz'], 'β Crv', 61359, 4786, 188.596812, -23.396760, 1.11, -56.56, 2.64],
+		[[], 'α Mus', 61585, 4798, 189.295908, -69.135565, -40.2, -12.8, 2.649],
+		[['Sheratan', 'Ashvini'], 'β Ari', 8903, 553, 28.660046, 20.808031, 98.74, -110.41, 2.65],
+		[['Phact'], 'α Col', 26634, 1956, 84.912254, -34.074110, 1.58, -24.82, 2.65],
+		[['Kaus Media', 'Kaus Meridionalis', 'Purvashadha'], 'δ Sgr', 89931, 6859, 275.248515, -29.828102, 32.54, -25.57, 2.668],
+		[['Ruchbah', 'Rucha'], 'δ Cas', 6686, 403, 21.453964, 60.235284, 296.57, -49.22, 2.68],
+		[['Mufrid', 'Muphrid'], 'η Boo', 67927, 5235, 208.671162, 18.397721, -60.95, -356.29, 2.68],
+		[['Kekouan'], 'β Lup', 73273, 5571, 224.633022, -43.133964, -35.78, -39.83, 2.68],
+		[['Hasseleh', 'Hassaleh', 'Al Khabdhilinan'], 'ι Aur', 23015, 1577, 74.248421, 33.166100, 6.79, -14.88, 2.69],
+		[['Peregrini', 'Alherem'], 'μ Vel', 52727, 4216, 161.692412, -49.420257, 63.22, -54.21, 2.69],
+		[['Ahadi'], 'π Pup', 35264, 2773, 109.285653, -37.097471, -10.05, 6.47, 2.7],
+		[['Lesath'], 'υ Sco', 85696, 6508, 262.690988, -37.295813, -2.37, -30.09, 2.7],
+		[['Tarazed'], 'γ Aql', 97278, 7525, 296.564918, 10.613261, 16.99, -2.98, 2.72],
+		[['Alhakim'], 'ι Cen', 65109, 5028, 200.149239, -36.712290, -341.11, -86.14, 2.73],
+		[['Porrima'], 'γ Vir', 61941, 4825, 190.415181, -1.449373, -614.76, 61.34, 2.74],
+		[['Aldhibain', 'Athebyne'], 'η Dra', 80331, 6132, 245.997858, 61.514214, -17.02, 56.95, 2.74],
+		[['Zubenelgenubi', 'Zuben Elgenubi'], 'α2 Lib', 72622, 5531, 222.719638, -16.041777, -105.68, -68.4, 2.75],
+		[['Yed Prior'], 'δ Oph', 79593, 6056, 243.586411, -3.694323, -47.54, -142.73, 2.75],
+		[['Celbalrai', 'Cebalrai', 'Kelb Alrai'], 'β Oph', 86742, 6603, 265.868136, 4.567304, -41.45, 159.34, 2.75],
+		[['Decrux'], 'δ Cru', 59747, 4656, 183.786320, -58.748927, -35.81, -10.36, 2.752],
+		[['Vathorz Posterior'], 'θ Car', 52419, 4199, 160.739175, -64.394450, -18.36, 12.03, 2.76],
+		[['Thusia'], 'γ Lup', 76297, 5776, 233.785201, -41.166757, -15.62, -25.43, 2.765],
+		[['Hatsya', 'Nair al Saif'], 'ι Ori', 26241, 1899, 83.858258, -5.909901, 1.42, -0.46, 2.77],
+		[['Kornephoros'], 'β Her', 80816, 6148, 247.554998, 21.489611, -99.15, -15.39, 2.77],
+		[[], 'β Hyi', 2021, 98, 6.437793, -77.254246, 2219.54, 324.09, 2.79],
+		[['Cursa'], 'β Eri', 23875, 1666, 76.962440, -5.086446, -82.82, -75.39, 2.79],
+		[['Vindemiatrix'], 'ε Vir', 63608, 4932, 195.544158, 10.959150, -273.8, 19.96, 2.79],
+		[['Rutilicus'], 'ζ Her', 81693, 6212, 250.321504, 31.602719, -461.52, 342.28, 2.8],
+		[['Turais', 'Tureis'], 'ρ Pup', 39757, 3185, 121.886037, -24.304324, -83.35, 46.23, 2.81],
+		[[], 'τ Sco', 81266, 6165, 248.970637, -28.216017, -9.89, -22.83, 2.81],
+		[['Alwaid', 'Rastaban'], 'β Dra', 85670, 6536, 262.608174, 52.301389, -15.89, 12.28, 2.81],
+		[['Kaus Borealis'], 'λ Sgr', 90496, 6913, 276.992670, -25.421699, -44.76, -185.66, 2.81],
+		[[], 'α Tuc', 110130, 8502, 334.625395, -60.259591, -70.72, -39.44, 2.82],
+		[['Deneb Algedi'], 'δ Cap', 107556, 8322, 326.760184, -16.127287, 261.7, -296.7, 2.83],
+		[['Algenib', 'Uttarabhadra'], 'γ Peg', 1067, 39, 3.308963, 15.183594, 1.98, -9.28, 2.84],
+		[[], 'α Hyi', 9236, 591, 29.692478, -61.569860, 263.66, 26.77, 2.84],
+		[['Nihal'], 'β Lep', 25606, 1829, 82.061346, -20.759441, -5.02, -86.01, 2.84],
+		[[], 'ζ Per', 18246, 1203, 58.533010, 31.883634, 5.77, -9.92, 2.85],
+		[[], 'β TrA', 77952, 5897, 238.785675, -63.430727, -188.66, -401.85, 2.85],
+		[[], 'β Ara', 85258, 6461, 261.324951, -55.529885, -8.51, -25.24, 2.85],
+		[['Alcyone', 'Krttika'], 'η Tau', 17702, 1165, 56.871152, 24.105136, 19.34, -43.67, 2.87],
+		[['Tejat'], 'μ Gem', 30343, 2286, 95.740112, 22.513583, 56.39, -110.03, 2.87],
+		[['Ruc', 'Rukh', 'Urakhga', 'Al Fawaris'], 'δ Cyg', 97165, 7528, 296.243661, 45.130810, 44.07, 48.66, 2.87],
+		[['Cor Caroli'], 'α2 CVn', 63125, 4915, 194.006943, 38.318376, -235.08, 53.54, 2.88],
+		[['Albaldah'], 'π Sgr', 94141, 7264, 287.440971, -21.023614, -1.36, -36.45, 2.88],
+		[[], 'ε Per', 18532, 1220, 59.463467, 40.010215, 14.06, -23.78, 2.89],
+		[['Gomeisa'], 'β CMi', 36188, 2845, 111.787674, 8.289316, -51.76, -38.29, 2.89],
+		[[], 'γ TrA', 74946, 5671, 229.727425, -68.679546, -66.58, -32.31, 2.89],
+		[['Alniyat'], 'σ Sco', 80112, 6084, 245.297149, -25.592792, -10.6, -16.28, 2.89],
+		[['Sadalsuud'], 'β Aqr', 106278, 8232, 322.889715, -5.571176, 18.77, -8.21, 2.89],
+		[['Fang'], 'π Sco', 78265, 5944, 239.712972, -26.114108, -11.42, -26.83, 2.91],
+		[[], 'γ Per', 14328, 915, 46.199128, 53.506436, 0.51, -5.92, 2.93],
+		[['Al Rihla', 'Rehla', 'Anazitisi'], 'τ Pup', 32768, 2553, 102.484035, -50.614568, 34.36, -69.11, 2.93],
+		[['Zaurak'], 'γ Eri', 18543, 1231, 59.507362, -13.508519, 61.57, -113.11, 2.94],
+		[['Algorab', 'Hasta'], 'δ Crv', 60965, 4757, 187.466063, -16.515431, -210.49, -138.74, 2.94],
+		[['Sadalmelek', 'Sadalmelik'], 'α Aqr', 109074, 8414, 331.445983, -0.319850, 18.25, -9.39, 2.94],
+		[['Ara'], 'α Ara', 85792, 6510, 262.960381, -49.876145, -33.27, -67.22, 2.95],
+		[['Matar'], 'η Peg', 112158, 8650, 340.750573, 30.221245, 13.16, -25.67, 2.95],
+		[['Vathorz Prior'], 'υ Car', 48002, 3890, 146.775507, -65.072007, -11.51, 4.71, 2.96],
+		[['Mebsuta'], 'ε Gem', 32246, 2473, 100.983026, 25.131125, -5.57, -12.36, 2.98],
+		[['Ras Elased Australis'], 'ε Leo', 47908, 3873, 146.462805, 23.774256, -45.61, -9.21, 2.98],
+		[['Minkar'], 'ε Crv', 59316, 4630, 182.531169, -22.619767, -71.74, 10.25, 2.98],
+		[['Xamidimura'], 'μ1 Sco', 82514, 6247, 252.967630, -38.047380, -10.58, -22.06, 2.98],
+		[['Maaz', 'Almaaz', 'Al Anz'], 'ε Aur', 23416, 1605, 75.492219, 43.823307, -0.86, -2.66, 2.99],
+		[['Alnasl', 'Nash'], 'γ2 Sgr', 88635, 6746, 271.452034, -30.424090, -53.92, -180.9, 2.99],
+		[['Deneb el Okab Australis', 'Dheneb'], 'ζ Aql', 93747, 7235, 286.352533, 13.863477, -7.25, -95.56, 2.99],
+		[[], 'ι1 Sco', 87073, 6615, 266.896171, -40.126997, 0.01, -6.24, 2.992],
+		[[], 'β Tri', 10064, 622, 32.385946, 34.987297, 149.16, -39.1, 3],
+		[['Furud'], 'ζ CMa', 30122, 2282, 95.078300, -30.063367, 7.32, 4.03, 3],
+		[['Cauda Hydrae', 'Dhanab al Shuja'], 'γ Hya', 64962, 5020, 199.730405, -23.171514, 68.99, -41.85, 3],
+		[['Pherkad'], 'γ UMi', 75097, 5735, 230.182150, 71.834017, -17.73, 17.9, 3.002],
+		[[], 'δ Per', 17358, 1122, 55.731268, 47.787548, 25.58, -43.06, 3.01],
+		[[], 'ψ UMa', 54539, 4335, 167.415869, 44.498487, -62.02, -27.41, 3.01],
+		[['Aldhanab', 'Al Dhanab', 'Ras Alkurki'], 'γ Gru', 108085, 8353, 328.482192, -37.364855, 98.07, -13.22, 3.01],
+		[[], 'ο2 CMa', 33977, 2653, 105.756134, -23.833292, -2.21, 3.61, 3.02],
+		[['Seginus', 'Haris'], 'γ Boo', 71075, 5435, 218.019466, 38.308251, -115.71, 151.16, 3.02],
+		[['Al Hecka', 'Tianguan'], 'ζ Tau', 26451, 1910, 84.411189, 21.142544, 1.78, -20.07, 3.03],
+		[['Tania Australis'], 'μ UMa', 50801, 4069, 155.582249, 41.499519, -81.47, 35.34, 3.05],
+		[['Ras Algethi', 'Rasalgethi'], 'α Her', 84345, 6406, 258.661909, 14.390341, -7.32, 36.07, 3.06],
+		[[], 'β Mus', 62322, 4844, 191.570017, -68.108116, -41.97, -8.89, 3.07],
+		[['Nodus II', 'Altais'], 'δ Dra', 94376, 7310, 288.138758, 67.661540, 95.74, 91.92, 3.07],
+		[[], 'ζ Ara', 83081, 6285, 254.655051, -55.990145, -17.8, -36.67, 3.076],
+		[['Dabih'], 'β1 Cap', 100345, 7776, 305.252805, -14.781383, 44.92, 7.38, 3.08],
+		[['Albireo'], 'β1 Cyg', 95947, 7417, 292.680336, 27.959680, -7.17, -6.15, 3.085],
+		[['Hydrobius'], 'ζ Hya', 43813, 3547, 133.848442, 5.945565, -100.06, 15.46, 3.1],
+		[['Pleura'], 'ν Hya', 52943, 4232, 162.406203, -16.193649, 93.35, 198.88, 3.11],
+		[['Sephdar', 'Ira Furoris'], 'η Sgr', 89642, 6832, 274.406813, -36.761685, -129.56, -166.26, 3.11],
+		[[], 'α Ind', 101772, 7869, 309.391800, -47.291501, 49.24, 66.53, 3.11],
+		[['Wazn'], 'β Col', 27628, 2040, 87.739967, -35.768310, 54.77, 404.2, 3.12],
+		[['Ke Kwan'], 'κ Cen', 73334, 5576, 224.790354, -42.104196, -17.62, -22.51, 3.13],
+		[['Sarin'], 'δ Her', 84379, 6410, 258.757961, 24.839207, -21.18, -156.48, 3.13],
+		[['Talitha', 'Talitha Borealis'], 'ι UMa', 44127, 3569, 134.801890, 48.041826, -441.29, -215.32, 3.14],
+		[['Alvashak', 'Al Fahd'], 'α Lyn', 45860, 3705, 140.263753, 34.392562, -223.63, 15.18, 3.14],
+		[['Ma Ti', 'Mati'], 'λ Cen', 56561, 4467, 173.945355, -63.019842, -33.41, -7.08, 3.14],
+		[['Nanto'], 'φ Sgr', 92041, 7039, 281.414109, -26.990776, 50.61, 1.22, 3.14],
+		[['Kaimana'], 'ν Pup', 31685, 2451, 99.440297, -43.195933, -0.44, -3.87, 3.17],
+		[['Nodus I', 'Aldhibah'], 'ζ Dra', 83895, 6396, 257.196650, 65.714684, -20.43, 19.61, 3.17],
+		[['Acamar'], 'θ1 Eri', 13847, 897, 44.565479, -40.304731, -44.6, 19, 3.18],
+		[['Sasin'], 'ε Lep', 23685, 1654, 76.365272, -22.371034, 21.13, -73.11, 3.18],
+		[['Hoedus II', 'Haedus'], 'η Aur', 23767, 1641, 76.628722, 41.234476, 31.45, -67.87, 3.18],
+		[['Al Haud'], 'θ UMa', 46853, 3775, 143.214308, 51.677300, -947.46, -535.6, 3.18],
+		[['Fudail'], 'π Her', 84380, 6418, 258.761810, 36.809162, -27.29, 2.82, 3.18],
+		[['Tabit'], 'π3 Ori', 22449, 1543, 72.460045, 6.961275, 464.06, 11.21, 3.19],
+		[[], 'α Cir', 71908, 5463, 220.626748, -64.975137, -192.53, -233.51, 3.19],
+		[['Hilasmus'], 'δ Lup', 75141, 5695, 230.343007, -40.647520, -19.49, -25.29, 3.19],
+		[['Helkath'], 'κ Oph', 83000, 6299, 254.417074, 9.375031, -292.13, -10.38, 3.2],
+		[['Brachium'], 'σ Lib', 73714, 5603, 226.017567, -25.281961, -71.16, -43.34, 3.21],
+		[[], 'ζ Cyg', 104732, 8115, 318.234108, 30.226915, 6.51, -68.21, 3.21],
+		[['Tseen Foo'], 'θ Aql', 99473, 7710, 302.826108, -0.821475, 35.26, 5.71, 3.22],
+		[['Alrai', 'Errai'], 'γ Cep', 116727, 8974, 354.836881, 77.632274, -47.96, 126.59, 3.22],
+		[['Yed Posterior'], 'ε Oph', 79882, 6075, 244.580374, -4.692510, 83.4, 40.58, 3.23],
+		[['Alphirk', 'Alfirk'], 'β Cep', 106032, 8238, 322.164987, 70.560715, 12.54, 8.39, 3.23],
+		[[], 'σ Pup', 36377, 2878, 112.307627, -43.301433, -59.55, 188.31, 3.25],
+		[['Tang'], 'η Ser', 89962, 6869, 275.327502, -2.898827, -547.75, -701.42, 3.25],
+		[['Sulaphat', 'Sulafat'], 'γ Lyr', 93194, 7178, 284.735927, 32.689556, -3.09, 1.11, 3.25],
+		[[], 'γ Hyi', 17678, 1208, 56.809753, -74.238963, 50.85, 114.74, 3.26],
+		[['Imad'], 'θ Oph', 84970, 6453, 260.502414, -24.999546, -7.37, -23.94, 3.26],
+		[[], 'δ And', 3092, 165, 9.831980, 30.861022, 114.45, -84.02, 3.28],
+		[[], 'α Dor', 21281, 1465, 68.499072, -55.044979, 57.75, 10.93, 3.28],
+		[['Propus', 'Propus etaGem'], 'η Gem', 29655, 2216, 93.719405, 22.506794, -62.46, -12.12, 3.28],
+		[['Sataghni'], 'π Hya', 68895, 5287, 211.592906, -26.682362, 43.7, -141.18, 3.28],
+		[['Skat'], 'δ Aqr', 113136, 8709, 343.662556, -15.820827, -42.6, -27.89, 3.28],
+		[[], 'μ Lep', 24305, 1702, 78.232924, -16.205469, 47.09, -16.39, 3.29],
+		[['Edasich', 'Ed Asich'], 'ι Dra', 75458, 5744, 231.232394, 58.966065, -8.36, 17.08, 3.29],
+		[[], 'β Phe', 5165, 322, 16.520998, -46.718411, -80.81, 34.97, 3.3],
+		[[], 'α Pic', 32607, 2550, 102.047730, -61.941389, -66.07, 242.97, 3.3],
+		[['Azmidiske'], 'ξ Pup', 38170, 3045, 117.323565, -24.859786, -4.81, -0.89, 3.3],
+		[['Hecatebolus'], 'τ Sgr', 93864, 7234, 286.735037, -27.670422, -50.61, -249.8, 3.31],
+		[['Megrez', 'Atri'], 'δ UMa', 59774, 4660, 183.856503, 57.032615, 104.11, 7.3, 3.32],
+		[['Simiram'], 'ω Car', 50099, 4037, 153.434239, -70.037905, -36.01, 7.09, 3.33],
+		[[], 'η Sco', 84143, 6380, 258.038315, -43.239192, 24.47, -288.55, 3.33],
+		[[], 'γ Ara', 85267, 6462, 261.348580, -56.377726, -0.44, -15.77, 3.34],
+		[['Sinistra'], 'ν Oph', 88048, 6698, 269.756633, -9.773633, -9.48, -116.69, 3.34],
+		[['Coxa', 'Chertan', 'Cestan', 'Chort'], 'θ Leo', 54879, 4359, 168.560019, 15.429571, -60.31, -79.1, 3.35],
+		[['Kurhah'], 'ζ Cep', 109492, 8465, 332.713654, 58.201263, 13.52, 5.24, 3.35],
+		[[], 'α Ret', 19780, 1336, 63.606184, -62.473859, 41.97, 49.42, 3.36],
+		[['Alzirr'], 'ξ Gem', 32362, 2484, 101.322351, 12.895592, -115.73, -190.55, 3.36],
+		[['Al Mizan'], 'δ Aql', 95501, 7377, 291.374589, 3.114779, 254.54, 82.51, 3.36],
+		[[], 'ε Lup', 75264, 5708, 230.670284, -44.689615, -22.86, -18.87, 3.366],
+		[['Segin'], 'ε Cas', 8886, 542, 28.598857, 63.670101, 32.09, -18.94, 3.37],
+		[['Ashlesha'], 'ε Hya', 43109, 3482, 131.693801, 6.418802, -228.11, -43.82, 3.38],
+		[['Auva', 'Mineluva'], 'δ Vir', 63090, 4910, 193.900869, 3.397470, -469.99, -52.83, 3.38],
+		[['Heze'], 'ζ Vir', 66249, 5107, 203.673937, -0.595939, -280.48, 49.05, 3.38],
+		[['Kabkent Secunda'], 'ν Cen', 67464, 5190, 207.376152, -41.687709, -26.77, -20.18, 3.386],
+		[['Gorgona Tertia'], 'ρ Per', 14354, 921, 46.294141, 38.840276, 129.22, -105.7, 3.39],
+		[[], 'β Pav', 102395, 7913, 311.239558, -66.203214, -42.67, 9.94, 3.408],
+		[[], 'γ Phe', 6867, 429, 22.091364, -43.318236, -18.06, -208.63, 3.41],
+		[['Althaur'], 'λ Tau', 18724, 1239, 60.170066, 12.490341, -8.02, -14.42, 3.41],
+		[['Phaesula', 'Chamukuy'], 'θ2 Tau', 20894, 1412, 67.165586, 15.870882, 108.42, -26.74, 3.41],
+		[['Al Jabhah'], 'η Leo', 49583, 3975, 151.833133, 16.762661, -2.8, -1.82, 3.41],
+		[['Adhafera'], 'ζ Leo', 50335, 4031, 154.172567, 23.417312, 18.39, -6.84, 3.41],
+		[[], 'ζ Lup', 74395, 5649, 228.071233, -52.099248, -112.92, -71.18, 3.41],
+		[[], 'η Lup', 78384, 5948, 240.030533, -38.396709, -16.96, -27.83, 3.41],
+		[['Alagemin'], 'η Cep', 102422, 7957, 311.322398, 61.838782, 86.5, 818.02, 3.41],
+		[['Homam'], 'ζ Peg', 112029, 8634, 340.365550, 10.831289, 77.22, -11.38, 3.41],
+		[['Ras Mutallah', 'Metallah', 'Mothallah'], 'α Tri', 8796, 544, 28.270446, 29.578828, 10.82, -234.24, 3.42],
+		[['Muscida'], 'ο UMa', 41704, 3323, 127.566128, 60.718170, -133.76, -107.45, 3.42],
+		[['Melkarth'], 'μ Her', 86974, 6623, 266.614694, 27.720677, -291.66, -749.6, 3.42],
+		[['Sheliak'], 'β Lyr', 92420, 7106, 282.519980, 33.362669, 1.9, -3.53, 3.42],
+		[[], 'μ Cen', 67472, 5193, 207.404119, -42.473730, -24.25, -18.64, 3.43],
+		[['Al Thalimaim Anterior'], 'λ Aql', 93805, 7236, 286.562246, -4.882556, -18.69, -91.02, 3.43],
+		[['Drus', 'Drys'], 'χ Car', 38827, 3117, 119.194642, -52.982353, -28.68, 19.71, 3.431],
+		[['Achird'], 'η Cas', 3821, 219, 12.276211, 57.815188, 1086.59, -559.43, 3.44],
+		[['Deneb Algenubi'], 'η Cet', 5364, 334, 17.147465, -10.182266, 215.61, -139.02, 3.45],
+		[['Tseen Ke'], 'φ Vel', 48774, 3940, 149.215590, -54.567789, -13.08, 3.55, 3.45],
+		[['Tania Borealis'], 'λ UMa', 50372, 4033, 154.274095, 42.914356, -180.65, -46.07, 3.45],
+		[[], 'α Tel', 90422, 6897, 276.743400, -45.968458, -16.95, -53.09, 3.463],
+		[[], 'ε Gru', 112623, 8675, 342.138743, -51.316861, 108.43, -64.83, 3.466],
+		[['Kaffaljidhma'], 'γ Cet', 12706, 804, 40.825163, 3.235816, -146.1, -146.12, 3.47],
+		[['Unurgunite'], 'σ CMa', 33856, 2646, 105.429782, -27.934831, -5.98, 4.59, 3.47],
+		[[], 'γ Sge', 98337, 7635, 299.689286, 19.492147, 66.21, 22.22, 3.47],
+		[[], 'μ Peg', 112748, 8684, 342.500805, 24.601583, 144.7, -41.87, 3.48],
+		[['Alula Borealis'], 'ν UMa', 55219, 4377, 169.619736, 33.094309, -26.84, 28.69, 3.49],
+		[['Princeps'], 'δ Boo', 74666, 5681, 228.875679, 33.314831, 84.74, -111.58, 3.49],
+		[[], 'τ Cet', 8102, 509, 26.017014, -15.937480, -1721.05, 854.16, 3.5],
+		[['Sofian'], 'η Her', 81833, 6220, 250.724021, 38.922254, 35.41, -85.3, 3.5]
+	]
+};
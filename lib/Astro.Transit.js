@@ -0,0 +1,211 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+/**
+ * Methods for predictions of the transits of Mercury and Venus across the disk of the sun. <br>
+ * The transits are searched at the inferior conjunctions of A.Planetary, the contacts are the instants
+ * when the angular separation of the apparent positions of the planet (A.Planet) and the sun (VSOP87)
+ * equals the sum or the difference of their semidiameters (see Chapter 55). The error of the contacts
+ * is about a minute.
+ * @module A.Transit
+ */
+A.Transit = {
+
+	/**
+	 * Semidiameters of the sun, Mercury and Venus in radians at a distance of 1 AU. p. 389 and p. 391
+	 *
+	 * @const {Map} semidiameters
+	 * @static
+	 */
+	semidiameters: {
+		sun: 959.63 / 3600 * Math.PI / 180,
+		mercury: 3.36 / 3600 * Math.PI / 180,
+		venus: 8.41 / 3600 * Math.PI / 180
+	},
+
+	/**
+	 * transits returns all geocentric transits of Mercury or Venus between two julian days ordered by time. <br>
+	 * The transits are partial (grazing) if the planet is never entirely inside the disk of the sun.
+	 *
+	 * @function transits
+	 * @static
+	 *
+	 * @param {String} planet - 'mercury' or 'venus'
+	 * @param {A.JulianDay} jdoStart - start of the range
+	 * @param {A.JulianDay} jdoEnd - end of the range
+	 * @return {Array} list of maps with<br>
+	 *                 planet: name of the planet<br>
+	 *                 partial: true if there are no inner contacts<br>
+	 *                 jdo: julian day of the greatest transit, the least separation of the centers<br>
+	 *                 separation: least separation of the centers of the planet and the sun in radians<br>
+	 *                 positionAngle: position angle of the planet relative to the center of the sun
+	 *                                at the greatest transit in radians<br>
+	 *                 c1, c2, c3, c4: julian days of the external and internal contacts,
+	 *                                 c2 and c3 are undefined for partial transits
+	 */
+	transits: function (planet, jdoStart, jdoEnd) {
+		if (planet !== 'mercury' && planet !== 'venus')
+			throw new Error('No transits of ' + planet);
+
+		var p = Math.PI / 180;
+		var a = A.Planetary._tmean(planet, 'inferiorConjunction');
+		var k0 = Math.floor((jdoStart.jde - a[0]) / a[1]);
+		var k1 = Math.ceil((jdoEnd.jde - a[0]) / a[1]);
+
+		var res = [];
+		for (var k = k0; k <= k1; k++) {
+			var jdo = A.Planetary._event(planet, 'inferiorConjunction', k).jdo;
+
+			// the inferior conjunction of the periodic terms is less than half an hour off, in that time
+			// Mercury moves about 0.05 degrees relative to the sun (2.4 degrees per day) and the
+			// sun has a semidiameter of about 0.27 degrees, 1 degree misses no transit
+			var separation = A.Coord.angularSeparation(A.Solar.apparentEquatorialVSOP87(jdo),
+				A.Planet.apparentEquatorial(planet, jdo).eq);
+			if (separation > 1*p)
+				continue;
+
+			var t = A.Transit._transit(planet, jdo, 1);
+			if (t && t.jdo.jd >= jdoStart.jd && t.jdo.jd <= jdoEnd.jd) {
+				res.push({
+					planet: planet,
+					partial: !t.c2,
+					jdo: t.jdo,
+					separation: t.separation,
+					positionAngle: t.positionAngle,
+					c1: t.c1,
+					c2: t.c2,
+					c3: t.c3,
+					c4: t.c4
+				});
+			}
+		}
+		return res;
+	},
+
+	/**
+	 * local computes the topocentric contacts of a transit for an observer. <br>
+	 * The positions of the planet and the sun are corrected for the parallax with A.Parallax.topocentric,
+	 * the contacts differ by a few minutes from the geocentric contacts. The contacts are also computed
+	 * if the sun is below the horizon, the altitudes tell if they are visible.
+	 *
+	 * @function local
+	 * @static
+	 *
+	 * @param {Map} transit - geocentric transit, see transits
+	 * @param {A.EclCoord} eclCoord - geographic location of the observer
+	 * @return {Map} partial: true if there are no inner contacts at the location<br>
+	 *               greatest: the greatest transit with jdo, separation, positionAngle and altitude<br>
+	 *               c1, c2, c3, c4: the contacts with jdo and altitude, c2 and c3 are undefined for partial transits<br>
+	 *               visible: true if the sun is above the horizon at a contact or the greatest transit<br>
+	 *               The altitudes are apparent altitudes of the center of the sun in radians.
+	 *               The result is undefined if there is no transit at the location.
+	 */
+	local: function (transit, eclCoord) {
+		var t = A.Transit._transit(transit.planet, transit.jdo, 0.1, eclCoord);
+		if (!t)
+			return undefined;
+
+		var altitude = function (jdo) {
+			return A.Solar.topocentricPosition(jdo, eclCoord, true, true).hz.alt;
+		};
+		var res = {
+			partial: !t.c2,
+			greatest: {
+				jdo: t.jdo,
+				separation: t.separation,
+				positionAngle: t.positionAngle,
+				altitude: altitude(t.jdo)
+			},
+			visible: false
+		};
+		['c1', 'c2', 'c3', 'c4'].forEach(function (c) {
+			if (t[c])
+				res[c] = {
+					jdo: t[c],
+					altitude: altitude(t[c])
+				};
+		});
+		['c1', 'greatest', 'c4'].forEach(function (c) {
+			res.visible = res.visible || res[c].altitude > 0;
+		});
+		return res;
+	},
+
+	/**
+	 * Returns the least separation and the contacts of a transit within days of jdo or undefined
+	 * if the planet does not touch the sun, topocentric if eclCoord is given.
+	 */
+	_transit: function (planet, jdo, days, eclCoord) {
+		var deltaT = jdo.deltaT;
+		var min = A.Search.extrema(function (jdo) {
+			var pos = A.Transit._positions(planet, jdo, eclCoord);
+			return A.Coord.angularSeparation(pos.sun, pos.planet);
+		}, new A.JulianDay(jdo.jd - days, deltaT), new A.JulianDay(jdo.jd + days, deltaT), {
+			step: days / 8,
+			precision: 1 / 86400
+		}).filter(function (e) {
+			return !e.maximum;
+		})[0];
+		if (!min)
+			return undefined;
+
+		// difference of the separation to the sum (outer) or the difference (inner) of the semidiameters
+		var contact = function (jdo, inner) {
+			var pos = A.Transit._positions(planet, jdo, eclCoord);
+			var sp = A.Transit.semidiameters[planet] / pos.planetDistance;
+			return A.Coord.angularSeparation(pos.sun, pos.planet) - A.Transit.semidiameters.sun / pos.sunDistance -
+				(inner ? -sp : sp);
+		};
+		if (contact(min.jdo, false) > 0)
+			return undefined;
+
+		var search = function (jdo1, jdo2, inner) {
+			var c = A.Search.crossings(function (jdo) {
+				return contact(jdo, inner);
+			}, jdo1, jdo2, 0, {
+				step: 1 / 24,
+				precision: 1 / 86400
+			});
+			return c.length ? c[0].jdo : undefined;
+		};
+
+		// transits last less than half a day
+		var jdoBefore = new A.JulianDay(min.jdo.jd - 0.5, deltaT);
+		var jdoAfter = new A.JulianDay(min.jdo.jd + 0.5, deltaT);
+		var inner = contact(min.jdo, true) < 0;
+		var pos = A.Transit._positions(planet, min.jdo, eclCoord);
+		return {
+			jdo: min.jdo,
+			separation: min.value,
+			positionAngle: A.Coord.positionAngle(pos.sun, pos.planet),
+			c1: search(jdoBefore, min.jdo, false),
+			c2: inner ? search(jdoBefore, min.jdo, true) : undefined,
+			c3: inner ? search(min.jdo, jdoAfter, true) : undefined,
+			c4: search(min.jdo, jdoAfter, false)
+		};
+	},
+
+	/**
+	 * Returns the apparent positions and the distances in AU of the sun and the planet,
+	 * topocentric if eclCoord is given.
+	 */
+	_positions: function (planet, jdo, eclCoord) {
+		var s = A.Solar.apparentVSOP87(jdo);
+		var pl = A.Planet.apparentEquatorial(planet, jdo);
+		var sun = A.Coord.eclToEq(new A.EclCoord(s.lng, s.lat), s.obliquity);
+		var eq = pl.eq;
+		if (eclCoord) {
+			var pc = A.Globe.parallaxConstants(eclCoord.lat, eclCoord.h);
+			var st0 = A.Sidereal.apparentInRa(jdo);
+			sun = A.Parallax.topocentric(sun, A.Parallax.horizontal(s.range), pc.rhoslat, pc.rhoclat, eclCoord.lng, st0);
+			eq = A.Parallax.topocentric(eq, A.Parallax.horizontal(pl.delta), pc.rhoslat, pc.rhoclat, eclCoord.lng, st0);
+		}
+		return {
+			sun: sun,
+			planet: eq,
+			sunDistance: s.range,
+			planetDistance: pl.delta
+		};
+	}
+};
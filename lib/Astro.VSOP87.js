@@ -0,0 +1,4568 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+/**
+ * Truncated VSOP87D series of the planets (see Chapter 32 and Appendix III). <br>
+ * The series give the heliocentric ecliptic longitude L and latitude B in radians and the
+ * radius vector R in AU, referred to the mean dynamical ecliptic and equinox of the date. <br>
+ * Each planet has the series L, B and R for the powers 0..5 of tau, the time in Julian millennia
+ * from J2000. Every term is A * cos(B + C * tau), A is in units of 1e-8 radian or AU as in Appendix III. <br>
+ * The terms with an amplitude A below 25, 5 and 1 for the powers 0, 1 and higher (100, 20, 5 and 1
+ * for the powers 0, 1, 2 and higher of Mercury, Mars and the outer planets) are omitted. Compared to the
+ * full VSOP87D series for the years 1700 to 2300 the error of the truncation is up to 3.2" in L and 2.4" in B
+ * for Mercury, 2.6" in L for Mars and less than 2.3" for the other planets. <br>
+ * The series of the earth keep all terms down to 2 and 1 for the high accuracy position of the sun,
+ * their error is less than 0.1" (0.09" in L and 0.05" in B).
+ * @module A.VSOP87
+ */
+A.VSOP87 = {
+
+	/**
+	 * Series of Mercury. <br>
+	 * 0:A, 1:B, 2:C
+	 *
+	 * @const {Map} mercury
+	 * @static
+	 */
+	mercury: {
+		L: [
+			[ // L0
+				[440250710, 0, 0],
+				[40989415, 1.48302034, 26087.90314],
+				[5046294, 4.4778549, 52175.80628],
+				[855347, 1.16520322, 78263.70942],
+				[165590, 4.11969163, 104351.61257],
+				[34562, 0.77930766, 130439.51571],
+				[7583, 3.71348401, 156527.41885],
+				[3560, 1.51202669, 1109.37855],
+				[1726, 0.3583224, 182615.32199],
+				[1803, 4.10333178, 5661.33205],
+				[1365, 4.59918319, 27197.28169],
+				[1590, 2.99510418, 25028.52121],
+				[1017, 0.88031439, 31749.23519],
+				[714, 1.54144865, 24978.52459],
+				[644, 5.30266111, 21535.94964],
+				[404, 3.28228847, 208703.22513],
+				[352, 5.24156297, 20426.57109],
+				[343, 5.76531885, 955.59974],
+				[339, 5.86327765, 25558.21218],
+				[451, 6.04989275, 51116.42435],
+				[325, 1.33674335, 53285.18484],
+				[260, 0.98732428, 4551.9535],
+				[345, 2.79211902, 15874.6176],
+				[273, 2.49451164, 529.69097],
+				[235, 0.26672119, 11322.6641],
+				[239, 0.11343953, 1059.38193],
+				[264, 3.91705094, 57837.13833],
+				[217, 0.65987207, 13521.75144],
+				[183, 2.62878671, 27043.50288],
+				[176, 4.5363683, 51066.42773],
+				[182, 2.43413502, 25661.30495],
+				[209, 2.09178234, 47623.85279],
+				[173, 2.45200164, 24498.83025],
+				[142, 3.36003949, 37410.56724],
+				[138, 0.29098448, 10213.28555],
+				[118, 2.78149786, 77204.32749],
+				[125, 3.72079804, 39609.65458],
+				[106, 4.20572116, 19804.82729]
+			],
+			[ // L1
+				[2608814706223, 0, 0],
+				[1126008, 6.21703971, 26087.90314],
+				[303471, 3.05565472, 52175.80628],
+				[80538, 6.10454743, 78263.70942],
+				[21245, 2.83531934, 104351.61257],
+				[5592, 5.82675673, 130439.51571],
+				[1472, 2.51845458, 156527.41885],
+				[352, 3.05238094, 1109.37855],
+				[388, 5.48039226, 182615.32199],
+				[94, 6.11791164, 27197.28169],
+				[91, 0.00045482, 24978.52459],
+				[103, 2.14879174, 208703.22513],
+				[52, 5.62107554, 5661.33205],
+				[44, 4.573485, 25028.52121],
+				[28, 3.04195431, 51066.42773],
+				[22, 0.86475371, 955.59974],
+				[27, 5.09210139, 234791.12827],
+				[20, 3.71509623, 20426.57109],
+				[20, 0.51934047, 21535.94964]
+			],
+			[ // L2
+				[53050, 0, 0],
+				[16904, 4.69072301, 26087.90314],
+				[7397, 1.34735625, 52175.80628],
+				[3018, 4.4564354, 78263.70942],
+				[1107, 1.26226538, 104351.61257],
+				[378, 4.31998056, 130439.51571],
+				[123, 1.06868541, 156527.41885],
+				[39, 4.0801161, 182615.32199],
+				[15, 4.63343086, 1109.37855],
+				[12, 0.79187646, 208703.22513],
+				[5, 4.71799773, 24978.52459]
+			],
+			[ // L3
+				[188, 0.0346683, 52175.80628],
+				[142, 3.12505453, 26087.90314],
+				[97, 3.00378172, 78263.70942],
+				[44, 6.01867966, 104351.61257],
+				[35, 0, 0],
+				[18, 2.77538374, 130439.51571],
+				[7, 5.81808666, 156527.41885],
+				[3, 2.57014364, 182615.32199]
+			],
+			[ // L4
+				[114, 3.14159265, 0],
+				[3, 2.02848008, 26087.90314],
+				[2, 1.41731804, 78263.70942],
+				[2, 4.50137644, 52175.80628],
+				[1, 4.49970181, 104351.61257]
+			]
+		],
+		B: [
+			[ // B0
+				[11737529, 1.98357499, 26087.90314],
+				[2388077, 5.0373896, 52175.80628],
+				[1222840, 3.14159265, 0],
+				[543252, 1.79644364, 78263.70942],
+				[129779, 4.83232504, 104351.61257],
+				[31867, 1.58088496, 130439.51571],
+				[7963, 4.60972126, 156527.41885],
+				[2014, 1.35324165, 182615.32199],
+				[514, 4.37835409, 208703.22513],
+				[208, 4.91772564, 27197.28169],
+				[209, 2.02020294, 24978.52459],
+				[132, 1.11908492, 234791.12827],
+				[100, 5.65684734, 20426.57109],
+				[121, 1.81271752, 53285.18484]
+			],
+			[ // B1
+				[429151, 3.5016978, 26087.90314],
+				[146234, 3.14159265, 0],
+				[22675, 0.01515367, 52175.80628],
+				[10895, 0.48540174, 78263.70942],
+				[6353, 3.4294392, 104351.61257],
+				[2496, 0.16051211, 130439.51571],
+				[860, 3.18452434, 156527.41885],
+				[278, 6.21020774, 182615.32199],
+				[86, 2.95244392, 208703.22513],
+				[26, 5.97708963, 234791.12827],
+				[28, 0.29068939, 27197.28169]
+			],
+			[ // B2
+				[11831, 4.79065586, 26087.90314],
+				[1914, 0, 0],
+				[1045, 1.21216541, 52175.80628],
+				[266, 4.43418337, 78263.70942],
+				[170, 1.62255639, 104351.61257],
+				[96, 4.80023692, 130439.51571],
+				[45, 1.60758268, 156527.41885],
+				[18, 4.66904655, 182615.32199],
+				[7, 1.43404889, 208703.22513]
+			],
+			[ // B3
+				[235, 0.35387525, 26087.90314],
+				[161, 0, 0],
+				[19, 4.3627546, 52175.80628],
+				[6, 2.50715381, 78263.70942],
+				[5, 6.14257818, 104351.61257],
+				[3, 3.12497553, 130439.51571],
+				[2, 6.26642412, 156527.41885]
+			],
+			[ // B4
+				[4, 1.74579932, 26087.90314],
+				[1, 3.14159265, 0]
+			]
+		],
+		R: [
+			[ // R0
+				[39528272, 0, 0],
+				[7834132, 6.19233723, 26087.90314],
+				[795526, 2.9598969, 52175.80628],
+				[121282, 6.01064154, 78263.70942],
+				[21922, 2.77820094, 104351.61257],
+				[4354, 5.82894543, 130439.51571],
+				[918, 2.59650563, 156527.41885],
+				[260, 3.02817753, 27197.28169],
+				[290, 1.42441937, 25028.52121],
+				[202, 5.6472504, 182615.32199],
+				[201, 5.59227724, 31749.23519],
+				[142, 6.25264203, 24978.52459],
+				[100, 3.73435609, 21535.94964]
+			],
+			[ // R1
+				[217348, 4.65617159, 26087.90314],
+				[44142, 1.42385544, 52175.80628],
+				[10094, 4.47466326, 78263.70942],
+				[2433, 1.24226083, 104351.61257],
+				[1624, 0, 0],
+				[604, 4.29303117, 130439.51571],
+				[153, 1.0606078, 156527.41885],
+				[39, 4.11136751, 182615.32199]
+			],
+			[ // R2
+				[3118, 3.0823184, 26087.90314],
+				[1245, 6.15183317, 52175.80628],
+				[425, 2.92583353, 78263.70942],
+				[136, 5.97983926, 104351.61257],
+				[42, 2.74936981, 130439.51571],
+				[22, 3.14159265, 0],
+				[13, 5.80143162, 156527.41885]
+			],
+			[ // R3
+				[33, 1.67971635, 26087.90314],
+				[24, 4.63403169, 52175.80628],
+				[12, 1.38983782, 78263.70942],
+				[5, 4.43915387, 104351.61257],
+				[2, 1.2073388, 130439.51571],
+				[1, 3.14159265, 0]
+			]
+		]
+	},
+
+	/**
+	 * Series of Venus. <br>
+	 * 0:A, 1:B, 2:C
+	 *
+	 * @const {Map} venus
+	 * @static
+	 */
+	venus: {
+		L: [
+			[ // L0
+				[317614667, 0, 0],
+				[1353968, 5.5931332, 10213.28555],
+				[89892, 5.30650048, 20426.57109],
+				[5477, 4.41630653, 7860.41939],
+				[3456, 2.69964471, 11790.62909],
+				[2372, 2.9937754, 3930.2097],
+				[1317, 5.18668219, 26.29832],
+				[1664, 4.25018935, 1577.34354],
+				[1438, 4.15745044, 9683.59458],
+				[1201, 6.15357115, 30639.85664],
+				[761, 1.95014702, 529.69097],
+				[708, 1.06466707, 775.52261],
+				[585, 3.99839885, 191.44827],
+				[769, 0.81629616, 9437.76293],
+				[500, 4.1234021, 15720.83878],
+				[326, 4.59056473, 10404.73381],
+				[429, 3.5864286, 19367.18916],
+				[327, 5.67736584, 5507.55324],
+				[232, 3.16251057, 9153.90362],
+				[180, 4.65337916, 1109.37855],
+				[128, 4.22604494, 20.7754],
+				[155, 5.57043889, 19651.04848],
+				[128, 0.96209823, 5661.33205],
+				[106, 1.53721191, 801.82093],
+				[86, 0.3558925, 3154.68708],
+				[99, 0.83288185, 213.2991],
+				[99, 5.39389656, 13367.97263],
+				[82, 3.21596991, 18837.4982],
+				[88, 3.8886886, 9999.98645],
+				[72, 0.11145739, 11015.10648],
+				[56, 4.24039855, 7.11355],
+				[70, 0.67458813, 23581.25818],
+				[51, 0.24531603, 11322.6641],
+				[46, 5.31576466, 18073.70494],
+				[45, 6.06282202, 40853.14218],
+				[43, 5.32873337, 2352.86615],
+				[43, 1.79955422, 7084.89678],
+				[41, 0.36240972, 382.89653],
+				[36, 2.70448479, 10206.172],
+				[34, 2.02347322, 6283.07585],
+				[29, 3.59230926, 22003.91463],
+				[28, 2.22375414, 1059.38193],
+				[30, 4.02176977, 10239.58387],
+				[33, 2.10025597, 27511.46787],
+				[30, 4.9419192, 13745.34624],
+				[29, 3.51392388, 283.85932],
+				[26, 0.54067588, 17298.18233]
+			],
+			[ // L1
+				[1021352943053, 0, 0],
+				[95708, 2.46424449, 10213.28555],
+				[14445, 0.51624565, 20426.57109],
+				[213, 1.79547929, 30639.85664],
+				[152, 6.10635282, 1577.34354],
+				[174, 2.65535879, 26.29832],
+				[82, 5.70234134, 191.44827],
+				[70, 2.68136035, 9437.76293],
+				[52, 3.60013088, 775.52261],
+				[38, 1.03379038, 529.69097],
+				[30, 1.25056322, 5507.55324],
+				[25, 6.10664793, 10404.73381],
+				[18, 6.19369799, 1109.37855],
+				[17, 2.64330453, 7.11355],
+				[14, 5.45138234, 9153.90362],
+				[13, 1.24464401, 40853.14218],
+				[12, 4.97604495, 213.2991],
+				[13, 1.88122199, 382.89653],
+				[9, 0.95282732, 13367.97263],
+				[7, 4.39476761, 10206.172],
+				[7, 2.28168808, 2352.86615],
+				[6, 4.08056644, 3154.68708],
+				[7, 5.05673428, 801.82093]
+			],
+			[ // L2
+				[54127, 0, 0],
+				[3891, 0.3451436, 10213.28555],
+				[1338, 2.02011286, 20426.57109],
+				[24, 2.04592119, 26.29832],
+				[19, 3.53527371, 30639.85664],
+				[10, 3.97130221, 775.52261],
+				[7, 1.51962593, 1577.34354],
+				[6, 0.99926758, 191.44827],
+				[3, 4.36095476, 9437.76293],
+				[2, 2.65810626, 40853.14218],
+				[2, 3.39287947, 382.89653],
+				[1, 6.04899046, 529.69097],
+				[1, 2.94633106, 5507.55324],
+				[1, 1.40598905, 10404.73381],
+				[1, 3.73339139, 3154.68708],
+				[1, 3.52858473, 11015.10648]
+			],
+			[ // L3
+				[136, 4.80389021, 10213.28555],
+				[78, 3.66876372, 20426.57109],
+				[26, 0, 0],
+				[1, 5.31970007, 30639.85664]
+			],
+			[ // L4
+				[114, 3.14159265, 0],
+				[3, 5.2051417, 20426.57109],
+				[2, 2.51099592, 10213.28555]
+			]
+		],
+		B: [
+			[ // B0
+				[5923638, 0.26702776, 10213.28555],
+				[40108, 1.14737178, 20426.57109],
+				[32815, 3.14159265, 0],
+				[1011, 1.08946123, 30639.85664],
+				[149, 6.25390296, 18073.70494],
+				[138, 0.86020147, 1577.34354],
+				[130, 3.67152484, 9437.76293],
+				[120, 3.70468813, 2352.86615],
+				[108, 4.53903678, 22003.91463],
+				[92, 1.53954563, 9153.90362],
+				[53, 2.28138172, 5507.55324],
+				[46, 0.72319642, 10239.58387],
+				[39, 2.93437865, 10186.98723],
+				[43, 6.14015777, 11790.62909],
+				[42, 5.99126845, 19896.88013],
+				[40, 3.86842096, 8635.942],
+				[39, 3.94960351, 529.69097],
+				[33, 4.8319491, 14143.49524]
+			],
+			[ // B1
+				[513348, 1.80364311, 10213.28555],
+				[4380, 3.38615712, 20426.57109],
+				[197, 2.53001197, 30639.85664],
+				[199, 0, 0],
+				[14, 2.27087045, 9437.76293],
+				[13, 1.50735623, 18073.70494],
+				[12, 5.6046245, 1577.34354],
+				[10, 5.24224313, 2352.86615],
+				[9, 6.07545631, 22003.91463],
+				[7, 1.50257909, 11790.62909],
+				[8, 0.29371105, 9153.90362],
+				[8, 5.08081886, 10186.98723]
+			],
+			[ // B2
+				[22378, 3.38509144, 10213.28555],
+				[282, 0, 0],
+				[173, 5.25563767, 20426.57109],
+				[27, 3.87040892, 30639.85664],
+				[1, 0.09768632, 10186.98723]
+			],
+			[ // B3
+				[647, 4.99166565, 10213.28555],
+				[20, 3.14159265, 0],
+				[6, 0.77376924, 20426.57109],
+				[3, 5.44493763, 30639.85664]
+			],
+			[ // B4
+				[14, 0.3153719, 10213.28555]
+			]
+		],
+		R: [
+			[ // R0
+				[72334821, 0, 0],
+				[489824, 4.02151832, 10213.28555],
+				[1658, 4.90206728, 20426.57109],
+				[1632, 2.84548852, 7860.41939],
+				[1378, 1.12846591, 11790.62909],
+				[498, 2.58682188, 9683.59458],
+				[374, 1.42314837, 3930.2097],
+				[264, 5.52938186, 9437.76293],
+				[237, 2.55135904, 15720.83878],
+				[222, 2.01346777, 19367.18916],
+				[119, 3.01975365, 10404.73381],
+				[126, 2.72769834, 1577.34354],
+				[76, 1.59577224, 9153.90362],
+				[85, 3.98607954, 19651.04848],
+				[74, 4.11957854, 5507.55324],
+				[42, 1.64273363, 18837.4982],
+				[42, 3.81864531, 13367.97263],
+				[39, 5.39019422, 23581.25818],
+				[29, 5.67739529, 5661.33205],
+				[28, 5.72392408, 775.52261],
+				[27, 4.82151813, 11015.10648],
+				[31, 2.3180672, 9999.98645]
+			],
+			[ // R1
+				[34551, 0.89198711, 10213.28555],
+				[234, 1.77224943, 20426.57109],
+				[234, 3.14159265, 0],
+				[24, 1.11274503, 9437.76293],
+				[11, 4.59168211, 1577.34354],
+				[9, 4.53540907, 10404.73381],
+				[7, 5.97704, 5507.55324]
+			],
+			[ // R2
+				[1407, 5.06366395, 10213.28555],
+				[16, 5.47321688, 20426.57109],
+				[13, 0, 0],
+				[1, 2.78883988, 9437.76293]
+			],
+			[ // R3
+				[50, 3.22263555, 10213.28555]
+			]
+		]
+	},
+
+	/**
+	 * Series of Earth. <br>
+	 * 0:A, 1:B, 2:C
+	 *
+	 * @const {Map} earth
+	 * @static
+	 */
+	earth: {
+		L: [
+			[ // L0
+				[175347046, 0, 0],
+				[3341656, 4.6692568, 6283.07585],
+				[34894, 4.62610242, 12566.1517],
+				[3418, 2.8288658, 3.52312],
+				[3497, 2.74411801, 5753.38488],
+				[3136, 3.62767042, 77713.77147],
+				[2676, 4.41808351, 7860.41939],
+				[2343, 6.13516238, 3930.2097],
+				[1273, 2.03709656, 529.69097],
+				[1324, 0.74246356, 11506.76977],
+				[902, 2.04505444, 26.29832],
+				[1199, 1.10962944, 1577.34354],
+				[857, 3.50849157, 398.149],
+				[780, 1.17882652, 5223.69392],
+				[990, 5.2326813, 5884.92685],
+				[753, 2.53339054, 5507.55324],
+				[505, 4.58292563, 18849.22755],
+				[492, 4.2050664, 775.52261],
+				[357, 2.91954117, 0.06731],
+				[284, 1.89869034, 796.29801],
+				[243, 0.34481141, 5486.77784],
+				[317, 5.84901952, 11790.62909],
+				[271, 0.31488608, 10977.0788],
+				[206, 4.80646606, 2544.31442],
+				[205, 1.86947814, 5573.1428],
+				[202, 2.45767795, 6069.77675],
+				[126, 1.0830263, 20.7754],
+				[156, 0.83306074, 213.2991],
+				[115, 0.64544912, 0.98032],
+				[103, 0.63599847, 4694.00295],
+				[102, 4.26679821, 7.11355],
+				[99, 6.2099294, 2146.16542],
+				[132, 3.41118276, 2942.46342],
+				[98, 0.68101272, 155.4204],
+				[85, 1.29870743, 6275.9623],
+				[75, 1.75508916, 5088.62884],
+				[102, 0.97569222, 15720.83878],
+				[85, 3.67080093, 71430.69562],
+				[74, 4.67926565, 801.82093],
+				[74, 3.50319443, 3154.68708],
+				[79, 3.03698313, 12036.46073],
+				[80, 1.80791331, 17260.15465],
+				[86, 5.98322631, 161000.68574],
+				[57, 2.78430398, 6286.59897],
+				[61, 1.81839811, 7084.89678],
+				[70, 0.83297597, 9437.76293],
+				[56, 4.38694881, 14143.49524],
+				[62, 3.97763881, 8827.39027],
+				[51, 0.28306865, 5856.47766],
+				[56, 3.47006009, 6279.55273],
+				[41, 5.36817351, 8429.24127],
+				[52, 1.33282747, 1748.01641],
+				[52, 0.18914946, 12139.55351],
+				[49, 0.48735065, 1194.44701],
+				[39, 6.16832995, 10447.38784],
+				[36, 1.77597315, 6812.76682],
+				[37, 6.04133859, 10213.28555],
+				[37, 2.56955239, 1059.38193],
+				[33, 0.59309499, 17789.84562],
+				[36, 1.70876112, 2352.86615],
+				[41, 2.39850882, 19651.04848],
+				[30, 2.73975124, 1349.86741],
+				[30, 0.44294464, 83996.84732],
+				[24, 0.48473568, 8031.09226],
+				[24, 2.0652772, 3340.61243],
+				[21, 4.14825464, 951.71841],
+				[25, 0.21484762, 3.59043],
+				[25, 3.16470953, 4690.47984],
+				[23, 5.22197888, 4705.73231],
+				[21, 1.42563736, 16730.46369],
+				[22, 5.55594303, 553.5694],
+				[17, 4.560529, 135.06508],
+				[20, 5.22208471, 12168.0027],
+				[20, 5.77470168, 6309.37417],
+				[20, 0.37133793, 283.85932],
+				[14, 4.19315333, 242.7286],
+				[16, 5.98837723, 11769.85369],
+				[15, 4.19567181, 6256.77753],
+				[19, 3.82219997, 23581.25818],
+				[19, 5.38626881, 149854.40013],
+				[14, 3.72355084, 38.02767],
+				[18, 2.21490736, 13367.97263],
+				[12, 2.62229588, 955.59974],
+				[11, 0.17739328, 4164.31199],
+				[14, 4.4013814, 6681.22485],
+				[14, 1.88934471, 7632.94326],
+				[13, 1.13052412, 5.52292],
+				[10, 5.35909519, 1592.59601],
+				[10, 0.99947479, 11371.70469],
+				[9, 4.5713861, 4292.33083],
+				[10, 6.19982566, 6438.49625],
+				[12, 1.00351457, 632.78374],
+				[11, 0.3273452, 103.09277],
+				[8, 4.53902686, 25132.3034],
+				[10, 6.02914963, 5746.27134],
+				[8, 3.29946744, 7234.79426],
+				[8, 5.82145272, 28.44919],
+				[11, 0.93871806, 11926.25441],
+				[8, 3.12142363, 7238.67559],
+				[9, 2.62414241, 5760.49843],
+				[8, 6.11228002, 4732.03063],
+				[9, 0.48343969, 522.57742],
+				[10, 5.24413991, 27511.46787],
+				[8, 0.99590178, 5643.17856],
+				[8, 6.27053014, 426.59819],
+				[9, 5.33686336, 6386.16862],
+				[9, 4.16538211, 7058.59846],
+				[6, 4.71724819, 6836.64525],
+				[8, 3.97382859, 11499.65622],
+				[8, 2.95729057, 23013.53954],
+				[7, 0.60652506, 11513.88332],
+				[6, 2.87641048, 6283.14316],
+				[7, 5.79072926, 18073.70494],
+				[7, 3.99831509, 74.7816],
+				[7, 4.38582365, 316.39187],
+				[5, 5.39199025, 419.48464],
+				[5, 2.36062849, 10973.55569],
+				[7, 0.32258442, 263.08392],
+				[7, 3.66475159, 17298.18233],
+				[7, 5.91132536, 90955.55169],
+				[5, 5.73672166, 9917.69687],
+				[6, 2.45152598, 12352.8526],
+				[6, 3.32051345, 6283.00854],
+				[4, 2.06386, 7079.37386],
+				[6, 1.45823331, 233141.3144],
+				[4, 4.42342175, 5216.58037],
+				[6, 1.07494905, 19804.82729],
+				[4, 3.65285037, 206.18555],
+				[4, 0.83995823, 20.35532],
+				[5, 4.06503864, 6208.29425],
+				[5, 0.38217636, 31441.67757],
+				[4, 2.34369214, 3.88134],
+				[4, 3.27230797, 11015.10648],
+				[4, 0.92128916, 3738.76143],
+				[4, 5.97844807, 3894.18183],
+				[4, 1.90601121, 245.83165],
+				[4, 5.03069398, 536.80451],
+				[4, 1.82634361, 11856.21865],
+				[4, 1.01838585, 16200.77272],
+				[3, 0.97785124, 8635.942],
+				[4, 2.95380108, 3128.38877],
+				[4, 3.71291946, 6290.1894],
+				[3, 3.64646922, 10.63667],
+				[3, 1.10590684, 14712.31712],
+				[3, 0.83684925, 6496.37495],
+				[3, 2.58504514, 14314.16811],
+				[4, 1.08344143, 88860.05707],
+				[3, 3.20185096, 5120.60115],
+				[3, 3.47859752, 6133.51265],
+				[3, 3.94869034, 1990.74502],
+				[4, 2.05559693, 244287.60001],
+				[3, 1.56071785, 23543.2305],
+				[3, 3.8563936, 266.60704],
+				[3, 3.3969295, 9225.53927],
+				[3, 6.02635617, 154717.60989],
+				[2, 1.16131956, 10984.19235],
+				[3, 1.32798718, 10873.98603],
+				[3, 5.08946465, 21228.39202],
+				[2, 4.27212907, 6040.34725],
+				[3, 1.80209931, 35371.88727],
+				[2, 3.5768986, 10969.96526],
+				[3, 2.57870157, 22483.84857],
+				[2, 3.7139378, 65147.61977],
+				[2, 0.81393923, 170.67287],
+				[2, 0.38091017, 6172.86953],
+				[3, 3.74379142, 10575.40668],
+				[2, 0.10581361, 7.04624],
+				[2, 4.22794775, 5650.29211],
+				[2, 0.75354917, 13521.75144],
+				[2, 4.62850922, 6037.2442]
+			],
+			[ // L1
+				[628331966747, 0, 0],
+				[206059, 2.67823456, 6283.07585],
+				[4303, 2.6351265, 12566.1517],
+				[425, 1.59046981, 3.52312],
+				[109, 2.96618002, 1577.34354],
+				[93, 2.59212835, 18849.22755],
+				[119, 5.79557488, 26.29832],
+				[72, 1.13846158, 529.69097],
+				[68, 1.87472305, 398.149],
+				[67, 4.40918235, 5507.55324],
+				[59, 2.88797038, 5223.69392],
+				[56, 2.1747168, 155.4204],
+				[45, 0.3980308, 796.29801],
+				[36, 0.4662474, 775.52261],
+				[29, 2.64707384, 7.11355],
+				[19, 1.84628333, 5486.77784],
+				[21, 5.34138275, 0.98032],
+				[19, 4.96855125, 213.2991],
+				[16, 0.03216483, 2544.31442],
+				[17, 2.99116865, 6275.9623],
+				[16, 1.43049285, 2146.16542],
+				[15, 1.20532366, 10977.0788],
+				[12, 3.25804816, 5088.62884],
+				[12, 2.07502418, 4694.00295],
+				[10, 4.23925472, 1349.86741],
+				[10, 1.30262991, 6286.59897],
+				[9, 2.69957063, 242.7286],
+				[12, 2.83432286, 1748.01641],
+				[12, 5.2737979, 1194.44701],
+				[9, 5.64475868, 951.71841],
+				[11, 0.76614199, 553.5694],
+				[8, 5.30062665, 2352.86615],
+				[6, 1.76649918, 1059.38193],
+				[6, 2.65033985, 9437.76293],
+				[5, 5.66135768, 71430.69562],
+				[5, 0.90857522, 3154.68708],
+				[6, 4.66632584, 4690.47984],
+				[4, 0.24102555, 6812.76682],
+				[5, 1.42490104, 6438.49625],
+				[4, 0.77355901, 10447.38784],
+				[5, 1.85353197, 801.82093],
+				[4, 2.00119516, 8031.09226],
+				[4, 2.42901553, 14143.49524],
+				[3, 3.862107, 1592.59601],
+				[3, 0.8877622, 12036.46073],
+				[3, 3.18785711, 4705.73231],
+				[3, 0.61599835, 8429.24127],
+				[4, 5.2399286, 7084.89678],
+				[3, 6.07026318, 4292.33083],
+				[3, 2.32464208, 20.35532],
+				[4, 4.79975694, 6279.55273],
+				[3, 1.43108875, 5746.27134],
+				[3, 4.80368225, 7234.79426],
+				[3, 6.22290683, 6836.64525],
+				[3, 0.93466065, 5760.49843],
+				[3, 3.3995464, 7632.94326],
+				[2, 5.00277838, 17789.84562],
+				[2, 3.95534979, 10213.28555],
+				[2, 2.22411683, 5856.47766],
+				[2, 5.671665, 11499.65622],
+				[2, 5.20184578, 11513.88332],
+				[2, 0.53198321, 3340.61243],
+				[2, 4.7351197, 83996.84732],
+				[2, 2.54987294, 25132.3034],
+				[2, 1.4743541, 4164.31199],
+				[2, 3.02473092, 5.52292],
+				[2, 0.9096021, 6256.77753],
+				[2, 2.2676727, 522.57742],
+				[2, 3.02622802, 5753.38488],
+				[2, 6.12410243, 5216.58037],
+				[2, 4.63713748, 3.28636],
+				[2, 4.20004449, 13367.97263],
+				[1, 1.19088062, 3894.18183],
+				[1, 3.09301252, 135.06508],
+				[1, 4.24532507, 426.59819],
+				[1, 5.76511819, 6040.34725],
+				[1, 3.08524663, 5643.17856],
+				[1, 3.07748157, 11926.25441],
+				[2, 3.07665451, 6681.22485],
+				[1, 2.09196018, 6290.1894],
+				[1, 3.244447, 12168.0027],
+				[1, 3.44504937, 536.80451],
+				[1, 2.3182967, 16730.46369],
+				[1, 5.31966001, 23.87844],
+				[1, 3.75015946, 7860.41939],
+				[1, 2.44688534, 1990.74502],
+				[1, 3.90096794, 11506.76977]
+			],
+			[ // L2
+				[52919, 0, 0],
+				[8720, 1.07209665, 6283.07585],
+				[309, 0.86728819, 12566.1517],
+				[27, 0.05297872, 3.52312],
+				[16, 5.18826691, 26.29832],
+				[16, 3.68457889, 155.4204],
+				[10, 0.75742298, 18849.22755],
+				[9, 2.05705419, 77713.77147],
+				[7, 0.82673305, 775.52261],
+				[5, 4.66284525, 1577.34354],
+				[4, 1.03057163, 7.11355],
+				[3, 5.14074633, 796.29801],
+				[3, 6.05291851, 5507.55324],
+				[3, 1.19246506, 242.7286],
+				[3, 6.11652627, 529.69097],
+				[4, 3.44050803, 5573.1428],
+				[3, 0.30637881, 398.149],
+				[2, 4.38118838, 5223.69392],
+				[3, 2.27992811, 553.5694],
+				[2, 3.7543533, 0.98032],
+				[2, 0.90216408, 951.71841],
+				[2, 5.75900463, 1349.86741],
+				[1, 2.97328088, 2146.16542],
+				[1, 4.36415914, 1748.01641],
+				[1, 3.72061131, 1194.44701],
+				[1, 2.94846827, 6438.49625],
+				[1, 1.27104454, 161000.68574],
+				[1, 0.60409578, 3154.68708]
+			],
+			[ // L3
+				[289, 5.84384199, 6283.07585],
+				[35, 0, 0],
+				[17, 5.48766912, 12566.1517],
+				[3, 5.19577265, 155.4204],
+				[1, 4.72200252, 3.52312]
+			],
+			[ // L4
+				[114, 3.14159265, 0],
+				[8, 4.13446589, 6283.07585]
+			]
+		],
+		B: [
+			[ // B0
+				[280, 3.19870156, 84334.66158],
+				[102, 5.42248619, 5507.55324],
+				[80, 3.88013204, 5223.69392],
+				[44, 3.7044469, 2352.86615],
+				[32, 4.0002637, 1577.34354],
+				[23, 3.98473832, 1047.74731],
+				[16, 3.5645612, 5856.47766],
+				[18, 4.9836747, 6283.07585],
+				[14, 3.70275615, 9437.76293],
+				[14, 3.41117858, 10213.28555],
+				[11, 4.82820691, 14143.49524],
+				[11, 2.08574562, 6812.76682],
+				[10, 3.47303948, 4694.00295],
+				[10, 4.05663928, 71092.88135],
+				[9, 4.44016516, 5753.38488],
+				[8, 4.99251512, 7084.89678],
+				[7, 4.32559054, 6275.9623],
+				[9, 1.14182647, 6620.89011],
+				[7, 3.60193206, 529.69097],
+				[8, 5.55425746, 167621.57585],
+				[5, 2.48446992, 4705.73231],
+				[5, 6.24992675, 18073.70494],
+				[5, 2.33827747, 6309.37417],
+				[6, 4.41023654, 7860.41939],
+				[5, 0.7099568, 5884.92685],
+				[4, 1.10255778, 6681.22485],
+				[4, 1.82229413, 5486.77784],
+				[4, 5.11700141, 13367.97263],
+				[4, 0.4379317, 3154.68708],
+				[3, 5.42034801, 6069.77675],
+				[4, 6.04641938, 3930.2097],
+				[4, 4.58210192, 12194.03291],
+				[3, 1.95463881, 10977.0788],
+				[3, 5.61259275, 11790.62909],
+				[3, 0.60499729, 6496.37495],
+				[2, 5.01648216, 1059.38193],
+				[3, 1.39470396, 22003.91463],
+				[2, 3.24183056, 78051.58573],
+				[2, 4.30691, 5643.17856],
+				[2, 3.15557226, 90617.73743],
+				[2, 2.79699347, 12036.46073]
+			],
+			[ // B1
+				[9, 3.89729062, 5507.55324],
+				[6, 1.7303885, 5223.69392],
+				[4, 5.24404146, 2352.86615],
+				[3, 2.47345037, 1577.34354],
+				[2, 0.41874744, 6283.07585],
+				[1, 1.83320979, 5856.47766],
+				[1, 5.69401926, 5753.38488],
+				[1, 2.18890066, 9437.76293],
+				[1, 4.95222451, 10213.28555],
+				[1, 0.1286666, 7860.41939]
+			],
+			[ // B2
+				[2, 1.62703209, 84334.66158]
+			]
+		],
+		R: [
+			[ // R0
+				[100013989, 0, 0],
+				[1670700, 3.09846351, 6283.07585],
+				[13956, 3.0552461, 12566.1517],
+				[3084, 5.19846674, 77713.77147],
+				[1628, 1.17387749, 5753.38488],
+				[1576, 2.84685246, 7860.41939],
+				[925, 5.45292234, 11506.76977],
+				[542, 4.5640915, 3930.2097],
+				[472, 3.66100022, 5884.92685],
+				[329, 5.89983646, 5223.69392],
+				[346, 0.96368618, 5507.55324],
+				[307, 0.2986714, 5573.1428],
+				[175, 3.01193637, 18849.22755],
+				[243, 4.27349536, 11790.62909],
+				[212, 5.8471454, 1577.34354],
+				[186, 5.02194447, 10977.0788],
+				[110, 5.05510636, 5486.77784],
+				[98, 0.88681311, 6069.77675],
+				[86, 5.68959778, 15720.83878],
+				[86, 1.27083733, 161000.68574],
+				[63, 0.92177109, 529.69097],
+				[57, 2.01374292, 83996.84732],
+				[65, 0.27250614, 17260.15465],
+				[49, 3.2450124, 2544.31442],
+				[56, 5.24159799, 71430.69562],
+				[43, 6.01110242, 6275.9623],
+				[47, 2.5780507, 775.52261],
+				[39, 5.36071738, 4694.00295],
+				[45, 5.53715807, 9437.76293],
+				[36, 1.67468059, 12036.46073],
+				[32, 0.1836823, 5088.62884],
+				[32, 1.77775642, 398.149],
+				[33, 0.243703, 7084.89678],
+				[38, 2.39255344, 8827.39027],
+				[28, 1.21344868, 6286.59897],
+				[37, 0.82952922, 19651.04848],
+				[37, 4.90107592, 12139.55351],
+				[35, 1.84270693, 2942.46342],
+				[26, 4.5889685, 10447.38784],
+				[25, 3.78660875, 8429.24127],
+				[24, 0.26866117, 796.29801],
+				[28, 1.89934331, 6279.55273],
+				[24, 4.99598548, 5856.47766],
+				[20, 4.65267995, 2146.16542],
+				[23, 2.80783651, 14143.49524],
+				[22, 1.95004703, 3154.68708],
+				[20, 5.38227371, 2352.86615],
+				[18, 0.19871379, 6812.76682],
+				[17, 4.43315561, 10213.28555],
+				[16, 5.23160508, 17789.84562],
+				[17, 6.15200788, 16730.46369],
+				[14, 5.18962074, 8031.09226],
+				[19, 0.67306674, 149854.40013],
+				[18, 2.25348734, 23581.25818],
+				[14, 3.68516119, 4705.73231],
+				[13, 0.65289581, 13367.97263],
+				[10, 4.33285689, 11769.85369],
+				[10, 4.20126336, 6309.37417],
+				[10, 1.59390681, 4690.47984],
+				[8, 2.62560597, 6256.77753],
+				[10, 3.67586791, 27511.46787],
+				[7, 0.56270333, 3340.61243],
+				[9, 6.06359123, 1748.01641],
+				[8, 3.67371236, 12168.0027],
+				[7, 5.66149278, 11371.70469],
+				[8, 0.31242578, 7632.94326],
+				[7, 3.13576266, 801.82093],
+				[7, 5.64757188, 11926.25441],
+				[7, 2.92384586, 6681.22485],
+				[7, 1.42329806, 23013.53954],
+				[6, 5.13393615, 1194.44701],
+				[6, 2.64986648, 19804.82729],
+				[5, 4.62434053, 6438.49625],
+				[6, 3.02863937, 233141.3144],
+				[5, 1.72194703, 7234.79426],
+				[4, 1.55697534, 7238.67559],
+				[5, 2.40716581, 11499.65622],
+				[5, 5.32398966, 11513.88332],
+				[5, 0.25554312, 11856.21865],
+				[6, 2.09089155, 17298.18233],
+				[6, 4.34052903, 90955.55169],
+				[5, 4.46569642, 5746.27134],
+				[4, 4.90729384, 4164.31199],
+				[5, 5.09957905, 31441.67757],
+				[4, 1.20054555, 1349.86741],
+				[4, 3.03007204, 1059.38193],
+				[3, 0.76080277, 10973.55569],
+				[4, 1.05485713, 5760.49843],
+				[5, 3.76570027, 6386.16862],
+				[3, 3.13829943, 6836.64525],
+				[3, 3.0007239, 4292.33083],
+				[4, 5.70718084, 5643.17856],
+				[3, 4.16448774, 9917.69687],
+				[4, 2.59941292, 7058.59846],
+				[3, 4.54577698, 4732.03063],
+				[3, 1.30561269, 6283.14316],
+				[3, 0.51311976, 26.29832],
+				[3, 5.66263241, 8635.942],
+				[3, 5.73787482, 16200.77272],
+				[3, 1.69140263, 11015.10648],
+				[3, 2.96244119, 25132.3034],
+				[4, 3.62639326, 244287.60001],
+				[3, 4.20725701, 18073.70494],
+				[3, 1.74971566, 6283.00854],
+				[2, 1.06975705, 14314.16811],
+				[3, 5.92838131, 14712.31712],
+				[3, 0.23793217, 35371.88727],
+				[3, 0.89959302, 12352.8526],
+				[2, 2.79975176, 709.93305],
+				[3, 3.51488207, 21228.39202],
+				[3, 2.47684687, 6208.29425],
+				[2, 1.05376462, 22483.84857],
+				[2, 1.31396742, 154717.60989],
+				[2, 6.03828342, 10873.98603]
+			],
+			[ // R1
+				[103019, 1.1074897, 6283.07585],
+				[1721, 1.06442301, 12566.1517],
+				[702, 3.14159265, 0],
+				[32, 1.02169059, 18849.22755],
+				[31, 2.84353805, 5507.55324],
+				[25, 1.31906709, 5223.69392],
+				[18, 1.42429749, 1577.34354],
+				[10, 5.91378195, 10977.0788],
+				[9, 0.27146151, 5486.77784],
+				[9, 1.42046854, 6275.9623],
+				[5, 1.68613427, 5088.62884],
+				[5, 6.01401771, 6286.59897],
+				[5, 5.98724494, 529.69097],
+				[4, 0.51800238, 4694.00295],
+				[4, 4.74969833, 2544.31442],
+				[4, 5.07097686, 796.29801],
+				[4, 1.08424786, 9437.76293],
+				[4, 0.02290216, 83996.84732],
+				[3, 0.9493702, 71430.69562],
+				[3, 6.15628775, 2146.16542],
+				[3, 5.41218323, 775.52261],
+				[3, 5.48432847, 10447.38784],
+				[3, 0.24276941, 398.149],
+				[2, 4.95216197, 6812.76682],
+				[2, 0.41991743, 8031.09226],
+				[3, 3.42034351, 2352.86615],
+				[3, 6.13241879, 6438.49625],
+				[2, 5.31374608, 8429.24127],
+				[2, 3.09164528, 4690.47984],
+				[2, 1.53686209, 4705.73231],
+				[2, 3.68863634, 7084.89678],
+				[2, 1.28191783, 1748.01641],
+				[1, 0.81656251, 14143.49524],
+				[1, 3.22225358, 7234.79426],
+				[2, 3.22883705, 6279.55273],
+				[2, 4.09702349, 11499.65622],
+				[2, 5.53890171, 3154.68708],
+				[2, 1.82040335, 7632.94326],
+				[2, 3.63293386, 11513.88332],
+				[1, 4.64440864, 6836.64525],
+				[1, 2.69341415, 1349.86741],
+				[1, 6.1510158, 5746.27134],
+				[1, 3.35673439, 17789.84562],
+				[1, 3.65282992, 1194.44701],
+				[1, 2.57676109, 13367.97263],
+				[1, 4.49748697, 4292.33083],
+				[1, 5.6503651, 5760.49843],
+				[1, 5.82812169, 12036.46073],
+				[1, 5.6207659, 6256.77753]
+			],
+			[ // R2
+				[4359, 5.78455134, 6283.07585],
+				[124, 5.57934722, 12566.1517],
+				[12, 3.14159265, 0],
+				[9, 3.62777733, 77713.77147],
+				[6, 1.86958905, 5573.1428],
+				[3, 5.47027913, 18849.22755],
+				[1, 4.48028886, 5507.55324],
+				[1, 2.81456418, 5223.69392],
+				[1, 2.84173992, 161000.68574]
+			],
+			[ // R3
+				[145, 4.27319435, 6283.07585],
+				[7, 3.91697609, 12566.1517]
+			],
+			[ // R4
+				[4, 2.56384387, 6283.07585]
+			]
+		]
+	},
+
+	/**
+	 * Series of Mars. <br>
+	 * 0:A, 1:B, 2:C
+	 *
+	 * @const {Map} mars
+	 * @static
+	 */
+	mars: {
+		L: [
+			[ // L0
+				[620347712, 0, 0],
+				[18656368, 5.050371, 3340.61243],
+				[1108217, 5.40099837, 6681.22485],
+				[91798, 5.75478745, 10021.83728],
+				[27745, 5.97049513, 3.52312],
+				[10610, 2.93958525, 2281.2305],
+				[12316, 0.84956081, 2810.92146],
+				[8927, 4.15697846, 0.01725],
+				[8716, 6.1100516, 13362.44971],
+				[6798, 0.36462244, 398.149],
+				[7775, 3.33968655, 5621.84292],
+				[3575, 1.6618654, 2544.31442],
+				[4161, 0.22814975, 2942.46342],
+				[3075, 0.85696597, 191.44827],
+				[2628, 0.64806144, 3337.08931],
+				[2938, 6.07893711, 0.06731],
+				[2389, 5.03896401, 796.29801],
+				[2580, 0.02996706, 3344.13555],
+				[1528, 1.14979306, 6151.53389],
+				[1799, 0.65634027, 529.69097],
+				[1264, 3.62275092, 5092.15196],
+				[1286, 3.06795925, 2146.16542],
+				[1546, 2.91579633, 1751.53953],
+				[1025, 3.69334294, 8962.45535],
+				[892, 0.18293899, 16703.06213],
+				[859, 2.40093704, 2914.01424],
+				[833, 2.46418591, 3340.59517],
+				[833, 4.49495753, 3340.62968],
+				[713, 3.66336015, 1059.38193],
+				[749, 3.82248399, 155.4204],
+				[724, 0.67497566, 3738.76143],
+				[636, 2.92182704, 8432.76438],
+				[655, 0.48864075, 3127.31333],
+				[550, 3.81001205, 0.98032],
+				[553, 4.47478863, 1748.01641],
+				[426, 0.55365138, 6283.07585],
+				[415, 0.49662315, 213.2991],
+				[472, 3.62547819, 1194.44701],
+				[307, 0.38052863, 6684.74797],
+				[312, 0.99853323, 6677.70174],
+				[293, 4.22131278, 20.7754],
+				[302, 4.4861815, 3532.06069],
+				[274, 0.54222142, 3340.54512],
+				[281, 5.88163373, 1349.86741],
+				[231, 1.28240685, 3870.30339],
+				[284, 5.76885494, 3149.16416],
+				[236, 5.75504516, 3333.49888],
+				[274, 0.13372501, 3340.67974],
+				[299, 2.78323706, 6254.62666],
+				[204, 2.82133266, 1221.84857],
+				[239, 5.37155472, 4136.91043],
+				[189, 1.49103016, 9492.14632],
+				[221, 3.50466672, 382.89653],
+				[179, 1.00561113, 951.71841],
+				[172, 0.43943042, 5486.77784],
+				[193, 3.35715138, 3.59043],
+				[144, 1.41874193, 135.06508],
+				[160, 3.94854735, 4562.46099],
+				[174, 2.41360333, 553.5694],
+				[131, 4.0449172, 12303.06778],
+				[138, 4.30145177, 7.11355],
+				[128, 1.80665643, 5088.62884],
+				[140, 3.32592516, 2700.71514],
+				[128, 2.20806651, 1592.59601],
+				[117, 3.12805282, 7903.07342],
+				[110, 1.0519508, 242.7286],
+				[113, 3.70070798, 1589.0729],
+				[100, 3.24343741, 11773.37681],
+				[105, 0.78535382, 8827.39027]
+			],
+			[ // L1
+				[334085627474, 0, 0],
+				[1458227, 3.60426054, 3340.61243],
+				[164901, 3.92631251, 6681.22485],
+				[19963, 4.26594061, 10021.83728],
+				[3452, 4.73210386, 3.52312],
+				[2485, 4.61277567, 13362.44971],
+				[842, 4.45858257, 2281.2305],
+				[538, 5.01589727, 398.149],
+				[521, 4.99422678, 3344.13555],
+				[433, 2.56066403, 191.44827],
+				[430, 5.31646162, 155.4204],
+				[382, 3.53881289, 796.29801],
+				[314, 4.96335266, 16703.06213],
+				[283, 3.15967518, 2544.31442],
+				[206, 4.56891456, 2146.16542],
+				[169, 1.32894813, 3337.08931],
+				[158, 4.18501036, 1751.53953],
+				[134, 2.23325104, 0.98032],
+				[117, 2.21347653, 1059.38193],
+				[118, 6.02407214, 6151.53389],
+				[114, 5.42803224, 3738.76143],
+				[134, 5.97421904, 1748.01641],
+				[91, 1.09627837, 1349.86741],
+				[83, 5.29636626, 6684.74797],
+				[114, 2.12869455, 1194.44701],
+				[81, 4.42813406, 529.69097],
+				[80, 2.24864266, 8962.45535],
+				[73, 5.84208163, 242.7286],
+				[73, 2.50189461, 951.71841],
+				[71, 3.85636094, 2914.01424],
+				[85, 3.90854841, 553.5694],
+				[68, 5.02327686, 382.89653],
+				[65, 1.01802439, 3340.59517],
+				[65, 3.04879604, 3340.62968],
+				[62, 4.1518316, 3149.16416],
+				[48, 4.87362122, 213.2991],
+				[47, 1.3145242, 3185.19203],
+				[57, 3.88813699, 4136.91043],
+				[48, 1.18238046, 3333.49888],
+				[41, 0.71385376, 1592.59601],
+				[40, 5.31611875, 20043.67456],
+				[40, 2.72542481, 7.11355],
+				[33, 5.41067412, 6283.07585],
+				[28, 0.04534125, 9492.14632],
+				[22, 5.88516997, 3870.30339],
+				[22, 5.46592525, 20.35532],
+				[23, 0.83775885, 3097.88382],
+				[21, 5.37934044, 3340.54512],
+				[23, 6.16762213, 3532.06069],
+				[27, 3.88960725, 1221.84857],
+				[23, 1.54504711, 2274.11695],
+				[20, 2.3635395, 1589.0729],
+				[20, 3.36375536, 5088.62884],
+				[27, 5.11271748, 2700.71514],
+				[21, 3.52525428, 15.25247],
+				[21, 4.97081508, 3340.67974],
+				[20, 4.73119429, 4690.47984]
+			],
+			[ // L2
+				[58016, 2.04979463, 3340.61243],
+				[54188, 0, 0],
+				[13908, 2.4574236, 6681.22485],
+				[2465, 2.80000021, 10021.83728],
+				[398, 3.14118428, 13362.44971],
+				[222, 3.1943608, 3.52312],
+				[121, 0.54325292, 155.4204],
+				[62, 3.48529427, 16703.06213],
+				[54, 3.54191121, 3344.13555],
+				[34, 6.00188499, 2281.2305],
+				[32, 4.14015172, 191.44827],
+				[30, 1.9987068, 796.29801],
+				[23, 4.33403366, 242.7286],
+				[22, 3.44532466, 398.149],
+				[16, 6.11000472, 2146.16542],
+				[20, 5.42191375, 553.5694],
+				[15, 6.09541784, 3185.19203],
+				[16, 0.65678953, 0.98032],
+				[14, 2.61851898, 1349.86741],
+				[14, 4.01923812, 951.71841],
+				[12, 3.86122163, 6684.74797],
+				[16, 1.22086122, 1748.01641],
+				[11, 4.71822364, 2544.31442],
+				[13, 0.60189008, 1194.44701],
+				[10, 0.25038715, 382.89653],
+				[9, 0.68170714, 1059.38193],
+				[9, 3.83209092, 20043.67456],
+				[9, 3.88271826, 3738.76143],
+				[8, 5.4649863, 1751.53953],
+				[6, 5.47773073, 1592.59601],
+				[6, 2.34104794, 3097.88382],
+				[7, 2.57522504, 3149.16416],
+				[6, 1.14783577, 7.11355],
+				[7, 2.3784369, 4136.91043]
+			],
+			[ // L3
+				[1482, 0.44434695, 3340.61243],
+				[662, 0.88469179, 6681.22485],
+				[188, 1.28799982, 10021.83728],
+				[41, 1.64850787, 13362.44971],
+				[23, 2.05267665, 155.4204],
+				[26, 0, 0],
+				[8, 1.99858758, 16703.06213],
+				[10, 1.58006906, 3.52312],
+				[5, 2.82452458, 242.7286],
+				[4, 2.01914273, 3344.13555],
+				[3, 4.59144898, 3185.19203],
+				[3, 0.65044714, 553.5694],
+				[2, 5.53835849, 951.71841],
+				[2, 5.71795851, 191.44827],
+				[1, 0.45869143, 796.29801],
+				[1, 2.34368496, 20043.67456],
+				[1, 5.36284013, 0.98032],
+				[1, 4.14601161, 1349.86741],
+				[1, 2.38180831, 6684.74797],
+				[1, 1.76892751, 382.89653]
+			],
+			[ // L4
+				[114, 3.14159265, 0],
+				[29, 5.63662412, 6681.22485],
+				[24, 5.13868481, 3340.61243],
+				[11, 6.03161074, 10021.83728],
+				[3, 3.56267988, 155.4204],
+				[3, 0.13228351, 13362.44971]
+			]
+		],
+		B: [
+			[ // B0
+				[3197135, 3.76832042, 3340.61243],
+				[298033, 4.10616996, 6681.22485],
+				[289105, 0, 0],
+				[31366, 4.44651053, 10021.83728],
+				[3484, 4.78812548, 13362.44971],
+				[443, 5.65233016, 3337.08931],
+				[443, 5.0264262, 3344.13555],
+				[399, 5.13056815, 16703.06213],
+				[293, 3.79290645, 2281.2305],
+				[182, 6.13648012, 6151.53389],
+				[163, 4.26399627, 529.69097],
+				[160, 2.2319461, 1059.38193],
+				[139, 2.41796344, 8962.45535],
+				[149, 2.1650121, 5621.84292],
+				[143, 1.18215016, 3340.59517],
+				[143, 3.21292181, 3340.62968]
+			],
+			[ // B1
+				[350069, 5.36847836, 3340.61243],
+				[14116, 3.14159265, 0],
+				[9671, 5.47877787, 6681.22485],
+				[1472, 3.20205767, 10021.83728],
+				[426, 3.40843813, 13362.44971],
+				[102, 0.77617286, 3337.08931],
+				[79, 3.71768294, 16703.06213],
+				[26, 2.48293558, 2281.2305],
+				[33, 3.45803724, 5621.84292],
+				[21, 1.44120802, 6151.53389]
+			],
+			[ // B2
+				[16727, 0.60221392, 3340.61243],
+				[4987, 3.14159265, 0],
+				[302, 5.55871276, 6681.22485],
+				[26, 1.89662673, 13362.44971],
+				[21, 0.91749969, 10021.83728],
+				[12, 2.24240739, 3337.08931],
+				[8, 2.24892867, 16703.06213]
+			],
+			[ // B3
+				[607, 1.98050634, 3340.61243],
+				[43, 0, 0],
+				[14, 1.79588229, 6681.22485],
+				[3, 3.45377082, 10021.83728]
+			],
+			[ // B4
+				[11, 3.45724353, 3340.61243],
+				[13, 0, 0]
+			]
+		],
+		R: [
+			[ // R0
+				[153033488, 0, 0],
+				[14184953, 3.47971284, 3340.61243],
+				[660776, 3.81783442, 6681.22485],
+				[46179, 4.15595316, 10021.83728],
+				[8110, 5.5595846, 2810.92146],
+				[7485, 1.77238998, 5621.84292],
+				[5523, 1.36436319, 2281.2305],
+				[3825, 4.49407182, 13362.44971],
+				[2307, 0.09081742, 2544.31442],
+				[1999, 5.36059605, 3337.08931],
+				[2484, 4.92545578, 2942.46342],
+				[1960, 4.74249386, 3344.13555],
+				[1167, 2.11261501, 5092.15196],
+				[1103, 5.00908264, 398.149],
+				[899, 4.40790434, 529.69097],
+				[992, 5.83862401, 6151.53389],
+				[807, 2.10216647, 1059.38193],
+				[798, 3.44839026, 796.29801],
+				[741, 1.49906337, 2146.16542],
+				[692, 2.13378815, 8962.45535],
+				[633, 0.89353285, 3340.59517],
+				[726, 1.24516913, 8432.76438],
+				[633, 2.92430448, 3340.62968],
+				[574, 0.82896196, 2914.01424],
+				[526, 5.38292276, 3738.76143],
+				[630, 1.28738136, 1751.53953],
+				[473, 5.19850458, 3127.31333],
+				[348, 4.83219199, 16703.06213],
+				[284, 2.90692295, 3532.06069],
+				[280, 5.25749248, 6283.07585],
+				[234, 5.10546493, 5486.77784],
+				[219, 5.58340249, 191.44827],
+				[270, 3.76394729, 5884.92685],
+				[208, 5.25476081, 3340.54512],
+				[275, 2.90818884, 1748.01641],
+				[276, 1.21767968, 6254.62666],
+				[239, 2.03669896, 1194.44701],
+				[223, 4.19861594, 3149.16416],
+				[183, 5.08062683, 6684.74797],
+				[186, 5.69871556, 6677.70174],
+				[176, 5.95341786, 3870.30339],
+				[179, 4.18423026, 3333.49888],
+				[208, 4.84626442, 3340.67974],
+				[228, 3.25529021, 6872.67312],
+				[144, 0.21296012, 5088.62884],
+				[164, 3.79889068, 4136.91043],
+				[133, 1.53910107, 7903.07342],
+				[142, 2.47790321, 4562.46099],
+				[115, 4.31745088, 1349.86741],
+				[119, 2.12178071, 1589.0729],
+				[102, 6.1813855, 9492.14632],
+				[129, 5.49883295, 8827.39027],
+				[112, 0.5533917, 11243.68585]
+			],
+			[ // R1
+				[1107433, 2.03250525, 3340.61243],
+				[103176, 2.37071846, 6681.22485],
+				[12877, 0, 0],
+				[10816, 2.70888094, 10021.83728],
+				[1195, 3.04702183, 13362.44971],
+				[439, 2.88835073, 2281.2305],
+				[396, 3.42324611, 3344.13555],
+				[183, 1.58428644, 2544.31442],
+				[136, 3.38507018, 16703.06213],
+				[128, 0.62991221, 1059.38193],
+				[127, 1.95389776, 796.29801],
+				[118, 2.99761345, 2146.16542],
+				[128, 6.0434336, 3337.08931],
+				[88, 3.42052759, 398.149],
+				[83, 3.85574987, 3738.76143],
+				[76, 4.45101839, 6151.53389],
+				[72, 2.76442181, 529.69097],
+				[67, 2.54892603, 1751.53953],
+				[54, 0.67750943, 8962.45535],
+				[51, 3.72585409, 6684.74797],
+				[66, 4.4059755, 1748.01641],
+				[48, 2.28527897, 2914.01424],
+				[49, 5.72959428, 3340.59517],
+				[49, 1.47717922, 3340.62968],
+				[58, 0.54354328, 1194.44701],
+				[48, 2.58061691, 3149.16416],
+				[36, 6.02728752, 3185.19203],
+				[37, 5.81439912, 1349.86741],
+				[36, 5.89508336, 3333.49888],
+				[31, 0.97832507, 191.44827],
+				[39, 2.31900091, 4136.91043],
+				[27, 5.41367977, 1592.59601],
+				[24, 3.75843924, 155.4204],
+				[23, 1.74830774, 5088.62884],
+				[22, 0.93932041, 951.71841],
+				[22, 3.83571581, 6283.07585],
+				[21, 0.7804923, 1589.0729],
+				[22, 4.56895741, 3532.06069],
+				[20, 3.13540713, 4690.47984]
+			],
+			[ // R2
+				[44242, 0.47930604, 3340.61243],
+				[8138, 0.86998398, 6681.22485],
+				[1275, 1.22594051, 10021.83728],
+				[187, 1.57298992, 13362.44971],
+				[41, 1.97080175, 3344.13555],
+				[52, 3.14159265, 0],
+				[27, 1.91665616, 16703.06213],
+				[18, 4.43499505, 2281.2305],
+				[12, 4.52510454, 3185.19203],
+				[10, 5.3914347, 1059.38193],
+				[10, 0.41870577, 796.29801],
+				[9, 4.53579273, 2146.16542],
+				[7, 3.14218509, 2544.31442],
+				[7, 2.29300859, 6684.74797],
+				[7, 5.2670258, 155.4204],
+				[7, 2.30781369, 3738.76143],
+				[8, 5.9336908, 1748.01641],
+				[6, 1.0519135, 1349.86741],
+				[7, 5.30194396, 1194.44701],
+				[5, 1.00223256, 3149.16416]
+			],
+			[ // R3
+				[1113, 5.1498735, 3340.61243],
+				[424, 5.61343766, 6681.22485],
+				[100, 5.99726827, 10021.83728],
+				[20, 0.07633062, 13362.44971],
+				[3, 0.42951908, 16703.06213],
+				[5, 3.14159265, 0],
+				[3, 0.44711843, 3344.13555],
+				[2, 3.02115528, 3185.19203]
+			],
+			[ // R4
+				[20, 3.5821165, 3340.61243],
+				[16, 4.05116077, 6681.22485],
+				[6, 4.46383962, 10021.83728],
+				[2, 4.84374322, 13362.44971]
+			]
+		]
+	},
+
+	/**
+	 * Series of Jupiter. <br>
+	 * 0:A, 1:B, 2:C
+	 *
+	 * @const {Map} jupiter
+	 * @static
+	 */
+	jupiter: {
+		L: [
+			[ // L0
+				[59954691, 0, 0],
+				[9695899, 5.06191793, 529.69097],
+				[573610, 1.44406206, 7.11355],
+				[306389, 5.4173473, 1059.38193],
+				[97178, 4.14264709, 632.78374],
+				[72903, 3.64042909, 522.57742],
+				[64264, 3.41145185, 103.09277],
+				[39806, 2.29376745, 419.48464],
+				[38858, 1.27231725, 316.39187],
+				[27965, 1.78454589, 536.80451],
+				[13590, 5.77481032, 1589.0729],
+				[8246, 3.58227962, 206.18555],
+				[8769, 3.63000324, 949.17561],
+				[7368, 5.08101126, 735.87651],
+				[6263, 0.02497644, 213.2991],
+				[6114, 4.51319532, 1162.4747],
+				[4905, 1.32084632, 110.20632],
+				[5305, 1.30671237, 14.22709],
+				[5305, 4.18625053, 1052.26838],
+				[4647, 4.69958109, 3.93215],
+				[3045, 4.3167596, 426.59819],
+				[2610, 1.56667595, 846.08283],
+				[2028, 1.06376547, 3.18139],
+				[1765, 2.14148078, 1066.49548],
+				[1723, 3.88036009, 1265.56748],
+				[1921, 0.97168929, 639.89729],
+				[1633, 3.5820109, 515.46387],
+				[1432, 4.2968369, 625.67019],
+				[973, 4.09764957, 95.97923],
+				[884, 2.43701426, 412.3711],
+				[733, 6.08534113, 838.96929],
+				[731, 3.80591234, 1581.95935],
+				[692, 6.13368223, 2118.76386],
+				[709, 1.29272574, 742.99006],
+				[614, 4.10853497, 1478.86657],
+				[495, 3.75567461, 323.50542],
+				[582, 4.53967718, 309.27832],
+				[376, 4.70299125, 1368.66025],
+				[390, 4.89716106, 1692.16567],
+				[341, 5.71452526, 533.62312],
+				[330, 4.74049819, 0.04818],
+				[441, 2.95818461, 454.90937],
+				[417, 1.0355443, 2.44768],
+				[244, 5.22020879, 728.76297],
+				[262, 1.87652461, 0.96321],
+				[257, 3.72410724, 199.072],
+				[261, 0.82047246, 380.12777],
+				[220, 1.65115016, 543.91806],
+				[202, 1.80684574, 1375.7738],
+				[207, 1.85461667, 525.75881],
+				[197, 5.29252149, 1155.36116],
+				[235, 1.22693908, 909.81873],
+				[175, 5.90973505, 956.28916],
+				[149, 4.37745104, 1685.05212],
+				[175, 3.22634903, 1898.35122],
+				[175, 3.72966555, 942.06206],
+				[158, 4.36483922, 1795.25844],
+				[138, 1.31797921, 1169.58825],
+				[117, 2.50022141, 1596.18644],
+				[151, 3.90625023, 74.7816],
+				[117, 3.38920921, 0.52126],
+				[106, 4.55439798, 526.50957],
+				[131, 4.16867945, 1045.15484],
+				[141, 3.13568358, 491.55793]
+			],
+			[ // L1
+				[52993480757, 0, 0],
+				[489741, 4.2206669, 529.69097],
+				[228919, 6.02647464, 7.11355],
+				[27655, 4.57265957, 1059.38193],
+				[20721, 5.45938936, 522.57742],
+				[12106, 0.16985765, 536.80451],
+				[6068, 4.42419502, 103.09277],
+				[5434, 3.98478383, 419.48464],
+				[4238, 5.89009351, 14.22709],
+				[2212, 5.26771447, 206.18555],
+				[1296, 5.55132765, 3.18139],
+				[1746, 4.92669378, 1589.0729],
+				[1163, 0.51450895, 3.93215],
+				[1007, 0.46478399, 735.87651],
+				[1173, 5.85647304, 1052.26838],
+				[848, 5.7580585, 110.20632],
+				[827, 4.80312016, 213.2991],
+				[1004, 3.15040302, 426.59819],
+				[1099, 5.30704982, 515.46387],
+				[816, 0.58643055, 1066.49548],
+				[725, 5.51827471, 639.89729],
+				[568, 5.98867049, 625.67019],
+				[474, 4.13245269, 412.3711],
+				[413, 5.73652891, 95.97923],
+				[336, 3.73248749, 1162.4747],
+				[345, 4.24159565, 632.78374],
+				[234, 6.24302227, 309.27832],
+				[195, 2.21879011, 323.50542],
+				[234, 4.0346997, 949.17561],
+				[184, 6.27963589, 543.91806],
+				[199, 1.50458443, 838.96929],
+				[187, 6.08620566, 742.99006],
+				[171, 5.41655984, 199.072],
+				[131, 0.62643377, 728.76297],
+				[108, 4.4928276, 956.28916],
+				[115, 0.6801905, 846.08283],
+				[115, 5.28641699, 2118.76386],
+				[67, 5.73365127, 21.34064],
+				[70, 5.9726345, 532.87236],
+				[65, 6.0880349, 1581.95935],
+				[80, 5.824124, 1045.15484],
+				[58, 0.99453087, 1596.18644],
+				[66, 0.12924191, 526.50957],
+				[59, 0.58626971, 1155.36116],
+				[57, 1.41198439, 533.62312],
+				[72, 5.3416265, 942.06206],
+				[57, 5.96851305, 1169.58825],
+				[55, 5.42806384, 10.29494],
+				[52, 0.22981299, 1368.66025],
+				[52, 5.72661448, 117.31987],
+				[50, 6.08075148, 525.75881],
+				[47, 3.62611843, 1478.86657],
+				[40, 4.16158014, 1692.16567],
+				[47, 0.51144073, 1265.56748],
+				[33, 5.03596689, 220.41264],
+				[34, 0.09913905, 302.16478],
+				[29, 3.35927242, 4.66587],
+				[29, 0.7590791, 88.86568],
+				[32, 5.37492531, 508.35032],
+				[29, 5.42208897, 1272.68103],
+				[22, 6.15054054, 1685.05212],
+				[25, 1.60723063, 831.85574],
+				[21, 5.86346824, 1258.45393]
+			],
+			[ // L2
+				[47234, 4.32148324, 7.11355],
+				[30629, 2.9302144, 529.69097],
+				[38966, 0, 0],
+				[3189, 1.05504616, 522.57742],
+				[2723, 3.41411527, 1059.38193],
+				[2729, 4.84545481, 536.80451],
+				[1721, 4.18734385, 14.22709],
+				[383, 5.76790714, 419.48464],
+				[367, 6.0550912, 103.09277],
+				[378, 0.76048965, 515.46387],
+				[337, 3.78644384, 3.18139],
+				[308, 0.69356654, 206.18555],
+				[218, 3.81389191, 1589.0729],
+				[199, 5.33996443, 1066.49548],
+				[197, 2.48356402, 3.93215],
+				[146, 3.81373197, 639.89729],
+				[156, 1.40642426, 1052.26838],
+				[130, 5.83738873, 412.3711],
+				[142, 1.63435169, 426.59819],
+				[117, 1.41435463, 625.67019],
+				[97, 4.03383428, 110.20632],
+				[91, 1.10630629, 95.97923],
+				[79, 4.63726131, 543.91806],
+				[72, 2.2171667, 735.87651],
+				[87, 2.52235175, 632.78374],
+				[57, 3.1229206, 213.2991],
+				[49, 1.67283792, 309.27832],
+				[58, 0.83216317, 199.072],
+				[40, 4.02485445, 21.34064],
+				[40, 0.62416946, 323.50542],
+				[36, 2.32581247, 728.76297],
+				[26, 2.51240624, 1162.4747],
+				[29, 3.60838328, 10.29494],
+				[24, 3.00532139, 956.28916],
+				[28, 3.23992014, 838.96929],
+				[26, 4.50118298, 742.99006],
+				[25, 1.21868111, 1045.15484],
+				[19, 4.29028645, 532.87236],
+				[18, 0.80953942, 508.35032],
+				[15, 5.81037987, 1596.18644],
+				[17, 4.20001978, 2118.76386],
+				[17, 1.83402147, 526.50957],
+				[15, 3.99989623, 117.31987],
+				[14, 1.80336678, 302.16478],
+				[13, 2.51856644, 88.86568],
+				[13, 4.36856232, 1169.58825],
+				[15, 0.68174165, 942.06206],
+				[11, 4.43586635, 525.75881],
+				[14, 5.95169568, 316.39187],
+				[9, 2.17684563, 1155.36116],
+				[9, 3.29452783, 220.41264],
+				[8, 5.75672228, 846.08283],
+				[8, 2.70955517, 533.62312],
+				[10, 1.71563161, 1581.95935],
+				[9, 3.31924494, 831.85574],
+				[6, 0.49939864, 949.17561],
+				[7, 2.17560093, 1265.56748],
+				[5, 6.00510876, 405.25755],
+				[5, 3.65320121, 1272.68103]
+			],
+			[ // L3
+				[6502, 2.5986288, 7.11355],
+				[1357, 1.34635886, 529.69097],
+				[471, 2.47503978, 14.22709],
+				[417, 3.24451243, 536.80451],
+				[353, 2.97360159, 522.57742],
+				[155, 2.07565586, 1059.38193],
+				[87, 2.51431584, 515.46387],
+				[34, 3.82633794, 1066.49548],
+				[44, 0, 0],
+				[23, 2.98231327, 543.91806],
+				[24, 1.27667172, 412.3711],
+				[28, 2.44754756, 206.18555],
+				[20, 2.10099934, 639.89729],
+				[20, 1.40255939, 419.48464],
+				[19, 1.59368404, 103.09277],
+				[17, 2.30214681, 21.34064],
+				[17, 2.59821461, 1589.0729],
+				[16, 3.14521117, 625.67019],
+				[16, 3.36030126, 1052.26838],
+				[13, 2.75973892, 95.97923],
+				[13, 2.53862244, 199.072],
+				[13, 6.2657811, 426.59819],
+				[9, 2.26563256, 110.20632],
+				[7, 3.42566433, 309.27832],
+				[9, 1.76334961, 10.29494],
+				[7, 4.03869563, 728.76297],
+				[5, 5.25196154, 323.50542],
+				[6, 2.52096418, 508.35032],
+				[5, 2.91184687, 1045.15484],
+				[4, 4.30290261, 88.86568],
+				[4, 3.52381362, 302.16478],
+				[4, 4.09125315, 735.87651],
+				[3, 1.43175991, 956.28916],
+				[3, 4.35817508, 1596.18644],
+				[3, 1.25276591, 213.2991],
+				[3, 2.23785673, 117.31987],
+				[2, 2.89662409, 742.99006],
+				[3, 5.0150584, 838.96929],
+				[2, 2.77248295, 1169.58825],
+				[2, 2.35581871, 942.06206],
+				[1, 1.61011469, 220.41264],
+				[1, 3.09381959, 2118.76386],
+				[2, 5.01388257, 831.85574],
+				[2, 1.40097681, 405.25755],
+				[1, 3.9781126, 1155.36116],
+				[1, 3.4595992, 1073.60902]
+			],
+			[ // L4
+				[669, 0.85282421, 7.11355],
+				[100, 0.74258948, 14.22709],
+				[114, 3.14159265, 0],
+				[50, 1.65346208, 536.80451],
+				[44, 5.82026387, 529.69097],
+				[32, 4.85829987, 522.57742],
+				[15, 4.29061636, 515.46387],
+				[9, 0.71478521, 1059.38193],
+				[5, 1.29502259, 543.91806],
+				[4, 2.31715517, 1066.49548],
+				[4, 0.48326798, 21.34064],
+				[3, 3.00245543, 412.3711],
+				[2, 0.3985894, 639.89729],
+				[2, 4.90536207, 625.67019],
+				[2, 4.2592562, 199.072],
+				[2, 4.26147581, 206.18555],
+				[1, 5.25546956, 1052.26838],
+				[1, 4.71614634, 95.97923],
+				[1, 1.28604571, 1589.0729]
+			],
+			[ // L5
+				[50, 5.25658966, 7.11355],
+				[16, 5.25126837, 14.22709],
+				[4, 0.01461869, 536.80451],
+				[2, 1.09739911, 522.57742]
+			]
+		],
+		B: [
+			[ // B0
+				[2268616, 3.55852607, 529.69097],
+				[109972, 3.90809347, 1059.38193],
+				[110090, 0, 0],
+				[8101, 3.60509573, 522.57742],
+				[6044, 4.25883109, 1589.0729],
+				[6438, 0.30627121, 536.80451],
+				[1107, 2.98534422, 1162.4747],
+				[942, 2.93619072, 1052.26838],
+				[894, 1.7544743, 7.11355],
+				[767, 2.15473594, 632.78374],
+				[944, 1.67522288, 426.59819],
+				[684, 3.6780877, 213.2991],
+				[629, 0.64343282, 1066.49548],
+				[836, 5.17881973, 103.09277],
+				[532, 2.70305954, 110.20632],
+				[559, 0.01354831, 846.08283],
+				[464, 1.17337249, 949.17561],
+				[431, 2.60825, 419.48464],
+				[351, 4.61062991, 2118.76386],
+				[123, 3.34968181, 1692.16567],
+				[115, 5.04892295, 316.39187],
+				[132, 4.77816991, 742.99006],
+				[103, 2.31879, 1478.86657],
+				[116, 1.38688232, 323.50542],
+				[102, 3.15293785, 1581.95935],
+				[104, 3.70103838, 515.46387]
+			],
+			[ // B1
+				[177352, 5.70166488, 529.69097],
+				[3230, 5.77941619, 1059.38193],
+				[3081, 5.47464297, 522.57742],
+				[2212, 4.7347748, 536.80451],
+				[1694, 3.14159265, 0],
+				[346, 4.74595174, 1052.26838],
+				[234, 5.188561, 1066.49548],
+				[196, 6.18554287, 7.11355],
+				[150, 3.92721226, 1589.0729],
+				[114, 3.43897272, 632.78374],
+				[97, 2.91426304, 949.17561],
+				[77, 2.50522189, 103.09277],
+				[82, 5.07666097, 1162.4747],
+				[77, 0.61288981, 419.48464],
+				[74, 5.49958292, 515.46387],
+				[50, 3.94799617, 735.87651],
+				[61, 5.44740084, 213.2991],
+				[37, 4.69828393, 543.91806],
+				[46, 0.53850361, 110.20632],
+				[45, 1.89516645, 846.08283],
+				[36, 6.10952579, 316.39187],
+				[32, 4.92452715, 1581.95935],
+				[21, 5.62957731, 1596.18644],
+				[23, 5.8482949, 323.50542],
+				[25, 3.94107395, 2118.76386]
+			],
+			[ // B2
+				[8094, 1.46322844, 529.69097],
+				[742, 0.95691639, 522.57742],
+				[813, 3.14159265, 0],
+				[399, 2.89888666, 536.80451],
+				[342, 1.4468379, 1059.38193],
+				[74, 0.40724676, 1052.26838],
+				[46, 3.48036896, 1066.49548],
+				[29, 0.99088832, 515.46387],
+				[30, 1.92504171, 1589.0729],
+				[23, 4.27124052, 7.11355],
+				[14, 2.92242387, 543.91806],
+				[12, 5.22168932, 632.78374],
+				[11, 4.88024222, 949.17561],
+				[6, 6.21089108, 1045.15484],
+				[6, 0.5297776, 1581.95935],
+				[5, 1.43444929, 526.50957],
+				[5, 6.03169795, 735.87651]
+			],
+			[ // B3
+				[252, 3.38087923, 529.69097],
+				[122, 2.73311837, 522.57742],
+				[49, 1.03689997, 536.80451],
+				[11, 2.31463561, 1052.26838],
+				[8, 2.76729758, 515.46387],
+				[6, 1.78115827, 1066.49548],
+				[7, 4.25268319, 1059.38193],
+				[4, 1.13028917, 543.91806],
+				[3, 3.14159265, 0],
+				[2, 2.28934054, 7.11355],
+				[2, 1.77507208, 1045.15484]
+			],
+			[ // B4
+				[15, 4.52957, 522.57742],
+				[5, 4.47427159, 529.69097],
+				[4, 5.43908581, 536.80451],
+				[3, 0, 0],
+				[2, 4.51807036, 515.46387],
+				[1, 4.20117612, 1052.26838]
+			],
+			[ // B5
+				[1, 0.09198554, 522.57742]
+			]
+		],
+		R: [
+			[ // R0
+				[520887429, 0, 0],
+				[25209327, 3.4910864, 529.69097],
+				[610600, 3.84115366, 1059.38193],
+				[282029, 2.5741988, 632.78374],
+				[187647, 2.0759038, 522.57742],
+				[86793, 0.71001091, 419.48464],
+				[72063, 0.21465695, 536.80451],
+				[65517, 5.97995851, 316.39187],
+				[29135, 1.67759244, 103.09277],
+				[30135, 2.16132058, 949.17561],
+				[23453, 3.54023147, 735.87651],
+				[22284, 4.19362774, 1589.0729],
+				[23947, 0.27457855, 7.11355],
+				[13033, 2.96043056, 1162.4747],
+				[9703, 1.90669572, 206.18555],
+				[12749, 2.71550103, 1052.26838],
+				[9161, 4.41352619, 213.2991],
+				[7895, 2.47907551, 426.59819],
+				[7058, 2.18184753, 1265.56748],
+				[6138, 6.26417543, 846.08283],
+				[5477, 5.65729325, 639.89729],
+				[3503, 0.56531297, 1066.49548],
+				[4137, 2.7221998, 625.67019],
+				[4170, 2.01605034, 515.46387],
+				[2500, 4.55182056, 838.96929],
+				[2617, 2.00993967, 1581.95935],
+				[1912, 0.85621927, 412.3711],
+				[2128, 6.12751462, 742.99006],
+				[1611, 3.08867789, 1368.66025],
+				[1479, 2.68026191, 1478.86657],
+				[1231, 1.8904298, 323.50542],
+				[1217, 1.80171561, 110.20632],
+				[961, 4.5487699, 2118.76386],
+				[886, 4.14785948, 533.62312],
+				[777, 3.67696955, 728.76297],
+				[999, 2.8720894, 309.27832],
+				[1015, 1.38673238, 454.90937],
+				[727, 3.98824686, 1155.36116],
+				[655, 2.79065604, 1685.05212],
+				[821, 1.59342534, 1898.35122],
+				[621, 4.82284339, 956.28916],
+				[654, 3.38150775, 1692.16567],
+				[812, 5.94091899, 909.81873],
+				[562, 0.08095987, 543.91806],
+				[542, 0.28360266, 525.75881],
+				[458, 0.12722695, 1375.7738],
+				[615, 2.27624916, 942.06206],
+				[436, 2.6027213, 95.97923],
+				[496, 5.53005948, 380.12777],
+				[470, 2.81896276, 1795.25844],
+				[445, 0.14623567, 14.22709],
+				[291, 3.89339144, 1471.75303],
+				[277, 2.52238451, 2001.44399],
+				[275, 2.98863519, 526.50957],
+				[294, 2.04938439, 199.072],
+				[291, 6.03131226, 1169.58825],
+				[338, 2.79873193, 1045.15484],
+				[257, 6.13395478, 532.87236],
+				[319, 1.34803131, 2214.74309],
+				[309, 5.36855805, 1272.68103],
+				[346, 1.56404294, 491.55793],
+				[303, 1.15407454, 5753.38488],
+				[192, 0.91996333, 1596.18644],
+				[215, 2.63572816, 2111.65031],
+				[201, 2.37259567, 1258.45393],
+				[239, 3.5739719, 835.03713],
+				[197, 5.92859097, 453.42489],
+				[139, 3.63960322, 1788.1449],
+				[191, 6.28251312, 983.11586],
+				[177, 2.57669992, 9683.59458],
+				[124, 2.26158186, 2317.83586],
+				[128, 4.66585908, 831.85574],
+				[112, 0.85604151, 433.71174],
+				[129, 1.10567107, 2531.13496],
+				[106, 5.81462222, 220.41264],
+				[120, 2.95156364, 3.93215],
+				[104, 2.22221906, 74.7816],
+				[113, 4.86216964, 528.20649]
+			],
+			[ // R1
+				[1271802, 2.64937511, 529.69097],
+				[61662, 3.00076251, 1059.38193],
+				[53444, 3.89717644, 522.57742],
+				[31185, 4.88276664, 536.80451],
+				[41390, 0, 0],
+				[11847, 2.41329588, 419.48464],
+				[9166, 4.75979409, 7.11355],
+				[3176, 2.79297987, 103.09277],
+				[3203, 5.21083285, 735.87651],
+				[3404, 3.34688538, 1589.0729],
+				[2600, 3.63435102, 206.18555],
+				[2412, 1.46947308, 426.59819],
+				[2806, 3.74223694, 515.46387],
+				[2677, 4.33052879, 1052.26838],
+				[2101, 3.92762682, 639.89729],
+				[1646, 5.30953511, 1066.49548],
+				[1641, 4.4162867, 625.67019],
+				[1050, 3.16113623, 213.2991],
+				[1025, 2.55432643, 412.3711],
+				[741, 2.17094631, 1162.4747],
+				[806, 2.67750801, 632.78374],
+				[677, 6.2495348, 838.96929],
+				[469, 4.70973463, 543.91806],
+				[445, 0.40281181, 323.50542],
+				[567, 4.57655415, 742.99006],
+				[416, 5.36836018, 728.76297],
+				[485, 2.46882793, 949.17561],
+				[338, 3.16781951, 956.28916],
+				[402, 4.60528842, 309.27832],
+				[347, 4.68148809, 14.22709],
+				[261, 5.34290306, 846.08283],
+				[220, 4.84210965, 1368.66025],
+				[203, 5.59995425, 1155.36116],
+				[247, 3.92313824, 942.06206],
+				[184, 4.2652677, 95.97923],
+				[180, 4.40165491, 532.87236],
+				[197, 3.70551461, 2118.76386],
+				[196, 3.75877587, 199.072],
+				[200, 4.43888814, 1045.15484],
+				[170, 4.84647489, 526.50957],
+				[146, 6.12958366, 533.62312],
+				[133, 1.32245736, 110.20632],
+				[132, 4.51187951, 525.75881],
+				[124, 2.04290371, 1478.86657],
+				[122, 4.40581788, 1169.58825],
+				[115, 4.46741278, 1581.95935],
+				[99, 5.72833992, 1596.18644],
+				[92, 4.52965592, 1685.05212],
+				[111, 3.62504147, 1272.68103],
+				[81, 4.113117, 1258.45393],
+				[80, 2.71898474, 1692.16567],
+				[100, 5.24693886, 1265.56748],
+				[78, 5.56722652, 1471.75303],
+				[86, 0.07906707, 831.85574],
+				[82, 3.80763016, 508.35032],
+				[55, 0.35180851, 316.39187],
+				[52, 5.53074272, 433.71174],
+				[56, 4.75141241, 302.16478],
+				[51, 4.85603162, 1375.7738],
+				[44, 4.94441643, 1361.54671],
+				[42, 1.22404278, 853.19638],
+				[38, 4.26767539, 2001.44399],
+				[49, 4.01422829, 220.41264],
+				[38, 5.33025237, 1788.1449],
+				[36, 1.76205571, 1795.25844],
+				[36, 3.84995284, 1574.8458],
+				[29, 5.16619258, 3.93215],
+				[25, 4.33777727, 519.39602],
+				[25, 2.72907897, 405.25755],
+				[27, 6.09669948, 1148.24761],
+				[23, 0.1917389, 380.12777],
+				[20, 4.32881495, 3.18139]
+			],
+			[ // R2
+				[79645, 1.35865897, 529.69097],
+				[8252, 5.77773935, 522.57742],
+				[7030, 3.27476966, 536.80451],
+				[5314, 1.8383511, 1059.38193],
+				[1861, 2.97682139, 7.11355],
+				[836, 4.19889882, 419.48464],
+				[964, 5.48031822, 515.46387],
+				[406, 3.7825073, 1066.49548],
+				[427, 2.22753102, 639.89729],
+				[377, 2.24248353, 1589.0729],
+				[498, 3.14159265, 0],
+				[339, 6.12690864, 625.67019],
+				[363, 5.36761847, 206.18555],
+				[342, 6.09922969, 1052.26838],
+				[280, 4.26162556, 412.3711],
+				[333, 0.00328961, 426.59819],
+				[230, 0.70530766, 735.87651],
+				[201, 3.06850623, 543.91806],
+				[200, 4.42884165, 103.09277],
+				[257, 0.96295365, 632.78374],
+				[139, 2.93235672, 14.22709],
+				[114, 0.78713911, 728.76297],
+				[86, 5.14434752, 323.50542],
+				[95, 1.70498041, 838.96929],
+				[83, 0.05834873, 309.27832],
+				[75, 1.60495196, 956.28916],
+				[70, 1.50988357, 213.2991],
+				[80, 2.98122362, 742.99006],
+				[56, 0.95534811, 1162.4747],
+				[62, 6.1013789, 1045.15484],
+				[67, 5.47307178, 199.072],
+				[50, 2.72063162, 532.87236],
+				[52, 5.58435626, 942.06206],
+				[40, 5.94566506, 95.97923],
+				[45, 5.52445621, 508.35032],
+				[44, 0.27118153, 526.50957],
+				[30, 0.93641736, 1155.36116],
+				[28, 2.8783572, 525.75881],
+				[26, 4.26891877, 1596.18644],
+				[27, 2.80607741, 1169.58825],
+				[27, 2.64841266, 2118.76386],
+				[23, 0.17830004, 302.16478],
+				[29, 1.78589692, 831.85574],
+				[20, 0.04328952, 949.17561],
+				[20, 1.16072627, 533.62312],
+				[22, 1.88820232, 1272.68103],
+				[18, 4.14974758, 846.08283],
+				[17, 5.89188997, 1258.45393],
+				[21, 4.35468497, 316.39187],
+				[21, 0.54429472, 1265.56748],
+				[20, 0.06453826, 1581.95935],
+				[17, 0.53383755, 1368.66025],
+				[13, 3.90044242, 433.71174],
+				[13, 0.79468041, 110.20632],
+				[12, 0.40671404, 1361.54671],
+				[12, 4.44394618, 405.25755],
+				[12, 2.22872779, 220.41264],
+				[10, 6.01002272, 853.19638],
+				[10, 0.99504635, 1471.75303],
+				[9, 1.60328709, 1692.16567],
+				[9, 3.52167877, 1073.60902],
+				[8, 5.60169733, 1574.8458],
+				[9, 6.26708749, 519.39602],
+				[8, 0.65241612, 1478.86657],
+				[8, 0.17920601, 1685.05212],
+				[7, 0.88421085, 88.86568],
+				[7, 0.89341249, 721.64942],
+				[9, 1.51210841, 1148.24761],
+				[6, 2.50080005, 3.18139],
+				[7, 4.44127497, 330.61896],
+				[5, 2.79219167, 21.34064],
+				[5, 2.97991737, 1375.7738],
+				[5, 0.85008578, 1788.1449]
+			],
+			[ // R3
+				[3519, 6.05800634, 529.69097],
+				[1073, 1.67321346, 536.80451],
+				[916, 1.41329676, 522.57742],
+				[342, 0.52296543, 1059.38193],
+				[255, 1.19625474, 7.11355],
+				[222, 0.95225226, 515.46387],
+				[69, 2.26885282, 1066.49548],
+				[90, 3.14159265, 0],
+				[58, 1.41389745, 543.91806],
+				[58, 0.52580118, 639.89729],
+				[51, 5.98016365, 412.3711],
+				[47, 1.57864238, 625.67019],
+				[43, 6.11689609, 419.48464],
+				[37, 1.18262762, 14.22709],
+				[34, 1.66671707, 1052.26838],
+				[31, 1.04290246, 1589.0729],
+				[30, 4.63236245, 426.59819],
+				[34, 0.84784978, 206.18555],
+				[21, 2.50071244, 728.76297],
+				[14, 0.96040197, 508.35032],
+				[13, 1.50233789, 1045.15484],
+				[12, 3.5551351, 323.50542],
+				[12, 2.60952615, 735.87651],
+				[15, 0.89136998, 199.072],
+				[11, 1.79041438, 309.27832],
+				[11, 6.27845113, 956.28916],
+				[10, 6.2601686, 103.09277],
+				[9, 3.45126812, 838.96929],
+				[7, 1.87004905, 302.16478],
+				[7, 1.28047008, 742.99006],
+				[7, 0.9202219, 942.06206],
+				[6, 1.37980793, 95.97923],
+				[7, 3.45228723, 831.85574],
+				[5, 2.82934545, 1596.18644],
+				[4, 1.21290005, 1169.58825],
+				[4, 5.99495314, 213.2991],
+				[4, 6.10714792, 405.25755],
+				[3, 2.32831075, 1155.36116],
+				[2, 1.86965213, 532.87236],
+				[2, 0.42627205, 220.41264],
+				[2, 1.94941487, 1073.60902],
+				[2, 0.09211518, 632.78374],
+				[2, 1.58907745, 2118.76386],
+				[2, 5.97080671, 1162.4747],
+				[2, 1.06751463, 21.34064],
+				[2, 1.511194, 1258.45393],
+				[2, 0.35125021, 1272.68103],
+				[2, 5.94487388, 110.20632],
+				[2, 2.54989378, 88.86568],
+				[2, 2.16463967, 433.71174],
+				[2, 2.7034159, 721.64942],
+				[2, 4.46255717, 853.19638],
+				[2, 2.25964761, 1361.54671],
+				[2, 1.98372066, 525.75881],
+				[2, 0.11641358, 949.17561],
+				[2, 3.16520599, 1148.24761],
+				[2, 2.70850417, 330.61896],
+				[2, 0.47376029, 526.50957],
+				[1, 3.0198728, 963.4027],
+				[2, 0.44352103, 533.62312],
+				[1, 1.15774089, 1574.8458],
+				[1, 2.54505851, 846.08283],
+				[1, 1.17462113, 1038.04129],
+				[1, 2.70272799, 519.39602],
+				[1, 0.67467129, 551.03161],
+				[1, 1.07011164, 227.52619],
+				[1, 1.78981738, 1581.95935]
+			],
+			[ // R4
+				[129, 0.0841931, 536.80451],
+				[113, 4.24858856, 529.69097],
+				[83, 3.29754909, 522.57742],
+				[38, 2.73326611, 515.46387],
+				[27, 5.69142589, 7.11355],
+				[18, 5.40012537, 1059.38193],
+				[13, 6.01560416, 543.91806],
+				[9, 0.76813946, 1066.49548],
+				[8, 5.68228066, 14.22709],
+				[6, 5.12286933, 639.89729],
+				[7, 1.42751292, 412.3711],
+				[5, 3.33501947, 625.67019],
+				[3, 3.40334805, 1052.26838],
+				[3, 4.16090413, 728.76297],
+				[3, 2.89802035, 426.59819],
+				[2, 6.22195939, 1589.0729],
+				[2, 3.11758856, 1045.15484],
+				[2, 2.8139929, 206.18555],
+				[2, 2.60030007, 199.072],
+				[2, 1.89432426, 419.48464],
+				[2, 1.33432648, 1596.18644],
+				[2, 0, 0],
+				[1, 4.41904942, 956.28916],
+				[1, 5.16181312, 831.85574]
+			],
+			[ // R5
+				[11, 4.752494, 536.80451],
+				[4, 5.91516229, 522.57742],
+				[2, 5.56781556, 515.46387],
+				[2, 4.29659647, 543.91806],
+				[2, 3.69357496, 7.11355],
+				[2, 5.49312796, 1066.49548],
+				[2, 4.13222809, 1059.38193],
+				[1, 3.77981723, 14.22709],
+				[1, 4.5067182, 529.69097]
+			]
+		]
+	},
+
+	/**
+	 * Series of Saturn. <br>
+	 * 0:A, 1:B, 2:C
+	 *
+	 * @const {Map} saturn
+	 * @static
+	 */
+	saturn: {
+		L: [
+			[ // L0
+				[87401354, 0, 0],
+				[11107660, 3.9620509, 213.2991],
+				[1414151, 4.58581516, 7.11355],
+				[398379, 0.52112026, 206.18555],
+				[350769, 3.30329903, 426.59819],
+				[206816, 0.24658367, 103.09277],
+				[79271, 3.84007079, 220.41264],
+				[23990, 4.66976935, 110.20632],
+				[16574, 0.43719124, 419.48464],
+				[14907, 5.76903284, 316.39187],
+				[15820, 0.93808954, 632.78374],
+				[14610, 1.56518574, 3.93215],
+				[13160, 4.4489118, 14.22709],
+				[15054, 2.71670028, 639.89729],
+				[13005, 5.98119067, 11.0457],
+				[10725, 3.12939596, 202.2534],
+				[5863, 0.23657029, 529.69097],
+				[5228, 4.20783162, 3.18139],
+				[6126, 1.763285, 277.03499],
+				[5020, 3.1778792, 433.71174],
+				[4593, 0.61976424, 199.072],
+				[4006, 2.24479894, 63.7359],
+				[2954, 0.98280385, 95.97923],
+				[3874, 3.22282693, 138.5175],
+				[2461, 2.03163631, 735.87651],
+				[3269, 0.77491896, 949.17561],
+				[1758, 3.26580515, 522.57742],
+				[1640, 5.50504966, 846.08283],
+				[1391, 4.02331978, 323.50542],
+				[1581, 4.37266314, 309.27832],
+				[1124, 2.83726794, 415.55249],
+				[1017, 3.71698152, 227.52619],
+				[849, 3.19149826, 209.36694],
+				[1087, 4.18343232, 2.44768],
+				[957, 0.5074089, 1265.56748],
+				[789, 5.00745123, 0.96321],
+				[687, 1.74714408, 1052.26838],
+				[654, 1.59889332, 0.04818],
+				[749, 2.14398149, 853.19638],
+				[634, 2.29889903, 412.3711],
+				[744, 5.25276955, 224.3448],
+				[853, 3.42141351, 175.16606],
+				[580, 3.09259007, 74.7816],
+				[625, 0.97046831, 210.1177],
+				[530, 4.44938897, 117.31987],
+				[543, 1.51824321, 9.56123],
+				[474, 5.47527186, 742.99006],
+				[449, 1.28990416, 127.4718],
+				[546, 2.12678554, 350.33212],
+				[478, 2.96488054, 137.03302],
+				[355, 3.01286483, 838.96929],
+				[452, 1.04436664, 490.33409],
+				[347, 1.53928228, 340.77089],
+				[343, 0.24604039, 0.52126],
+				[309, 3.49486735, 216.48049],
+				[322, 0.96137456, 203.73787],
+				[372, 2.27819109, 217.23125],
+				[322, 2.57182355, 647.01083],
+				[330, 0.24715618, 1581.95935],
+				[249, 1.47010534, 1368.66025],
+				[287, 2.37043746, 351.81659],
+				[220, 4.20422425, 200.76892],
+				[278, 0.40020409, 211.81462],
+				[205, 6.01082207, 265.98929],
+				[208, 0.4834982, 1162.4747],
+				[209, 1.34516255, 625.67019],
+				[182, 5.49122292, 2.92076],
+				[227, 4.91003163, 12.53017],
+				[208, 1.28302219, 39.35688],
+				[174, 1.86305807, 0.75076],
+				[185, 3.50344405, 149.5632],
+				[184, 0.97254953, 4.19279],
+				[146, 6.23102544, 195.13985],
+				[165, 0.44005518, 5.41663],
+				[148, 1.53529321, 5.62907],
+				[140, 4.2945026, 21.34064],
+				[131, 4.06828962, 10.29494],
+				[117, 2.67920401, 1155.36116],
+				[149, 5.7359435, 52.6902],
+				[122, 1.97588777, 4.66587],
+				[114, 5.59427545, 1059.38193],
+				[103, 1.19748124, 1685.05212],
+				[118, 5.34072934, 554.06999],
+				[109, 3.43812716, 536.80451],
+				[110, 0.16604024, 1.48447],
+				[125, 6.27737806, 1898.35122],
+				[104, 2.19210363, 88.86568],
+				[112, 1.10502664, 191.20769],
+				[107, 4.01156609, 956.28916],
+				[101, 4.96513667, 269.92145]
+			],
+			[ // L1
+				[21354295596, 0, 0],
+				[1296855, 1.82820545, 213.2991],
+				[564348, 2.88500136, 7.11355],
+				[98323, 1.08070061, 426.59819],
+				[107679, 2.27769912, 206.18555],
+				[40255, 2.04128257, 220.41264],
+				[19942, 1.27954663, 103.09277],
+				[10512, 2.74880393, 14.22709],
+				[6939, 0.4049308, 639.89729],
+				[4803, 2.44194098, 419.48464],
+				[4056, 2.92166619, 110.20632],
+				[3769, 3.64965631, 3.93215],
+				[3385, 2.41694252, 3.18139],
+				[3302, 1.26256487, 433.71174],
+				[3071, 2.32739318, 199.072],
+				[1953, 3.56394683, 11.0457],
+				[1249, 2.62803738, 95.97923],
+				[922, 1.96089834, 227.52619],
+				[706, 4.41689249, 529.69097],
+				[650, 6.17418094, 202.2534],
+				[628, 6.11088227, 309.27832],
+				[487, 6.039982, 853.19638],
+				[468, 4.61707844, 63.7359],
+				[479, 4.98776988, 522.57742],
+				[417, 2.11708169, 323.50542],
+				[408, 1.29949557, 209.36694],
+				[344, 3.95854179, 412.3711],
+				[340, 3.63396399, 316.39187],
+				[336, 3.77173073, 735.87651],
+				[332, 2.860777, 210.1177],
+				[352, 2.31707079, 632.78374],
+				[289, 2.7326308, 117.31987],
+				[266, 0.54344631, 647.01083],
+				[230, 1.6442888, 216.48049],
+				[281, 5.74398845, 2.44768],
+				[192, 2.96512947, 224.3448],
+				[173, 4.07695221, 846.08283],
+				[167, 2.59745203, 21.34064],
+				[136, 2.28580247, 10.29494],
+				[131, 3.44108356, 742.99006],
+				[128, 4.09533471, 217.23125],
+				[109, 6.16141072, 415.55249],
+				[94, 3.4839728, 1052.26838],
+				[92, 3.947555, 88.86568],
+				[98, 4.72845437, 838.96929],
+				[87, 1.21951325, 440.82528],
+				[83, 3.11269505, 625.67019],
+				[78, 6.24408939, 302.16478],
+				[62, 1.82789613, 195.13985],
+				[62, 4.29344363, 127.4718],
+				[67, 0.28961739, 4.66587],
+				[57, 5.01889578, 137.03302],
+				[54, 5.12628572, 490.33409],
+				[55, 0.28356341, 74.7816],
+				[51, 1.45766406, 536.80451],
+				[66, 5.64757043, 9.56123],
+				[58, 2.47630552, 191.95845],
+				[44, 2.70873628, 5.41663],
+				[47, 1.17721211, 149.5632],
+				[40, 3.88870106, 728.76297],
+				[38, 2.53379014, 12.53017],
+				[47, 5.14818327, 515.46387],
+				[46, 2.23198879, 956.28916],
+				[40, 0.4128152, 269.92145],
+				[37, 3.78239026, 2.92076],
+				[34, 3.21070688, 1368.66025],
+				[38, 0.64665967, 422.66604],
+				[33, 0.30063885, 351.81659],
+				[33, 5.43038091, 1066.49548],
+				[30, 2.84067005, 203.00415],
+				[35, 6.08421794, 5.62907],
+				[30, 3.39052569, 1059.38193],
+				[33, 4.64063092, 277.03499],
+				[32, 4.38622924, 1155.36116],
+				[29, 2.02614761, 330.61896],
+				[28, 2.74178954, 265.98929],
+				[30, 6.18684614, 284.14854],
+				[31, 2.43455856, 52.6902],
+				[26, 4.5121417, 340.77089],
+				[22, 5.14437353, 4.19279],
+				[22, 1.96481952, 203.73787],
+				[21, 6.16048096, 860.30993],
+				[22, 2.67578769, 942.06206],
+				[23, 5.88579123, 210.85141],
+				[23, 4.13732273, 191.20769]
+			],
+			[ // L2
+				[116441, 1.17987851, 7.11355],
+				[91921, 0.07425261, 213.2991],
+				[90592, 0, 0],
+				[15277, 4.06492008, 206.18555],
+				[10631, 0.25778277, 220.41264],
+				[10605, 5.40963596, 426.59819],
+				[4265, 1.04595557, 14.22709],
+				[1216, 2.91860042, 103.09277],
+				[1165, 4.60942129, 639.89729],
+				[1082, 5.69130352, 433.71174],
+				[1020, 0.63369183, 3.18139],
+				[1045, 4.04206454, 199.072],
+				[634, 4.3882541, 419.48464],
+				[549, 5.57303134, 3.93215],
+				[457, 1.26840971, 110.20632],
+				[425, 0.20935499, 227.52619],
+				[274, 4.28841012, 95.97923],
+				[162, 1.38139149, 11.0457],
+				[129, 1.56586884, 309.27832],
+				[117, 3.88120916, 853.19638],
+				[105, 4.90003204, 647.01083],
+				[101, 0.89270493, 21.34064],
+				[95, 5.62561151, 412.3711],
+				[82, 1.02477558, 117.31987],
+				[75, 4.76178468, 210.1177],
+				[83, 6.05030935, 216.48049],
+				[96, 2.91093562, 316.39187],
+				[64, 0.35179805, 323.50542],
+				[85, 5.73472778, 209.36694],
+				[61, 4.8751785, 632.78374],
+				[66, 0.48297941, 10.29494],
+				[67, 0.45648613, 522.57742],
+				[53, 2.74730541, 529.69097],
+				[46, 5.69296622, 440.82528],
+				[45, 1.668567, 202.2534],
+				[42, 5.70768188, 88.86568],
+				[32, 0.0705005, 63.7359],
+				[32, 1.67190022, 302.16478],
+				[31, 4.16379538, 191.95845],
+				[25, 5.65564729, 735.87651],
+				[27, 0.83256214, 224.3448],
+				[20, 5.9436461, 217.23125],
+				[18, 4.90014737, 625.67019],
+				[17, 1.62593421, 742.99006],
+				[14, 3.76497167, 195.13985],
+				[12, 4.71789724, 203.00415],
+				[12, 0.12620714, 234.63974],
+				[16, 0.57886321, 515.46387],
+				[11, 5.92216845, 536.80451],
+				[14, 0.20675294, 838.96929],
+				[11, 5.60207983, 728.76297],
+				[12, 3.12098484, 846.08283],
+				[10, 4.15472049, 860.30993],
+				[11, 3.20327613, 1066.49548],
+				[10, 0.25709352, 330.61896],
+				[9, 0.46379969, 956.28916],
+				[10, 4.98736656, 422.66604],
+				[8, 2.13990364, 269.92145],
+				[7, 5.39724715, 1052.26838],
+				[8, 5.24602742, 429.77958],
+				[6, 4.46211131, 284.14854],
+				[6, 5.40967847, 149.5632],
+				[8, 4.03401154, 9.56123],
+				[6, 4.29380891, 415.55249],
+				[6, 5.93416925, 405.25755],
+				[6, 0.01824077, 124.43342],
+				[6, 6.02235682, 223.59404],
+				[6, 0.29694719, 127.4718],
+				[5, 5.53868223, 949.17561]
+			],
+			[ // L3
+				[16039, 5.73945377, 7.11355],
+				[4250, 4.58539676, 213.2991],
+				[1907, 4.7608205, 220.41264],
+				[1466, 5.91326678, 206.18555],
+				[1162, 5.61973132, 14.22709],
+				[1067, 3.60816533, 426.59819],
+				[239, 3.86088273, 433.71174],
+				[237, 5.76826451, 199.072],
+				[166, 5.1164115, 3.18139],
+				[131, 4.74327545, 227.52619],
+				[151, 2.73594642, 639.89729],
+				[62, 4.74287052, 103.09277],
+				[63, 0.22850089, 419.48464],
+				[40, 5.47298059, 21.34064],
+				[40, 5.96420267, 95.97923],
+				[39, 5.833862, 110.20632],
+				[28, 3.01235312, 647.01083],
+				[25, 0.98808171, 3.93215],
+				[18, 1.02506397, 412.3711],
+				[18, 3.31913419, 309.27832],
+				[16, 3.89825273, 440.82528],
+				[16, 5.6166781, 117.31987],
+				[19, 1.91614237, 853.19638],
+				[18, 4.96738416, 10.29494],
+				[13, 1.18068954, 88.86568],
+				[18, 4.20376505, 216.48049],
+				[11, 5.57520615, 11.0457],
+				[11, 5.92906266, 191.95845],
+				[10, 3.94838737, 209.36694],
+				[9, 3.3933537, 302.16478],
+				[8, 4.87736913, 323.50542],
+				[7, 0.38198726, 632.78374],
+				[6, 1.05621158, 210.1177],
+				[5, 4.64268475, 234.63974],
+				[6, 2.25492723, 522.57742],
+				[4, 2.30677011, 515.46387],
+				[3, 2.203094, 860.30993],
+				[4, 3.14159265, 0],
+				[3, 4.93447677, 224.3448],
+				[3, 0.42393884, 625.67019],
+				[2, 3.19814958, 202.2534],
+				[2, 4.76621392, 330.61896],
+				[3, 0.58604395, 529.69097],
+				[2, 4.39525359, 124.43342],
+				[2, 1.35488209, 405.25755],
+				[2, 3.34809166, 429.77958],
+				[2, 3.0669357, 654.12438],
+				[2, 1.02981006, 728.76297],
+				[2, 3.09383546, 422.66604],
+				[2, 4.15225985, 536.80451],
+				[2, 1.18918501, 1066.49548],
+				[2, 4.15631351, 223.59404],
+				[1, 0.37916705, 316.39187],
+				[2, 5.82865773, 195.13985],
+				[1, 1.57663426, 81.75213],
+				[2, 6.03706765, 742.99006],
+				[1, 1.66154726, 63.7359],
+				[1, 5.02409881, 956.28916],
+				[1, 2.10575519, 838.96929],
+				[1, 3.88109753, 269.92145],
+				[1, 3.72599602, 295.05123],
+				[1, 1.38492883, 735.87651],
+				[1, 2.33460999, 217.23125]
+			],
+			[ // L4
+				[1662, 3.99826249, 7.11355],
+				[257, 2.98436499, 220.41264],
+				[236, 3.90241428, 14.22709],
+				[149, 2.74110824, 213.2991],
+				[110, 1.51515739, 206.18555],
+				[114, 3.14159265, 0],
+				[68, 1.72120953, 426.59819],
+				[38, 1.23795458, 199.072],
+				[40, 2.04644897, 433.71174],
+				[31, 3.01094184, 227.52619],
+				[15, 0.82897065, 639.89729],
+				[9, 3.71485301, 21.34064],
+				[6, 2.41995291, 419.48464],
+				[4, 1.45120819, 95.97923],
+				[6, 1.15607096, 647.01083],
+				[4, 2.11783225, 440.82528],
+				[3, 4.09278078, 110.20632],
+				[3, 2.77203154, 412.3711],
+				[3, 3.0073025, 88.86568],
+				[3, 0.00255721, 853.19638],
+				[3, 0.39246854, 103.09277],
+				[2, 5.07955458, 309.27832],
+				[2, 3.77689198, 117.31987],
+				[2, 5.19176876, 302.16478],
+				[2, 2.82884329, 234.63974],
+				[2, 2.23816037, 216.48049],
+				[1, 1.54685247, 191.95845]
+			],
+			[ // L5
+				[124, 2.25923346, 7.11355],
+				[34, 2.16250653, 14.22709],
+				[28, 1.1986815, 220.41264],
+				[6, 1.2158427, 227.52619],
+				[5, 0.235504, 433.71174],
+				[4, 6.22669694, 426.59819],
+				[3, 2.97372046, 199.072],
+				[3, 4.28710933, 206.18555],
+				[2, 6.25265362, 213.2991],
+				[1, 5.27612561, 639.89729],
+				[1, 0.23516952, 440.82528],
+				[1, 3.14159265, 0]
+			]
+		],
+		B: [
+			[ // B0
+				[4330678, 3.60284428, 213.2991],
+				[240348, 2.85238489, 426.59819],
+				[84746, 0, 0],
+				[30863, 3.48441504, 220.41264],
+				[34116, 0.57297308, 206.18555],
+				[14734, 2.11846598, 639.89729],
+				[9917, 5.79003189, 419.48464],
+				[6994, 4.73604689, 7.11355],
+				[4808, 5.43305316, 316.39187],
+				[4788, 4.96512927, 110.20632],
+				[3432, 2.73255752, 433.71174],
+				[1506, 6.01304536, 103.09277],
+				[1060, 5.63099292, 529.69097],
+				[969, 5.20434966, 632.78374],
+				[942, 1.39646678, 853.19638],
+				[708, 3.8030233, 323.50542],
+				[552, 5.13149109, 202.2534],
+				[400, 3.35891414, 227.52619],
+				[316, 1.99716764, 647.01083],
+				[319, 3.62571551, 209.36694],
+				[284, 4.88648482, 224.3448],
+				[314, 0.46510272, 217.23125],
+				[236, 2.13887472, 11.0457],
+				[215, 5.9498261, 846.08283],
+				[209, 2.12003894, 415.55249],
+				[179, 2.95361515, 63.7359],
+				[207, 0.73021463, 199.072],
+				[139, 1.99821991, 735.87651],
+				[135, 5.2450082, 742.99006],
+				[141, 0.6441762, 490.33409],
+				[122, 3.11537141, 522.57742],
+				[139, 4.59535168, 14.22709],
+				[116, 3.10891547, 216.48049],
+				[114, 0.96261442, 210.1177]
+			],
+			[ // B1
+				[397555, 5.33289993, 213.2991],
+				[49479, 3.14159265, 0],
+				[18572, 6.09919206, 426.59819],
+				[14801, 2.30586061, 206.18555],
+				[9644, 1.6967466, 220.41264],
+				[3757, 1.25429514, 419.48464],
+				[2717, 5.91166665, 639.89729],
+				[1455, 0.85161617, 433.71174],
+				[1291, 2.91770857, 7.11355],
+				[853, 0.43572079, 316.39187],
+				[284, 1.61881755, 227.52619],
+				[292, 5.31574251, 853.19638],
+				[275, 3.88864137, 103.09277],
+				[298, 0.91909207, 632.78374],
+				[172, 0.05215147, 647.01083],
+				[128, 1.20711453, 529.69097],
+				[166, 2.44351613, 199.072],
+				[158, 5.20850126, 110.20632],
+				[110, 2.45695552, 217.23125],
+				[82, 2.75839171, 210.1177],
+				[81, 2.86038377, 14.22709],
+				[69, 1.65537623, 202.2534],
+				[59, 1.82410768, 323.50542],
+				[65, 1.25527521, 216.48049],
+				[61, 1.25273412, 209.36694],
+				[46, 0.81534705, 440.82528],
+				[36, 1.81851058, 224.3448],
+				[34, 2.83971298, 117.31987],
+				[32, 1.18676132, 846.08283],
+				[33, 1.3055708, 412.3711],
+				[27, 4.64744848, 1066.49548],
+				[23, 4.12923703, 415.55249],
+				[27, 4.44228739, 11.0457],
+				[21, 1.40999274, 309.27832]
+			],
+			[ // B2
+				[20630, 0.50482423, 213.2991],
+				[3720, 3.99833476, 206.18555],
+				[1627, 6.1818994, 220.41264],
+				[1346, 0, 0],
+				[706, 3.03914309, 419.48464],
+				[365, 5.09928681, 426.59819],
+				[330, 5.2789921, 433.71174],
+				[219, 3.82841534, 639.89729],
+				[139, 1.04272623, 7.11355],
+				[104, 6.15730993, 227.52619],
+				[93, 1.97994413, 316.39187],
+				[71, 4.14754353, 199.072],
+				[52, 2.88364834, 632.78374],
+				[49, 4.43390207, 647.01083],
+				[41, 3.1592777, 853.19638],
+				[29, 4.52978328, 210.1177],
+				[24, 1.11595912, 14.22709],
+				[21, 4.35095844, 217.23125],
+				[20, 5.30779711, 440.82528],
+				[18, 0.85391477, 110.20632],
+				[16, 4.25767226, 103.09277],
+				[17, 5.68112084, 216.48049],
+				[14, 2.99904334, 412.3711],
+				[12, 2.52679928, 529.69097],
+				[8, 3.31512424, 202.2534],
+				[7, 0.28766025, 323.50542],
+				[6, 1.16121321, 117.31987],
+				[6, 3.58260177, 309.27832],
+				[7, 5.5571413, 209.36694],
+				[6, 2.47783945, 1066.49548],
+				[6, 3.61231887, 860.30993]
+			],
+			[ // B3
+				[666, 1.9900634, 213.2991],
+				[632, 5.69778317, 206.18555],
+				[398, 0, 0],
+				[188, 4.33779805, 220.41264],
+				[92, 4.84104208, 419.48464],
+				[42, 2.38073239, 426.59819],
+				[52, 3.4214949, 433.71174],
+				[26, 4.40167213, 227.52619],
+				[21, 5.8531351, 199.072],
+				[18, 1.99321433, 639.89729],
+				[11, 5.37344547, 7.11355],
+				[10, 2.54901826, 647.01083],
+				[7, 3.45518373, 316.39187],
+				[6, 4.80055225, 632.78374],
+				[6, 0.01680379, 210.1177],
+				[5, 5.63719731, 14.22709],
+				[5, 1.22424419, 853.19638],
+				[6, 3.51756748, 440.82528],
+				[4, 4.71299371, 412.3711],
+				[3, 0.62679208, 103.09277],
+				[2, 3.71982274, 216.48049],
+				[2, 6.10867072, 217.23125],
+				[1, 1.69177141, 860.30993],
+				[1, 4.30778839, 234.63974],
+				[1, 5.7502779, 309.27832]
+			],
+			[ // B4
+				[80, 1.11918415, 206.18555],
+				[32, 3.12218745, 213.2991],
+				[17, 2.480732, 220.41264],
+				[12, 3.14159265, 0],
+				[9, 0.38441425, 419.48464],
+				[6, 1.5618638, 433.71174],
+				[5, 1.2823564, 199.072],
+				[5, 2.63498295, 227.52619],
+				[1, 1.43096672, 426.59819],
+				[1, 0.66988084, 647.01083],
+				[1, 6.18092274, 639.89729],
+				[1, 1.72041928, 440.82528]
+			],
+			[ // B5
+				[8, 2.81927559, 206.18555],
+				[1, 0.5118721, 220.41264]
+			]
+		],
+		R: [
+			[ // R0
+				[955758136, 0, 0],
+				[52921382, 2.3922622, 213.2991],
+				[1873680, 5.23549605, 206.18555],
+				[1464664, 1.64763045, 426.59819],
+				[821891, 5.93520025, 316.39187],
+				[547507, 5.01532628, 103.09277],
+				[371684, 2.27114833, 220.41264],
+				[361778, 3.13904303, 7.11355],
+				[140618, 5.70406653, 632.78374],
+				[108975, 3.29313596, 110.20632],
+				[69007, 5.94099622, 419.48464],
+				[61053, 0.94037761, 639.89729],
+				[48913, 1.55733388, 202.2534],
+				[34144, 0.19518551, 277.03499],
+				[32402, 5.47084607, 949.17561],
+				[20937, 0.46349164, 735.87651],
+				[20839, 1.52102591, 433.71174],
+				[20747, 5.33255668, 199.072],
+				[15298, 3.05943653, 529.69097],
+				[14296, 2.60433538, 323.50542],
+				[11993, 5.98051422, 846.08283],
+				[11380, 1.73105747, 522.57742],
+				[12884, 1.6489231, 138.5175],
+				[7753, 5.85191319, 95.97923],
+				[9796, 5.20475864, 1265.56748],
+				[6466, 0.1773316, 1052.26838],
+				[6771, 3.00433479, 14.22709],
+				[5850, 1.45519636, 415.55249],
+				[5307, 0.59737534, 63.7359],
+				[4696, 2.14919037, 227.52619],
+				[4044, 1.64010324, 209.36694],
+				[3688, 0.78016133, 412.3711],
+				[3376, 3.69528479, 224.3448],
+				[2885, 1.38764078, 838.96929],
+				[2976, 5.68467931, 210.1177],
+				[3420, 4.94549149, 1581.95935],
+				[3461, 1.85088803, 175.16606],
+				[3401, 0.55386748, 350.33212],
+				[2508, 3.53851863, 742.99006],
+				[2448, 6.18412386, 1368.66025],
+				[2406, 2.9655922, 117.31987],
+				[2881, 0.17960758, 853.19638],
+				[2174, 0.01508587, 340.77089],
+				[2024, 5.05411271, 11.0457],
+				[1740, 2.34657043, 309.27832],
+				[1861, 5.93361638, 625.67019],
+				[1888, 0.02968443, 3.93215],
+				[1611, 1.17302464, 74.7816],
+				[1463, 1.92588134, 216.48049],
+				[1475, 5.67670461, 203.73787],
+				[1395, 5.93669405, 127.4718],
+				[1781, 0.76314388, 217.23125],
+				[1817, 5.77713226, 490.33409],
+				[1472, 1.40064916, 137.03302],
+				[1304, 0.77235614, 647.01083],
+				[1150, 5.7402125, 1162.4747],
+				[1127, 4.46707804, 265.98929],
+				[1277, 2.98412586, 1059.38193],
+				[1207, 0.75285933, 351.81659],
+				[1071, 1.13567265, 1155.36116],
+				[1021, 5.91233513, 1685.05212],
+				[1315, 5.11202573, 211.81462],
+				[1296, 4.6918414, 1898.35122],
+				[1099, 1.81765119, 149.5632],
+				[998, 2.63131597, 200.76892],
+				[986, 2.2599285, 956.28916],
+				[932, 3.66980793, 554.06999],
+				[664, 0.60297725, 728.76297],
+				[660, 4.6663544, 195.13985],
+				[618, 5.62092, 942.06206],
+				[626, 5.94208233, 1478.86657],
+				[482, 1.84070179, 479.28839],
+				[488, 2.79373617, 3.18139],
+				[470, 0.83847755, 1471.75303],
+				[452, 5.6446846, 2001.44399],
+				[553, 3.41088601, 269.92145],
+				[534, 1.26443331, 275.55052],
+				[473, 1.88198585, 515.46387],
+				[405, 1.64001414, 536.80451],
+				[517, 4.44310451, 2214.74309],
+				[453, 3.00349117, 302.16478],
+				[494, 2.28626675, 278.51947],
+				[490, 5.8063142, 191.20769],
+				[427, 0.05741344, 284.14854],
+				[340, 1.40198658, 440.82528],
+				[341, 0.89091104, 628.85159],
+				[386, 1.99700403, 1272.68103],
+				[288, 1.1216025, 422.66604],
+				[294, 0.42577062, 312.19908],
+				[262, 0.3175344, 1045.15484],
+				[295, 0.67144494, 88.86568],
+				[343, 5.85600322, 1795.25844],
+				[341, 2.37585247, 525.49818],
+				[234, 4.22756813, 114.13847],
+				[224, 2.28129447, 330.61896],
+				[276, 0.47832439, 38.13304],
+				[225, 0.54754006, 1788.1449],
+				[303, 0.8794667, 6069.77675],
+				[292, 6.21420612, 210.85141],
+				[226, 0.37495223, 142.44965],
+				[277, 5.31917702, 692.58748],
+				[243, 5.37187983, 1258.45393],
+				[206, 0.95755251, 288.08069],
+				[208, 5.3812626, 2317.83586],
+				[187, 6.03591766, 404.50679],
+				[219, 5.25607044, 212.33589],
+				[222, 5.94588017, 39.35688],
+				[180, 4.41045924, 408.43894],
+				[241, 1.12525868, 388.46516],
+				[197, 3.90141943, 52.6902],
+				[237, 0.90802745, 1375.7738],
+				[172, 5.56318633, 213.34728],
+				[170, 2.85667554, 99.16062],
+				[214, 4.20253526, 2531.13496],
+				[172, 2.36537801, 213.25091],
+				[166, 2.6367979, 215.74678],
+				[231, 5.49463421, 191.95845],
+				[178, 0.38155818, 430.53034],
+				[192, 2.95906901, 437.64389],
+				[163, 3.45832517, 617.80589],
+				[162, 5.73050679, 203.00415],
+				[175, 5.71404465, 1066.49548],
+				[183, 5.66851947, 2111.65031],
+				[150, 4.40663922, 417.03696],
+				[188, 6.07916266, 563.63122],
+				[145, 5.08176369, 423.4168],
+				[137, 5.43912788, 222.86032],
+				[173, 1.84920994, 1589.0729],
+				[165, 2.89132196, 214.2623],
+				[146, 1.56565192, 831.85574],
+				[177, 2.30323753, 9999.98645],
+				[129, 2.55338644, 414.06802],
+				[120, 0.04329751, 1361.54671],
+				[143, 0.99817358, 76.26607],
+				[109, 2.09282278, 207.67002],
+				[132, 2.85902598, 312.45972],
+				[112, 0.26221759, 2104.53677],
+				[125, 4.78354048, 205.22234],
+				[104, 3.63671899, 65.22037],
+				[107, 3.67064139, 212.77783],
+				[109, 2.85492389, 21.34064],
+				[109, 1.63231061, 208.63323],
+				[113, 5.03109281, 703.63318],
+				[110, 2.43656081, 355.74875]
+			],
+			[ // R1
+				[6182981, 0.25843515, 213.2991],
+				[506578, 0.71114651, 206.18555],
+				[341394, 5.79635774, 426.59819],
+				[188491, 0.47215719, 220.41264],
+				[186262, 3.14159265, 0],
+				[143891, 1.40744864, 7.11355],
+				[49621, 6.0174447, 103.09277],
+				[20928, 5.09245654, 639.89729],
+				[19953, 1.17560125, 419.48464],
+				[18840, 1.60819563, 110.20632],
+				[12893, 5.94330258, 433.71174],
+				[13877, 0.75886204, 199.072],
+				[5397, 1.28852406, 14.22709],
+				[4869, 0.86793894, 323.50542],
+				[4247, 0.39299385, 227.52619],
+				[3252, 1.2585347, 95.97923],
+				[2856, 2.16731405, 735.87651],
+				[2909, 4.60679155, 202.2534],
+				[3081, 3.43662557, 522.57742],
+				[1988, 2.45054205, 412.3711],
+				[1941, 6.02393385, 209.36694],
+				[1581, 1.2919179, 210.1177],
+				[1340, 4.30801822, 853.19638],
+				[1316, 1.25296446, 117.31987],
+				[1203, 1.86654674, 316.39187],
+				[1091, 0.07527247, 216.48049],
+				[954, 5.15173411, 647.01083],
+				[966, 0.47991379, 632.78374],
+				[882, 1.88471724, 1052.26838],
+				[874, 1.40224684, 224.3448],
+				[898, 0.98343776, 529.69097],
+				[785, 3.06377517, 838.96929],
+				[740, 1.38225357, 625.67019],
+				[613, 3.03307307, 63.7359],
+				[658, 4.14362931, 309.27832],
+				[650, 1.72489486, 742.99006],
+				[599, 2.54924175, 217.23125],
+				[503, 2.12958819, 3.93215],
+				[413, 4.59334402, 415.55249],
+				[356, 2.30312128, 728.76297],
+				[345, 5.88787578, 440.82528],
+				[395, 0.53349091, 956.28916],
+				[336, 1.61614647, 1368.66025],
+				[363, 4.70691653, 302.16478],
+				[322, 0.97931765, 3.18139],
+				[278, 0.26007031, 195.13985],
+				[291, 2.83129428, 1155.36116],
+				[265, 2.42670903, 88.86568],
+				[265, 5.82860589, 149.5632],
+				[317, 3.58395656, 515.46387],
+				[294, 2.81632779, 11.0457],
+				[245, 1.04493439, 942.06206],
+				[215, 3.56535575, 490.33409],
+				[264, 1.28547686, 1059.38193],
+				[246, 0.90730314, 191.95845],
+				[222, 5.13193212, 269.92145],
+				[195, 4.5666501, 846.08283],
+				[183, 2.6791322, 127.4718],
+				[182, 4.93431601, 74.7816],
+				[175, 3.44560172, 137.03302],
+				[166, 5.99775896, 536.80451],
+				[155, 1.19720845, 265.98929],
+				[170, 4.63464467, 284.14854],
+				[152, 0.52928231, 330.61896],
+				[152, 5.43886712, 422.66604],
+				[158, 2.99559915, 340.77089],
+				[141, 2.02069761, 1045.15484],
+				[140, 1.35282959, 1685.05212],
+				[141, 1.27099901, 203.00415],
+				[136, 5.01678985, 351.81659],
+				[153, 0.26968608, 1272.68103],
+				[129, 1.14344731, 21.34064],
+				[128, 2.53876159, 1471.75303],
+				[127, 3.0031097, 277.03499],
+				[100, 3.61360169, 1066.49548],
+				[103, 0.38175115, 203.73787],
+				[108, 4.31870663, 210.85141],
+				[96, 0.79463744, 1258.45393],
+				[83, 0.28181415, 234.63974],
+				[98, 2.56085956, 191.20769],
+				[97, 3.26245865, 831.85574],
+				[72, 4.3798463, 860.30993],
+				[71, 0.73191514, 437.64389],
+				[70, 0.87698402, 423.4168],
+				[72, 5.58013291, 429.77958],
+				[73, 0.62505906, 1375.7738],
+				[66, 2.68414462, 405.25755],
+				[64, 1.75051498, 1361.54671],
+				[62, 1.09332288, 2001.44399],
+				[67, 0.06872766, 408.43894],
+				[69, 2.47127505, 949.17561],
+				[60, 2.2509479, 1788.1449],
+				[67, 5.4536587, 200.76892],
+				[66, 0.05539079, 1589.0729],
+				[49, 4.1724343, 138.5175],
+				[51, 6.26867505, 223.59404],
+				[55, 4.59491534, 628.85159],
+				[48, 0.83929742, 10.29494],
+				[47, 2.17322569, 312.19908],
+				[54, 0.28360076, 124.43342],
+				[50, 3.79960349, 215.74678],
+				[40, 5.18161453, 1478.86657],
+				[39, 0.56257369, 1574.8458],
+				[35, 4.68487506, 38.13304],
+				[43, 2.98582069, 1148.24761],
+				[37, 0.6345327, 52.6902],
+				[40, 0.28412707, 131.40395],
+				[32, 5.190365, 76.26607],
+				[33, 1.97964846, 142.44965],
+				[42, 4.83017952, 288.08069],
+				[31, 1.47903923, 1677.93858],
+				[43, 3.38225544, 208.63323],
+				[29, 5.09869867, 654.12438],
+				[29, 4.95664882, 1795.25844],
+				[29, 2.74747554, 404.50679],
+				[33, 6.12099521, 145.63104],
+				[28, 0.83185907, 2317.83586],
+				[28, 2.24364074, 430.53034],
+				[30, 1.96415498, 2104.53677],
+				[33, 3.2823616, 222.86032],
+				[32, 6.02453027, 1905.46476],
+				[27, 5.24308283, 388.46516],
+				[27, 0.99638303, 107.02493],
+				[25, 2.87336642, 703.63318],
+				[25, 1.07713812, 99.91138],
+				[25, 6.23974038, 106.27417],
+				[25, 0.81040977, 312.45972],
+				[24, 0.54867403, 214.2623],
+				[28, 0.82630053, 1692.16567],
+				[23, 5.07995629, 479.28839],
+				[24, 3.10643456, 212.33589],
+				[22, 6.06688238, 85.8273],
+				[22, 3.89863666, 563.63122],
+				[23, 4.86725457, 295.05123],
+				[21, 5.10797617, 333.65735],
+				[26, 2.20813879, 1265.56748],
+				[21, 3.28855303, 70.84945],
+				[22, 3.79541156, 347.88444],
+				[22, 4.22716353, 217.96496],
+				[21, 1.68732249, 231.45834],
+				[21, 3.08914428, 554.06999],
+				[21, 0.38868341, 319.57326],
+				[21, 2.45651851, 18.15925],
+				[26, 4.27554951, 483.22054],
+				[21, 5.12057936, 362.86229],
+				[22, 5.51249355, 343.21857],
+				[20, 5.08481373, 750.10361],
+				[20, 3.42997916, 213.34728],
+				[24, 0.64787473, 207.88247],
+				[22, 0.72894957, 99.16062],
+				[21, 2.69286728, 1464.63948],
+				[22, 4.16647258, 2.44768],
+				[20, 0.23170287, 213.25091]
+			],
+			[ // R2
+				[436902, 4.78671673, 213.2991],
+				[71923, 2.50069995, 206.18555],
+				[49767, 4.97168151, 220.41264],
+				[43221, 3.86940444, 426.59819],
+				[29646, 5.96310264, 7.11355],
+				[4142, 4.10670941, 433.71174],
+				[4721, 2.47527992, 199.072],
+				[3789, 3.09771025, 639.89729],
+				[2964, 1.37206249, 103.09277],
+				[2556, 2.85065722, 419.48464],
+				[2208, 6.27588859, 110.20632],
+				[2188, 5.85545832, 14.22709],
+				[1957, 4.92448618, 227.52619],
+				[2327, 0, 0],
+				[924, 5.46392423, 323.50542],
+				[706, 2.9708128, 95.97923],
+				[546, 4.12854182, 412.3711],
+				[374, 5.83435992, 117.31987],
+				[361, 3.27703082, 647.01083],
+				[356, 3.19152044, 210.1177],
+				[391, 4.48106177, 216.48049],
+				[431, 5.17825415, 522.57742],
+				[326, 2.26867602, 853.19638],
+				[405, 4.17294158, 209.36694],
+				[204, 0.08774849, 202.2534],
+				[207, 4.02188337, 735.87651],
+				[178, 4.09716541, 440.82528],
+				[180, 3.59704904, 632.78374],
+				[154, 3.1347053, 625.67019],
+				[148, 0.13614301, 302.16478],
+				[123, 4.1889531, 88.86568],
+				[133, 2.59350469, 191.95845],
+				[100, 5.46056191, 3.18139],
+				[132, 5.93293969, 309.27832],
+				[97, 4.01832604, 728.76297],
+				[111, 4.77853798, 838.96929],
+				[119, 5.55385106, 224.3448],
+				[94, 4.3839553, 217.23125],
+				[109, 5.293109, 515.46387],
+				[79, 5.72525448, 21.34064],
+				[81, 5.10897365, 956.28916],
+				[96, 6.2585923, 742.99006],
+				[69, 4.04901238, 3.93215],
+				[65, 3.77713344, 1052.26838],
+				[64, 5.81235002, 529.69097],
+				[63, 2.18445116, 195.13985],
+				[57, 3.14666549, 203.00415],
+				[56, 4.84108423, 234.63974],
+				[53, 5.07780548, 330.61896],
+				[51, 2.77318571, 942.06206],
+				[42, 4.79014211, 63.7359],
+				[45, 0.56460614, 269.92145],
+				[41, 3.73496404, 316.39187],
+				[53, 3.92623831, 949.17561],
+				[38, 3.73966158, 1045.15484],
+				[38, 4.18924634, 536.80451],
+				[35, 2.90795856, 284.14854],
+				[34, 3.80465979, 149.5632],
+				[41, 4.57870454, 1155.36116],
+				[30, 2.48140172, 860.30993],
+				[31, 4.84075952, 1272.68103],
+				[30, 4.35186294, 405.25755],
+				[39, 3.50858482, 422.66604],
+				[30, 1.58886982, 1066.49548],
+				[35, 5.94478242, 1059.38193],
+				[26, 3.54946335, 1368.66025],
+				[26, 4.81567477, 124.43342],
+				[30, 3.66312206, 429.77958],
+				[33, 4.96879545, 831.85574],
+				[24, 5.31133255, 10.29494],
+				[26, 4.45253273, 223.59404],
+				[22, 2.76092021, 415.55249],
+				[27, 1.66347898, 277.03499],
+				[22, 1.03836302, 11.0457],
+				[20, 2.52194629, 1258.45393],
+				[17, 3.27669927, 654.12438],
+				[17, 3.49414817, 1361.54671],
+				[16, 1.73396879, 490.33409],
+				[21, 3.62102033, 1265.56748],
+				[18, 4.31141612, 1471.75303],
+				[13, 0.3232789, 295.05123],
+				[13, 3.13794577, 74.7816],
+				[12, 2.32917798, 210.85141],
+				[15, 3.59558424, 265.98929],
+				[13, 4.62359706, 1589.0729],
+				[15, 5.01335705, 127.4718],
+				[11, 4.54981248, 81.75213],
+				[13, 4.8871009, 437.64389],
+				[11, 5.05234757, 191.20769],
+				[14, 3.04990968, 423.4168],
+				[11, 5.02845923, 137.03302],
+				[14, 4.6872008, 1148.24761],
+				[13, 1.90280407, 408.43894],
+				[10, 5.20426584, 340.77089],
+				[10, 3.3446028, 1685.05212],
+				[10, 3.1731792, 351.81659],
+				[11, 5.47808961, 1375.7738],
+				[9, 2.81294528, 99.91138],
+				[8, 3.22691941, 1677.93858],
+				[8, 2.35624292, 1574.8458],
+				[8, 6.08171425, 231.45834],
+				[9, 3.40072245, 1581.95935],
+				[7, 2.00393602, 131.40395],
+				[8, 4.04095881, 1788.1449],
+				[8, 3.68311134, 846.08283],
+				[7, 4.37253801, 145.63104],
+				[8, 3.29482043, 750.10361],
+				[6, 4.00239138, 447.93883],
+				[6, 4.55603672, 106.27417],
+				[6, 1.33782088, 215.74678],
+				[7, 3.78204726, 313.21048],
+				[6, 0.5527698, 18.15925],
+				[6, 2.84712796, 138.5175],
+				[7, 4.83481647, 319.57326],
+				[7, 5.43046032, 508.35032],
+				[7, 4.37855724, 1464.63948],
+				[6, 4.14268749, 543.91806],
+				[6, 4.35383078, 1905.46476],
+				[5, 2.63866059, 288.08069],
+				[5, 3.6252085, 6076.8903],
+				[5, 4.19972735, 721.64942],
+				[5, 5.04845207, 10007.1],
+				[6, 1.13479636, 56.62235],
+				[5, 2.44627821, 628.85159],
+				[5, 4.50449288, 416.30325]
+			],
+			[ // R3
+				[20315, 3.02186626, 213.2991],
+				[8924, 3.19144206, 220.41264],
+				[6909, 4.35174889, 206.18555],
+				[4087, 4.22406927, 7.11355],
+				[3879, 2.01056446, 426.59819],
+				[1071, 4.20360341, 199.072],
+				[907, 2.28344368, 433.71174],
+				[606, 3.17458571, 227.52619],
+				[597, 4.13455753, 14.22709],
+				[483, 1.17345973, 639.89729],
+				[393, 0, 0],
+				[229, 4.69838526, 419.48464],
+				[188, 4.59003889, 110.20632],
+				[150, 3.20199444, 103.09277],
+				[121, 3.76831374, 323.50542],
+				[101, 5.81884138, 412.3711],
+				[102, 4.70974423, 95.97923],
+				[93, 1.43531271, 647.01083],
+				[73, 4.15395599, 117.31987],
+				[84, 2.6346238, 216.48049],
+				[62, 2.31239346, 440.82528],
+				[45, 4.37317047, 191.95845],
+				[50, 2.38854233, 209.36694],
+				[55, 0.30526468, 853.19638],
+				[40, 1.8383657, 302.16478],
+				[38, 5.94455116, 88.86568],
+				[32, 4.01146349, 21.34064],
+				[41, 0.68845183, 522.57742],
+				[28, 5.77193014, 210.1177],
+				[25, 3.06249709, 234.63974],
+				[21, 4.92570696, 625.67019],
+				[25, 0.73137425, 515.46387],
+				[17, 5.73135069, 728.76297],
+				[18, 1.45593153, 309.27832],
+				[17, 3.5277158, 3.18139],
+				[13, 3.36479898, 330.61896],
+				[11, 3.37212683, 224.3448],
+				[11, 3.41719975, 956.28916],
+				[10, 1.58791583, 202.2534],
+				[12, 5.99093726, 735.87651],
+				[11, 6.06911092, 405.25755],
+				[9, 2.93557422, 124.43342],
+				[9, 4.65432481, 632.78374],
+				[10, 0.58247012, 860.30993],
+				[7, 4.50669216, 942.06206],
+				[10, 0.28268774, 838.96929],
+				[9, 2.57034548, 223.59404],
+				[9, 1.75808101, 429.77958],
+				[8, 1.45635107, 654.12438],
+				[7, 5.47394786, 1045.15484],
+				[7, 1.51811695, 422.66604],
+				[8, 4.48457709, 742.99006],
+				[7, 4.83084425, 316.39187],
+				[8, 0.43769725, 831.85574],
+				[8, 4.20112368, 195.13985],
+				[6, 2.33960392, 269.92145],
+				[6, 1.14518721, 284.14854],
+				[6, 4.18123189, 529.69097],
+				[5, 2.12020039, 295.05123],
+				[7, 3.42459867, 10.29494],
+				[6, 2.46823272, 536.80451],
+				[6, 6.01433828, 1066.49548],
+				[6, 0.82784598, 217.23125],
+				[4, 3.23245737, 1272.68103],
+				[4, 0.92477809, 203.00415],
+				[3, 4.32777517, 1258.45393],
+				[4, 0.05832124, 81.75213],
+				[4, 0.11124997, 1155.36116],
+				[4, 6.0115706, 1052.26838],
+				[3, 5.6434295, 3.93215],
+				[3, 2.19411778, 447.93883],
+				[3, 1.89387343, 149.5632],
+				[3, 0.1921518, 1148.24761],
+				[3, 0.92363342, 508.35032],
+				[3, 4.97199778, 1677.93858],
+				[3, 2.99591017, 1589.0729],
+				[3, 5.40535672, 1361.54671],
+				[2, 1.30362272, 184.84491],
+				[3, 3.71412121, 408.43894],
+				[2, 3.22118361, 319.57326],
+				[3, 2.31346415, 543.91806],
+				[2, 5.87500716, 721.64942],
+				[2, 0.51565577, 416.30325],
+				[2, 4.240178, 1059.38193],
+				[2, 2.41463085, 337.73251],
+				[2, 0.53809071, 635.96513],
+				[2, 5.62352727, 11.0457],
+				[2, 5.73399981, 313.21048],
+				[2, 2.41000566, 131.54696],
+				[2, 4.57646238, 1994.33045],
+				[2, 5.17436386, 2854.64037],
+				[2, 6.23355846, 1471.75303],
+				[2, 6.17814559, 1464.63948],
+				[2, 5.59464578, 1038.04129],
+				[2, 0.60765337, 210.85141],
+				[2, 1.75479346, 195.89061],
+				[2, 0.55789908, 2324.94941],
+				[1, 0.26624236, 497.44764],
+				[2, 2.57526073, 2090.30967],
+				[2, 1.8231782, 436.89313],
+				[2, 6.153281, 490.33409],
+				[2, 6.11741717, 1073.60902],
+				[1, 0.85374461, 415.55249],
+				[2, 2.95335775, 437.64389],
+				[1, 4.12025029, 1574.8458],
+				[2, 5.96841377, 1781.03135],
+				[2, 3.84895123, 1251.34038],
+				[1, 5.32547706, 2538.2485],
+				[2, 1.50973094, 750.10361],
+				[1, 3.28599832, 1884.12412],
+				[1, 0.99340744, 643.07868],
+				[1, 3.79347669, 1567.73225],
+				[2, 0.02551524, 423.4168],
+				[1, 5.35285153, 1354.43316],
+				[1, 0.69945139, 867.42348],
+				[1, 1.7962481, 618.55665],
+				[1, 4.70052329, 113.38771],
+				[1, 3.95537224, 1891.23767],
+				[1, 1.50198847, 430.53034],
+				[1, 5.13093399, 25.27279],
+				[1, 2.970623, 241.75328],
+				[1, 2.290898, 2420.92864],
+				[1, 0.04888944, 63.7359],
+				[1, 5.58271515, 1382.88735],
+				[1, 3.10797488, 2200.51599],
+				[1, 0.79465515, 127.4718],
+				[1, 5.85060227, 215.74678],
+				[1, 3.72589446, 131.40395],
+				[1, 0.4750435, 824.74219],
+				[1, 3.78039049, 1375.7738],
+				[1, 1.41325962, 2634.22773],
+				[1, 4.80334494, 1987.2169],
+				[1, 1.08973645, 362.86229],
+				[1, 5.41838042, 1279.79457],
+				[1, 4.48298283, 2214.74309],
+				[1, 4.05664979, 231.45834],
+				[1, 4.2335287, 1802.37199]
+			],
+			[ // R4
+				[1202, 1.41499446, 220.41264],
+				[708, 1.1615357, 213.2991],
+				[516, 6.23973568, 206.18555],
+				[427, 2.4692489, 7.11355],
+				[268, 0.18659207, 426.59819],
+				[170, 5.95926972, 199.072],
+				[145, 1.4421106, 227.52619],
+				[150, 0.47970167, 433.71174],
+				[121, 2.40527321, 14.22709],
+				[47, 5.56857489, 639.89729],
+				[16, 2.90112466, 110.20632],
+				[17, 0.52920774, 440.82528],
+				[19, 5.85626429, 647.01083],
+				[14, 1.30343551, 412.3711],
+				[13, 2.09349306, 323.50542],
+				[15, 0.29905317, 419.48464],
+				[11, 2.46304826, 117.31987],
+				[11, 0.21785507, 95.97923],
+				[9, 2.28127318, 21.34064],
+				[9, 1.56496313, 88.86568],
+				[9, 0.68301278, 216.48049],
+				[8, 3.59367715, 302.16478],
+				[8, 4.48688804, 853.19638],
+				[8, 1.27239488, 234.63974],
+				[10, 3.14159265, 0],
+				[5, 2.58836295, 515.46387],
+				[6, 5.16774449, 103.09277],
+				[4, 0.02211643, 191.95845],
+				[4, 1.59622746, 330.61896],
+				[4, 3.2989984, 210.1177],
+				[4, 5.97349928, 654.12438],
+				[4, 4.97415112, 860.30993],
+				[3, 2.72684237, 522.57742],
+				[4, 1.59858436, 405.25755],
+				[3, 0.75235437, 209.36694],
+				[2, 1.19167306, 124.43342],
+				[3, 1.32258934, 728.76297],
+				[2, 3.28087994, 203.00415],
+				[2, 6.14648095, 429.77958],
+				[2, 0.75462855, 295.05123],
+				[2, 3.8939493, 1066.49548],
+				[2, 0.4931915, 447.93883],
+				[2, 0.7276106, 625.67019],
+				[2, 0.0905784, 942.06206],
+				[2, 1.39635398, 224.3448],
+				[2, 3.02468308, 184.84491],
+				[2, 0.81879251, 223.59404],
+				[2, 2.00472815, 831.85574],
+				[2, 5.41185168, 824.74219],
+				[2, 5.95520747, 422.66604],
+				[1, 1.11512974, 838.96929],
+				[1, 1.89600568, 956.28916],
+				[1, 2.1190647, 529.69097],
+				[1, 0.7225442, 536.80451],
+				[1, 0.89062692, 721.64942],
+				[1, 1.64867039, 17.40849],
+				[1, 5.96957982, 195.13985],
+				[1, 1.59202482, 735.87651]
+			],
+			[ // R5
+				[129, 5.91282565, 220.41264],
+				[32, 0.69256229, 7.11355],
+				[27, 5.91428529, 227.52619],
+				[20, 0.67370653, 14.22709],
+				[20, 4.95136802, 433.71174],
+				[14, 1.45669521, 199.072],
+				[14, 2.6707428, 206.18555],
+				[13, 4.58826996, 426.59819],
+				[7, 4.62966127, 213.2991],
+				[5, 3.61448275, 639.89729],
+				[3, 4.65661022, 191.95845],
+				[3, 0.48665273, 323.50542],
+				[4, 4.89624165, 440.82528],
+				[3, 4.0719086, 647.01083],
+				[3, 3.18003019, 419.48464],
+				[2, 3.69553554, 88.86568],
+				[2, 5.32729248, 302.16478],
+				[2, 3.31663577, 95.97923],
+				[2, 2.67009216, 853.19638],
+				[2, 0.56025553, 117.31987],
+				[2, 0.85608043, 515.46387],
+				[2, 0, 0],
+				[1, 5.98011944, 3.18139],
+				[1, 5.82563378, 234.63974],
+				[1, 0.15741228, 412.3711]
+			]
+		]
+	},
+
+	/**
+	 * Series of Uranus. <br>
+	 * 0:A, 1:B, 2:C
+	 *
+	 * @const {Map} uranus
+	 * @static
+	 */
+	uranus: {
+		L: [
+			[ // L0
+				[548129294, 0, 0],
+				[9260408, 0.89106422, 74.7816],
+				[1504248, 3.62719262, 1.48447],
+				[365982, 1.89962189, 73.29713],
+				[272328, 3.35823711, 149.5632],
+				[70328, 5.39254432, 63.7359],
+				[68893, 6.09292489, 76.26607],
+				[61999, 2.2695204, 2.96895],
+				[61951, 2.85098908, 11.0457],
+				[26469, 3.14152088, 71.81265],
+				[25711, 6.11379843, 454.90937],
+				[21079, 4.36059465, 148.07872],
+				[17819, 1.74436983, 36.64856],
+				[14613, 4.73732048, 3.93215],
+				[11163, 5.82681994, 224.3448],
+				[10998, 0.48865493, 138.5175],
+				[9527, 2.95516893, 35.16409],
+				[7546, 5.23626441, 109.94569],
+				[4220, 3.23328536, 70.84945],
+				[4052, 2.27754159, 151.04767],
+				[3355, 1.06549009, 4.45342],
+				[2927, 4.62903695, 9.56123],
+				[3490, 5.48305567, 146.59425],
+				[3144, 4.75199308, 77.75054],
+				[2922, 5.35236743, 85.8273],
+				[2273, 4.36600803, 70.32818],
+				[2051, 1.51773563, 0.11187],
+				[2149, 0.60745801, 38.13304],
+				[1992, 4.92437291, 277.03499],
+				[1376, 2.04281409, 65.22037],
+				[1667, 3.62744581, 380.12777],
+				[1284, 3.11346337, 202.2534],
+				[1150, 0.93344454, 3.18139],
+				[1533, 2.58593414, 52.6902],
+				[1282, 0.5426987, 222.86032],
+				[1372, 4.19641616, 111.43016],
+				[1221, 0.19901396, 108.46122],
+				[946, 1.19249463, 127.4718],
+				[1151, 4.17898207, 33.67962],
+				[1244, 0.91612681, 2.44768],
+				[1072, 0.23564503, 62.25143],
+				[1090, 1.77501639, 12.53017],
+				[708, 5.18285227, 213.2991],
+				[653, 0.96586909, 78.71375],
+				[628, 0.18210182, 984.60033],
+				[524, 2.01276707, 299.12639],
+				[559, 3.35776738, 0.52126],
+				[607, 5.43209729, 529.69097],
+				[405, 5.98689011, 8.07675],
+				[467, 0.41484069, 145.10978],
+				[471, 1.40664336, 184.72729],
+				[483, 2.1055399, 0.96321],
+				[396, 5.87039581, 351.81659],
+				[434, 5.52142978, 183.24281],
+				[310, 5.83301305, 145.63104],
+				[379, 2.34975805, 56.62235],
+				[399, 0.33810765, 415.55249],
+				[300, 5.64353974, 22.0914],
+				[249, 4.74617121, 225.82927],
+				[239, 2.35045875, 137.03302],
+				[294, 5.83916826, 39.61751],
+				[216, 4.77847481, 340.77089],
+				[252, 1.63696776, 221.37585],
+				[220, 1.92212988, 67.66805],
+				[202, 1.29693041, 0.04818],
+				[224, 0.51574863, 84.34283],
+				[217, 6.14211863, 5.93789],
+				[223, 2.8430938, 0.26063],
+				[208, 5.5802057, 68.84371],
+				[187, 1.31924326, 0.16006],
+				[158, 0.73811997, 54.17467],
+				[199, 0.95634155, 152.53214],
+				[169, 5.87874001, 18.15925],
+				[170, 3.67717521, 5.41663],
+				[194, 1.88800123, 456.39384],
+				[193, 0.91616059, 453.42489],
+				[182, 3.53624029, 79.23502],
+				[173, 1.53860728, 160.6089],
+				[165, 1.42379715, 106.97674],
+				[172, 5.67952686, 219.89138],
+				[163, 3.05029378, 112.91463],
+				[147, 1.26300172, 59.80375],
+				[139, 5.38597723, 32.19514],
+				[139, 4.25994787, 909.81873],
+				[143, 1.29995488, 35.42472],
+				[124, 1.3735999, 7.11355],
+				[104, 5.02820889, 0.75076],
+				[103, 0.68095301, 14.97785],
+				[110, 2.02685779, 554.06999],
+				[109, 5.70581833, 77.96299],
+				[104, 1.4577027, 24.37902]
+			],
+			[ // L1
+				[7502543122, 0, 0],
+				[154458, 5.24201658, 74.7816],
+				[24456, 1.71255705, 1.48447],
+				[9258, 0.42844639, 11.0457],
+				[8266, 1.50220035, 63.7359],
+				[7842, 1.31983607, 149.5632],
+				[3899, 0.46483574, 3.93215],
+				[2284, 4.17367534, 76.26607],
+				[1927, 0.5301308, 2.96895],
+				[1233, 1.58634458, 70.84945],
+				[791, 5.43641224, 3.18139],
+				[767, 1.9955541, 73.29713],
+				[482, 2.98401997, 85.8273],
+				[450, 4.13826238, 138.5175],
+				[446, 3.723004, 224.3448],
+				[427, 4.73126059, 71.81265],
+				[348, 2.45372261, 9.56123],
+				[354, 2.58324497, 148.07872],
+				[317, 5.57855232, 52.6902],
+				[180, 5.68367731, 12.53017],
+				[171, 3.00060075, 78.71375],
+				[206, 2.36263144, 2.44768],
+				[158, 2.90931969, 0.96321],
+				[189, 4.20242881, 56.62235],
+				[155, 5.59083926, 4.45342],
+				[184, 0.28371005, 151.04767],
+				[143, 2.59049247, 62.25143],
+				[152, 2.94217327, 77.75054],
+				[154, 4.65186886, 35.16409],
+				[121, 4.14839205, 127.4718],
+				[116, 3.73224604, 65.22037],
+				[102, 4.18754518, 145.63104],
+				[102, 6.03385875, 0.11187],
+				[88, 3.99035788, 18.15925],
+				[88, 6.15520788, 202.2534],
+				[81, 2.64124744, 22.0914],
+				[72, 6.04545934, 70.32818],
+				[69, 4.05071895, 77.96299],
+				[59, 3.70413919, 67.66805],
+				[47, 3.54312461, 351.81659],
+				[43, 5.72357371, 5.41663],
+				[44, 5.90865822, 7.11355],
+				[36, 3.29197259, 8.07675],
+				[36, 3.32784616, 71.6002],
+				[36, 5.89964279, 33.67962],
+				[31, 5.46414593, 160.6089],
+				[31, 5.62015632, 984.60033],
+				[39, 4.91519004, 222.86032],
+				[35, 5.08034112, 38.13304],
+				[31, 5.49591404, 59.80375],
+				[29, 4.5186739, 84.34283],
+				[27, 5.54127301, 131.40395],
+				[30, 1.65980845, 447.79582],
+				[29, 1.1472264, 462.02291],
+				[26, 4.99362028, 137.03302],
+				[25, 5.73584679, 380.12777],
+				[22, 2.8055638, 69.36497],
+				[27, 6.14640604, 299.12639],
+				[23, 2.24925346, 111.43016],
+				[22, 0.93285892, 213.2991]
+			],
+			[ // L2
+				[53033, 0, 0],
+				[2358, 2.26014662, 74.7816],
+				[769, 4.52561042, 11.0457],
+				[552, 3.25814281, 63.7359],
+				[542, 2.27573907, 3.93215],
+				[529, 4.92348434, 1.48447],
+				[258, 3.69059217, 3.18139],
+				[239, 5.85806638, 149.5632],
+				[182, 6.21763603, 70.84945],
+				[49, 6.03101302, 56.62235],
+				[54, 1.44225241, 76.26607],
+				[38, 1.78467828, 52.6902],
+				[45, 3.90904911, 2.44768],
+				[45, 0.81152639, 85.8273],
+				[37, 4.46228598, 2.96895],
+				[33, 0.8638815, 9.56123],
+				[24, 2.10702559, 18.15925],
+				[29, 5.09818698, 73.29713],
+				[22, 4.81730809, 78.71375],
+				[22, 5.99320729, 138.5175],
+				[17, 2.53537183, 145.63104],
+				[21, 2.39880709, 77.96299],
+				[21, 2.16918787, 224.3448],
+				[17, 3.46631344, 12.53017],
+				[12, 0.01941362, 22.0914],
+				[10, 4.45556033, 62.25143],
+				[11, 0.08496274, 127.4718],
+				[9, 4.25550087, 7.11355],
+				[10, 5.16453084, 71.6002],
+				[7, 1.24903906, 5.41663],
+				[8, 5.5011593, 67.66805],
+				[6, 5.44611674, 65.22037],
+				[6, 4.51836836, 151.04767],
+				[6, 1.82933915, 202.2534],
+				[6, 3.36320161, 447.79582],
+				[6, 5.72500087, 462.02291],
+				[5, 3.52374556, 59.80375],
+				[5, 1.05810306, 131.40395],
+				[6, 5.61147375, 148.07872],
+				[5, 3.36477113, 4.45342]
+			],
+			[ // L3
+				[121, 0.0241879, 74.7816],
+				[68, 4.12084268, 3.93215],
+				[53, 2.38964061, 11.0457],
+				[44, 2.9596504, 1.48447],
+				[45, 2.04423798, 3.18139],
+				[46, 0, 0],
+				[25, 4.88741308, 63.7359],
+				[21, 4.54511487, 70.84945],
+				[20, 2.31320314, 149.5632],
+				[9, 1.57548872, 56.62235],
+				[4, 0.2277732, 18.15925],
+				[4, 5.39244611, 76.26607],
+				[3, 4.97622812, 85.8273],
+				[3, 4.1296936, 52.6902],
+				[4, 0.95052449, 77.96299],
+				[2, 0.85770962, 145.63104],
+				[3, 0.37287796, 78.71375],
+				[2, 2.67997393, 7.11355],
+				[2, 5.65647822, 9.56123],
+				[1, 4.86983745, 224.3448],
+				[1, 1.25032116, 12.53017],
+				[2, 0.48764377, 71.6002],
+				[1, 5.19957293, 73.29713],
+				[1, 3.93406822, 22.0914]
+			],
+			[ // L4
+				[114, 3.14159265, 0],
+				[6, 4.57882424, 74.7816],
+				[3, 0.34623003, 11.0457],
+				[1, 3.42199122, 56.62235]
+			]
+		],
+		B: [
+			[ // B0
+				[1346278, 2.61877811, 74.7816],
+				[62341, 5.08111176, 149.5632],
+				[61601, 3.14159265, 0],
+				[9964, 1.61603876, 76.26607],
+				[9926, 0.57630388, 73.29713],
+				[3259, 1.26119386, 224.3448],
+				[2972, 2.24367036, 1.48447],
+				[2010, 6.05550401, 148.07872],
+				[1522, 0.27960386, 63.7359],
+				[924, 4.03822928, 151.04767],
+				[761, 6.14000432, 71.81265],
+				[420, 5.21279985, 11.0457],
+				[431, 3.55445035, 213.2991],
+				[437, 3.38082524, 529.69097],
+				[522, 3.32085195, 138.5175],
+				[435, 0.34065282, 77.75054],
+				[463, 0.74256728, 85.8273],
+				[233, 2.25716421, 222.86032],
+				[216, 1.59121705, 38.13304],
+				[245, 0.7879515, 2.96895],
+				[180, 3.72487953, 299.12639],
+				[175, 1.23550262, 146.59425],
+				[174, 1.93654269, 380.12777],
+				[160, 5.33635436, 111.43016],
+				[144, 5.96239326, 35.16409],
+				[102, 2.61876257, 78.71375],
+				[116, 5.7387719, 70.84945],
+				[106, 0.94103113, 70.32818]
+			],
+			[ // B1
+				[206366, 4.12394311, 74.7816],
+				[8563, 0.33819986, 149.5632],
+				[1726, 2.1219316, 73.29713],
+				[1369, 3.06861722, 76.26607],
+				[1374, 0, 0],
+				[400, 2.84767038, 224.3448],
+				[451, 3.77656181, 1.48447],
+				[307, 1.25456767, 148.07872],
+				[154, 3.78575468, 63.7359],
+				[111, 5.32888676, 138.5175],
+				[112, 5.57299892, 151.04767],
+				[83, 3.59152796, 71.81265],
+				[56, 3.40135416, 85.8273],
+				[41, 4.45476669, 78.71375],
+				[54, 1.7045577, 77.75054],
+				[42, 1.21476607, 11.0457],
+				[32, 3.77446208, 222.86032],
+				[30, 2.56371684, 2.96895],
+				[27, 5.336955, 213.2991],
+				[26, 0.41620628, 380.12777],
+				[20, 5.93085634, 529.69097],
+				[23, 2.48887389, 146.59425],
+				[20, 3.70179682, 70.84945]
+			],
+			[ // B2
+				[9212, 5.80044306, 74.7816],
+				[557, 0, 0],
+				[286, 2.17729776, 149.5632],
+				[95, 3.8423757, 73.29713],
+				[45, 4.87822046, 76.26607],
+				[20, 5.46264485, 1.48447],
+				[15, 0.87983716, 138.5175],
+				[14, 5.07234044, 63.7359],
+				[14, 2.84517743, 148.07872],
+				[10, 5.00290895, 224.3448],
+				[8, 6.26655615, 78.71375]
+			],
+			[ // B3
+				[268, 1.25097888, 74.7816],
+				[11, 3.14159265, 0],
+				[6, 4.00663614, 149.5632],
+				[3, 5.77804695, 73.29713],
+				[2, 1.05657834, 63.7359],
+				[1, 1.66795296, 78.71375],
+				[1, 2.5885645, 138.5175],
+				[1, 0.28687213, 76.26607]
+			],
+			[ // B4
+				[6, 2.85499529, 74.7816]
+			]
+		],
+		R: [
+			[ // R0
+				[1921264848, 0, 0],
+				[88784984, 5.60377527, 74.7816],
+				[3440836, 0.32836099, 73.29713],
+				[2055653, 1.7829517, 149.5632],
+				[649322, 4.52247298, 76.26607],
+				[602248, 3.8600382, 63.7359],
+				[496404, 1.40139935, 454.90937],
+				[338526, 1.58002683, 138.5175],
+				[243508, 1.57086595, 71.81265],
+				[190522, 1.99809365, 1.48447],
+				[161858, 2.79137863, 148.07872],
+				[143706, 1.38368574, 11.0457],
+				[93192, 0.17437194, 36.64856],
+				[71424, 4.24509327, 224.3448],
+				[89806, 3.66105366, 109.94569],
+				[39010, 1.66971129, 70.84945],
+				[46677, 1.39976564, 35.16409],
+				[39026, 3.36234711, 277.03499],
+				[36755, 3.88648935, 146.59425],
+				[30349, 0.70100446, 151.04767],
+				[29156, 3.18056175, 77.75054],
+				[20472, 1.55588961, 202.2534],
+				[25620, 5.25656293, 380.12777],
+				[25786, 3.78537742, 85.8273],
+				[22637, 0.72519138, 529.69097],
+				[20473, 2.79639812, 70.32818],
+				[17901, 0.55455489, 2.96895],
+				[12328, 5.96039151, 127.4718],
+				[14702, 4.90434407, 108.46122],
+				[11495, 0.43774028, 65.22037],
+				[15503, 5.35405038, 38.13304],
+				[10793, 1.42104858, 213.2991],
+				[11696, 3.29825599, 3.93215],
+				[11959, 1.75044072, 984.60033],
+				[12897, 2.62154018, 111.43016],
+				[11853, 0.99342815, 52.6902],
+				[9111, 4.996386, 62.25143],
+				[8421, 5.25350717, 222.86032],
+				[7449, 0.79491906, 351.81659],
+				[8402, 5.03877516, 415.55249],
+				[6046, 5.67960948, 78.71375],
+				[5524, 3.11499484, 9.56123],
+				[7329, 3.97277528, 183.24281],
+				[5445, 5.10575635, 145.10978],
+				[5238, 2.62960142, 33.67962],
+				[4079, 3.22064789, 340.77089],
+				[3802, 6.10985559, 184.72729],
+				[3919, 4.25015289, 39.61751],
+				[2940, 2.1463746, 137.03302],
+				[3781, 3.45840273, 456.39384],
+				[2942, 0.42393809, 299.12639],
+				[3687, 2.48718117, 453.42489],
+				[3102, 4.14031064, 219.89138],
+				[2963, 0.82977992, 56.62235],
+				[2938, 3.67657451, 140.00197],
+				[2865, 0.30996904, 12.53017],
+				[2538, 4.85457832, 131.40395],
+				[1963, 5.24342224, 84.34283],
+				[2364, 0.44253328, 554.06999],
+				[1979, 6.12836182, 106.97674],
+				[2183, 2.94040432, 305.34617],
+				[1963, 0.04114739, 221.37585],
+				[1830, 4.01105772, 68.84371],
+				[1643, 0.35564103, 67.66805],
+				[1585, 3.16267172, 225.82927],
+				[1849, 2.91111759, 909.81873],
+				[1632, 4.23061793, 22.0914],
+				[1401, 1.39084024, 265.98929],
+				[1404, 5.63563638, 4.45342],
+				[1656, 1.96431297, 79.23502],
+				[1249, 5.44027381, 54.17467],
+				[1563, 1.47917836, 112.91463],
+				[1248, 4.88984354, 479.28839],
+				[1197, 2.52185745, 145.63104],
+				[1507, 5.24186186, 181.75834],
+				[1482, 5.66203047, 152.53214],
+				[1439, 1.53046288, 447.79582],
+				[1409, 4.4192175, 462.02291],
+				[1477, 4.32214691, 256.53994],
+				[1228, 5.97703331, 59.80375],
+				[1250, 6.24484546, 160.6089],
+				[906, 5.62025869, 74.66972],
+				[1091, 4.15393814, 77.96299],
+				[845, 0.12943399, 82.85835],
+				[900, 2.37315926, 74.89347],
+				[1072, 1.74286714, 528.20649],
+				[690, 3.0809706, 69.36497],
+				[594, 4.50074517, 8.07675],
+				[719, 4.00047509, 128.95627],
+				[700, 0.03987168, 143.62531],
+				[576, 5.89552673, 66.70484],
+				[759, 2.13700057, 692.58748],
+				[710, 5.41605755, 218.4069],
+				[549, 5.62811497, 3.18139],
+				[652, 4.42340062, 18.15925],
+				[540, 6.20788667, 71.6002],
+				[545, 5.69375108, 203.73787],
+				[710, 4.2196726, 381.61224],
+				[594, 3.83805799, 32.19514],
+				[710, 4.48972172, 293.1885],
+				[705, 0.45521178, 835.03713],
+				[588, 5.08252923, 186.21176],
+				[598, 0.35815291, 269.92145],
+				[642, 2.71127457, 87.31177],
+				[496, 2.65094756, 200.76892],
+				[630, 4.46146215, 275.55052],
+				[575, 5.5786248, 2.44768],
+				[570, 1.63930933, 77.22928],
+				[557, 1.07231961, 1059.38193],
+				[449, 0.27981734, 617.80589],
+				[464, 1.43448298, 297.64192],
+				[437, 0.52802035, 209.36694],
+				[464, 2.35443114, 211.81462],
+				[436, 2.10077211, 1514.2913],
+				[516, 3.23274579, 284.14854],
+				[455, 4.0836421, 99.16062],
+				[477, 2.89397218, 39.35688],
+				[542, 5.39481705, 278.51947],
+				[410, 3.0496886, 404.50679],
+				[368, 0.71159607, 125.98732],
+				[503, 5.83931252, 191.20769],
+				[488, 0.06402455, 60.76695],
+				[455, 2.59321187, 490.33409],
+				[436, 2.08183814, 51.20573],
+				[436, 2.79445203, 75.74481],
+				[324, 4.82899981, 195.13985],
+				[359, 0.00868012, 35.42472],
+				[429, 3.0803155, 41.10198],
+				[320, 5.48625498, 14.97785],
+				[414, 0.090128, 258.02441],
+				[380, 0.05832815, 378.6433],
+				[420, 2.25393983, 81.00137],
+				[358, 4.71414306, 173.94222],
+				[359, 0.35213228, 426.59819],
+				[405, 6.12263258, 24.37902],
+				[365, 5.59483211, 255.05547],
+				[308, 3.92355394, 116.4261],
+				[326, 4.71996698, 134.58534],
+				[293, 3.99521195, 72.33392],
+				[387, 0.68619007, 230.56457],
+				[306, 3.76108784, 344.70305],
+				[287, 1.84990335, 153.49535],
+				[354, 4.65717995, 329.83707],
+				[302, 0.13190004, 565.11569],
+				[241, 1.60454142, 81.37388],
+				[250, 4.24205256, 75.30286],
+				[245, 5.94905404, 20.60693],
+				[248, 1.06282887, 105.49227],
+				[305, 2.55534745, 6208.29425],
+				[296, 4.21100245, 1364.7281],
+				[220, 2.96119056, 120.35825],
+				[234, 2.9707441, 46.20979],
+				[262, 3.83652251, 831.10498],
+				[234, 4.48117006, 628.85159],
+				[187, 3.0352919, 135.54855],
+				[217, 3.42907415, 241.61027],
+				[256, 1.16707893, 177.87437],
+				[220, 0.19633492, 180.27387],
+				[225, 0.40677778, 114.39911],
+				[205, 2.30380943, 259.50889],
+				[211, 4.93079982, 103.09277],
+				[176, 5.50822822, 7.11355],
+				[189, 2.23588941, 5.41663],
+				[172, 5.21730232, 41.6445],
+				[176, 1.9595832, 756.32338],
+				[170, 4.94978757, 206.18555],
+				[169, 4.04319824, 55.65914],
+				[219, 0.24790282, 294.67298],
+				[188, 2.04538775, 408.43894],
+				[182, 0.70728384, 391.17347],
+				[192, 5.76718231, 291.70403],
+				[154, 4.70659407, 543.02429],
+				[170, 4.50995821, 288.08069],
+				[164, 5.2252754, 67.35924],
+				[194, 6.11690365, 414.06802],
+				[168, 5.25810639, 518.64526],
+				[157, 0.66304837, 220.41264],
+				[182, 0.78383857, 417.03696],
+				[167, 4.92241598, 422.66604],
+				[171, 2.30927163, 98.89999],
+				[162, 3.27259601, 443.86367],
+				[133, 2.88875442, 373.90799],
+				[161, 3.82341391, 451.94042],
+				[179, 4.82405681, 366.48563],
+				[178, 3.98026039, 10138.50395],
+				[142, 1.26972582, 159.12442],
+				[154, 4.27847681, 45.57665],
+				[162, 4.99545009, 73.81839],
+				[146, 2.65664902, 465.95507],
+				[125, 4.30470899, 339.28642],
+				[155, 4.32046228, 760.25554],
+				[143, 2.07773752, 457.87831],
+				[152, 4.64742447, 155.78297],
+				[116, 4.43513731, 5.93789],
+				[113, 4.65351596, 80.19822],
+				[108, 3.7729042, 142.44965],
+				[134, 5.30894739, 14.01465],
+				[116, 2.51182726, 296.15745],
+				[129, 0.36277718, 96.873],
+				[123, 2.38341351, 141.48644],
+				[101, 1.05739625, 92.30771],
+				[115, 6.24863528, 767.36908],
+				[113, 0.83051319, 100.38446],
+				[107, 2.39365512, 347.88444],
+				[111, 0.38651052, 216.92243],
+				[127, 0.42359358, 331.32154],
+				[113, 0.08107815, 558.00214],
+				[103, 0.69792283, 358.93014],
+				[111, 0.75023459, 80.71949],
+				[117, 3.94965785, 74.26033],
+				[117, 1.83677032, 1289.9465],
+				[105, 5.94513615, 328.35259],
+				[112, 1.2116809, 329.72519],
+				[107, 1.82071329, 306.83064],
+				[104, 2.99368275, 6.21978],
+				[106, 0.81583875, 1087.69311]
+			],
+			[ // R1
+				[1479896, 3.67205705, 74.7816],
+				[71212, 6.22601007, 63.7359],
+				[68627, 6.13411265, 149.5632],
+				[20857, 5.24625494, 11.0457],
+				[21468, 2.60176704, 76.26607],
+				[24060, 3.14159265, 0],
+				[11405, 0.01848462, 70.84945],
+				[7497, 0.42360033, 73.29713],
+				[4244, 1.4169235, 85.8273],
+				[3506, 2.58354049, 138.5175],
+				[3229, 5.25499603, 3.93215],
+				[3927, 3.15513991, 71.81265],
+				[3060, 0.15321893, 1.48447],
+				[3578, 2.31160668, 224.3448],
+				[2564, 0.98076846, 148.07872],
+				[2429, 3.99440122, 52.6902],
+				[1645, 2.65349313, 127.4718],
+				[1584, 1.43045619, 78.71375],
+				[1413, 4.57461892, 202.2534],
+				[1490, 2.67559167, 56.62235],
+				[1403, 1.3698535, 77.75054],
+				[1228, 1.0470364, 62.25143],
+				[1508, 5.05996325, 151.04767],
+				[992, 2.17168866, 65.22037],
+				[1033, 0.26459059, 131.40395],
+				[862, 5.05530802, 351.81659],
+				[744, 3.07640149, 35.16409],
+				[604, 0.90717668, 984.60033],
+				[647, 4.47290423, 70.32818],
+				[575, 3.23070708, 447.79582],
+				[687, 2.49912566, 77.96299],
+				[624, 0.86253074, 9.56123],
+				[528, 5.15136007, 2.96895],
+				[562, 2.71778159, 462.02291],
+				[530, 5.91655309, 213.2991],
+				[460, 4.22302466, 12.53017],
+				[494, 0.46291078, 145.63104],
+				[487, 0.70614146, 380.12777],
+				[381, 3.85089592, 3.18139],
+				[444, 2.15558291, 67.66805],
+				[339, 2.53820898, 18.15925],
+				[373, 5.05141252, 529.69097],
+				[348, 1.74874852, 71.6002],
+				[406, 1.22961728, 22.0914],
+				[269, 6.24069522, 340.77089],
+				[256, 2.95695014, 84.34283],
+				[259, 3.92053709, 59.80375],
+				[225, 3.90961469, 160.6089],
+				[222, 3.64727174, 137.03302],
+				[255, 3.50411593, 38.13304],
+				[238, 2.04879983, 269.92145],
+				[272, 3.38363105, 222.86032],
+				[201, 1.24861003, 69.36497],
+				[234, 0.27825221, 108.46122],
+				[189, 4.41307507, 265.98929],
+				[212, 0.68027382, 111.43016],
+				[206, 1.53379817, 284.14854],
+				[196, 4.77152997, 299.12639],
+				[153, 5.21761881, 209.36694],
+				[163, 4.34054354, 33.67962],
+				[151, 1.98966326, 54.17467],
+				[137, 0.40323866, 195.13985],
+				[117, 0.39649792, 87.31177],
+				[128, 2.40333045, 39.61751],
+				[104, 2.92152186, 134.58534],
+				[104, 1.81622936, 72.33392],
+				[106, 0.17067407, 79.23502],
+				[106, 0.69799544, 2.44768],
+				[95, 4.02880267, 82.85835],
+				[105, 4.43616414, 305.34617],
+				[94, 5.01823593, 51.20573],
+				[104, 2.5755352, 191.20769],
+				[107, 1.22996874, 225.82927],
+				[93, 3.09274256, 77.22928],
+				[97, 3.81380841, 152.53214],
+				[85, 5.72473747, 68.84371],
+				[77, 0.08281158, 45.57665],
+				[76, 4.20384371, 73.81839],
+				[86, 0.53131086, 145.10978],
+				[76, 3.78559827, 75.74481],
+				[78, 1.6362814, 479.28839],
+				[85, 0.61662456, 116.4261],
+				[100, 4.94084868, 120.35825],
+				[72, 4.30505813, 565.11569],
+				[71, 2.38450718, 60.76695],
+				[72, 3.93906648, 153.49535],
+				[85, 5.56037337, 344.70305],
+				[64, 1.93742987, 41.6445],
+				[72, 3.71213492, 408.43894],
+				[62, 3.90006698, 4.45342],
+				[65, 1.55845503, 106.97674],
+				[60, 0.60110866, 74.89347],
+				[62, 4.39369268, 453.42489],
+				[63, 4.19159979, 184.72729],
+				[62, 3.23773103, 422.66604],
+				[54, 3.72545551, 7.11355],
+				[52, 6.08562718, 404.50679],
+				[59, 1.5556847, 456.39384],
+				[53, 3.50492234, 125.98732],
+				[53, 5.20100035, 358.93014],
+				[58, 5.33480562, 220.41264],
+				[53, 4.44819701, 426.59819],
+				[51, 0.52638534, 490.33409],
+				[55, 1.60146091, 14.97785],
+				[49, 4.25534603, 5.41663],
+				[51, 0.36772379, 206.18555],
+				[52, 1.75833, 8.07675],
+				[57, 0.84114553, 146.59425],
+				[49, 0.94061876, 99.16062],
+				[46, 5.35115473, 152.74459],
+				[48, 1.97249712, 288.08069],
+				[44, 3.03713404, 20.60693],
+				[49, 5.84619561, 112.91463],
+				[42, 0.046205, 128.95627],
+				[49, 3.62817743, 81.00137],
+				[41, 2.33730376, 277.03499],
+				[40, 5.09525357, 35.42472],
+				[42, 2.51050761, 24.37902],
+				[38, 3.61946898, 173.94222],
+				[38, 2.0600322, 333.65735],
+				[43, 1.26088737, 1514.2913],
+				[39, 0.74239364, 347.88444],
+				[39, 4.95064283, 92.94085],
+				[33, 1.38358507, 74.66972],
+				[34, 3.68407945, 66.91729],
+				[39, 5.4923604, 200.76892],
+				[32, 0.53990593, 203.73787],
+				[33, 6.26012645, 1059.38193],
+				[31, 2.53797567, 977.48678],
+				[29, 5.43116906, 58.10682],
+				[30, 0.19481556, 387.24131],
+				[29, 3.10546505, 991.71388],
+				[36, 3.7286382, 96.873],
+				[28, 0.37142053, 80.19822],
+				[32, 4.38403519, 221.37585],
+				[27, 1.35552417, 0.96321],
+				[31, 0.79566431, 373.01422],
+				[31, 2.05381354, 230.56457],
+				[26, 3.46808071, 144.14657],
+				[30, 0.71392007, 109.94569],
+				[25, 3.04162764, 14.01465],
+				[28, 4.76559523, 415.55249],
+				[25, 5.1240583, 81.37388],
+				[26, 2.56904073, 522.57742],
+				[24, 2.2028906, 628.85159],
+				[25, 1.79521877, 143.62531],
+				[24, 5.67160913, 443.86367],
+				[26, 5.43185951, 546.95644],
+				[24, 5.5998204, 32.19514],
+				[24, 3.30271735, 617.80589],
+				[24, 0.65842591, 46.20979],
+				[22, 4.82094751, 135.54855],
+				[27, 2.02720002, 536.80451],
+				[22, 4.61664624, 391.17347],
+				[22, 4.59216261, 241.61027],
+				[21, 0.24392941, 465.95507],
+				[27, 2.15210992, 140.00197],
+				[21, 5.27168432, 159.12442],
+				[24, 4.94972841, 561.18353],
+				[25, 0.54550733, 181.75834],
+				[23, 3.80632204, 55.13788],
+				[21, 0.91178207, 76.47852],
+				[26, 4.52903187, 454.90937],
+				[22, 1.23372932, 41.10198],
+				[21, 4.19373732, 329.72519],
+				[23, 5.84591645, 297.64192],
+				[20, 3.16137245, 186.21176]
+			],
+			[ // R2
+				[22440, 0.69953119, 74.7816],
+				[4727, 1.69901641, 63.7359],
+				[1682, 4.64833552, 70.84945],
+				[1434, 3.52119918, 149.5632],
+				[1650, 3.09660079, 11.0457],
+				[770, 0, 0],
+				[461, 0.76676633, 3.93215],
+				[500, 6.17229032, 76.26607],
+				[390, 4.49605284, 56.62235],
+				[390, 5.52673426, 85.8273],
+				[292, 0.20389012, 52.6902],
+				[273, 3.84707824, 138.5175],
+				[287, 3.53357683, 73.29713],
+				[205, 3.24758017, 78.71375],
+				[220, 1.96418943, 131.40395],
+				[216, 0.84812474, 77.96299],
+				[129, 2.0814685, 3.18139],
+				[149, 4.89840864, 127.4718],
+				[117, 4.93414907, 447.79582],
+				[113, 1.01361852, 462.02291],
+				[99, 6.15817743, 224.3448],
+				[91, 0.679734, 18.15925],
+				[89, 0.23425779, 202.2534],
+				[88, 2.93094838, 62.25143],
+				[114, 4.78741874, 145.63104],
+				[104, 3.5856179, 71.6002],
+				[62, 3.29964273, 351.81659],
+				[58, 4.90737421, 22.0914],
+				[64, 3.39006689, 1.48447],
+				[71, 6.10490061, 454.90937],
+				[51, 3.86691998, 65.22037],
+				[64, 3.96202309, 67.66805],
+				[59, 5.55530464, 9.56123],
+				[49, 3.74709236, 269.92145],
+				[44, 1.92568752, 59.80375],
+				[42, 2.61650997, 151.04767],
+				[42, 6.13634453, 284.14854],
+				[44, 5.89997845, 71.81265],
+				[37, 5.91300115, 984.60033],
+				[36, 5.40315761, 77.75054],
+				[42, 2.09071624, 12.53017],
+				[31, 4.59200005, 148.07872],
+				[31, 2.26696307, 195.13985],
+				[27, 3.53242984, 209.36694],
+				[28, 4.57845964, 77.22928],
+				[26, 0.65978256, 120.35825],
+				[24, 5.86680441, 69.36497],
+				[23, 1.03776964, 84.34283],
+				[23, 1.71434244, 160.6089],
+				[28, 4.91488947, 277.03499],
+				[21, 2.19643268, 45.57665],
+				[20, 2.32077356, 2.44768],
+				[17, 4.77529537, 213.2991],
+				[17, 1.85615182, 340.77089],
+				[17, 4.36852463, 54.17467],
+				[16, 3.64619587, 152.74459],
+				[15, 5.43824503, 408.43894],
+				[14, 3.38531101, 358.93014],
+				[13, 5.2517919, 137.03302],
+				[13, 1.26285812, 134.58534],
+				[13, 3.03270381, 92.94085],
+				[12, 1.33213558, 51.20573],
+				[13, 1.53176997, 422.66604],
+				[16, 0.40190549, 265.98929],
+				[12, 5.10426418, 191.20769],
+				[13, 4.43242193, 87.31177],
+				[11, 2.02645622, 7.11355],
+				[12, 4.6564529, 41.6445],
+				[12, 3.23910808, 116.4261],
+				[12, 3.7327825, 220.41264],
+				[12, 4.16500659, 60.5545],
+				[10, 0.32936887, 70.32818],
+				[11, 1.07613885, 72.33392],
+				[10, 3.05950236, 2.96895],
+				[9, 2.43997351, 565.11569],
+				[9, 5.18839741, 225.82927],
+				[10, 1.18602582, 344.70305],
+				[9, 6.00894471, 5.41663],
+				[9, 5.2474147, 347.88444],
+				[8, 3.71723809, 14.97785],
+				[8, 2.27408172, 299.12639],
+				[8, 5.71681525, 55.13788],
+				[8, 0.90313687, 222.86032],
+				[8, 4.48600419, 70.11573],
+				[9, 5.8151944, 153.49535],
+				[8, 3.91387042, 333.65735],
+				[10, 5.96526144, 35.16409],
+				[10, 0.38872627, 415.55249],
+				[7, 1.50598488, 991.71388],
+				[7, 1.18068236, 96.873],
+				[8, 2.25930653, 206.18555],
+				[6, 2.99461363, 380.12777],
+				[9, 6.05343623, 146.3818],
+				[6, 0.05596259, 99.16062],
+				[6, 0.82465326, 142.44965],
+				[6, 4.63029218, 49.5088],
+				[6, 0.6626845, 58.10682],
+				[6, 2.48916255, 373.01422],
+				[6, 2.2356616, 80.19822],
+				[5, 5.0674674, 440.68227],
+				[5, 4.36457873, 977.48678],
+				[5, 0.8518186, 546.95644],
+				[6, 0.34229026, 536.80451],
+				[6, 5.48443564, 76.47852],
+				[5, 3.73073116, 23.57587],
+				[5, 4.13873403, 132.88842],
+				[5, 6.14059082, 39.61751],
+				[6, 3.39593613, 458.09076],
+				[5, 4.25821412, 522.57742],
+				[5, 3.25775152, 561.18353],
+				[5, 1.8352266, 124.2904],
+				[5, 0.36630566, 60.76695],
+				[6, 0.89523844, 81.89515],
+				[6, 0.92039543, 20.60693],
+				[6, 0.66226484, 38.13304],
+				[5, 1.40553011, 144.14657],
+				[5, 2.99521888, 29.20495],
+				[5, 4.07970979, 111.43016]
+			],
+			[ // R3
+				[1164, 4.73453292, 74.7816],
+				[212, 3.34255735, 63.7359],
+				[196, 2.98004616, 70.84945],
+				[105, 0.95807938, 11.0457],
+				[72, 0.02528456, 56.62235],
+				[73, 0.99701908, 149.5632],
+				[55, 2.59436811, 3.93215],
+				[34, 3.81553326, 76.26607],
+				[32, 3.59825178, 131.40395],
+				[30, 3.44111536, 85.8273],
+				[36, 5.65035573, 77.96299],
+				[28, 0.42836001, 3.18139],
+				[27, 2.55126467, 52.6902],
+				[25, 5.14034174, 78.71375],
+				[19, 5.13477649, 18.15925],
+				[16, 0.37116952, 447.79582],
+				[15, 5.57271837, 462.02291],
+				[15, 3.85998574, 73.29713],
+				[15, 2.97496547, 145.63104],
+				[18, 0, 0],
+				[16, 5.19915554, 71.6002],
+				[11, 6.0315266, 138.5175],
+				[11, 3.58261852, 224.3448],
+				[8, 1.44542031, 1.48447],
+				[8, 2.61579604, 22.0914],
+				[7, 5.43946775, 269.92145],
+				[6, 4.37142319, 284.14854],
+				[7, 0.01396813, 151.04767],
+				[8, 0.2956382, 127.4718],
+				[6, 4.22672717, 373.01422],
+				[5, 1.84154938, 202.2534],
+				[5, 2.78404575, 120.35825],
+				[5, 0.77745295, 62.25143],
+				[4, 1.83820503, 72.33392],
+				[4, 1.88900691, 209.36694],
+				[5, 4.15791319, 195.13985],
+				[4, 1.9970901, 65.22037],
+				[4, 3.9259214, 124.2904],
+				[4, 1.04818661, 92.94085],
+				[4, 3.95755999, 9.56123],
+				[3, 1.54139696, 148.07872],
+				[3, 2.98608971, 387.24131],
+				[4, 1.85721205, 152.74459],
+				[3, 1.40881404, 351.81659],
+				[4, 1.17366167, 153.49535],
+				[3, 6.03594958, 12.53017],
+				[3, 5.64674284, 134.58534],
+				[3, 0.79480256, 572.22923],
+				[3, 5.84310939, 160.6089],
+				[3, 1.98593312, 450.97721],
+				[3, 2.77036654, 213.2991],
+				[2, 1.67918985, 358.93014],
+				[2, 5.7712953, 84.34283],
+				[2, 4.81424602, 536.80451],
+				[2, 2.203603, 465.95507]
+			],
+			[ // R4
+				[53, 3.00838033, 74.7816],
+				[10, 1.91399084, 56.62235],
+				[7, 5.08677527, 11.0457],
+				[7, 5.42924958, 149.5632],
+				[4, 5.22728582, 131.40395],
+				[3, 1.2969529, 85.8273],
+				[3, 0.44064578, 63.7359],
+				[2, 0.92380721, 145.63104],
+				[2, 6.21390586, 358.93014],
+				[2, 2.23425399, 440.68227],
+				[3, 3.14159265, 0]
+			]
+		]
+	},
+
+	/**
+	 * Series of Neptune. <br>
+	 * 0:A, 1:B, 2:C
+	 *
+	 * @const {Map} neptune
+	 * @static
+	 */
+	neptune: {
+		L: [
+			[ // L0
+				[531188633, 0, 0],
+				[1798476, 2.90101273, 38.13304],
+				[1019728, 0.48580924, 1.48447],
+				[124532, 4.83008091, 36.64856],
+				[42064, 5.41054992, 2.96895],
+				[37715, 6.09221835, 35.16409],
+				[33785, 1.24488866, 76.26607],
+				[16483, 0.00007729, 491.55793],
+				[9199, 4.9374706, 39.61751],
+				[8994, 0.27462143, 175.16606],
+				[4216, 1.98711914, 73.29713],
+				[3365, 1.03590122, 33.67962],
+				[2285, 4.20606933, 4.45342],
+				[1434, 2.78340433, 74.7816],
+				[900, 2.07606702, 109.94569],
+				[745, 3.1903253, 71.81265],
+				[506, 5.7478537, 114.39911],
+				[400, 0.34972343, 1021.24889],
+				[345, 3.4618621, 41.10198],
+				[306, 0.4968404, 0.52126],
+				[287, 4.50523446, 0.04818],
+				[323, 2.24815189, 32.19514],
+				[340, 3.303699, 77.75054],
+				[267, 4.88932609, 0.96321],
+				[227, 1.79713055, 453.42489],
+				[245, 1.24693338, 9.56123],
+				[233, 2.50459795, 137.03302],
+				[282, 2.2456558, 146.59425],
+				[252, 5.78166597, 388.46516],
+				[150, 2.9970611, 5.93789],
+				[170, 3.32390631, 108.46122],
+				[151, 2.19153094, 33.94025],
+				[148, 0.85948986, 111.43016],
+				[119, 3.67706204, 2.44768],
+				[102, 5.70539237, 0.11187],
+				[103, 4.40441222, 70.32818],
+				[103, 0.04078967, 0.26063],
+				[109, 2.41599378, 183.24281]
+			],
+			[ // L1
+				[3837687717, 0, 0],
+				[16604, 4.8631913, 1.48447],
+				[15807, 2.27923489, 38.13304],
+				[3335, 3.68199676, 76.26607],
+				[1306, 3.67320813, 2.96895],
+				[605, 1.50477748, 35.16409],
+				[179, 3.45318524, 39.61751],
+				[107, 2.45126138, 4.45342],
+				[106, 2.75479327, 33.67962],
+				[73, 5.48724733, 36.64856],
+				[57, 5.21649805, 0.52126],
+				[57, 1.85767603, 114.39911],
+				[35, 4.51676828, 74.7816],
+				[32, 5.9041149, 77.75054],
+				[30, 3.67043294, 388.46516],
+				[29, 5.16877529, 9.56123],
+				[29, 5.16732589, 2.44768],
+				[26, 5.24526282, 168.05251],
+				[25, 4.73193068, 182.27961],
+				[20, 5.78945416, 1021.24889]
+			],
+			[ // L2
+				[53893, 0, 0],
+				[281, 1.19084539, 38.13304],
+				[296, 1.85520292, 1.48447],
+				[270, 5.72143228, 76.26607],
+				[23, 1.21035596, 2.96895],
+				[7, 0.54033307, 2.44768],
+				[9, 4.42544992, 35.16409],
+				[5, 0.6742793, 168.05251],
+				[5, 3.02338672, 182.27961]
+			],
+			[ // L3
+				[31, 0, 0],
+				[12, 6.04431419, 1.48447],
+				[15, 1.35337076, 76.26607],
+				[12, 6.11257808, 38.13304],
+				[1, 4.93951495, 2.96895]
+			],
+			[ // L4
+				[114, 3.14159265, 0]
+			]
+		],
+		B: [
+			[ // B0
+				[3088623, 1.44104373, 38.13304],
+				[27780, 5.91271883, 76.26607],
+				[27624, 0, 0],
+				[15355, 2.52123799, 36.64856],
+				[15448, 3.50877081, 39.61751],
+				[2000, 1.5099867, 74.7816],
+				[1968, 4.37778196, 1.48447],
+				[1015, 3.21561036, 35.16409],
+				[606, 2.80246601, 73.29713],
+				[595, 2.12892708, 41.10198],
+				[589, 3.18655882, 2.96895],
+				[402, 4.16883287, 114.39911],
+				[254, 3.27120499, 453.42489],
+				[262, 3.76722705, 213.2991],
+				[280, 1.6816531, 77.75054],
+				[206, 4.25652349, 529.69097],
+				[140, 3.52969556, 137.03302]
+			],
+			[ // B1
+				[227279, 3.8079309, 38.13304],
+				[1803, 1.97576485, 76.26607],
+				[1386, 4.82555548, 36.64856],
+				[1433, 3.14159265, 0],
+				[1073, 6.08054241, 39.61751],
+				[148, 3.85766231, 74.7816],
+				[136, 0.47764957, 1.48447],
+				[70, 6.18782052, 35.16409],
+				[52, 5.05221792, 73.29713],
+				[37, 4.89476629, 41.10198],
+				[43, 0.30721737, 114.39911],
+				[37, 5.75999349, 2.96895],
+				[26, 5.21566336, 213.2991]
+			],
+			[ // B2
+				[9691, 5.5712375, 38.13304],
+				[79, 3.62705474, 76.26607],
+				[72, 0.45476689, 36.64856],
+				[59, 3.14159265, 0],
+				[30, 1.60671722, 39.61751],
+				[6, 5.60736757, 74.7816],
+				[6, 2.25341847, 1.48447]
+			],
+			[ // B3
+				[273, 1.01688979, 38.13304],
+				[2, 2.36805657, 36.64856],
+				[2, 5.33364321, 76.26607],
+				[2, 0, 0],
+				[6, 2.66872693, 38.13304]
+			]
+		],
+		R: [
+			[ // R0
+				[3007013206, 0, 0],
+				[27062259, 1.32999459, 38.13304],
+				[1691764, 3.25186139, 36.64856],
+				[807831, 5.18592836, 1.48447],
+				[537761, 4.52113903, 35.16409],
+				[495726, 1.57105655, 491.55793],
+				[274572, 1.84552257, 175.16606],
+				[135134, 3.37220607, 39.61751],
+				[121802, 5.79754444, 76.26607],
+				[100895, 0.37702749, 73.29713],
+				[69792, 3.79617227, 2.96895],
+				[46688, 5.7493781, 33.67962],
+				[24594, 0.50801728, 109.94569],
+				[16939, 1.59422167, 71.81265],
+				[14230, 1.07786113, 74.7816],
+				[12012, 1.92062132, 1021.24889],
+				[8395, 0.67816896, 146.59425],
+				[7572, 1.07149263, 388.46516],
+				[5721, 2.59059512, 4.45342],
+				[4840, 1.90685991, 41.10198],
+				[4483, 2.90573458, 529.69097],
+				[4270, 3.41343866, 453.42489],
+				[4354, 0.67985662, 32.19514],
+				[4421, 1.74993797, 108.46122],
+				[2881, 1.98600105, 137.03302],
+				[2636, 3.09755943, 213.2991],
+				[3381, 0.84810683, 183.24281],
+				[2879, 3.67415902, 350.33212],
+				[2306, 2.80962936, 70.32818],
+				[2530, 5.79839567, 490.07346],
+				[2523, 0.486308, 493.0424],
+				[2087, 0.61858378, 33.94025],
+				[1977, 5.11703045, 168.05251],
+				[1905, 1.72186472, 182.27961],
+				[1654, 1.92782546, 145.10978],
+				[1435, 1.70005158, 484.44438],
+				[1403, 4.58914203, 498.67148],
+				[1499, 1.016233, 219.89138],
+				[1399, 0.76220318, 176.65053],
+				[1403, 6.07659417, 173.68159],
+				[1129, 5.9666118, 9.56123],
+				[1228, 1.59881465, 77.75054],
+				[835, 3.97066884, 114.39911],
+				[811, 3.00258881, 46.20979],
+				[732, 2.10447054, 181.75834],
+				[616, 2.97874626, 106.97674],
+				[705, 1.18738211, 256.53994],
+				[502, 1.38657803, 5.93789],
+				[530, 4.24059166, 111.43016],
+				[437, 2.27029213, 1550.93986],
+				[400, 1.25609325, 8.07675],
+				[421, 1.8908493, 30.71067],
+				[382, 3.2996526, 983.11586],
+				[422, 5.5318617, 525.49818],
+				[355, 2.27847847, 218.4069],
+				[280, 1.54129714, 98.89999],
+				[314, 3.95932949, 381.35161],
+				[281, 4.54238272, 44.72532],
+				[268, 5.13323364, 112.91463],
+				[333, 5.75067616, 39.09624],
+				[292, 4.02398326, 68.84371],
+				[321, 1.50625026, 454.90937],
+				[309, 2.85452752, 72.07329],
+				[345, 1.35905861, 293.1885],
+				[307, 0.31964571, 601.76425],
+				[251, 3.53992783, 312.19908],
+				[248, 3.41078347, 37.61177],
+				[306, 2.72475094, 6244.94281],
+				[294, 4.89079858, 528.20649],
+				[234, 0.59231043, 42.58645],
+				[240, 3.16441455, 143.62531],
+				[215, 3.62480283, 278.25883],
+				[246, 1.01506302, 141.22581],
+				[174, 5.5501179, 567.824],
+				[164, 2.10166492, 2.44768],
+				[163, 2.48946522, 4.19279],
+				[193, 1.58425288, 138.5175],
+				[155, 3.28425128, 31.01949],
+				[182, 2.45244891, 255.05547],
+				[178, 4.14773475, 10175.15251],
+				[174, 1.53043, 329.83707],
+				[138, 3.34900538, 0.96321],
+				[161, 5.16655038, 211.81462],
+				[113, 4.96286008, 148.07872],
+				[129, 3.25521535, 24.11839],
+				[107, 3.26457702, 1059.38193],
+				[123, 5.39399537, 62.25143],
+				[121, 3.08050146, 184.72729],
+				[124, 3.1151675, 221.37585],
+				[125, 2.97042405, 251.43213],
+				[114, 0.25039919, 594.6507],
+				[111, 3.34276427, 180.27387],
+				[121, 1.92914011, 25.60286],
+				[105, 0.94883562, 395.5787],
+				[110, 5.43147521, 494.52687],
+				[108, 0.98700578, 1124.34167]
+			],
+			[ // R1
+				[236339, 0.70498011, 38.13304],
+				[13220, 3.320155, 1.48447],
+				[8622, 6.21628952, 35.16409],
+				[2702, 1.88140667, 39.61751],
+				[2153, 5.16873841, 76.26607],
+				[2155, 2.09431198, 2.96895],
+				[1464, 1.18417031, 33.67962],
+				[1603, 0, 0],
+				[1136, 3.918912, 36.64856],
+				[898, 5.24122934, 388.46516],
+				[790, 0.53315485, 168.05251],
+				[760, 0.02051034, 182.27961],
+				[607, 1.077065, 1021.24889],
+				[572, 3.40060785, 484.44438],
+				[561, 2.88685816, 498.67148],
+				[490, 3.46830929, 137.03302],
+				[264, 0.86220058, 4.45342],
+				[271, 3.27355868, 71.81265],
+				[204, 2.41820674, 32.19514],
+				[155, 0.36537065, 41.10198],
+				[133, 3.60157673, 9.56123],
+				[94, 0.66670888, 46.20979],
+				[83, 3.25992462, 98.89999],
+				[72, 4.47717436, 601.76425],
+				[69, 1.46326969, 74.7816],
+				[87, 5.77228652, 381.35161],
+				[69, 4.52563942, 70.32818],
+				[65, 3.85477389, 73.29713],
+				[68, 3.39509946, 108.46122],
+				[53, 5.43650771, 395.5787],
+				[44, 3.61409724, 2.44768],
+				[41, 4.73866593, 8.07675],
+				[48, 1.98568594, 175.16606],
+				[42, 4.94257599, 31.01949],
+				[44, 1.41744905, 1550.93986],
+				[41, 1.41999375, 490.07346],
+				[41, 4.86312638, 493.0424],
+				[36, 5.30764044, 312.19908],
+				[36, 0.38187813, 77.75054],
+				[41, 2.27237172, 529.69097],
+				[32, 5.91123008, 5.93789],
+				[31, 2.70549944, 1014.13535],
+				[33, 5.22147683, 41.0538],
+				[36, 4.87817495, 491.55793],
+				[30, 3.63273194, 30.71067],
+				[30, 3.30769368, 1028.36244],
+				[27, 1.77647061, 44.72532],
+				[28, 4.55583165, 7.11355],
+				[27, 0.97228281, 33.94025],
+				[25, 3.10083391, 144.14657],
+				[26, 2.99724759, 60.76695],
+				[21, 4.71270049, 278.25883],
+				[21, 0.68957829, 251.43213],
+				[24, 5.12044184, 176.65053],
+				[21, 0.86286398, 4.19279],
+				[23, 1.64955088, 173.68159],
+				[24, 3.56602005, 145.10978],
+				[20, 5.61479766, 24.11839],
+				[27, 4.14294871, 453.42489],
+				[24, 1.00718363, 213.2991],
+				[20, 3.29520554, 114.39911]
+			],
+			[ // R2
+				[4247, 5.89910679, 38.13304],
+				[218, 0.34581829, 1.48447],
+				[163, 2.23872947, 168.05251],
+				[156, 4.59414467, 182.27961],
+				[118, 5.10295026, 484.44438],
+				[112, 1.19000584, 498.67148],
+				[127, 2.84786298, 35.16409],
+				[99, 3.41578559, 175.16606],
+				[65, 3.46214065, 388.46516],
+				[77, 0.01659282, 491.55793],
+				[50, 4.06995509, 76.26607],
+				[39, 6.09521856, 1021.24889],
+				[36, 5.1713006, 137.03302],
+				[37, 5.97288968, 2.96895],
+				[30, 3.58259801, 33.67962],
+				[21, 0.76843555, 36.64856],
+				[14, 3.59248624, 395.5787],
+				[13, 5.09263516, 98.89999],
+				[11, 1.18060019, 381.35161],
+				[9, 2.34787659, 601.76425],
+				[9, 5.25134686, 2.44768],
+				[8, 4.96270727, 4.45342],
+				[7, 4.4677541, 189.39315],
+				[7, 1.92287509, 9.56123],
+				[7, 1.65519526, 1028.36244],
+				[8, 5.84268048, 220.41264],
+				[10, 0, 0],
+				[7, 0.69397521, 144.14657],
+				[8, 1.14341656, 1059.38193],
+				[6, 6.25378259, 74.7816],
+				[6, 5.23383764, 46.20979],
+				[6, 4.59041449, 1014.13535],
+				[5, 5.23116646, 477.33084],
+				[6, 3.49522319, 183.76408],
+				[5, 0.19949889, 166.56804],
+				[6, 6.18326156, 71.81265],
+				[6, 2.23667359, 176.65053]
+			],
+			[ // R3
+				[166, 4.55243893, 38.13304],
+				[22, 3.94830879, 168.05251],
+				[21, 2.86296779, 182.27961],
+				[16, 0.54226726, 484.44438],
+				[16, 5.75702252, 498.67148],
+				[12, 4.40280193, 1.48447],
+				[6, 5.19003067, 31.01949],
+				[4, 5.91335293, 1007.0218],
+				[4, 1.62865546, 388.46516],
+				[3, 0.70197119, 1558.05341],
+				[3, 1.88035666, 522.57742],
+				[3, 2.94301809, 76.26607],
+				[3, 1.87062743, 402.69225],
+				[3, 0.79381356, 536.80451],
+				[3, 5.76858449, 343.21857],
+				[3, 4.64542905, 500.15595],
+				[3, 4.79217121, 482.95991],
+				[3, 1.7286989, 395.5787],
+				[3, 2.21096416, 446.31135],
+				[2, 5.77381398, 485.92886],
+				[3, 6.19643341, 815.06335],
+				[2, 3.66579603, 497.187]
+			],
+			[ // R4
+				[4, 2.40375759, 477.33084],
+				[4, 0.10459485, 395.5787],
+				[4, 4.78431259, 1028.36244],
+				[3, 3.88192942, 505.78502],
+				[3, 1.03609347, 189.39315],
+				[2, 1.10879659, 182.27961],
+				[2, 5.67776133, 168.05251]
+			]
+		]
+	}
+};
@@ -14,19 +14,32 @@ java -jar /app/closure-compiler.jar \
 	--js ./lib/Astro.js \
 	--js ./lib/Astro.Coord.js \
 	--js ./lib/Astro.DeltaT.js \
+	--js ./lib/Astro.Eclipse.js \
 	--js ./lib/Astro.Globe.js \
 	--js ./lib/Astro.Interp.js \
 	--js ./lib/Astro.JulianDay.js \
+	--js ./lib/Astro.Kepler.js \
 	--js ./lib/Astro.Math.js \
 	--js ./lib/Astro.Moon.js \
 	--js ./lib/Astro.MoonIllum.js \
+	--js ./lib/Astro.MoonPhase.js \
 	--js ./lib/Astro.Nutation.js \
+	--js ./lib/Astro.Occultation.js \
+	--js ./lib/Astro.Orbit.js \
 	--js ./lib/Astro.Parallax.js \
+	--js ./lib/Astro.Planet.js \
+	--js ./lib/Astro.Planetary.js \
+	--js ./lib/Astro.Precession.js \
 	--js ./lib/Astro.Refraction.js \
 	--js ./lib/Astro.Rise.js \
+	--js ./lib/Astro.Search.js \
 	--js ./lib/Astro.Sidereal.js \
 	--js ./lib/Astro.Solar.js \
 	--js ./lib/Astro.Solistice.js \
+	--js ./lib/Astro.Star.js \
+	--js ./lib/Astro.StarCatalog.js \
+	--js ./lib/Astro.Transit.js \
+	--js ./lib/Astro.VSOP87.js \
 	--js_output_file meuusjs.${version}.min.js
 
 ls
@@ -50,6 +50,30 @@ QUnit.test( "astro.coord eqToHz", function( assert ) {
 	
 })
 
+QUnit.test( "astro.coord angularSeparation", function( assert ) {
+	// Example 17.a, p. 110, Arcturus and Spica
+	var arcturus = new A.EqCoord(213.9154*Math.PI/180, 19.1825*Math.PI/180);
+	var spica = new A.EqCoord(201.2983*Math.PI/180, -11.1614*Math.PI/180);
+
+	assert.close(A.Coord.angularSeparation(arcturus, spica)*180/Math.PI, 32.7930, 0.0001);
+	assert.close(A.Coord.angularSeparation(spica, arcturus)*180/Math.PI, 32.7930, 0.0001);
+
+	// small separations, and bodies on opposite sides of the equinox
+	var a = new A.EqCoord(2*Math.PI - 0.5/3600*Math.PI/180, 0);
+	var b = new A.EqCoord(0.5/3600*Math.PI/180, 0);
+	assert.close(A.Coord.angularSeparation(a, b)*180/Math.PI*3600, 1, 1e-6);
+	assert.close(A.Coord.angularSeparation(a, a), 0, 1e-15);
+	assert.close(A.Coord.angularSeparation(new A.EqCoord(0, 0), new A.EqCoord(Math.PI, 0)), Math.PI, 1e-15);
+
+	// position angle: north 0, east 90 degrees
+	var o = new A.EqCoord(1, 0.2);
+	assert.close(A.Coord.positionAngle(o, new A.EqCoord(1, 0.3)), 0, 1e-12);
+	assert.close(A.Coord.positionAngle(o, new A.EqCoord(1.1, 0.2))*180/Math.PI, 90, 1);
+	assert.close(A.Coord.positionAngle(o, new A.EqCoord(1, 0.1))*180/Math.PI, 180, 1e-10);
+	assert.close(A.Coord.positionAngle(o, new A.EqCoord(0.9, 0.2))*180/Math.PI, 270, 1);
+	assert.close(A.Coord.positionAngle(arcturus, spica)*180/Math.PI, 203.3084, 0.0001);
+});
+
 QUnit.test( "astro.coord secondsToHMSStr", function( assert ) {
 
 	assert.equal(A.Coord.secondsToHMSStr(86400 * 0.51816), "12:26:09");
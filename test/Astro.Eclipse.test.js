@@ -0,0 +1,156 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+QUnit.test( "astro.eclipse solar", function( assert ) {
+	// Example 54.a
+	var e = A.Eclipse.solar(1993.38);
+	assert.equal(e.type, 'partial');
+	assert.equal(e.central, false);
+	assert.close(e.jdo.jde, 2449129.0979, 0.0002);
+	assert.close(e.gamma, 1.1348, 0.0001);
+	assert.close(e.u, 0.0097, 0.0001);
+	assert.close(e.magnitude, 0.740, 0.001);
+
+	// values of the NASA eclipse catalog
+	e = A.Eclipse.solar(2017.63);
+	assert.equal(e.type, 'total');
+	assert.equal(e.jdo.toDate().toISOString().substr(0, 16), '2017-08-21T18:26');
+	assert.close(e.gamma, 0.4367, 0.001);
+	assert.close(e.magnitude, 1.0306, 0.0005);
+
+	e = A.Eclipse.solar(2019.98);
+	assert.equal(e.type, 'annular');
+	assert.close(e.gamma, 0.4135, 0.001);
+	assert.close(e.magnitude, 0.9701, 0.0005);
+
+	e = A.Eclipse.solar(2018.61);
+	assert.equal(e.type, 'partial');
+	assert.close(e.gamma, 1.1476, 0.002);
+	assert.close(e.magnitude, 0.7371, 0.005);
+
+	assert.equal(A.Eclipse.solar(2013.84).type, 'hybrid');
+	assert.equal(A.Eclipse.solar(2023.3).type, 'hybrid');
+	assert.equal(A.Eclipse.solar(2017.3).type, 'none');
+});
+
+QUnit.test( "astro.eclipse solarEclipses", function( assert ) {
+	var res = A.Eclipse.solarEclipses(new A.JulianDay(A.JulianDay.calendarGregorianToJD(2000, 1, 1)),
+		new A.JulianDay(A.JulianDay.calendarGregorianToJD(2010, 1, 1)));
+	assert.equal(res.length, 22);
+	assert.equal(res.map(function (e) {
+		return e.type.charAt(0);
+	}).join(''), 'pppptaatatpphatappatat');
+});
+
+QUnit.test( "astro.eclipse besselianElements", function( assert ) {
+	// the axis of the shadow passes closest to the center of the earth at the greatest eclipse
+	var e = A.Eclipse.solar(2017.63);
+	var b = A.Eclipse.besselianElements(e.jdo);
+	assert.close(Math.sqrt(b.x*b.x + b.y*b.y), Math.abs(e.gamma), 0.001);
+	assert.ok(b.l2 < 0);
+	assert.close(b.l1 - b.l2, 0.5461, 0.001);
+});
+
+QUnit.test( "astro.eclipse solarLocal", function( assert ) {
+	var d = Math.PI / 180;
+
+	// total eclipse of 2017 in Carbondale, Illinois
+	var e = A.Eclipse.solar(2017.63);
+	var res = A.Eclipse.solarLocal(e.jdo, new A.EclCoord(37.7 * d, 89.2 * d));
+	assert.equal(res.type, 'total');
+	assert.equal(res.visible, true);
+	assert.equal(res.c1.jdo.toDate().toISOString().substr(11, 5), '16:52');
+	assert.equal(res.c2.jdo.toDate().toISOString().substr(11, 5), '18:20');
+	assert.equal(res.c4.jdo.toDate().toISOString().substr(11, 5), '19:47');
+	assert.close(res.duration, 160, 3);
+	assert.close(res.maximum.obscuration, 1, 0.0001);
+	assert.close(res.maximum.altitude, 64 * d, 0.5 * d);
+
+	// partial in New York
+	res = A.Eclipse.solarLocal(e.jdo, new A.EclCoord(40.71 * d, 74.0 * d));
+	assert.equal(res.type, 'partial');
+	assert.equal(res.c2, undefined);
+	assert.equal(res.maximum.jdo.toDate().toISOString().substr(11, 5), '18:44');
+	assert.close(res.maximum.magnitude, 0.77, 0.01);
+	assert.close(res.maximum.obscuration, 0.72, 0.01);
+
+	// after sunset in Zurich
+	res = A.Eclipse.solarLocal(e.jdo, new A.EclCoord(47.37 * d, -8.54 * d));
+	assert.equal(res.type, 'partial');
+	assert.equal(res.visible, false);
+	assert.ok(res.c1.altitude < 0);
+
+	// outside of the penumbra in Sydney
+	res = A.Eclipse.solarLocal(e.jdo, new A.EclCoord(-33.87 * d, -151.21 * d));
+	assert.equal(res.type, 'none');
+
+	// annular eclipse of 2019 in Singapore
+	res = A.Eclipse.solarLocal(A.Eclipse.solar(2019.98).jdo, new A.EclCoord(1.3 * d, -103.8 * d));
+	assert.equal(res.type, 'annular');
+	assert.close(res.maximum.magnitude, 0.970, 0.002);
+	assert.close(res.duration, 127, 3);
+});
+
+QUnit.test( "astro.eclipse lunar", function( assert ) {
+	var time = function (jdo) {
+		return jdo.toDate().toISOString().substr(11, 5);
+	};
+
+	// values of the NASA eclipse catalog, the contacts are within two minutes
+	var e = A.Eclipse.lunar(2018.08);
+	assert.equal(e.type, 'total');
+	assert.close(e.gamma, -0.3014, 0.001);
+	assert.close(e.magnitude, 1.3155, 0.002);
+	assert.close(e.penumbralMagnitude, 2.2994, 0.01);
+	assert.close(e.contacts.p1.jd, A.JulianDay.calendarGregorianToJD(2018, 1, 31 + (10 + 51/60 + 13/3600)/24), 2/1440);
+	assert.close(e.contacts.u1.jd, A.JulianDay.calendarGregorianToJD(2018, 1, 31 + (11 + 48/60 + 27/3600)/24), 2/1440);
+	assert.close(e.contacts.u2.jd, A.JulianDay.calendarGregorianToJD(2018, 1, 31 + (12 + 51/60 + 47/3600)/24), 2/1440);
+	assert.equal(time(e.contacts.greatest), '13:29');
+	assert.close(e.contacts.u3.jd, A.JulianDay.calendarGregorianToJD(2018, 1, 31 + (14 + 7/60 + 51/3600)/24), 2/1440);
+	assert.close(e.contacts.u4.jd, A.JulianDay.calendarGregorianToJD(2018, 1, 31 + (15 + 11/60 + 11/3600)/24), 2/1440);
+	assert.close(e.contacts.p4.jd, A.JulianDay.calendarGregorianToJD(2018, 1, 31 + (16 + 8/60 + 27/3600)/24), 2/1440);
+	assert.close(e.semiDuration.total * 2, 76 * 60, 120);
+
+	e = A.Eclipse.lunar(2017.6);
+	assert.equal(e.type, 'partial');
+	assert.close(e.magnitude, 0.2464, 0.002);
+	assert.equal(e.contacts.u2, undefined);
+	assert.equal(e.contacts.u3, undefined);
+
+	e = A.Eclipse.lunar(2017.1);
+	assert.equal(e.type, 'penumbral');
+	assert.close(e.penumbralMagnitude, 0.9877, 0.01);
+	assert.equal(e.contacts.u1, undefined);
+	assert.ok(e.contacts.p1.jd < e.contacts.greatest.jd);
+
+	assert.equal(A.Eclipse.lunar(2017.3).type, 'none');
+});
+
+QUnit.test( "astro.eclipse lunarEclipses", function( assert ) {
+	var res = A.Eclipse.lunarEclipses(new A.JulianDay(A.JulianDay.calendarGregorianToJD(2010, 1, 1)),
+		new A.JulianDay(A.JulianDay.calendarGregorianToJD(2020, 1, 1)));
+	assert.equal(res.length, 21);
+	assert.equal(res.map(function (e) {
+		return e.type.charAt(1);
+	}).join(''), 'aoooaeaeeooaoeeeaoooa');
+});
+
+QUnit.test( "astro.eclipse lunarLocal", function( assert ) {
+	var d = Math.PI / 180;
+	var e = A.Eclipse.lunar(2018.08);
+
+	// the moon is below the horizon in Zurich and high in Honolulu
+	var res = A.Eclipse.lunarLocal(e, new A.EclCoord(47.37 * d, -8.54 * d));
+	assert.equal(res.visible, false);
+	res = A.Eclipse.lunarLocal(e, new A.EclCoord(21.31 * d, 157.86 * d));
+	assert.equal(res.visible, true);
+	assert.equal(res.greatest.visible, true);
+	assert.ok(res.greatest.altitude > 45 * d);
+
+	// the moon rises during the eclipse of july 2018 in Zurich
+	res = A.Eclipse.lunarLocal(A.Eclipse.lunar(2018.56), new A.EclCoord(47.37 * d, -8.54 * d));
+	assert.equal(res.p1.visible, false);
+	assert.equal(res.greatest.visible, true);
+	assert.equal(res.p4.visible, true);
+});
@@ -145,3 +145,48 @@ QUnit.test( "astro.julianday jdToDate", function( assert ) {
 		
 });
 
+QUnit.test( "astro.julianday startOfLocalDay", function( assert ) {
+	var jdo = new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 3, 1) + 0.1); // 02:24 UT
+
+	assert.close(jdo.startOfLocalDay(0).jd, 2457448.5, 1e-9);
+	assert.close(jdo.startOfLocalDay(10).jd, 2457448.5 - 10/24, 1e-9);
+	assert.close(jdo.startOfLocalDay(-8).jd, 2457447.5 + 8/24, 1e-9);
+	assert.close(jdo.startOfLocalDay('America/Los_Angeles').jd, 2457447.5 + 8/24, 1e-9);
+	
+	// daylight saving time starts at 02:00 on 27. march, the day starts at UTC+1
+	jdo = new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 3, 27) + 0.5);
+	assert.close(jdo.startOfLocalDay('Europe/Zurich').jd, 2457474.5 - 1/24, 1e-9);
+	assert.close(jdo.startOfLocalDay(2).jd, 2457474.5 - 2/24, 1e-9);
+});
+
+QUnit.test( "astro.julianday timezone", function( assert ) {
+	var winter = A.JulianDay.calendarGregorianToJD(2016, 1, 15);
+	var summer = A.JulianDay.calendarGregorianToJD(2016, 7, 15);
+	
+	assert.equal(A.JulianDay.timezoneOffset(winter, 5.5), 5.5);
+	assert.equal(A.JulianDay.timezoneOffset(winter, 'Europe/Zurich'), 1);
+	assert.equal(A.JulianDay.timezoneOffset(summer, 'Europe/Zurich'), 2);
+	assert.equal(A.JulianDay.timezoneOffset(winter, 'America/Los_Angeles'), -8);
+	assert.equal(A.JulianDay.timezoneOffset(summer, 'America/Los_Angeles'), -7);
+	assert.equal(A.JulianDay.timezoneOffset(winter, 'Australia/Sydney'), 11);
+	assert.equal(A.JulianDay.timezoneOffset(summer, 'Asia/Kolkata'), 5.5);
+	assert.throws(function () {
+		A.JulianDay.timezoneOffset(winter, 'Nowhere/Atlantis');
+	});
+	
+	var jdo = new A.JulianDay(winter + A.JulianDay.secondsFromHMS(20, 30, 15) / 86400);
+	assert.equal(jdo.toLocalISOString(0), '2016-01-15T20:30:15+00:00');
+	assert.equal(jdo.toLocalISOString('Australia/Sydney'), '2016-01-16T07:30:15+11:00');
+	assert.equal(jdo.toLocalISOString(-3.5), '2016-01-15T17:00:15-03:30');
+	assert.close(jdo.toLocalCalendar('America/Los_Angeles').d, 15 + A.JulianDay.secondsFromHMS(12, 30, 15) / 86400, 1e-6);
+	assert.equal(Math.floor(jdo.toLocalCalendar('Asia/Tokyo').d), 16);
+
+	// before christ and before the year 100 the local mean time of Zurich is used (+00:34:08)
+	var bc = A.JulianDay.dateToJD(new Date(Date.UTC(-2015, 2-1, 18, 12)));
+	assert.close(A.JulianDay.timezoneOffset(bc, 'Europe/Zurich'), 0 + 34/60 + 8/3600, 1e-9);
+	assert.equal(new A.JulianDay(bc).toLocalISOString('Europe/Zurich'), '-002015-02-18T12:34:08+00:34');
+	assert.equal(new A.JulianDay(bc).toLocalISOString(-8), '-002015-02-18T04:00:00-08:00');
+	var ad50 = A.JulianDay.calendarJulianToJD(50, 1, 1.5);
+	assert.close(A.JulianDay.timezoneOffset(ad50, 'Europe/Zurich'), 0 + 34/60 + 8/3600, 1e-9);
+	assert.equal(new A.JulianDay(ad50).toLocalISOString(1), '0050-01-01T13:00:00+01:00');
+});
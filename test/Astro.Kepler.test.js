@@ -0,0 +1,41 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+QUnit.test( "astro.kepler solvers", function( assert ) {
+	var d = Math.PI / 180;
+
+	// Example 30.a
+	assert.close(A.Kepler.iteration(0.1, 5*d) / d, 5.554589, 0.000001);
+	assert.close(A.Kepler.newton(0.1, 5*d) / d, 5.554589, 0.000001);
+	assert.close(A.Kepler.binarySearch(0.1, 5*d) / d, 5.554589, 0.000001);
+
+	// p. 199
+	assert.close(A.Kepler.newton(0.99, 2*d) / d, 32.361007, 0.000001);
+	assert.close(A.Kepler.binarySearch(0.99, 2*d) / d, 32.361007, 0.000001);
+
+	// the iteration is too slow for an eccentricity close to 1
+	assert.throws(function () {
+		A.Kepler.iteration(0.9999999, 0.00001);
+	});
+
+	// all solutions satisfy the equation of Kepler
+	[0, 0.2, 0.5, 0.9, 0.999].forEach(function (e) {
+		[-3, -0.01, 0, 0.001, 1, 3.1, 7].forEach(function (M) {
+			var E = A.Kepler.newton(e, M);
+			assert.close(E - e * Math.sin(E), M, 1e-12);
+			E = A.Kepler.binarySearch(e, M);
+			assert.close(E - e * Math.sin(E), A.Math.pMod(M + Math.PI, 2*Math.PI) - Math.PI, 1e-12);
+		});
+	});
+});
+
+QUnit.test( "astro.kepler trueAnomaly and radius", function( assert ) {
+	var d = Math.PI / 180;
+
+	assert.close(A.Kepler.trueAnomaly(0, 0.5), 0, 1e-15);
+	assert.close(A.Kepler.trueAnomaly(90*d, 0), 90*d, 1e-15);
+	assert.close(A.Kepler.trueAnomaly(90*d, 0.5), 120*d, 1e-12);
+	assert.close(A.Kepler.radius(0, 0.5, 2), 1, 1e-15);
+	assert.close(A.Kepler.radius(Math.PI, 0.5, 2), 3, 1e-15);
+});
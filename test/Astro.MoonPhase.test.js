@@ -0,0 +1,57 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+QUnit.test( "astro.moonphase new moon", function( assert ) {
+	// Example 49.a, p. 353.
+	var jdo = A.MoonPhase.newMoon(1977.13);
+	assert.close(jdo.jde, 2443192.65118, 0.00001);
+});
+
+QUnit.test( "astro.moonphase last quarter", function( assert ) {
+	// Example 49.b, p. 353.
+	var jdo = A.MoonPhase.lastQuarter(2044);
+	assert.close(jdo.jde, 2467636.49186, 0.00001);
+});
+
+QUnit.test( "astro.moonphase batch", function( assert ) {
+
+	function test(jdo, month, day, hour, min) {
+		var date = jdo.toDate();
+		assert.equal(date.getUTCMonth()+1, month);
+		assert.equal(date.getUTCDate(), day);
+		assert.equal(date.getUTCHours(), hour);
+		assert.close(date.getUTCMinutes(), min, 1.1);
+	}
+
+	// values from http://aa.usno.navy.mil/data/docs/MoonPhase.php
+	test(A.MoonPhase.newMoon(2016.19), 3, 9, 1, 54);
+	test(A.MoonPhase.firstQuarter(2016.19), 3, 15, 17, 3);
+	test(A.MoonPhase.full(2016.19), 3, 23, 12, 1);
+	test(A.MoonPhase.lastQuarter(2016.19), 3, 31, 15, 17);
+});
+
+QUnit.test( "astro.moonphase phases", function( assert ) {
+
+	var jdo1 = new A.JulianDay(new Date(Date.UTC(2016, 3-1, 1)));
+	var jdo2 = new A.JulianDay(new Date(Date.UTC(2016, 4-1, 1)));
+	var phases = A.MoonPhase.phases(jdo1, jdo2);
+
+	// last quarter on 1st and 31st of march
+	assert.equal(phases.length, 5);
+	assert.equal(phases[0].phase, 'lastQuarter');
+	assert.equal(phases[1].phase, 'new');
+	assert.equal(phases[2].phase, 'firstQuarter');
+	assert.equal(phases[3].phase, 'full');
+	assert.equal(phases[4].phase, 'lastQuarter');
+	assert.close(phases[1].jdo.jde, A.MoonPhase.newMoon(2016.19).jde, 0.000001);
+	assert.close(phases[4].jdo.jde, A.MoonPhase.lastQuarter(2016.19).jde, 0.000001);
+
+	// a year has 12 or 13 full moons
+	jdo1 = new A.JulianDay(new Date(Date.UTC(2016, 0, 1)));
+	jdo2 = new A.JulianDay(new Date(Date.UTC(2017, 0, 1)));
+	var full = A.MoonPhase.phases(jdo1, jdo2).filter(function (p) {
+		return p.phase === 'full';
+	});
+	assert.equal(full.length, 12);
+});
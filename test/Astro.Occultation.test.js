@@ -0,0 +1,54 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+QUnit.test( "astro.occultation star", function( assert ) {
+	var d = Math.PI / 180;
+	var eclCoord = new A.EclCoord(47.37 * d, -8.54 * d);
+	var aldebaran = A.Star.find('Aldebaran');
+
+	var res = A.Occultation.star(new A.JulianDay(A.JulianDay.calendarGregorianToJD(2017, 2, 1)),
+		new A.JulianDay(A.JulianDay.calendarGregorianToJD(2017, 2, 10)), eclCoord, aldebaran.eq, aldebaran.properMotion);
+	assert.equal(res.length, 1);
+
+	// occultation of Aldebaran by the waxing moon in the evening of 2017 february 5
+	var o = res[0];
+	assert.equal(o.disappearance.jdo.toDate().toISOString().substr(0, 16), '2017-02-05T22:26');
+	assert.equal(o.reappearance.jdo.toDate().toISOString().substr(0, 16), '2017-02-05T22:47');
+	assert.equal(o.disappearance.limb, 'dark');
+	assert.equal(o.reappearance.limb, 'bright');
+	assert.close(o.disappearance.positionAngle, 12.6 * d, 0.5 * d);
+	assert.close(o.reappearance.positionAngle, 335.8 * d, 0.5 * d);
+	assert.ok(o.disappearance.altitude > 30 * d);
+	assert.ok(o.disappearance.sunAltitude < -18 * d);
+	assert.ok(o.disappearance.jdo.jd < o.jdo.jd && o.jdo.jd < o.reappearance.jdo.jd);
+	assert.close(o.separation, 0.258 * d, 0.002 * d);
+
+	// at the contacts the star is at the limb of the moon
+	[o.disappearance, o.reappearance].forEach(function (c) {
+		var st0 = A.Sidereal.apparentInRa(c.jdo);
+		var aet = A.Moon.apparentTopocentric(c.jdo, eclCoord, st0);
+		var hz = A.Coord.eqToHz(aet.eq, eclCoord, st0);
+		var s = Math.asin(0.272481 * A.Globe.Er / aet.delta) * (1 + Math.sin(hz.alt) * Math.sin(A.Moon.parallax(aet.delta)));
+		var eq = A.Star.apparentPlace(aldebaran.eq, aldebaran.properMotion, 2000, c.jdo);
+		assert.close(A.Coord.angularSeparation(aet.eq, eq), s, 0.1 / 3600 * d);
+	});
+
+	// no occultation in the southern hemisphere
+	res = A.Occultation.star(new A.JulianDay(A.JulianDay.calendarGregorianToJD(2017, 2, 1)),
+		new A.JulianDay(A.JulianDay.calendarGregorianToJD(2017, 2, 10)), new A.EclCoord(-33.87 * d, -151.21 * d),
+		aldebaran.eq, aldebaran.properMotion);
+	assert.equal(res.length, 0);
+});
+
+QUnit.test( "astro.occultation planet", function( assert ) {
+	var d = Math.PI / 180;
+
+	// occultation of Mars by the full moon at its opposition, seen from Berlin
+	var res = A.Occultation.planet('mars', new A.JulianDay(A.JulianDay.calendarGregorianToJD(2022, 12, 1)),
+		new A.JulianDay(A.JulianDay.calendarGregorianToJD(2022, 12, 15)), new A.EclCoord(52.52 * d, -13.40 * d));
+	assert.equal(res.length, 1);
+	assert.equal(res[0].disappearance.jdo.toDate().toISOString().substr(0, 16), '2022-12-08T05:01');
+	assert.equal(res[0].reappearance.jdo.toDate().toISOString().substr(0, 16), '2022-12-08T05:56');
+	assert.ok(res[0].reappearance.altitude > 0);
+});
@@ -0,0 +1,51 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+QUnit.test( "astro.orbit elliptic", function( assert ) {
+	var d = Math.PI / 180;
+
+	// Example 33.b, comet Encke
+	var elements = {
+		a: 2.2091404,
+		e: 0.8502196,
+		i: 11.94524 * d,
+		Omega: 334.75006 * d,
+		omega: 186.23352 * d,
+		T: A.JulianDay.calendarGregorianToJD(1990, 10, 28.54502)
+	};
+	var jdo = A.JulianDay.jdFromJDE(A.JulianDay.calendarGregorianToJD(1990, 10, 6));
+
+	var sun = A.Orbit.sunJ2000(jdo);
+	assert.close(sun.x, -0.9756732, 0.0000002);
+	assert.close(sun.y, -0.2003254, 0.0000002);
+	assert.close(sun.z, -0.0868566, 0.0000002);
+
+	var h = A.Orbit.heliocentric(elements, jdo.jde);
+	assert.close(h.r, 0.6524867, 0.000001);
+
+	var res = A.Orbit.elliptic(elements, jdo);
+	assert.close(res.eq.ra / d, 158.558965, 0.00001);
+	assert.close(res.eq.dec / d, 19.158496, 0.00001);
+	assert.close(res.delta, 0.8242810, 0.0000002);
+	assert.close(res.tau, 0.0047606, 0.0000002);
+	assert.close(res.elongation / d, 40.51, 0.01);
+});
+
+QUnit.test( "astro.orbit heliocentric", function( assert ) {
+	// circular orbit of 1 AU in the ecliptic, a quarter of the gaussian year after the perihelion
+	var elements = {
+		a: 1,
+		e: 0,
+		i: 0,
+		Omega: 0,
+		omega: 0,
+		T: A.J2000
+	};
+	var h = A.Orbit.heliocentric(elements, A.J2000 + 365.2568983 / 4);
+	assert.close(h.r, 1, 1e-12);
+	assert.close(h.nu, Math.PI / 2, 1e-9);
+	assert.close(h.x, 0, 1e-9);
+	assert.close(h.y, Math.cos(A.Orbit.obliquityJ2000), 1e-9);
+	assert.close(h.z, Math.sin(A.Orbit.obliquityJ2000), 1e-9);
+});
@@ -0,0 +1,79 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+QUnit.test( "astro.planet heliocentric", function( assert ) {
+	// Example 32.a, p. 219, Venus 1992 December 20 at 0h TD
+	var jdo = A.JulianDay.jdFromJDE(2448976.5);
+	var h = A.Planet.heliocentric('venus', jdo);
+
+	// Meeus gives the values of the complete VSOP87 theory
+	assert.close(h.lng*180/Math.PI, A.Coord.dmsToDeg(false, 26, 6, 50.83), 0.5/3600);
+	assert.close(h.lat*180/Math.PI, A.Coord.dmsToDeg(true, 2, 37, 14.16), 0.5/3600);
+	assert.close(h.range, 0.72460200, 0.000001);
+
+	// the earth, example 25.b, p. 169
+	jdo = A.JulianDay.jdFromJDE(2448908.5);
+	h = A.Planet.heliocentric('earth', jdo);
+	assert.close(h.lng*180/Math.PI, 19.907372, 0.5/3600);
+	assert.close(h.lat*180/Math.PI, -0.000179, 0.5/3600);
+	assert.close(h.range, 0.99760775, 0.000001);
+});
+
+QUnit.test( "astro.planet apparentEquatorial", function( assert ) {
+	// Example 33.a, p. 225, Venus 1992 December 20 at 0h TD
+	var jdo = A.JulianDay.jdFromJDE(2448976.5);
+
+	var g = A.Planet.geocentric('venus', jdo);
+	assert.close(g.delta, 0.910947, 0.000002);
+	assert.close(g.tau, 0.0052612, 0.0000001);
+
+	var a = A.Planet.apparentEquatorial('venus', jdo);
+	assert.close(a.eq.ra, A.Coord.calcRA(21, 4, 41.454), 0.01/3600*Math.PI/180*15);
+	assert.close(a.eq.dec, A.Coord.calcAngle(true, 18, 53, 16.84), 0.3/3600*Math.PI/180);
+
+	assert.throws(function () {
+		A.Planet.apparentEquatorial('pluto', jdo);
+	});
+	assert.throws(function () {
+		A.Planet.geocentric('earth', jdo);
+	});
+});
+
+QUnit.test( "astro.planet topocentricPosition", function( assert ) {
+	var jdo = new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 3, 8));
+	var eclCoord = A.EclCoord.fromWgs84(47.3667, 8.5655);
+
+	// jupiter at opposition, at the transit the altitude is 90 - latitude + declination
+	var times = A.Planet.times('jupiter', jdo, eclCoord);
+	jdo = new A.JulianDay(jdo.jd + times.transit / 86400);
+	var tp = A.Planet.topocentricPosition('jupiter', jdo, eclCoord, false);
+	assert.close(tp.hz.az*180/Math.PI, 0, 0.01);
+	assert.close(tp.hz.alt, Math.PI/2 - eclCoord.lat + tp.eq.dec, 0.0001);
+	assert.close(tp.delta, 4.43, 0.01);
+
+	// the parallax of the planets is some arcseconds
+	var ae = A.Planet.apparentEquatorial('mars', jdo);
+	var at = A.Planet.apparentTopocentric('mars', jdo, eclCoord);
+	assert.ok(Math.abs(at.eq.dec - ae.eq.dec) > 1/3600*Math.PI/180);
+	assert.ok(Math.abs(at.eq.dec - ae.eq.dec) < 10/3600*Math.PI/180);
+});
+
+QUnit.test( "astro.planet times", function( assert ) {
+	// Example 15.a, p. 103, Venus at Boston 1988 March 20
+	var jdo = new A.JulianDay(A.JulianDay.calendarGregorianToJD(1988, 3, 20));
+	var eclCoord = new A.EclCoord(
+		A.Coord.calcAngle(false, 42, 20, 0),
+		A.Coord.calcAngle(false, 71, 5, 0));
+
+	var times = A.Planet.times('venus', jdo, eclCoord);
+	assert.close(times.rise, A.JulianDay.secondsFromHMS(12, 25, 25), 10);
+	assert.close(times.transit, A.JulianDay.secondsFromHMS(19, 40, 30), 10);
+	assert.close(times.set, A.JulianDay.secondsFromHMS(2, 54, 39), 10);
+
+	// local day in Boston (UTC-5)
+	times = A.Planet.times('venus', new A.JulianDay(jdo.jd + 0.5), eclCoord, -5);
+	assert.close(times.rise, A.JulianDay.secondsFromHMS(7, 25, 25), 10);
+	assert.close(times.set, A.JulianDay.secondsFromHMS(21, 56, 35), 60);
+	assert.equal(times.noSet, false);
+});
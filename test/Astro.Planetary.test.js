@@ -0,0 +1,69 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+QUnit.test( "astro.planetary event", function( assert ) {
+	// Example 36.a, p. 252, inferior conjunction of Mercury nearest 1993.75
+	var jdo = A.Planetary.event('mercury', 'inferiorConjunction', 1993.75);
+	assert.close(jdo.jde, 2449297.645, 0.001);
+
+	// Example 36.b, p. 252, conjunction of Saturn nearest 2125.5
+	jdo = A.Planetary.event('saturn', 'conjunction', 2125.5);
+	assert.close(jdo.jde, 2497437.904, 0.001);
+
+	// the precise time is close to the mean-periodic time
+	var precise = A.Planetary.event('jupiter', 'opposition', 2016.2, true);
+	jdo = A.Planetary.event('jupiter', 'opposition', 2016.2);
+	assert.close(precise.jd, jdo.jd, 2/24);
+	assert.equal(precise.toDate().toISOString().substr(0, 13), '2016-03-08T10');
+	var lng = A.Planet.apparentEquatorial('jupiter', precise).lng - A.Solar.apparentVSOP87(precise).lng;
+	assert.close(A.Math.pMod(lng, 2*Math.PI), Math.PI, 1e-6);
+
+	// conjunctions of Mars and Venus with the periodic terms
+	precise = A.Planetary.event('mars', 'conjunction', 2017.5, true);
+	jdo = A.Planetary.event('mars', 'conjunction', 2017.5);
+	assert.close(precise.jd, jdo.jd, 2/24);
+	assert.equal(precise.toDate().toISOString().substr(0, 13), '2017-07-27T00');
+	jdo = A.Planetary.event('venus', 'superiorConjunction', 2018);
+	assert.equal(jdo.toDate().toISOString().substr(0, 10), '2018-01-09');
+
+	// the stations of Jupiter are always searched with the positions of the planets
+	jdo = A.Planetary.event('jupiter', 'station1', 2017.2);
+	assert.equal(jdo.toDate().toISOString().substr(0, 10), '2017-02-06');
+	jdo = A.Planetary.event('jupiter', 'station2', 2017.2);
+	assert.equal(jdo.toDate().toISOString().substr(0, 10), '2017-06-09');
+
+	assert.throws(function () {
+		A.Planetary.event('mars', 'eastElongation', 2016);
+	});
+	assert.throws(function () {
+		A.Planetary.event('pluto', 'opposition', 2016);
+	});
+});
+
+QUnit.test( "astro.planetary events", function( assert ) {
+	function day(e) {
+		return e.kind + ' ' + e.jdo.toDate().toISOString().substr(0, 10);
+	}
+
+	// mercury has 3 inferior conjunctions in 2016, the second one with a transit
+	var ev = A.Planetary.events('mercury', 2016);
+	assert.equal(ev.length, 20);
+	assert.equal(day(ev[0]), 'station1 2016-01-05');
+	assert.equal(day(ev[5]), 'eastElongation 2016-04-18');
+	assert.close(ev[5].elongation*180/Math.PI, 19.9, 0.05);
+	assert.equal(day(ev[7]), 'inferiorConjunction 2016-05-09');
+	for (var i = 1; i < ev.length; i++)
+		assert.ok(ev[i].jdo.jd > ev[i - 1].jdo.jd);
+
+	// greatest elongations, stations and inferior conjunction of venus in 2017
+	ev = A.Planetary.events('venus', 2017);
+	assert.deepEqual(ev.map(day), ['eastElongation 2017-01-12', 'station1 2017-03-04', 'inferiorConjunction 2017-03-25',
+		'station2 2017-04-15', 'westElongation 2017-06-03']);
+	assert.close(ev[0].elongation*180/Math.PI, 47.1, 0.05);
+	assert.close(ev[4].elongation*180/Math.PI, 45.9, 0.05);
+
+	// opposition of mars with the retrograde motion
+	ev = A.Planetary.events('mars', 2016, true);
+	assert.deepEqual(ev.map(day), ['station1 2016-04-17', 'opposition 2016-05-22', 'station2 2016-06-29']);
+});
@@ -0,0 +1,64 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+QUnit.test( "astro.precession approxPosition", function( assert ) {
+	// Example 21.a, p. 132, theta Persei from J2000.0 to 2028 November 13.19 TD
+	var eq = new A.EqCoord(A.Coord.calcRA(2, 44, 11.986), A.Coord.calcAngle(false, 49, 13, 42.48));
+	var pm = {
+		ra: A.Coord.calcRA(0, 0, 0.03425),
+		dec: A.Coord.calcAngle(true, 0, 0, 0.0895)
+	};
+	var jdoFrom = A.Precession.julianEpoch(2000);
+	var jdoTo = A.JulianDay.jdFromJDE(2462088.69);
+
+	// the low accuracy method is within a few arcseconds of the rigorous result of example 21.b
+	var res = A.Precession.approxPosition(eq, jdoFrom, jdoTo, pm);
+	assert.close(res.ra, A.Coord.calcRA(2, 46, 11.331), 0.5*15/3600*Math.PI/180);
+	assert.close(res.dec, A.Coord.calcAngle(false, 49, 20, 54.54), 3/3600*Math.PI/180);
+});
+
+QUnit.test( "astro.precession position", function( assert ) {
+	// Example 21.b, p. 135
+	var eq = new A.EqCoord(A.Coord.calcRA(2, 44, 11.986), A.Coord.calcAngle(false, 49, 13, 42.48));
+	var pm = {
+		ra: A.Coord.calcRA(0, 0, 0.03425),
+		dec: A.Coord.calcAngle(true, 0, 0, 0.0895)
+	};
+	var jdoFrom = A.Precession.julianEpoch(2000);
+	var jdoTo = A.JulianDay.jdFromJDE(2462088.69);
+
+	var res = A.Precession.position(eq, jdoFrom, jdoTo, pm);
+	assert.close(res.ra, A.Coord.calcRA(2, 46, 11.331), 0.001*15/3600*Math.PI/180);
+	assert.close(res.dec, A.Coord.calcAngle(false, 49, 20, 54.54), 0.01/3600*Math.PI/180);
+
+	// no precession without a time interval
+	var a = A.Precession.angles(jdoTo, jdoTo);
+	assert.equal(a.zeta, 0);
+	assert.equal(a.theta, 0);
+
+	// precession to B1950.0 and back to J2000.0
+	var jdoB1950 = A.JulianDay.jdFromJDE(A.B1950);
+	var back = A.Precession.position(A.Precession.position(eq, jdoFrom, jdoB1950), jdoB1950, jdoFrom);
+	assert.close(back.ra, eq.ra, 1e-8);
+	assert.close(back.dec, eq.dec, 1e-8);
+});
+
+QUnit.test( "astro.precession eclipticPosition", function( assert ) {
+	// Example 21.c, p. 137, from J2000.0 to -214 June 30.0
+	var ecl = new A.EclCoord(149.48194*Math.PI/180, 1.76549*Math.PI/180);
+	var res = A.Precession.eclipticPosition(ecl, A.Precession.julianEpoch(2000), A.JulianDay.jdFromJDE(1643074.5));
+	assert.close(res.lat*180/Math.PI, 118.704151, 0.0001);
+	assert.close(res.lng*180/Math.PI, 1.615326, 0.0001);
+
+	// over several millennia and close to the poles of the ecliptic, values of astronomia
+	ecl = new A.EclCoord(30*Math.PI/180, 85*Math.PI/180);
+	res = A.Precession.eclipticPosition(ecl, A.Precession.julianEpoch(2000), A.Precession.julianEpoch(-2000));
+	assert.close(res.lat*180/Math.PI, 339.907175, 0.0001);
+	assert.close(res.lng*180/Math.PI, 84.746413, 0.0001);
+
+	ecl = new A.EclCoord(250*Math.PI/180, -80*Math.PI/180);
+	res = A.Precession.eclipticPosition(ecl, A.Precession.julianEpoch(2000), A.Precession.julianEpoch(4000));
+	assert.close(res.lat*180/Math.PI, 277.801321, 0.0001);
+	assert.close(res.lng*180/Math.PI, -80.253538, 0.0001);
+});
@@ -63,6 +63,11 @@ QUnit.test( "astro.rise times venus", function( assert ) {
 	assert.close(A.Math.pMod(at.transit, 86400), A.JulianDay.secondsFromHMS(19, 40, 30)/*0.81965*/, 1);
 	assert.close(A.Math.pMod(at.set, 86400), A.JulianDay.secondsFromHMS(2, 54, 39)/*0.12113*/, 1);
 	
+	// local day in Boston (UTC-5), the set in the evening is on the next UT day
+	at = A.Rise.times(eclcoord, jdo.deltaT, h0, Th0, eqcoord3, -5);
+	assert.close(at.rise, A.JulianDay.secondsFromHMS(7, 25, 25), 1);
+	assert.close(at.transit, A.JulianDay.secondsFromHMS(14, 40, 30), 1);
+	assert.close(at.set, A.JulianDay.secondsFromHMS(21, 56, 35), 1);
 });
 
 QUnit.test( "astro.rise stdh0", function( assert ) {
@@ -82,3 +87,76 @@ QUnit.test( "astro.rise stdh0", function( assert ) {
 
 
 
+QUnit.test( "astro.rise events", function( assert ) {
+	var eclCoord = A.EclCoord.fromWgs84(47.3667, 8.5655);
+	var jdo1 = new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 2, 18));
+	var jdo2 = new A.JulianDay(jdo1.jd + 3);
+
+	var ev = A.Rise.events(eclCoord, A.Rise.stdh0Solar, function (jdo, st) {
+		return A.Solar.apparentTopocentric(jdo, eclCoord, st);
+	}, jdo1, jdo2);
+
+	assert.equal(ev.rises.length, 3);
+	assert.equal(ev.transits.length, 3);
+	assert.equal(ev.sets.length, 3);
+	assert.equal(ev.alwaysAbove, false);
+	assert.equal(ev.alwaysBelow, false);
+
+	// the days are getting longer in february
+	var t = A.Solar.times(jdo1, eclCoord);
+	assert.close((ev.rises[0].jd - jdo1.jd) * 86400, t.rise, 0.1);
+	assert.ok(ev.rises[2].jd - ev.rises[1].jd < 1);
+	assert.ok(ev.sets[2].jd - ev.sets[1].jd > 1);
+});
+
+QUnit.test( "astro.rise next", function( assert ) {
+	// the midnight sun in tromso ends in the night of the 25. july, the days of the polar day
+	// are skipped without a search
+	var eclCoord = A.EclCoord.fromWgs84(69.6492, 18.9553);
+	var jdo = new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 6, 22));
+	var eqfn = A.Solar._topocentricFn(eclCoord);
+	var set = A.Rise.next(eclCoord, A.Rise.stdh0Solar, eqfn, jdo, false);
+	assert.equal(set.toDate().toISOString().substr(0, 10), '2016-07-25');
+	assert.equal(A.Rise.next(eclCoord, A.Rise.stdh0Solar, eqfn, jdo, false, 30), undefined);
+
+	// the next rise in zurich is the rise of the day
+	var zurich = A.EclCoord.fromWgs84(47.3667, 8.5655);
+	var rise = A.Rise.next(zurich, A.Rise.stdh0Solar, A.Solar._topocentricFn(zurich), jdo, true);
+	assert.close((rise.jd - jdo.jd) * 86400, A.Solar.times(jdo, zurich).rise, 0.1);
+});
+
+QUnit.test( "astro.rise circumpolar", function( assert ) {
+	var p = Math.PI / 180;
+	var h0 = A.Rise.stdh0Stellar;
+
+	var cp = A.Rise.circumpolar(47*p, h0, 18*p);
+	assert.equal(cp.alwaysAbove, false);
+	assert.equal(cp.alwaysBelow, false);
+	assert.ok(cp.cH0 > -1 && cp.cH0 < 1);
+
+	// polaris from zurich
+	cp = A.Rise.circumpolar(47*p, h0, 89*p);
+	assert.equal(cp.alwaysAbove, true);
+	assert.equal(cp.alwaysBelow, false);
+
+	// sigma octantis from zurich
+	cp = A.Rise.circumpolar(47*p, h0, -89*p);
+	assert.equal(cp.alwaysAbove, false);
+	assert.equal(cp.alwaysBelow, true);
+
+	// approxTimes and times report the transit only
+	var eclcoord = new A.EclCoord(70*p, -19*p);
+	var Th0 = A.Sidereal.apparent0UT(new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 6, 21)));
+	var eq = new A.EqCoord(90*p, 23.4*p);
+	var at = A.Rise.approxTimes(eclcoord, A.Rise.stdh0Solar, Th0, eq);
+	assert.equal(at.alwaysAbove, true);
+	assert.equal(at.alwaysBelow, false);
+	assert.equal(at.rise, undefined);
+	assert.equal(at.set, undefined);
+	assert.ok(at.transit >= 0 && at.transit < 86400);
+
+	at = A.Rise.times(eclcoord, 68, A.Rise.stdh0Solar, Th0, [eq, eq, eq]);
+	assert.equal(at.alwaysAbove, true);
+	assert.equal(at.rise, undefined);
+	assert.ok(at.transit >= 0 && at.transit < 86400);
+});
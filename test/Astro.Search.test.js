@@ -0,0 +1,130 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+QUnit.test( "astro.search crossings", function( assert ) {
+
+	var jdo1 = new A.JulianDay(2457439.5);
+	var jdo2 = new A.JulianDay(2457441.5);
+
+	// a sine with a period of one day
+	function fn(jdo) {
+		return Math.sin((jdo.jd - 2457439.5) * 2 * Math.PI);
+	}
+
+	var c = A.Search.crossings(fn, jdo1, jdo2, 0.5);
+	assert.equal(c.length, 4);
+	assert.close(c[0].jdo.jd, 2457439.5 + 1/12, 0.1/86400);
+	assert.equal(c[0].rising, true);
+	assert.close(c[1].jdo.jd, 2457439.5 + 5/12, 0.1/86400);
+	assert.equal(c[1].rising, false);
+	assert.close(c[3].jdo.jd, 2457440.5 + 5/12, 0.1/86400);
+
+	assert.equal(A.Search.crossings(fn, jdo1, jdo2, 1.5).length, 0);
+
+	// two crossings close to a maximum between two samples
+	function fn2(jdo) {
+		return fn(new A.JulianDay(jdo.jd - 1/48));
+	}
+	var dt = Math.asin(0.999) / (2 * Math.PI);
+	c = A.Search.crossings(fn2, jdo1, jdo2, 0.999);
+	assert.equal(c.length, 4);
+	assert.close(c[0].jdo.jd, 2457439.5 + 1/48 + dt, 0.1/86400);
+	assert.equal(c[0].rising, true);
+	assert.close(c[1].jdo.jd, 2457439.5 + 1/48 + 0.5 - dt, 0.1/86400);
+	assert.equal(c[1].rising, false);
+});
+
+QUnit.test( "astro.search crossings angle", function( assert ) {
+
+	var jdo1 = new A.JulianDay(2457439.5);
+	var jdo2 = new A.JulianDay(2457441.5);
+
+	// an angle turning once a day
+	function fn(jdo) {
+		return A.Math.pMod((jdo.jd - 2457439.5) * 2 * Math.PI, 2 * Math.PI);
+	}
+
+	var c = A.Search.crossings(fn, jdo1, jdo2, Math.PI / 2, {angle: true});
+	assert.equal(c.length, 2);
+	assert.close(c[0].jdo.jd, 2457439.75, 0.1/86400);
+	assert.close(c[1].jdo.jd, 2457440.75, 0.1/86400);
+
+	// the jump from 2PI to 0 is a crossing of 0 only
+	c = A.Search.crossings(fn, new A.JulianDay(2457439.6), new A.JulianDay(2457441.4), 0, {angle: true});
+	assert.equal(c.length, 1);
+	assert.close(c[0].jdo.jd, 2457440.5, 0.1/86400);
+	assert.equal(c[0].rising, true);
+});
+
+QUnit.test( "astro.search extrema", function( assert ) {
+
+	var jdo1 = new A.JulianDay(2457439.5);
+	var jdo2 = new A.JulianDay(2457441.5);
+
+	function fn(jdo) {
+		return Math.sin((jdo.jd - 2457439.5) * 2 * Math.PI);
+	}
+
+	var e = A.Search.extrema(fn, jdo1, jdo2, {step: 0.1, precision: 0.01/86400});
+	assert.equal(e.length, 4);
+	assert.close(e[0].jdo.jd, 2457439.75, 0.01/86400);
+	assert.equal(e[0].maximum, true);
+	assert.close(e[0].value, 1, 1e-9);
+	assert.close(e[1].jdo.jd, 2457440.25, 0.01/86400);
+	assert.equal(e[1].maximum, false);
+	assert.close(e[1].value, -1, 1e-9);
+	assert.close(e[2].jdo.jd, 2457440.75, 0.01/86400);
+});
+
+QUnit.test( "astro.search sun altitude", function( assert ) {
+	var eclCoord = A.EclCoord.fromWgs84(47.3667, 8.5655);
+	var jdo1 = new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 2, 18));
+	var jdo2 = new A.JulianDay(jdo1.jd + 1);
+
+	function altitude(jdo) {
+		return A.Solar.topocentricPosition(jdo, eclCoord).hz.alt;
+	}
+
+	// the maximum altitude is close to the transit, the minimum close to the lower transit
+	var e = A.Search.extrema(altitude, jdo1, jdo2);
+	assert.equal(e.length, 2);
+	assert.equal(e[0].maximum, true);
+	assert.equal(e[1].maximum, false);
+	assert.close((e[0].jdo.jd - jdo1.jd) * 86400, A.JulianDay.secondsFromHMS(12-1, 39, 41.5), 30);
+	assert.close((e[1].jdo.jd - e[0].jdo.jd) * 24, 12, 0.1);
+
+	var t = A.Solar.times(jdo1, eclCoord);
+	var c = A.Search.crossings(altitude, jdo1, jdo2, A.Rise.stdh0Solar);
+	assert.equal(c.length, 2);
+	assert.close((c[0].jdo.jd - jdo1.jd) * 86400, t.rise, 0.1);
+	assert.close((c[1].jdo.jd - jdo1.jd) * 86400, t.set, 0.1);
+});
+
+QUnit.test( "astro.search closestApproaches", function( assert ) {
+	function planet(name) {
+		return function (jdo) {
+			return A.Planet.apparentEquatorial(name, jdo).eq;
+		};
+	}
+
+	// great conjunction of jupiter and saturn on 2020 December 21, separation 6.1'
+	var c = A.Search.closestApproaches(planet('jupiter'), planet('saturn'),
+		new A.JulianDay(A.JulianDay.calendarGregorianToJD(2020, 12, 1)),
+		new A.JulianDay(A.JulianDay.calendarGregorianToJD(2021, 1, 10)), {step: 1});
+	assert.equal(c.length, 1);
+	assert.equal(c[0].jdo.toDate().toISOString().substr(0, 13), '2020-12-21T18');
+	assert.close(c[0].separation*180/Math.PI*60, 6.1, 0.05);
+	// saturn is north of jupiter
+	assert.ok(c[0].positionAngle > 3/2*Math.PI);
+
+	// the moon passes venus once a month
+	c = A.Search.closestApproaches(function (jdo) {
+		return A.Moon.apparentEquatorial(jdo).eq;
+	}, planet('venus'),
+		new A.JulianDay(A.JulianDay.calendarGregorianToJD(2020, 12, 1)),
+		new A.JulianDay(A.JulianDay.calendarGregorianToJD(2021, 1, 1)), {step: 0.25});
+	assert.equal(c.length, 1);
+	assert.equal(c[0].jdo.toDate().toISOString().substr(0, 10), '2020-12-12');
+	assert.ok(c[0].separation < 1*Math.PI/180);
+});
@@ -258,7 +258,14 @@ QUnit.test( "astro.solar times", function( assert ) {
 			A.JulianDay.secondsFromHMS(6, 59, 0), 
 			A.JulianDay.secondsFromHMS(11, 47, 0),
 			A.JulianDay.secondsFromHMS(16, 34, 0),
-			150); //  150 seconds
+			240); //  4 min, the right ascension of the sun is about 0.5° off in 2016 BC (see position zurich bc)
+	// the interpolation of A.Rise.times compensated a part of this error with the position of
+	// the sun 13 hours (delta T) off, the search uses the position at the instant of the event.
+	// The precise model is within the old bounds of 150 seconds.
+	var t = A.Solar.times(new A.JulianDay(jd), A.EclCoord.fromWgs84(47.3667, 8.5655), undefined, true);
+	assert.close(t.rise, A.JulianDay.secondsFromHMS(6, 59, 0), 150);
+	assert.close(t.transit, A.JulianDay.secondsFromHMS(11, 47, 0), 150);
+	assert.close(t.set, A.JulianDay.secondsFromHMS(16, 34, 0), 150);
 	
 	 //  Date__(UT)__HR:MN Date_________JDUT     R.A.__(a-apparent)__DEC Azi_(a-appr)_Elev L_Ap_Sid_Time
 	 // b2016-Feb-18 12:48  985128.033333333 *r  21 04 22.20 -17 06 23.4 114.9172  -0.6866 16 18 00.2413
@@ -268,7 +275,11 @@ QUnit.test( "astro.solar times", function( assert ) {
 			A.JulianDay.secondsFromHMS(12, 48, 0), 
 			A.JulianDay.secondsFromHMS(17, 35, 0),
 			A.JulianDay.secondsFromHMS(22, 23, 0),
-			160); //  160 seconds
+			240); //  4 min, the same error as in zurich
+	t = A.Solar.times(new A.JulianDay(jd), A.EclCoord.fromWgs84(47.3667, -78.5655), undefined, true);
+	assert.close(t.rise, A.JulianDay.secondsFromHMS(12, 48, 0), 160);
+	assert.close(t.transit, A.JulianDay.secondsFromHMS(17, 35, 0), 160);
+	assert.close(t.set, A.JulianDay.secondsFromHMS(22, 23, 0), 160);
 	
 	var jd = A.JulianDay.dateToJD(new Date(Date.UTC(-4499, 1-1, 1)));
 	assert.close(jd, 77798.5, 0.00001);
@@ -287,3 +298,330 @@ QUnit.test( "astro.solar times", function( assert ) {
 
 
 
+
+QUnit.test( "astro.solar twilight", function( assert ) {
+
+	function test(jd, eclCoord, kind, h0) {
+		var t = A.Solar.twilight(new A.JulianDay(jd), eclCoord, kind);
+		assert.equal(t.alwaysAbove, false);
+		assert.equal(t.alwaysBelow, false);
+
+		// the sun must be at the twilight altitude at dawn and dusk
+		var dawn = A.Solar.topocentricPosition(new A.JulianDay(jd + t.rise / 86400), eclCoord);
+		var dusk = A.Solar.topocentricPosition(new A.JulianDay(jd + t.set / 86400), eclCoord);
+		assert.close(dawn.hz.alt*180/Math.PI, h0, 0.02, kind + " dawn:" + A.Coord.secondsToHMSStr(t.rise));
+		assert.close(dusk.hz.alt*180/Math.PI, h0, 0.02, kind + " dusk:" + A.Coord.secondsToHMSStr(t.set));
+		return t;
+	}
+
+	var jd = A.JulianDay.calendarGregorianToJD(2016, 2, 18);
+	var eclCoord = A.EclCoord.fromWgs84(47.3667, 8.5655);
+
+	var sun = A.Solar.times(new A.JulianDay(jd), eclCoord);
+	var civil = test(jd, eclCoord, 'civil', -6);
+	var nautical = test(jd, eclCoord, 'nautical', -12);
+	var astronomical = test(jd, eclCoord, 'astronomical', -18);
+
+	assert.ok(astronomical.rise < nautical.rise && nautical.rise < civil.rise && civil.rise < sun.rise);
+	assert.ok(astronomical.set > nautical.set && nautical.set > civil.set && civil.set > sun.set);
+
+	assert.throws(function() {
+		A.Solar.twilight(new A.JulianDay(jd), eclCoord, 'golden');
+	});
+});
+
+QUnit.test( "astro.solar timesAtAltitude polar", function( assert ) {
+	var tromso = A.EclCoord.fromWgs84(69.6492, 18.9553);
+
+	// midnight sun, no civil twilight
+	var t = A.Solar.twilight(new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 6, 21)), tromso, 'civil');
+	assert.equal(t.alwaysAbove, true);
+	assert.equal(t.alwaysBelow, false);
+	assert.equal(t.rise, undefined);
+	assert.equal(t.set, undefined);
+
+	// polar night, the sun does not rise but there is a civil twilight
+	var jdo = new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 12, 21));
+	t = A.Solar.timesAtAltitude(jdo, tromso, A.Rise.stdh0Solar);
+	assert.equal(t.alwaysAbove, false);
+	assert.equal(t.alwaysBelow, true);
+	assert.close(t.transit, A.Math.pMod(A.Solar.approxTransit(jdo, tromso), 86400), 300);
+
+	t = A.Solar.twilight(jdo, tromso, 'civil');
+	assert.equal(t.alwaysBelow, false);
+	assert.ok(t.rise < t.transit && t.transit < t.set);
+});
+
+QUnit.test( "astro.solar golden and blue hour", function( assert ) {
+
+	var jd = A.JulianDay.calendarGregorianToJD(2016, 2, 18);
+
+	// limits below -1° are true altitudes
+	function alt(eclCoord, sec, limit) {
+		var tp = A.Solar.topocentricPosition(new A.JulianDay(jd + sec / 86400), eclCoord, limit > -1);
+		return tp.hz.alt*180/Math.PI;
+	}
+
+	function test(w, eclCoord, low, high) {
+		assert.equal(w.alwaysAbove, false);
+		assert.equal(w.alwaysBelow, false);
+		assert.equal(w.highNotReached, false);
+		assert.equal(w.lowNotReached, false);
+		assert.close(alt(eclCoord, w.morning.start, low), low, 0.02, "morning start:" + A.Coord.secondsToHMSStr(w.morning.start));
+		assert.close(alt(eclCoord, w.morning.end, high), high, 0.02, "morning end:" + A.Coord.secondsToHMSStr(w.morning.end));
+		assert.close(alt(eclCoord, w.evening.start, high), high, 0.02, "evening start:" + A.Coord.secondsToHMSStr(w.evening.start));
+		assert.close(alt(eclCoord, w.evening.end, low), low, 0.02, "evening end:" + A.Coord.secondsToHMSStr(w.evening.end));
+	}
+
+	var zurich = A.EclCoord.fromWgs84(47.3667, 8.5655);
+	var golden = A.Solar.goldenHour(new A.JulianDay(jd), zurich);
+	var blue = A.Solar.blueHour(new A.JulianDay(jd), zurich);
+
+	test(golden, zurich, -4, 6);
+	test(blue, zurich, -6, -4);
+	assert.close(blue.morning.end, golden.morning.start, 1);
+	assert.close(blue.evening.start, golden.evening.end, 1);
+
+	var p = Math.PI / 180;
+	test(A.Solar.goldenHour(new A.JulianDay(jd), zurich, {low: -2*p, high: 10*p}), zurich, -2, 10);
+	test(A.Solar.goldenHour(new A.JulianDay(jd), zurich, {low: -0.5*p, high: 10*p}), zurich, -0.5, 10);
+
+	// the blue hour ends when the center of the sun is 4° below the horizon, the twilight
+	// algorithm gives the same time for -4°
+	var tw = A.Solar.timesAtAltitude(new A.JulianDay(jd), zurich, -4*p);
+	assert.close(blue.morning.end, tw.rise, 0.1);
+	assert.close(blue.evening.start, tw.set, 0.1);
+
+	// the dip of the horizon lowers the limits for an observer on a mountain
+	var dip = A.Refraction.horizonDip(3000) / p;
+	assert.close(dip, 1.61, 0.01);
+
+	var mountain = A.EclCoord.fromWgs84(47.3667, 8.5655, 3000);
+	test(A.Solar.goldenHour(new A.JulianDay(jd), mountain), mountain, -4 - dip, 6 - dip);
+	assert.ok(A.Solar.goldenHour(new A.JulianDay(jd), mountain).evening.end > golden.evening.end);
+});
+
+QUnit.test( "astro.solar golden hour polar", function( assert ) {
+	var tromso = A.EclCoord.fromWgs84(69.6492, 18.9553);
+
+	// the sun stays in the golden hour around noon
+	var w = A.Solar.goldenHour(new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 12, 1)), tromso);
+	assert.equal(w.alwaysAbove, false);
+	assert.equal(w.alwaysBelow, false);
+	assert.ok(w.morning.start < w.evening.end);
+	assert.equal(w.morning.end, undefined);
+	assert.equal(w.evening.start, undefined);
+	assert.equal(w.highNotReached, true);
+	assert.equal(w.lowNotReached, false);
+
+	// midnight sun in longyearbyen above the golden hour
+	var longyearbyen = A.EclCoord.fromWgs84(78.2232, 15.6267);
+	w = A.Solar.goldenHour(new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 6, 21)), longyearbyen);
+	assert.equal(w.alwaysAbove, true);
+	assert.equal(w.alwaysBelow, false);
+	assert.equal(w.morning.start, undefined);
+	assert.equal(w.evening.end, undefined);
+	assert.equal(w.highNotReached, false);
+	assert.equal(w.lowNotReached, true);
+});
+
+QUnit.test( "astro.solar times polar", function( assert ) {
+	var tromso = A.EclCoord.fromWgs84(69.6492, 18.9553);
+
+	function date(jdo) {
+		var d = jdo.toDate();
+		return [d.getUTCFullYear(), d.getUTCMonth()+1, d.getUTCDate()];
+	}
+
+	// midnight sun, the center of the sun reaches -50' again in the night of the 25. july
+	var t = A.Solar.times(new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 6, 21)), tromso);
+	assert.equal(t.alwaysAbove, true);
+	assert.equal(t.alwaysBelow, false);
+	assert.equal(t.rise, undefined);
+	assert.equal(t.set, undefined);
+	assert.ok(t.transit > 0 && t.transit < 86400);
+	assert.deepEqual(date(t.nextSet), [2016, 7, 25]);
+	assert.equal(t.nextRise.jd > t.nextSet.jd, true);
+
+	// polar night, the sun rises again on the 15. january
+	t = A.Solar.times(new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 12, 21)), tromso);
+	assert.equal(t.alwaysAbove, false);
+	assert.equal(t.alwaysBelow, true);
+	assert.deepEqual(date(t.nextRise), [2017, 1, 15]);
+
+	// short night near the polar circle, the sun is below -50' for less than half an hour
+	// between two samples of the search (A.Rise.times: set 11:18:54, rise 11:44:53)
+	t = A.Solar.times(new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 6, 21)), A.EclCoord.fromWgs84(65.70, -172.5));
+	assert.equal(t.alwaysAbove, false);
+	assert.equal(t.alwaysBelow, false);
+	assert.close(t.set, A.JulianDay.secondsFromHMS(11, 18, 54), 15);
+	assert.close(t.rise, A.JulianDay.secondsFromHMS(11, 44, 53), 15);
+
+	// short day near the polar circle (A.Rise.times: rise 10:22:40, set 10:53:52)
+	t = A.Solar.times(new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 12, 21)), A.EclCoord.fromWgs84(67.35, 20));
+	assert.equal(t.alwaysAbove, false);
+	assert.equal(t.alwaysBelow, false);
+	assert.close(t.rise, A.JulianDay.secondsFromHMS(10, 22, 40), 15);
+	assert.close(t.set, A.JulianDay.secondsFromHMS(10, 53, 52), 15);
+
+	// normal day
+	t = A.Solar.times(new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 3, 21)), tromso);
+	assert.equal(t.alwaysAbove, false);
+	assert.equal(t.alwaysBelow, false);
+	assert.equal(t.rises.length, 1);
+	assert.equal(t.sets.length, 1);
+	assert.equal(t.nextRise, undefined);
+	assert.equal(t.nextSet, undefined);
+});
+
+QUnit.test( "astro.solar times timezone", function( assert ) {
+	// sydney, winter solstice: sunrise 07:00, noon 11:57 and sunset 16:54 local time (UTC+10)
+	var eclCoord = A.EclCoord.fromWgs84(-33.8688, 151.2093);
+	var jdo = new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 6, 21));
+	
+	var times = A.Solar.times(jdo, eclCoord, 'Australia/Sydney');
+	assert.close(times.rise, A.JulianDay.secondsFromHMS(7, 0, 0), 60);
+	assert.close(times.transit, A.JulianDay.secondsFromHMS(11, 57, 0), 60);
+	assert.close(times.set, A.JulianDay.secondsFromHMS(16, 54, 0), 60);
+	assert.equal(times.iso.rise.substr(0, 11), '2016-06-21T');
+	assert.equal(times.iso.rise.substr(19), '+10:00');
+	assert.equal(times.dates.rise.getTime(), new A.JulianDay(times.dates.rise).toDate().getTime());
+	
+	// the UT day has the sunset before the sunrise
+	var ut = A.Solar.times(jdo, eclCoord);
+	assert.ok(ut.set < ut.rise);
+	assert.close(ut.set + 10 * 3600, times.set, 1);
+	
+	// 0h UT of the 1. march is the 29. february in los angeles, noon UT is the 1. march
+	eclCoord = A.EclCoord.fromWgs84(34.05, -118.24);
+	times = A.Solar.times(new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 3, 1)), eclCoord, 'America/Los_Angeles');
+	assert.equal(times.iso.rise.substr(0, 10), '2016-02-29');
+	times = A.Solar.times(new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 3, 1.5)), eclCoord, 'America/Los_Angeles');
+	assert.equal(times.iso.rise, '2016-03-01T06:20:55-08:00');
+
+	// zurich, daylight saving time starts at 02:00 local time
+	eclCoord = A.EclCoord.fromWgs84(47.3667, 8.5655);
+	jdo = new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 3, 27) + 0.5);
+	times = A.Solar.times(jdo, eclCoord, 'Europe/Zurich');
+	var times2 = A.Solar.times(jdo, eclCoord, 2);
+	assert.equal(times.iso.rise, times2.iso.rise);
+	assert.equal(times.iso.set, times2.iso.set);
+	assert.equal(times.iso.set.substr(0, 16), '2016-03-27T19:48');
+	assert.close(times.rise, times2.rise - 3600, 0.1); // seconds since midnight at UTC+1
+	
+	// twilight in local time
+	var tw = A.Solar.twilight(jdo, eclCoord, 'civil', 'Europe/Zurich');
+	assert.ok(tw.rise < times.rise && tw.set > times.set);
+	var gh = A.Solar.goldenHour(jdo, eclCoord, undefined, 2);
+	assert.ok(gh.evening.start < times2.set && gh.evening.end > times2.set);
+});
+
+QUnit.test( "astro.solar VSOP87", function( assert ) {
+	// Example 25.b, p. 169, 1992 October 13 at 0h TD
+	var jdo = A.JulianDay.jdFromJDE(2448908.5);
+	
+	var t = A.Solar.trueVSOP87(jdo);
+	assert.close(t.lng*180/Math.PI, A.Coord.dmsToDeg(false, 199, 54, 26.18), 0.05/3600);
+	assert.close(t.lat*180/Math.PI, 0.72/3600, 0.01/3600);
+	assert.close(t.range, 0.99760853, 0.0000002);
+	
+	// the daily variation gives about the aberration of the constant formula (25.10)
+	var aberration = A.Solar.aberration(jdo, t.range);
+	assert.close(aberration*180/Math.PI*3600, -20.4898 / t.range, 0.02);
+	
+	var eq = A.Solar.apparentEquatorialVSOP87(jdo);
+	assert.close(eq.ra, A.Coord.calcRA(13, 13, 30.749), 0.005/3600*15*Math.PI/180);
+	assert.close(eq.dec, A.Coord.calcAngle(true, 7, 47, 1.74), 0.05/3600*Math.PI/180);
+	
+	// the fast model is within 0.01 degree
+	var fast = A.Solar.apparentEquatorial(jdo);
+	assert.close(A.Math.pMod(fast.ra, 2*Math.PI), eq.ra, 0.01*Math.PI/180);
+	assert.close(fast.dec, eq.dec, 0.01*Math.PI/180);
+});
+
+QUnit.test( "astro.solar precise", function( assert ) {
+	var eclCoord = A.EclCoord.fromWgs84(47.3667, 8.5655);
+	var jdo = new A.JulianDay(new Date(Date.UTC(2016, 6 - 1, 20, 10, 0, 0)));
+	
+	var tp = A.Solar.topocentricPosition(jdo, eclCoord, true, true);
+	var fast = A.Solar.topocentricPosition(jdo, eclCoord, true);
+	assert.close(tp.hz.alt, fast.hz.alt, 0.01*Math.PI/180);
+	assert.close(tp.hz.az, fast.hz.az, 0.01*Math.PI/180);
+	assert.ok(tp.hz.alt !== fast.hz.alt);
+	
+	var times = A.Solar.times(jdo, eclCoord, 'Europe/Zurich', true);
+	var ftimes = A.Solar.times(jdo, eclCoord, 'Europe/Zurich');
+	assert.close(times.rise, ftimes.rise, 10);
+	assert.close(times.transit, ftimes.transit, 10);
+	assert.close(times.set, ftimes.set, 10);
+	
+	// the altitude of the center of the sun at the sunrise is the standard altitude
+	var rise = new A.JulianDay(jdo.startOfLocalDay('Europe/Zurich').jd + times.rise / 86400);
+	var hz = A.Solar.topocentricPosition(rise, eclCoord, false, true).hz;
+	assert.close(hz.alt, A.Rise.stdh0Solar, 0.0001);
+	
+	var twilight = A.Solar.twilight(jdo, eclCoord, 'civil', 'Europe/Zurich', true);
+	assert.ok(twilight.rise < times.rise);
+});
+
+QUnit.test( "astro.solar equationOfTime", function( assert ) {
+	// Example 28.a, p. 184, 1992 October 13.0 TD
+	var jdo = A.JulianDay.jdFromJDE(2448908.5);
+	assert.close(A.Solar.equationOfTime(jdo, true), A.JulianDay.secondsFromHMS(0, 13, 42.6), 0.1);
+
+	// Example 28.b, p. 185, E = 0.059825 radians with the formula of Smart
+	assert.close(A.Solar.equationOfTime(jdo), 0.059825 * 43200 / Math.PI, 0.1);
+
+	// the apparent sun is behind the mean sun in february
+	jdo = new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 2, 11));
+	assert.close(A.Solar.equationOfTime(jdo, true), -A.JulianDay.secondsFromHMS(0, 14, 13), 5);
+	assert.close(A.Solar.equationOfTime(jdo), A.Solar.equationOfTime(jdo, true), 5);
+});
+
+QUnit.test( "astro.solar localApparentTime", function( assert ) {
+	var eclCoord = A.EclCoord.fromWgs84(47.3667, 8.5655);
+	var jdo = new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 11, 3));
+
+	// the local mean time at 8.5655 degrees east is 34 minutes 16 seconds ahead of UT
+	var lmt = A.Solar.localMeanTime(new A.JulianDay(jdo.jd + 0.5), eclCoord);
+	assert.close(lmt, 43200 + 8.5655 * 240, 0.01);
+	var back = A.Solar.fromLocalMeanTime(jdo, eclCoord, lmt);
+	assert.close(back.jd, jdo.jd + 0.5, 1e-8);
+
+	// the true solar noon is the transit of the sun
+	var noon = A.Solar.fromLocalApparentTime(jdo, eclCoord, 43200, true);
+	var times = A.Solar.times(jdo, eclCoord, undefined, true);
+	assert.close((noon.jd - jdo.jd) * 86400, times.transit, 1);
+	assert.close(A.Solar.localApparentTime(noon, eclCoord, true), 43200, 0.01);
+
+	// the local mean day west of Greenwich
+	eclCoord = A.EclCoord.fromWgs84(40, -170);
+	var jdo1 = A.Solar.fromLocalMeanTime(jdo, eclCoord, 3600);
+	assert.equal(jdo1.toDate().toISOString(), '2016-11-02T12:20:00.000Z');
+	assert.close(A.Solar.localMeanTime(jdo1, eclCoord), 3600, 0.01);
+});
+
+QUnit.test( "astro.solar physical", function( assert ) {
+	// Example 29.a, p. 191, 1992 October 13 0h UT
+	var jdo = A.JulianDay.jdFromJDE(2448908.50068);
+	var res = A.Solar.physical(jdo);
+	assert.close(res.P*180/Math.PI, 26.27, 0.005);
+	assert.close(res.B0*180/Math.PI, 5.99, 0.005);
+	assert.close(res.L0*180/Math.PI, 238.63, 0.005);
+
+	var precise = A.Solar.physical(jdo, true);
+	assert.close(precise.P, res.P, 0.001*Math.PI/180);
+	assert.close(precise.B0, res.B0, 0.001*Math.PI/180);
+	assert.close(precise.L0, res.L0, 0.005*Math.PI/180);
+});
+
+QUnit.test( "astro.solar carringtonRotation", function( assert ) {
+	// Example 29.b, p. 192, start of the rotation 1699
+	var jdo = A.Solar.carringtonRotation(1699);
+	assert.close(jdo.jde, 2444480.723, 0.001);
+	assert.equal(jdo.toDate().toISOString().substr(0, 10), '1980-08-29');
+
+	// the heliographic longitude of the center of the disk is zero at the start of a rotation
+	var L0 = A.Solar.physical(A.Solar.carringtonRotation(2180)).L0;
+	assert.close(A.Math.pMod(L0 + Math.PI, 2*Math.PI) - Math.PI, 0, 0.05*Math.PI/180);
+});
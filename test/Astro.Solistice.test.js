@@ -57,3 +57,26 @@ QUnit.test( "astro.solistice batch bc", function( assert ) {
 	test(A.Solistice.december(-2000), 1, 5);
 	
 });
+
+QUnit.test( "astro.solistice precise", function( assert ) {
+	// Example 27.b, p. 180, the correct instant is 21h24m42s TD
+	var jde = A.Solistice.june(1962, true);
+	assert.close(jde, A.JulianDay.calendarGregorianToJD(1962, 6, 21) + A.JulianDay.secondsFromHMS(21, 24, 42) / 86400, 1/86400);
+	
+	// at the instants the apparent longitude of the sun is k*90 degrees
+	var k = 0;
+	['march', 'june', 'september', 'december'].forEach(function (name) {
+		var jdo = A.JulianDay.jdFromJDE(A.Solistice[name](2017, true));
+		var lng = A.Solar.apparentVSOP87(jdo).lng;
+		assert.close(A.Math.pMod(lng - k*Math.PI/2 + Math.PI, 2*Math.PI) - Math.PI, 0, 0.01/3600*Math.PI/180);
+		k++;
+	});
+	
+	// 2017 september equinox 20:02 UT, december solstice 16:28 UT
+	var date = A.JulianDay.jdFromJDE(A.Solistice.september(2017, true)).toDate();
+	assert.equal(date.getUTCHours(), 20);
+	assert.close(date.getUTCMinutes() + date.getUTCSeconds() / 60, 1.8, 0.1);
+	date = A.JulianDay.jdFromJDE(A.Solistice.december(2017, true)).toDate();
+	assert.equal(date.getUTCHours(), 16);
+	assert.close(date.getUTCMinutes() + date.getUTCSeconds() / 60, 28, 0.1);
+});
@@ -0,0 +1,124 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+QUnit.test( "astro.star apparentPlace", function( assert ) {
+	// Example 23.a, p. 156, theta Persei at 2028 November 13.19 TD
+	var eq = new A.EqCoord(A.Coord.calcRA(2, 44, 11.986), A.Coord.calcAngle(false, 49, 13, 42.48));
+	var pm = {
+		ra: A.Coord.calcRA(0, 0, 0.03425),
+		dec: A.Coord.calcAngle(true, 0, 0, 0.0895)
+	};
+	var jdo = A.JulianDay.jdFromJDE(2462088.69);
+	var s = 1/3600*Math.PI/180;
+
+	var mean = A.Precession.position(eq, A.Precession.julianEpoch(2000), jdo, pm);
+	var n = A.Star.nutation(mean, jdo);
+	assert.close(n.ra/s, 15.843, 0.002);
+	assert.close(n.dec/s, 6.218, 0.002);
+
+	var a = A.Star.aberration(mean, jdo);
+	assert.close(a.ra/s, 30.045, 0.002);
+	assert.close(a.dec/s, 6.697, 0.002);
+
+	var res = A.Star.apparentPlace(eq, pm, 2000, jdo);
+	assert.close(res.ra, A.Coord.calcRA(2, 46, 14.390), 0.001*15*s);
+	assert.close(res.dec, A.Coord.calcAngle(false, 49, 21, 7.45), 0.01*s);
+
+	// the epoch can be given as julian day
+	var res2 = A.Star.apparentPlace(eq, pm, A.Precession.julianEpoch(2000), jdo);
+	assert.equal(res2.ra, res.ra);
+	assert.equal(res2.dec, res.dec);
+});
+
+QUnit.test( "astro.star times", function( assert ) {
+	var jdo = new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 1, 15));
+	var eclCoord = A.EclCoord.fromWgs84(47.3667, 8.5655);
+	var sirius = new A.EqCoord(A.Coord.calcRA(6, 45, 8.917), A.Coord.calcAngle(true, 16, 42, 58.02));
+
+	// the search agrees with the interpolation of A.Rise.times for a fixed position
+	var times = A.Star.times(jdo, eclCoord, sirius);
+	var eq = A.Star.apparentPlace(sirius, null, 2000, jdo);
+	var rt = A.Rise.times(eclCoord, jdo.deltaT, A.Rise.stdh0Stellar, A.Sidereal.apparent0UT(jdo), [eq, eq, eq]);
+	assert.close(times.rise, rt.rise, 2);
+	assert.close(times.transit, rt.transit, 2);
+	assert.close(times.set, rt.set, 2);
+	assert.equal(times.alwaysAbove, false);
+	assert.equal(times.alwaysBelow, false);
+
+	// at the transit the star is in the south
+	var tp = A.Star.topocentricPosition(new A.JulianDay(jdo.jd + times.transit / 86400), eclCoord, sirius, false);
+	assert.close(tp.hz.az*180/Math.PI, 0, 0.01);
+	assert.close(tp.hz.alt, Math.PI/2 - eclCoord.lat + tp.eq.dec, 0.0001);
+
+	// at the rise the refracted altitude is close to the horizon
+	tp = A.Star.topocentricPosition(new A.JulianDay(jdo.jd + times.rise / 86400), eclCoord, sirius, true);
+	assert.close(tp.hz.alt*180/Math.PI, 0, 0.05);
+
+	// polaris is circumpolar in Zurich
+	var polaris = new A.EqCoord(A.Coord.calcRA(2, 31, 49.09), A.Coord.calcAngle(false, 89, 15, 50.8));
+	times = A.Star.times(jdo, eclCoord, polaris);
+	assert.equal(times.alwaysAbove, true);
+	assert.equal(times.noRise, true);
+	assert.equal(times.noSet, true);
+	assert.equal(times.noTransit, false);
+
+	// canopus never rises in Zurich
+	var canopus = new A.EqCoord(A.Coord.calcRA(6, 23, 57.11), A.Coord.calcAngle(true, 52, 41, 44.4));
+	times = A.Star.times(jdo, eclCoord, canopus, 'Europe/Zurich');
+	assert.equal(times.alwaysBelow, true);
+	assert.equal(times.noRise, true);
+	assert.equal(times.nextRise, undefined);
+});
+
+QUnit.test( "astro.star catalog", function( assert ) {
+	var sirius = A.Star.find('Sirius');
+	assert.equal(sirius.bayer, 'α CMa');
+	assert.equal(sirius.hip, 32349);
+	assert.equal(sirius.hr, 2491);
+	assert.equal(sirius.mag, -1.46);
+	assert.close(sirius.eq.ra, A.Coord.calcRA(6, 45, 8.917), 1e-7);
+	assert.close(sirius.eq.dec, A.Coord.calcAngle(true, 16, 42, 58.02), 1e-7);
+	assert.close(sirius.properMotion.dec, A.Coord.calcAngle(true, 0, 0, 1.22307), 1e-12);
+
+	// lookup by name, Bayer designation, HIP and HR number
+	assert.equal(A.Star.find('rigil kentaurus').bayer, 'α Cen');
+	assert.equal(A.Star.find('alpha CMa').name, 'Sirius');
+	assert.equal(A.Star.find('alf CMa').name, 'Sirius');
+	assert.equal(A.Star.find('α Lib').name, 'Zubenelgenubi');
+	assert.equal(A.Star.find('θ1 Eri').name, 'Acamar');
+	assert.equal(A.Star.find('HIP 11767').name, 'Polaris');
+	assert.equal(A.Star.find(11767).name, 'Polaris');
+	assert.equal(A.Star.find('HR 2491').name, 'Sirius');
+	assert.equal(A.Star.find('hr424').name, 'Polaris');
+	assert.equal(A.Star.find('HR 1'), undefined);
+	assert.equal(A.Star.find('Vulcan'), undefined);
+	assert.equal(A.Star.find('ω Ori'), undefined);
+
+	// the navigational stars are in the catalog
+	['Alpheratz', 'Ankaa', 'Schedar', 'Diphda', 'Achernar', 'Hamal', 'Acamar', 'Menkar', 'Mirfak', 'Aldebaran',
+		'Rigel', 'Capella', 'Bellatrix', 'Elnath', 'Alnilam', 'Betelgeuse', 'Canopus', 'Sirius', 'Adhara',
+		'Procyon', 'Pollux', 'Avior', 'Suhail', 'Miaplacidus', 'Alphard', 'Regulus', 'Dubhe', 'Denebola',
+		'Gienah', 'Acrux', 'Gacrux', 'Alioth', 'Spica', 'Alkaid', 'Hadar', 'Menkent', 'Rigil Kentaurus',
+		'Arcturus', 'Zubenelgenubi', 'Kochab', 'Alphecca', 'Antares', 'Atria', 'Sabik', 'Shaula', 'Rasalhague',
+		'Eltanin', 'Kaus Australis', 'Vega', 'Nunki', 'Altair', 'Peacock', 'Deneb', 'Enif', 'Alnair',
+		'Fomalhaut', 'Markab', 'Polaris'].forEach(function (name) {
+		assert.ok(A.Star.find(name), name);
+	});
+
+	// the list is ordered by magnitude
+	var list = A.Star.list(1.5);
+	assert.equal(list.length, 22);
+	assert.equal(list[0].name, 'Sirius');
+	assert.equal(list[list.length - 1].bayer, 'ε CMa');
+	assert.ok(A.Star.list().length > 250);
+
+	// the catalog plugs into the position and times of the stars
+	var jdo = new A.JulianDay(A.JulianDay.calendarGregorianToJD(2016, 1, 15));
+	var eclCoord = A.EclCoord.fromWgs84(47.3667, 8.5655);
+	var polaris = A.Star.find('Polaris');
+	var times = A.Star.times(jdo, eclCoord, polaris.eq, 'Europe/Zurich', polaris.properMotion);
+	assert.equal(times.alwaysAbove, true);
+	var tp = A.Star.topocentricPosition(jdo, eclCoord, polaris.eq, false, polaris.properMotion);
+	assert.close(tp.hz.alt, eclCoord.lat, 1*Math.PI/180);
+});
@@ -0,0 +1,72 @@
+// Copyright (c) 2016 Fabio Soldati, www.peakfinder.org
+// License MIT: http://www.opensource.org/licenses/MIT
+
+
+QUnit.test( "astro.transit transits", function( assert ) {
+	var jdo = function (y, m, d, h, min, s) {
+		return A.JulianDay.calendarGregorianToJD(y, m, d + (h + min/60 + s/3600) / 24);
+	};
+
+	// the transits of Venus of 1600 to 2200
+	var res = A.Transit.transits('venus', new A.JulianDay(A.JulianDay.calendarGregorianToJD(1600, 1, 1)),
+		new A.JulianDay(A.JulianDay.calendarGregorianToJD(2200, 1, 1)));
+	assert.deepEqual(res.map(function (t) {
+		return t.jdo.toDate().toISOString().substr(0, 10);
+	}), ['1631-12-07', '1639-12-04', '1761-06-06', '1769-06-03', '1874-12-09', '1882-12-06',
+		'2004-06-08', '2012-06-06', '2117-12-11', '2125-12-08']);
+
+	// contacts of the NASA transit catalog
+	var t = res[6];
+	assert.equal(t.partial, false);
+	assert.close(t.c1.jd, jdo(2004, 6, 8, 5, 13, 29), 1/1440);
+	assert.close(t.c2.jd, jdo(2004, 6, 8, 5, 32, 55), 1/1440);
+	assert.close(t.jdo.jd, jdo(2004, 6, 8, 8, 19, 44), 1/1440);
+	assert.close(t.c3.jd, jdo(2004, 6, 8, 11, 6, 34), 1/1440);
+	assert.close(t.c4.jd, jdo(2004, 6, 8, 11, 26, 1), 1/1440);
+	assert.close(t.separation, 626.9/3600 * Math.PI/180, 1/3600 * Math.PI/180);
+
+	t = res[7];
+	assert.close(t.c1.jd, jdo(2012, 6, 5, 22, 9, 38), 1/1440);
+	assert.close(t.c4.jd, jdo(2012, 6, 6, 4, 49, 35), 1/1440);
+
+	// the transits of Mercury of 2000 to 2100
+	res = A.Transit.transits('mercury', new A.JulianDay(A.JulianDay.calendarGregorianToJD(2000, 1, 1)),
+		new A.JulianDay(A.JulianDay.calendarGregorianToJD(2100, 1, 1)));
+	assert.equal(res.length, 14);
+	t = res[2];
+	assert.equal(t.jdo.toDate().toISOString().substr(0, 10), '2016-05-09');
+	assert.close(t.c1.jd, jdo(2016, 5, 9, 11, 12, 19), 1/1440);
+	assert.close(t.c2.jd, jdo(2016, 5, 9, 11, 15, 31), 1/1440);
+	assert.close(t.jdo.jd, jdo(2016, 5, 9, 14, 57, 26), 1/1440);
+	assert.close(t.c3.jd, jdo(2016, 5, 9, 18, 39, 14), 1/1440);
+	assert.close(t.c4.jd, jdo(2016, 5, 9, 18, 42, 26), 1/1440);
+	t = res[3];
+	assert.close(t.jdo.jd, jdo(2019, 11, 11, 15, 19, 48), 1/1440);
+
+	assert.throws(function () {
+		A.Transit.transits('mars', new A.JulianDay(2451545), new A.JulianDay(2451545 + 365));
+	});
+});
+
+QUnit.test( "astro.transit local", function( assert ) {
+	var d = Math.PI / 180;
+	var res = A.Transit.transits('venus', new A.JulianDay(A.JulianDay.calendarGregorianToJD(2004, 1, 1)),
+		new A.JulianDay(A.JulianDay.calendarGregorianToJD(2013, 1, 1)));
+	var eclCoord = new A.EclCoord(47.37 * d, -8.54 * d);
+
+	// the transit of 2004 is entirely visible in Zurich
+	var l = A.Transit.local(res[0], eclCoord);
+	assert.equal(l.visible, true);
+	assert.ok(l.c1.altitude > 0 && l.c4.altitude > 0);
+	assert.close(l.c1.jdo.jd, res[0].c1.jd, 10/1440);
+	assert.ok(Math.abs(l.c1.jdo.jd - res[0].c1.jd) > 1/1440);
+
+	// the transit of 2012 ends after sunrise in Zurich
+	l = A.Transit.local(res[1], eclCoord);
+	assert.equal(l.visible, true);
+	assert.equal(l.partial, false);
+	assert.ok(l.c1.altitude < 0);
+	assert.ok(l.greatest.altitude < 0);
+	assert.ok(l.c3.altitude > 0);
+	assert.equal(l.c4.jdo.toDate().toISOString().substr(11, 5), '04:55');
+});